@@ -0,0 +1,259 @@
+/**
+ * ============================================
+ * ANUNCIADOR - Leitores de Tela
+ * ============================================
+ *
+ * Serviço único de anúncios compartilhado pelas
+ * versões V2, V3 e V4 (window.anunciarParaLeitores)
+ *
+ * Funcionalidades:
+ * - Duas live regions fixas: polite e assertive
+ * - Fila: uma mensagem por vez, assertive na frente
+ * - Ignora mensagens repetidas (na fila ou recém-lidas)
+ * - Rajadas com a mesma chave viram uma só mensagem
+ *   (ex.: segurar Ctrl + para aumentar a fonte)
+ * - Cancelamento de mensagens pendentes por id ou chave
+ *
+ * Uso:
+ *   anunciarParaLeitores('Menu aberto');
+ *   anunciarParaLeitores('Erro no formulário', 'assertive');
+ *   anunciarParaLeitores('Fonte em 130%', 'polite', { chave: 'fonte' });
+ *   Anunciador.cancelar('fonte');
+ */
+
+(function () {
+    'use strict';
+
+    // ============================================
+    // CONFIGURAÇÃO
+    // ============================================
+
+    const CONFIG = {
+        regioes: {
+            polite: 'anunciador-polite',
+            assertive: 'anunciador-assertive'
+        },
+        regiaoExistente: 'live-region', // V4 já traz uma região polite no HTML
+        intervalo: 500,          // ms mínimos entre duas mensagens
+        atrasoEscrita: 100,      // ms entre limpar e escrever (releitura de texto igual)
+        janelaDuplicadas: 1000,  // ms em que a mesma mensagem é ignorada
+        tamanhoMaximoFila: 10,
+        debug: true
+    };
+
+    const PRIORIDADES = ['polite', 'assertive'];
+
+    // ============================================
+    // CLASSE ANUNCIADOR
+    // ============================================
+
+    class Anunciador {
+        constructor() {
+            this.fila = [];
+            this.regioes = {};
+            this.proximoId = 1;
+            this.timer = null;
+            this.escrita = null;       // { id, timer } da mensagem sendo escrita
+            this.ultimaEmissao = 0;
+            this.recentes = new Map(); // "prioridade|texto" → momento da leitura
+        }
+
+        /**
+         * Anunciar mensagem
+         * @param {string} mensagem
+         * @param {string} [prioridade='polite'] - 'polite' ou 'assertive'
+         * @param {{chave?: string}} [opcoes] - Mensagens com a mesma chave se substituem na fila
+         * @returns {number|null} Id para cancelar, ou null se ignorada
+         */
+        anunciar(mensagem, prioridade = 'polite', opcoes = {}) {
+            const texto = String(mensagem ?? '').trim();
+            if (!texto) return null;
+
+            if (!PRIORIDADES.includes(prioridade)) {
+                prioridade = 'polite';
+            }
+
+            // Já está na fila
+            const pendente = this.fila.find(item => item.texto === texto && item.prioridade === prioridade);
+            if (pendente) return pendente.id;
+
+            // Acabou de ser lida
+            const lidaEm = this.recentes.get(`${prioridade}|${texto}`);
+            if (lidaEm && Date.now() - lidaEm < CONFIG.janelaDuplicadas) {
+                this.log('🔁 Ignorada (repetida):', texto);
+                return null;
+            }
+
+            const chave = opcoes.chave || null;
+
+            // Rajada: a mensagem nova substitui a antiga da mesma chave
+            if (chave) {
+                this.fila = this.fila.filter(item => item.chave !== chave);
+            }
+
+            const item = { id: this.proximoId++, texto, prioridade, chave };
+
+            if (prioridade === 'assertive') {
+                // Na frente das polite, depois das assertive já na fila
+                const posicao = this.fila.findIndex(existente => existente.prioridade !== 'assertive');
+                this.fila.splice(posicao === -1 ? this.fila.length : posicao, 0, item);
+            } else {
+                this.fila.push(item);
+            }
+
+            // Fila cheia: descartar as polite mais antigas
+            while (this.fila.length > CONFIG.tamanhoMaximoFila) {
+                const posicao = this.fila.findIndex(existente => existente.prioridade === 'polite');
+                this.fila.splice(posicao === -1 ? 0 : posicao, 1);
+            }
+
+            this.agendar();
+            return item.id;
+        }
+
+        /**
+         * Cancelar mensagens ainda não lidas
+         * @param {number|string} alvo - Id devolvido por anunciar() ou chave
+         * @returns {number} Quantidade de mensagens canceladas
+         */
+        cancelar(alvo) {
+            const corresponde = item => (typeof alvo === 'number' ? item.id === alvo : item.chave === alvo);
+            const antes = this.fila.length;
+
+            this.fila = this.fila.filter(item => !corresponde(item));
+            let canceladas = antes - this.fila.length;
+
+            if (this.escrita && corresponde(this.escrita)) {
+                clearTimeout(this.escrita.timer);
+                this.escrita = null;
+                canceladas++;
+            }
+
+            if (canceladas > 0) {
+                this.log('🚫 Canceladas:', canceladas);
+            }
+            return canceladas;
+        }
+
+        /**
+         * Esvaziar fila e regiões
+         */
+        limpar() {
+            this.fila = [];
+            clearTimeout(this.timer);
+            this.timer = null;
+
+            if (this.escrita) {
+                clearTimeout(this.escrita.timer);
+                this.escrita = null;
+            }
+
+            Object.values(this.regioes).forEach(regiao => {
+                regiao.textContent = '';
+            });
+        }
+
+        /**
+         * Obter (ou criar) live region da prioridade
+         * @param {string} prioridade
+         * @returns {HTMLElement}
+         */
+        obterRegiao(prioridade) {
+            if (this.regioes[prioridade]?.isConnected) {
+                return this.regioes[prioridade];
+            }
+
+            let regiao = document.getElementById(CONFIG.regioes[prioridade]);
+
+            if (!regiao && prioridade === 'polite') {
+                regiao = document.getElementById(CONFIG.regiaoExistente);
+            }
+
+            if (!regiao) {
+                regiao = document.createElement('div');
+                regiao.id = CONFIG.regioes[prioridade];
+                regiao.setAttribute('role', prioridade === 'assertive' ? 'alert' : 'status');
+                regiao.setAttribute('aria-live', prioridade);
+                regiao.setAttribute('aria-atomic', 'true');
+                regiao.className = 'sr-only';
+                document.body.appendChild(regiao);
+            }
+
+            this.regioes[prioridade] = regiao;
+            return regiao;
+        }
+
+        /**
+         * Agendar próxima mensagem respeitando o intervalo
+         * @private
+         */
+        agendar() {
+            if (this.timer || this.fila.length === 0) return;
+
+            const espera = Math.max(0, this.ultimaEmissao + CONFIG.intervalo - Date.now());
+
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.emitir();
+            }, espera);
+        }
+
+        /**
+         * Escrever a próxima mensagem da fila na região
+         * @private
+         */
+        emitir() {
+            const item = this.fila.shift();
+            if (!item) return;
+
+            const regiao = this.obterRegiao(item.prioridade);
+
+            // Limpar antes para que o mesmo texto seja lido de novo
+            regiao.textContent = '';
+
+            this.escrita = {
+                ...item,
+                timer: setTimeout(() => {
+                    regiao.textContent = item.texto;
+                    this.escrita = null;
+                }, CONFIG.atrasoEscrita)
+            };
+
+            const agora = Date.now();
+            this.ultimaEmissao = agora;
+
+            this.recentes.forEach((momento, chave) => {
+                if (agora - momento >= CONFIG.janelaDuplicadas) {
+                    this.recentes.delete(chave);
+                }
+            });
+            this.recentes.set(`${item.prioridade}|${item.texto}`, agora);
+
+            this.log(`📢 Anúncio (${item.prioridade}):`, item.texto);
+            this.agendar();
+        }
+
+        /**
+         * Logging condicional
+         * @private
+         */
+        log(...args) {
+            if (CONFIG.debug) {
+                console.log('[Anunciador]', ...args);
+            }
+        }
+    }
+
+    // ============================================
+    // INICIALIZAÇÃO
+    // ============================================
+
+    // Criar instância global
+    const anunciador = new Anunciador();
+
+    window.Anunciador = anunciador;
+    window.anunciarParaLeitores = (mensagem, prioridade, opcoes) => anunciador.anunciar(mensagem, prioridade, opcoes);
+
+    console.log('✅ Anunciador carregado');
+
+})();
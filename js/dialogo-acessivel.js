@@ -0,0 +1,428 @@
+/**
+ * ============================================
+ * DIÁLOGO ACESSÍVEL - Modais e Menus
+ * ============================================
+ *
+ * Componente único de diálogo/disclosure compartilhado
+ * pelas versões V2, V3 e V4 (window.DialogoAcessivel)
+ *
+ * Funcionalidades:
+ * - Modal: foco preso (Tab circula), fundo com `inert`
+ *   e rolagem da página travada
+ * - Disclosure (modal: false): menus que abrem e fecham
+ *   sem prender o foco, com aria-expanded no invocador
+ * - ESC fecha só o diálogo do topo (diálogos aninhados)
+ * - Diálogo aninhado sai do inert que o de baixo pôs nele
+ *   (e nos ancestrais) e o devolve ao fechar
+ * - Ao fechar, o foco volta para quem abriu
+ *
+ * Uso:
+ *   const dialogo = new DialogoAcessivel(elemento, {
+ *       aoAbrir: () => { elemento.hidden = false; },
+ *       aoFechar: () => { elemento.hidden = true; }
+ *   });
+ *   dialogo.abrir(botao);
+ *   dialogo.fechar();
+ *   dialogo.fechar({ restaurarFoco: false }); // ex.: clique em link do menu
+ *
+ *   // Aninhados: dois modais filhos do body
+ *   ajuda.abrir(botaoAjuda);           // #confirmacao fica inert
+ *   confirmacao.abrir(botaoExecutar);  // #confirmacao volta a ser usável, #ajuda fica inert
+ *   confirmacao.fechar();              // #ajuda volta, #confirmacao fica inert de novo
+ */
+
+(function () {
+    'use strict';
+
+    // ============================================
+    // CONFIGURAÇÃO
+    // ============================================
+
+    const CONFIG = {
+        focaveis: [
+            'a[href]',
+            'area[href]',
+            'button:not([disabled])',
+            'input:not([disabled]):not([type="hidden"])',
+            'select:not([disabled])',
+            'textarea:not([disabled])',
+            'iframe',
+            '[contenteditable="true"]',
+            '[tabindex]:not([tabindex="-1"])'
+        ].join(', '),
+        // Nunca ficam inert: o leitor de tela precisa ouvir o anúncio de abertura
+        sempreAtivos: '[aria-live], [role="status"], [role="alert"], [role="log"]',
+        debug: true
+    };
+
+    const PADROES = {
+        modal: true,
+        invocador: null,           // Botão com aria-expanded (disclosure); senão, quem tinha o foco
+        focoInicial: null,         // Elemento, seletor ou função; padrão: [autofocus], o modal ou o 1º focável do menu
+        fecharAoClicarFora: false, // Disclosures costumam fechar; modais têm o próprio overlay
+        fecharComEsc: true,
+        overlay: null,             // Fundo do modal: fica fora do inert e fecha ao clicar
+        aoAbrir: null,             // Mostrar o elemento (antes de focar)
+        aoFechar: null             // Esconder o elemento (antes de devolver o foco)
+    };
+
+    // Diálogos abertos, do mais antigo ao do topo
+    const pilha = [];
+
+    // Overflow do body antes do primeiro modal
+    let overflowAnterior = null;
+
+    // ============================================
+    // CLASSE DIÁLOGO ACESSÍVEL
+    // ============================================
+
+    class DialogoAcessivel {
+        /**
+         * @param {HTMLElement} elemento - Conteúdo do diálogo ou menu
+         * @param {Object} [opcoes] - Ver PADROES
+         */
+        constructor(elemento, opcoes = {}) {
+            this.elemento = elemento;
+            this.opcoes = { ...PADROES, ...opcoes };
+            this.invocador = this.opcoes.invocador;
+            this.inertes = [];       // Elementos que este diálogo deixou inert
+            this.liberados = [];     // Caminho deste diálogo que outro tinha deixado inert
+            this.aberto = false;
+
+            if (this.opcoes.modal) {
+                elemento.setAttribute('aria-modal', 'true');
+
+                if (!elemento.hasAttribute('tabindex')) {
+                    elemento.setAttribute('tabindex', '-1');
+                }
+            }
+
+            if (this.opcoes.invocador) {
+                this.opcoes.invocador.setAttribute('aria-expanded', 'false');
+            }
+
+            if (this.opcoes.overlay) {
+                this.opcoes.overlay.addEventListener('click', () => this.fechar());
+            }
+        }
+
+        /**
+         * Abrir
+         * @param {HTMLElement} [invocador] - Para onde o foco volta (padrão: foco atual)
+         * @returns {boolean} Se abriu agora
+         */
+        abrir(invocador) {
+            if (this.aberto) return false;
+
+            this.invocador = invocador || this.opcoes.invocador || document.activeElement;
+            this.aberto = true;
+            pilha.push(this);
+            this.liberarCaminho();
+
+            if (this.opcoes.aoAbrir) {
+                this.opcoes.aoAbrir(this);
+            }
+
+            if (this.opcoes.invocador) {
+                this.opcoes.invocador.setAttribute('aria-expanded', 'true');
+            }
+
+            if (this.opcoes.modal) {
+                this.tornarFundoInerte();
+                travarRolagem();
+            }
+
+            this.focarInicio();
+
+            this.log('📂 Aberto:', this.descrever());
+            return true;
+        }
+
+        /**
+         * Fechar (e os diálogos abertos por cima dele)
+         * @param {{restaurarFoco?: boolean}} [opcoes]
+         * @returns {boolean} Se fechou agora
+         */
+        fechar({ restaurarFoco = true } = {}) {
+            if (!this.aberto) return false;
+
+            // Aninhados acima deste fecham primeiro, sem mexer no foco
+            while (pilha[pilha.length - 1] !== this) {
+                pilha[pilha.length - 1].fechar({ restaurarFoco: false });
+            }
+
+            pilha.pop();
+            this.aberto = false;
+
+            if (this.opcoes.aoFechar) {
+                this.opcoes.aoFechar(this);
+            }
+
+            if (this.opcoes.invocador) {
+                this.opcoes.invocador.setAttribute('aria-expanded', 'false');
+            }
+
+            if (this.opcoes.modal) {
+                this.restaurarFundo();
+                liberarRolagem();
+            }
+
+            this.restaurarCaminho();
+
+            if (restaurarFoco && this.invocador && this.invocador.isConnected) {
+                this.invocador.focus();
+            }
+
+            this.log('📁 Fechado:', this.descrever());
+            return true;
+        }
+
+        /**
+         * Abrir ou fechar
+         * @param {HTMLElement} [invocador]
+         * @returns {boolean} Se ficou aberto
+         */
+        alternar(invocador) {
+            if (this.aberto) {
+                this.fechar();
+            } else {
+                this.abrir(invocador);
+            }
+
+            return this.aberto;
+        }
+
+        /**
+         * Elementos focáveis dentro do diálogo, na ordem do Tab
+         * @returns {HTMLElement[]}
+         */
+        obterFocaveis() {
+            return Array.from(this.elemento.querySelectorAll(CONFIG.focaveis))
+                .filter(elemento => !elemento.closest('[hidden], [inert]'));
+        }
+
+        /**
+         * Focar o elemento inicial
+         * @private
+         */
+        focarInicio() {
+            let alvo = this.opcoes.focoInicial;
+
+            if (typeof alvo === 'function') {
+                alvo = alvo(this);
+            } else if (typeof alvo === 'string') {
+                alvo = this.elemento.querySelector(alvo);
+            }
+
+            alvo = alvo
+                || this.elemento.querySelector('[autofocus]')
+                || (this.opcoes.modal ? this.elemento : this.obterFocaveis()[0]);
+
+            if (alvo) {
+                alvo.focus();
+            }
+        }
+
+        /**
+         * Deixar inert os irmãos do diálogo e de cada ancestral até o body
+         * @private
+         */
+        tornarFundoInerte() {
+            let atual = this.elemento;
+
+            while (atual && atual !== document.body && atual.parentElement) {
+                Array.from(atual.parentElement.children).forEach((irmao) => {
+                    if (irmao === atual || irmao === this.opcoes.overlay || irmao.hasAttribute('inert') || irmao.matches(CONFIG.sempreAtivos)) return;
+
+                    irmao.setAttribute('inert', '');
+                    this.inertes.push(irmao);
+                });
+
+                atual = atual.parentElement;
+            }
+        }
+
+        /**
+         * Devolver ao fundo só o que este diálogo deixou inert
+         * @private
+         */
+        restaurarFundo() {
+            this.inertes.forEach((elemento) => {
+                elemento.removeAttribute('inert');
+            });
+
+            this.inertes = [];
+        }
+
+        /**
+         * Tirar o inert que um diálogo aberto pôs no caminho deste
+         * (elemento, overlay e ancestrais até o body)
+         * @private
+         */
+        liberarCaminho() {
+            const caminho = [this.opcoes.overlay];
+
+            for (let atual = this.elemento; atual && atual !== document.body; atual = atual.parentElement) {
+                caminho.push(atual);
+            }
+
+            caminho.forEach((elemento) => {
+                if (!elemento || !elemento.hasAttribute('inert') || !inertePorAberto(elemento)) return;
+
+                elemento.removeAttribute('inert');
+                this.liberados.push(elemento);
+            });
+        }
+
+        /**
+         * Devolver o inert ao caminho se quem o pôs ainda está aberto
+         * @private
+         */
+        restaurarCaminho() {
+            this.liberados.forEach((elemento) => {
+                if (inertePorAberto(elemento)) {
+                    elemento.setAttribute('inert', '');
+                }
+            });
+
+            this.liberados = [];
+        }
+
+        /**
+         * Nome para o log
+         * @private
+         */
+        descrever() {
+            return this.elemento.id || this.elemento.className || this.elemento.tagName;
+        }
+
+        /**
+         * Logging condicional
+         * @private
+         */
+        log(...args) {
+            if (CONFIG.debug) {
+                console.log('[DialogoAcessivel]', ...args);
+            }
+        }
+
+        /**
+         * Diálogo do topo da pilha
+         * @returns {DialogoAcessivel|null}
+         */
+        static topo() {
+            return pilha[pilha.length - 1] || null;
+        }
+
+        /**
+         * Fechar todos os diálogos abertos
+         */
+        static fecharTodos() {
+            if (pilha.length) {
+                pilha[0].fechar();
+            }
+        }
+    }
+
+    /**
+     * Algum diálogo aberto deixou o elemento inert?
+     * @param {HTMLElement} elemento
+     * @returns {boolean}
+     */
+    function inertePorAberto(elemento) {
+        return pilha.some(dialogo => dialogo.inertes.includes(elemento));
+    }
+
+    // ============================================
+    // ROLAGEM DA PÁGINA
+    // ============================================
+
+    /**
+     * Travar a rolagem no primeiro modal aberto
+     */
+    function travarRolagem() {
+        if (overflowAnterior === null) {
+            overflowAnterior = document.body.style.overflow;
+            document.body.style.overflow = 'hidden';
+        }
+    }
+
+    /**
+     * Liberar a rolagem quando não houver mais modais
+     */
+    function liberarRolagem() {
+        if (overflowAnterior !== null && !pilha.some(dialogo => dialogo.opcoes.modal)) {
+            document.body.style.overflow = overflowAnterior;
+            overflowAnterior = null;
+        }
+    }
+
+    // ============================================
+    // TECLADO E FOCO (um listener para todos)
+    // ============================================
+
+    document.addEventListener('keydown', (e) => {
+        const topo = DialogoAcessivel.topo();
+        if (!topo) return;
+
+        if (e.key === 'Escape' && topo.opcoes.fecharComEsc) {
+            e.preventDefault();
+            topo.fechar();
+            return;
+        }
+
+        if (e.key !== 'Tab' || !topo.opcoes.modal) return;
+
+        // Tab circula dentro do modal
+        const focaveis = topo.obterFocaveis();
+
+        if (focaveis.length === 0) {
+            e.preventDefault();
+            topo.elemento.focus();
+            return;
+        }
+
+        const primeiro = focaveis[0];
+        const ultimo = focaveis[focaveis.length - 1];
+        const dentro = topo.elemento.contains(document.activeElement);
+
+        if (e.shiftKey && (!dentro || document.activeElement === primeiro || document.activeElement === topo.elemento)) {
+            e.preventDefault();
+            ultimo.focus();
+        } else if (!e.shiftKey && (!dentro || document.activeElement === ultimo)) {
+            e.preventDefault();
+            primeiro.focus();
+        }
+    });
+
+    // Foco que escapou do modal (ex.: via script) volta para ele
+    document.addEventListener('focusin', (e) => {
+        const topo = DialogoAcessivel.topo();
+
+        if (topo && topo.opcoes.modal && !topo.elemento.contains(e.target)) {
+            topo.focarInicio();
+        }
+    });
+
+    // Clique fora fecha disclosures que pedirem
+    document.addEventListener('click', (e) => {
+        const topo = DialogoAcessivel.topo();
+
+        if (!topo || !topo.opcoes.fecharAoClicarFora) return;
+
+        const invocador = topo.opcoes.invocador || topo.invocador;
+
+        if (!topo.elemento.contains(e.target) && !(invocador && invocador.contains(e.target))) {
+            topo.fechar({ restaurarFoco: false });
+        }
+    });
+
+    // ============================================
+    // INICIALIZAÇÃO
+    // ============================================
+
+    window.DialogoAcessivel = DialogoAcessivel;
+
+    console.log('✅ DialogoAcessivel carregado');
+
+})();
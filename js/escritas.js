@@ -0,0 +1,64 @@
+/**
+ * ============================================
+ * ESCRITAS - Módulos de Acessibilidade
+ * ============================================
+ *
+ * Escrita do idioma atual e ajustes de texto que valem nela,
+ * compartilhados pelo ModoDislexia e pelo EspacamentoTexto
+ * (window.EscritasAcessibilidade)
+ *
+ * Funcionalidades:
+ * - Na V4 a escrita vem do FontLoader.getScriptForLocale;
+ *   fora da V4 é sempre a latina
+ * - Cada escrita lista os ajustes que comporta
+ *
+ * Uso:
+ *   const escrita = EscritasAcessibilidade.atual();
+ *   EscritasAcessibilidade.vale('letras', escrita);
+ */
+
+(function () {
+    'use strict';
+
+    // Ajustes de cada escrita: as fontes para dislexia só desenham o
+    // alfabeto latino (o cirílico completa com a reserva), espaço entre
+    // letras separa as letras ligadas do árabe e a linha do devanágari,
+    // e o japonês não separa palavras com espaço (o 1.4.12 dispensa o
+    // que a língua não usa)
+    const AJUSTES = {
+        latin: ['fonte', 'letras', 'palavras', 'linhas', 'paragrafos'],
+        cyrillic: ['fonte', 'letras', 'palavras', 'linhas', 'paragrafos'],
+        arabic: ['palavras', 'linhas', 'paragrafos'],
+        devanagari: ['palavras', 'linhas', 'paragrafos'],
+        japanese: ['linhas', 'paragrafos']
+    };
+
+    /**
+     * Escrita do idioma atual (V4: FontLoader); sem FontLoader, latina
+     * @param {string} [locale] - Padrão: idioma do i18n ou lang do <html>
+     * @returns {string} 'latin', 'cyrillic', 'arabic', 'devanagari' ou 'japanese'
+     */
+    function atual(locale) {
+        if (!window.FontLoader) {
+            return 'latin';
+        }
+
+        const idioma = locale
+            || (window.i18n && typeof window.i18n.getLocale === 'function' && window.i18n.getLocale())
+            || document.documentElement.lang;
+
+        return window.FontLoader.getScriptForLocale(idioma);
+    }
+
+    /**
+     * Verifica se um ajuste vale numa escrita
+     * @param {string} ajuste - 'fonte', 'letras', 'palavras', 'linhas' ou 'paragrafos'
+     * @param {string} escrita - Retorno de atual(); desconhecida conta como latina
+     * @returns {boolean}
+     */
+    function vale(ajuste, escrita) {
+        return (AJUSTES[escrita] || AJUSTES.latin).includes(ajuste);
+    }
+
+    window.EscritasAcessibilidade = { atual, vale };
+})();
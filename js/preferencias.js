@@ -0,0 +1,907 @@
+/**
+ * ============================================
+ * PREFERÊNCIAS DE ACESSIBILIDADE
+ * ============================================
+ *
+ * Armazenamento único das preferências das versões
+ * V3 e V4 (window.PreferenciasAcessibilidade)
+ *
+ * Funcionalidades:
+ * - Esquema declarado: padrão e valores válidos de cada preferência
+ * - Versão do formato com migrações (inclui as chaves antigas
+ *   cabra-tech-v3-*, e cabradatech_locale)
+ * - Sincronização entre abas via evento storage
+ * - Padrões do sistema operacional (prefers-color-scheme,
+ *   prefers-contrast, prefers-reduced-motion,
+ *   prefers-reduced-transparency) enquanto o usuário não
+ *   escolhe, acompanhando mudanças ao vivo
+ * - Exportar/importar o perfil como arquivo JSON ou como
+ *   código curto (cabe em um QR code)
+ *
+ * Toda mudança dispara em window o evento 'preferenciasalteradas'
+ * com detail { nome, valor, anterior, origem }, onde origem é
+ * 'local', 'outra-aba', 'importacao' ou 'sistema'.
+ */
+
+(function () {
+    'use strict';
+
+    // ============================================
+    // CONFIGURAÇÃO
+    // ============================================
+
+    const CONFIG = {
+        chave: 'cabra-tech-preferencias',
+        versao: 1,
+        prefixoCodigo: 'CDT',  // CDT<versão>.<base64url>
+        nomeArquivo: 'cabra-da-tech-perfil.json',
+        debug: true
+    };
+
+    // Padrão e valores aceitos de cada preferência
+    const ESQUEMA = {
+        tema: { padrao: 'default', valores: ['default', 'high-contrast', 'dark'] },
+        altoContraste: { padrao: false, tipo: 'boolean' },
+        esquemaContraste: { padrao: 'amarelo-preto', valores: ['amarelo-preto', 'branco-preto', 'invertido'] },
+        fonte: { padrao: 100, valores: [85, 100, 115, 130, 145] },
+        espacamento: { padrao: 'normal', valores: ['normal', 'large'] },
+        // Espaçamento de texto (WCAG 1.4.12); 0 = estilo do site
+        alturaLinha: { padrao: 0, valores: [0, 1.2, 1.3, 1.4, 1.5] },
+        espacamentoParagrafo: { padrao: 0, valores: [0, 0.5, 1, 1.5, 2] },
+        espacamentoLetras: { padrao: 0, valores: [0, 0.03, 0.06, 0.09, 0.12] },
+        espacamentoPalavras: { padrao: 0, valores: [0, 0.04, 0.08, 0.12, 0.16] },
+        libras: { padrao: false, tipo: 'boolean' },
+        dislexia: { padrao: false, tipo: 'boolean' },
+        fonteDislexia: { padrao: 'opendyslexic', valores: ['opendyslexic', 'atkinson', 'lexend'] },
+        // Auxílios de atenção (V3)
+        reguaLeitura: { padrao: false, tipo: 'boolean' },
+        mascaraLeitura: { padrao: false, tipo: 'boolean' },
+        destacarLinks: { padrao: false, tipo: 'boolean' },
+        pausarAnimacoes: { padrao: false, tipo: 'boolean' },
+        // Zoom da página em % (AmpliacaoPagina, WCAG 1.4.10)
+        zoom: { padrao: 100, tipo: 'number', minimo: 100, maximo: 400 },
+        idioma: { padrao: null, tipo: 'string', formato: /^[a-z]{2,3}(-[A-Z]{2})?$/ },
+        // Atalhos (V3): teclas = id da ação → combinação, ou null sem atalho
+        atalhos: {
+            padrao: {},
+            tipo: 'object',
+            campos: {
+                esquema: { valores: ['alt', 'alt-shift', 'ctrl-alt', 'tecla-unica'] },
+                teclaUnica: { tipo: 'boolean' },
+                teclas: {
+                    tipo: 'object',
+                    itens: { tipo: 'string', nulo: true, formato: /^((ctrl|alt|shift)\+)*(Key[A-Z]|Digit\d|.)$/iu }
+                }
+            }
+        },
+        movimentoReduzido: { padrao: false, tipo: 'boolean' },
+        transparenciaReduzida: { padrao: false, tipo: 'boolean' },
+        predefinicao: { padrao: null, tipo: 'object' } // Predefinições (V3): ativa e valores de antes
+    };
+
+    // Media queries do sistema operacional
+    const MIDIAS = {
+        escuro: '(prefers-color-scheme: dark)',
+        contraste: '(prefers-contrast: more)',
+        movimento: '(prefers-reduced-motion: reduce)',
+        transparencia: '(prefers-reduced-transparency: reduce)'
+    };
+
+    // Valor de cada preferência enquanto o usuário não escolhe
+    // (undefined = o sistema não opina, vale o padrão do ESQUEMA).
+    // Tema e alto contraste andam juntos: escolher um deles
+    // tira o contraste do sistema do outro.
+    const SISTEMA = {
+        tema: (midias, preferencias) => {
+            if (midias.contraste && !preferencias.foiDefinida('altoContraste')) return 'high-contrast';
+            return midias.escuro ? 'dark' : 'default';
+        },
+        altoContraste: (midias, preferencias) => {
+            return preferencias.foiDefinida('tema') ? undefined : midias.contraste;
+        },
+        movimentoReduzido: midias => midias.movimento,
+        transparenciaReduzida: midias => midias.transparencia
+    };
+
+    // Chaves usadas antes deste armazenamento
+    const CHAVES_ANTIGAS = {
+        barra: 'cabra-tech-v3-preferencias',   // BarraAcessibilidade e Preferencias (V3)
+        fonte: 'cabra-tech-v3-fonte',          // AumentarFonte
+        dislexia: 'cabra-tech-v3-dislexia',    // ModoDislexia
+        contraste: 'cabra-tech-v3-contraste',  // AltoContraste
+        idioma: 'cabradatech_locale'           // LocaleDetector (V4)
+    };
+
+    // Migração para a versão N recebe as preferências da versão N-1
+    const MIGRACOES = {
+        // 0 → 1: juntar as chaves antigas
+        1: () => {
+            const barra = lerJSON(CHAVES_ANTIGAS.barra) || {};
+            const contraste = lerJSON(CHAVES_ANTIGAS.contraste) || {};
+            const fonte = localStorage.getItem(CHAVES_ANTIGAS.fonte);
+            const dislexia = localStorage.getItem(CHAVES_ANTIGAS.dislexia);
+
+            return {
+                tema: barra.tema,
+                espacamento: barra.espacamento,
+                libras: barra.libras,
+                // AumentarFonte tem prioridade sobre o fontSize da wcag-aaa-emag.js
+                fonte: fonte !== null ? parseInt(fonte, 10) : barra.fontSize,
+                dislexia: dislexia !== null ? dislexia === 'true' : undefined,
+                altoContraste: contraste.ativo,
+                esquemaContraste: contraste.esquema,
+                idioma: localStorage.getItem(CHAVES_ANTIGAS.idioma) || undefined
+            };
+        }
+    };
+
+    /**
+     * Ler JSON do localStorage sem lançar erro
+     * @param {string} chave
+     * @returns {*} Valor ou null
+     */
+    function lerJSON(chave) {
+        try {
+            return JSON.parse(localStorage.getItem(chave) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // ============================================
+    // CLASSE PREFERENCIAS
+    // ============================================
+
+    class Preferencias {
+        constructor() {
+            this.valores = {}; // Só o que o usuário escolheu; o resto vem do sistema ou do ESQUEMA
+            this.sistema = {};  // Valores vindos do sistema (SISTEMA)
+            this.midias = {};   // MediaQueryList de cada MIDIAS
+            this.reaplicando = false;
+            this.carregar();
+            this.observarSistema();
+
+            // Outra aba salvou: recarregar e avisar os módulos
+            window.addEventListener('storage', (event) => {
+                if (event.key === CONFIG.chave || event.key === null) {
+                    this.recarregar('outra-aba');
+                }
+            });
+        }
+
+        /**
+         * Carregar do localStorage, migrando se necessário
+         */
+        carregar() {
+            let dados = null;
+
+            try {
+                dados = JSON.parse(localStorage.getItem(CONFIG.chave) || 'null');
+            } catch (error) {
+                this.log('⚠️ Preferências corrompidas, usando padrões');
+            }
+
+            if (!dados || typeof dados !== 'object') {
+                dados = { versao: 0, preferencias: {} };
+            }
+
+            const versaoSalva = dados.versao;
+            const preferencias = this.migrar(dados.preferencias || {}, versaoSalva);
+            this.valores = this.filtrarValidas(preferencias).validas;
+
+            if (versaoSalva !== CONFIG.versao) {
+                this.salvar();
+
+                if (versaoSalva === 0) {
+                    this.removerChavesAntigas();
+                }
+                this.log(`🔄 Preferências migradas: v${versaoSalva} → v${CONFIG.versao}`);
+            }
+        }
+
+        /**
+         * Aplicar migrações a partir de uma versão
+         * @param {Object} preferencias
+         * @param {number} versao - Versão em que as preferências estão
+         * @returns {Object} Preferências na versão atual
+         */
+        migrar(preferencias, versao) {
+            let migradas = preferencias;
+
+            for (let proxima = (versao || 0) + 1; proxima <= CONFIG.versao; proxima++) {
+                try {
+                    migradas = MIGRACOES[proxima](migradas);
+                } catch (error) {
+                    this.log(`⚠️ Falha na migração para v${proxima}:`, error);
+                }
+            }
+
+            return migradas;
+        }
+
+        /**
+         * Separar preferências válidas das inválidas pelo ESQUEMA
+         * @param {Object} preferencias
+         * @returns {{validas: Object, invalidas: Array<string>}}
+         */
+        filtrarValidas(preferencias) {
+            const validas = {};
+            const invalidas = [];
+
+            Object.entries(preferencias || {}).forEach(([nome, valor]) => {
+                if (valor === undefined) return;
+
+                if (this.validar(nome, valor)) {
+                    validas[nome] = valor;
+                } else {
+                    invalidas.push(nome);
+                }
+            });
+
+            return { validas, invalidas };
+        }
+
+        /**
+         * Verificar valor contra o ESQUEMA
+         * @param {string} nome
+         * @param {*} valor
+         * @returns {boolean}
+         */
+        validar(nome, valor) {
+            const definicao = ESQUEMA[nome];
+            return !!definicao && this.conferir(definicao, valor);
+        }
+
+        /**
+         * Conferir valor contra uma definição do ESQUEMA
+         * Objetos com campos só aceitam esses campos (todos opcionais);
+         * objetos com itens conferem cada valor.
+         * @private
+         */
+        conferir(definicao, valor) {
+            if (definicao.valores) {
+                return definicao.valores.includes(valor);
+            }
+
+            if (definicao.tipo === 'object') {
+                if (valor === null || typeof valor !== 'object' || Array.isArray(valor)) return false;
+
+                if (definicao.campos) {
+                    return Object.entries(valor).every(([campo, item]) => {
+                        return Object.prototype.hasOwnProperty.call(definicao.campos, campo) &&
+                            this.conferir(definicao.campos[campo], item);
+                    });
+                }
+
+                if (definicao.itens) {
+                    return Object.values(valor).every(item => this.conferir(definicao.itens, item));
+                }
+
+                return true;
+            }
+
+            if (valor === null && definicao.nulo) return true;
+            if (typeof valor !== definicao.tipo) return false;
+
+            if (definicao.tipo === 'number') {
+                return Number.isFinite(valor) && valor >= definicao.minimo && valor <= definicao.maximo;
+            }
+
+            return !definicao.formato || definicao.formato.test(valor);
+        }
+
+        /**
+         * Salvar no localStorage
+         * @private
+         */
+        salvar() {
+            try {
+                localStorage.setItem(CONFIG.chave, JSON.stringify({
+                    versao: CONFIG.versao,
+                    preferencias: this.valores
+                }));
+            } catch (error) {
+                // Sem localStorage (modo privado, cota): segue só em memória
+                console.error('❌ Erro ao salvar preferências:', error);
+            }
+        }
+
+        /**
+         * Remover chaves antigas já migradas
+         * @private
+         */
+        removerChavesAntigas() {
+            Object.values(CHAVES_ANTIGAS).forEach(chave => {
+                try {
+                    localStorage.removeItem(chave);
+                } catch (error) {
+                    // Ignorar: a migração já foi salva
+                }
+            });
+        }
+
+        /**
+         * Obter preferência (escolhida, do sistema ou padrão)
+         * @param {string} nome
+         * @returns {*}
+         */
+        obter(nome) {
+            if (!ESQUEMA[nome]) {
+                this.log(`⚠️ Preferência desconhecida: ${nome}`);
+                return undefined;
+            }
+
+            let valor = ESQUEMA[nome].padrao;
+
+            if (nome in this.valores) {
+                valor = this.valores[nome];
+            } else if (this.sistema[nome] !== undefined) {
+                valor = this.sistema[nome];
+            }
+
+            return this.copiar(valor);
+        }
+
+        /**
+         * De onde vem o valor atual da preferência
+         * @param {string} nome
+         * @returns {string} 'usuario', 'sistema' ou 'padrao'
+         */
+        origem(nome) {
+            if (this.foiDefinida(nome)) return 'usuario';
+            return this.sistema[nome] !== undefined ? 'sistema' : 'padrao';
+        }
+
+        /**
+         * Verificar se o sistema opina sobre a preferência
+         * (mesmo que o usuário tenha escolhido outra coisa)
+         * @param {string} nome
+         * @returns {boolean}
+         */
+        temValorDoSistema(nome) {
+            return this.calcularSistema()[nome] !== undefined;
+        }
+
+        /**
+         * Obter todas as preferências, com padrões
+         * @returns {Object}
+         */
+        obterTodas() {
+            const todas = {};
+            Object.keys(ESQUEMA).forEach(nome => {
+                todas[nome] = this.obter(nome);
+            });
+            return todas;
+        }
+
+        /**
+         * Verificar se o usuário escolheu (não é o padrão)
+         * @param {string} nome
+         * @returns {boolean}
+         */
+        foiDefinida(nome) {
+            return nome in this.valores;
+        }
+
+        /**
+         * Definir preferência
+         * @param {string} nome
+         * @param {*} valor
+         * @returns {boolean} false se o valor for inválido
+         */
+        definir(nome, valor) {
+            if (!this.validar(nome, valor)) {
+                console.warn(`⚠️ Preferência inválida: ${nome} =`, valor);
+                return false;
+            }
+
+            const anterior = this.obter(nome);
+            const jaDefinida = this.foiDefinida(nome);
+
+            if (jaDefinida && this.iguais(anterior, valor)) {
+                return true;
+            }
+
+            // Módulo reaplicando o valor do sistema ou do padrão não é escolha do usuário
+            if (this.reaplicando && !jaDefinida && this.iguais(anterior, valor)) {
+                return true;
+            }
+
+            this.valores[nome] = this.copiar(valor);
+            this.salvar();
+
+            this.log(`💾 ${nome} =`, valor);
+            this.notificar(nome, valor, anterior, 'local');
+            this.atualizarSistema();
+            return true;
+        }
+
+        /**
+         * Voltar uma preferência ao sistema (ou ao padrão)
+         * @param {string} nome
+         */
+        remover(nome) {
+            if (!this.foiDefinida(nome)) return;
+
+            const anteriores = this.obterTodas();
+            delete this.valores[nome];
+            this.salvar();
+
+            this.sistema = this.calcularSistema();
+            this.notificarDiferencas(anteriores, 'local');
+        }
+
+        /**
+         * Voltar a seguir o sistema (atalho para remover várias)
+         * @param {...string} nomes
+         */
+        seguirSistema(...nomes) {
+            nomes.forEach(nome => this.remover(nome));
+        }
+
+        /**
+         * Executar reaplicando preferências já valendo
+         * Módulos que restauram estado na inicialização chamam
+         * definir() com o valor atual: isso não vira escolha do usuário.
+         * @param {Function} funcao
+         */
+        reaplicar(funcao) {
+            const anterior = this.reaplicando;
+            this.reaplicando = true;
+
+            try {
+                funcao();
+            } finally {
+                this.reaplicando = anterior;
+            }
+        }
+
+        /**
+         * Voltar todas as preferências ao padrão
+         */
+        redefinir() {
+            this.substituir({}, 'local');
+        }
+
+        /**
+         * Trocar todas as preferências e avisar o que mudou
+         * @private
+         */
+        substituir(novas, origem) {
+            const anteriores = this.obterTodas();
+
+            this.valores = this.copiar(novas);
+            if (origem !== 'outra-aba') {
+                this.salvar();
+            }
+
+            this.sistema = this.calcularSistema();
+            this.notificarDiferencas(anteriores, origem);
+        }
+
+        /**
+         * Reler o localStorage (outra aba mudou)
+         * @private
+         */
+        recarregar(origem) {
+            const dados = lerJSON(CONFIG.chave);
+
+            // Aba desatualizada salva outra versão: migrar em vez de descartar
+            const preferencias = dados ? this.migrar(dados.preferencias || {}, dados.versao) : {};
+
+            this.substituir(this.filtrarValidas(preferencias).validas, origem);
+            this.log('🔄 Preferências sincronizadas de outra aba');
+        }
+
+        /**
+         * Disparar evento de mudança
+         * @private
+         */
+        notificar(nome, valor, anterior, origem) {
+            window.dispatchEvent(new CustomEvent('preferenciasalteradas', {
+                detail: { nome, valor, anterior, origem }
+            }));
+        }
+
+        /**
+         * Avisar cada preferência que mudou desde um retrato
+         * Os módulos reaplicam esses valores sem transformá-los em escolha.
+         * @private
+         */
+        notificarDiferencas(anteriores, origem) {
+            this.reaplicar(() => {
+                Object.keys(ESQUEMA).forEach(nome => {
+                    const valor = this.obter(nome);
+                    if (!this.iguais(anteriores[nome], valor)) {
+                        this.notificar(nome, valor, anteriores[nome], origem);
+                    }
+                });
+            });
+        }
+
+        // ============================================
+        // PADRÕES DO SISTEMA OPERACIONAL
+        // ============================================
+
+        /**
+         * Ler as media queries e acompanhar mudanças
+         * @private
+         */
+        observarSistema() {
+            if (typeof window.matchMedia !== 'function') return;
+
+            Object.entries(MIDIAS).forEach(([nome, consulta]) => {
+                this.midias[nome] = window.matchMedia(consulta);
+                this.midias[nome].addEventListener('change', () => {
+                    this.log(`🖥️ Sistema mudou: ${consulta}`);
+                    this.atualizarSistema();
+                });
+            });
+
+            this.sistema = this.calcularSistema();
+        }
+
+        /**
+         * Valores do sistema para as preferências de SISTEMA
+         * @private
+         */
+        calcularSistema() {
+            if (Object.keys(this.midias).length === 0) return {};
+
+            const midias = {};
+            Object.entries(this.midias).forEach(([nome, lista]) => {
+                midias[nome] = lista.matches;
+            });
+
+            const valores = {};
+            Object.entries(SISTEMA).forEach(([nome, calcular]) => {
+                valores[nome] = calcular(midias, this);
+            });
+            return valores;
+        }
+
+        /**
+         * Recalcular o sistema e avisar o que mudou para quem o segue
+         * @private
+         */
+        atualizarSistema() {
+            const anteriores = this.obterTodas();
+            this.sistema = this.calcularSistema();
+            this.notificarDiferencas(anteriores, 'sistema');
+        }
+
+        /**
+         * Mostrar num grupo da barra se as preferências seguem o sistema
+         * @param {HTMLElement} grupo - .controle-grupo
+         * @param {Array<string>} nomes - Preferências do grupo
+         */
+        indicarOrigem(grupo, nomes) {
+            criarIndicadorOrigem(this, grupo, nomes);
+        }
+
+        // ============================================
+        // EXPORTAR / IMPORTAR PERFIL
+        // ============================================
+
+        /**
+         * Perfil com as preferências escolhidas
+         * @returns {Object}
+         */
+        exportar() {
+            return {
+                app: 'cabra-da-tech',
+                versao: CONFIG.versao,
+                exportadoEm: new Date().toISOString(),
+                preferencias: this.copiar(this.valores)
+            };
+        }
+
+        /**
+         * Perfil como código curto: CDT1.<base64url do JSON>
+         * Só caracteres seguros para URL e QR code.
+         * @returns {string}
+         */
+        exportarCodigo() {
+            const json = JSON.stringify({ v: CONFIG.versao, p: this.valores });
+            const bytes = new TextEncoder().encode(json);
+            const base64 = btoa(String.fromCharCode(...bytes))
+                .replace(/\+/g, '-')
+                .replace(/\//g, '_')
+                .replace(/=+$/, '');
+
+            return `${CONFIG.prefixoCodigo}${CONFIG.versao}.${base64}`;
+        }
+
+        /**
+         * Baixar perfil como arquivo JSON
+         */
+        baixarArquivo() {
+            const blob = new Blob([JSON.stringify(this.exportar(), null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = CONFIG.nomeArquivo;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        }
+
+        /**
+         * Importar perfil (substitui as preferências atuais)
+         * @param {string|Object} perfil - Objeto, JSON ou código CDT
+         * @returns {{importadas: Array<string>, ignoradas: Array<string>}}
+         * @throws {Error} Se o perfil não puder ser lido
+         */
+        importar(perfil) {
+            const { versao, preferencias } = this.lerPerfil(perfil);
+
+            if (versao > CONFIG.versao) {
+                throw new Error(`Perfil da versão ${versao}, mais nova que a suportada (${CONFIG.versao})`);
+            }
+
+            // Perfis de versões anteriores passam pelas migrações (exceto a das chaves antigas)
+            const migradas = versao >= 1 ? this.migrar(preferencias, versao) : preferencias;
+            const { validas, invalidas } = this.filtrarValidas(migradas);
+
+            this.substituir(validas, 'importacao');
+            this.log('📥 Perfil importado:', Object.keys(validas));
+
+            return { importadas: Object.keys(validas), ignoradas: invalidas };
+        }
+
+        /**
+         * Importar perfil de um arquivo
+         * @param {File} arquivo
+         * @returns {Promise<{importadas: Array<string>, ignoradas: Array<string>}>}
+         */
+        async importarArquivo(arquivo) {
+            return this.importar(await arquivo.text());
+        }
+
+        /**
+         * Normalizar perfil (objeto, JSON ou código)
+         * @private
+         */
+        lerPerfil(perfil) {
+            let dados = perfil;
+
+            if (typeof perfil === 'string') {
+                const texto = perfil.trim();
+                const codigo = texto.match(new RegExp(`^${CONFIG.prefixoCodigo}(\\d+)\\.([A-Za-z0-9_-]+)$`));
+
+                try {
+                    if (codigo) {
+                        const base64 = codigo[2].replace(/-/g, '+').replace(/_/g, '/');
+                        const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+                        const compacto = JSON.parse(new TextDecoder().decode(bytes));
+                        dados = { versao: compacto.v, preferencias: compacto.p };
+                    } else {
+                        dados = JSON.parse(texto);
+                    }
+                } catch (error) {
+                    throw new Error('Perfil ilegível: não é JSON nem código de perfil');
+                }
+            }
+
+            if (!dados || typeof dados !== 'object' || typeof dados.preferencias !== 'object') {
+                throw new Error('Perfil sem preferências');
+            }
+
+            return { versao: Number(dados.versao) || 0, preferencias: dados.preferencias };
+        }
+
+        // ============================================
+        // UTILITÁRIOS
+        // ============================================
+
+        /**
+         * Cópia de valores (atalhos é objeto)
+         * @private
+         */
+        copiar(valor) {
+            return valor !== null && typeof valor === 'object' ? JSON.parse(JSON.stringify(valor)) : valor;
+        }
+
+        /**
+         * Comparar valores
+         * @private
+         */
+        iguais(a, b) {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+
+        /**
+         * Esquema declarado (para consulta)
+         * @returns {Object}
+         */
+        getEsquema() {
+            return ESQUEMA;
+        }
+
+        /**
+         * Logging condicional
+         * @private
+         */
+        log(...args) {
+            if (CONFIG.debug) {
+                console.log('[Preferencias]', ...args);
+            }
+        }
+    }
+
+    // ============================================
+    // CONTROLES DE PERFIL
+    // ============================================
+
+    // Textos traduzidos (js/traducao.js)
+    const traduzir = window.traduzirAcessibilidade;
+
+    /**
+     * Anunciar resultado para leitores de tela
+     */
+    function anunciar(mensagem, prioridade = 'polite') {
+        if (typeof window.anunciarParaLeitores === 'function') {
+            window.anunciarParaLeitores(mensagem, prioridade);
+        }
+    }
+
+    /**
+     * Indicador "Seguindo o sistema" / "Ajustado por você" com
+     * botão para voltar ao sistema
+     * @param {Preferencias} preferencias
+     * @param {HTMLElement} grupo
+     * @param {Array<string>} nomes
+     */
+    function criarIndicadorOrigem(preferencias, grupo, nomes) {
+        if (!grupo || grupo.querySelector('.origem-preferencia')) return;
+
+        const indicador = document.createElement('span');
+        indicador.className = 'origem-preferencia';
+        indicador.innerHTML = `
+            <span class="origem-texto"></span>
+            <button type="button" class="btn-controle btn-usar-sistema"></button>
+        `;
+
+        const texto = indicador.querySelector('.origem-texto');
+        const botao = indicador.querySelector('.btn-usar-sistema');
+
+        const atualizar = () => {
+            const escolhida = nomes.some(nome => preferencias.foiDefinida(nome));
+            const doSistema = nomes.some(nome => preferencias.temValorDoSistema(nome));
+
+            // Sem opinião do sistema não há o que indicar
+            indicador.hidden = !doSistema;
+            indicador.dataset.origem = escolhida ? 'usuario' : 'sistema';
+            botao.hidden = !escolhida;
+
+            texto.textContent = escolhida
+                ? traduzir('accessibility.overridingSystem', 'Ajustado por você')
+                : traduzir('accessibility.followingSystem', 'Seguindo o sistema');
+            botao.textContent = traduzir('accessibility.useSystem', 'Usar do sistema');
+        };
+
+        botao.addEventListener('click', () => {
+            preferencias.seguirSistema(...nomes);
+            anunciar(traduzir('announcements.followingSystem', 'Seguindo a configuração do sistema'));
+        });
+
+        window.addEventListener('preferenciasalteradas', atualizar);
+        window.addEventListener('i18nready', atualizar);
+        window.addEventListener('languagechanged', atualizar);
+
+        atualizar();
+        grupo.appendChild(indicador);
+    }
+
+    /**
+     * Criar grupo "Perfil" na barra de acessibilidade
+     * (exportar/importar arquivo e copiar/colar código)
+     * @param {Preferencias} preferencias
+     */
+    function criarControles(preferencias) {
+        const barra = document.querySelector('.acessibilidade-controles');
+        if (!barra || document.getElementById('perfil-label')) return;
+
+        const grupo = document.createElement('div');
+        grupo.className = 'controle-grupo';
+        grupo.innerHTML = `
+            <span class="controle-label" id="perfil-label"></span>
+            <div class="controle-botoes" role="group" aria-labelledby="perfil-label">
+                <button type="button" class="btn-controle" data-perfil="exportar"></button>
+                <button type="button" class="btn-controle" data-perfil="importar"></button>
+                <button type="button" class="btn-controle" data-perfil="copiar-codigo"></button>
+                <button type="button" class="btn-controle" data-perfil="colar-codigo"></button>
+            </div>
+            <input type="file" accept="application/json,.json" hidden>
+        `;
+
+        const arquivo = grupo.querySelector('input[type="file"]');
+        const botao = acao => grupo.querySelector(`[data-perfil="${acao}"]`);
+
+        const atualizarTextos = () => {
+            grupo.querySelector('#perfil-label').textContent = traduzir('accessibility.profile', 'Perfil:');
+            botao('exportar').textContent = traduzir('accessibility.profileExport', 'Exportar');
+            botao('importar').textContent = traduzir('accessibility.profileImport', 'Importar');
+            botao('copiar-codigo').textContent = traduzir('accessibility.profileCopyCode', 'Copiar código');
+            botao('colar-codigo').textContent = traduzir('accessibility.profilePasteCode', 'Colar código');
+        };
+
+        const relatarImportacao = (resultado) => {
+            anunciar(traduzir('announcements.profileImported', 'Perfil importado: {count, plural, one {# preferência aplicada} other {# preferências aplicadas}}', {
+                count: resultado.importadas.length
+            }));
+        };
+
+        const relatarErro = (error) => {
+            console.error('❌ Erro ao importar perfil:', error);
+            anunciar(traduzir('announcements.profileInvalid', 'Não foi possível importar o perfil'), 'assertive');
+        };
+
+        botao('exportar').addEventListener('click', () => {
+            preferencias.baixarArquivo();
+            anunciar(traduzir('announcements.profileExported', 'Perfil exportado'));
+        });
+
+        botao('importar').addEventListener('click', () => arquivo.click());
+
+        arquivo.addEventListener('change', async () => {
+            if (!arquivo.files.length) return;
+
+            try {
+                relatarImportacao(await preferencias.importarArquivo(arquivo.files[0]));
+            } catch (error) {
+                relatarErro(error);
+            }
+            arquivo.value = '';
+        });
+
+        botao('copiar-codigo').addEventListener('click', async () => {
+            const codigo = preferencias.exportarCodigo();
+
+            try {
+                await navigator.clipboard.writeText(codigo);
+                anunciar(traduzir('announcements.profileCodeCopied', 'Código do perfil copiado'));
+            } catch (error) {
+                // Sem área de transferência: mostrar para copiar à mão
+                window.prompt(traduzir('announcements.profileCodeCopyManually', 'Não foi possível copiar. Copie o código abaixo'), codigo);
+            }
+        });
+
+        botao('colar-codigo').addEventListener('click', () => {
+            const codigo = window.prompt(traduzir('announcements.profileCodePrompt', 'Cole o código do perfil'));
+            if (!codigo) return;
+
+            try {
+                relatarImportacao(preferencias.importar(codigo));
+            } catch (error) {
+                relatarErro(error);
+            }
+        });
+
+        window.addEventListener('i18nready', atualizarTextos);
+        window.addEventListener('languagechanged', atualizarTextos);
+
+        atualizarTextos();
+        barra.appendChild(grupo);
+    }
+
+    // ============================================
+    // INICIALIZAÇÃO
+    // ============================================
+
+    // Criar instância global
+    const preferencias = new Preferencias();
+    window.PreferenciasAcessibilidade = preferencias;
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => criarControles(preferencias));
+    } else {
+        criarControles(preferencias);
+    }
+
+    console.log('✅ PreferenciasAcessibilidade carregado');
+
+})();
@@ -0,0 +1,66 @@
+/**
+ * ============================================
+ * TRADUÇÃO - Módulos de Acessibilidade
+ * ============================================
+ *
+ * Busca única de textos compartilhada pelos módulos
+ * da V3 e pelo perfil de preferências
+ * (window.traduzirAcessibilidade)
+ *
+ * Funcionalidades:
+ * - Usa o idioma da V4 (window.i18n) quando a chave existe
+ * - Antes de i18nready usa o padrão em silêncio: os módulos
+ *   traduzem de novo quando as traduções chegam
+ * - Fora da V4, ou sem a chave, usa o padrão em português
+ *   com as {{variáveis}} e os plurais ICU resolvidos
+ *
+ * Uso:
+ *   traduzirAcessibilidade('announcements.fontSizeReset', 'Tamanho de fonte resetado para o padrão');
+ *   traduzirAcessibilidade('announcements.zoomChanged', 'Zoom da página em {{level}}%', { level: 200 });
+ *   traduzirAcessibilidade('announcements.linksHighlighted',
+ *       '{count, plural, one {# link} other {# links}}', { count: 3 });
+ */
+
+(function () {
+    'use strict';
+
+    // Carregado antes de i18n.js: este ouvinte roda antes dos
+    // atualizarTextos() dos módulos
+    let traducoesProntas = false;
+    window.addEventListener('i18nready', () => {
+        traducoesProntas = true;
+    });
+
+    /**
+     * Texto no idioma da V4 (window.i18n) ou o padrão em português
+     * @param {string} chave - Chave de tradução (ex: 'announcements.zoomChanged')
+     * @param {string} padrao - Texto em português, com {{variáveis}} ou plurais ICU
+     * @param {Object} [params] - Valores das variáveis
+     * @returns {string} Texto traduzido
+     */
+    function traduzirAcessibilidade(chave, padrao, params = {}) {
+        if (traducoesProntas && window.i18n && typeof window.i18n.t === 'function') {
+            const traducao = window.i18n.t(chave, params);
+
+            // t() devolve a própria chave quando não encontra
+            if (traducao !== chave) {
+                return traducao;
+            }
+        }
+
+        // Plurais ICU do padrão (message-format.js)
+        if (window.MessageFormat && window.MessageFormat.isMessage(padrao)) {
+            try {
+                return window.MessageFormat.format(padrao, params, { locale: 'pt-BR' });
+            } catch (error) {
+                console.warn('⚠️ Mensagem ICU inválida:', padrao, error.message);
+            }
+        }
+
+        return padrao.replace(/\{\{(\w+)\}\}/g, (trecho, nome) => {
+            return params[nome] !== undefined ? params[nome] : trecho;
+        });
+    }
+
+    window.traduzirAcessibilidade = traduzirAcessibilidade;
+})();
@@ -0,0 +1,52 @@
+/**
+ * ============================================
+ * NOTICIA-DATA.JS
+ * ============================================
+ *
+ * Regra da casa para o validate-html.js: todo card de
+ * notícia tem um <time> com datetime válido, para que
+ * leitores de tela e buscadores entendam a data
+ * ("28 de outubro" → datetime="2025-10-28").
+ *
+ * Carregada automaticamente por estar em rules/.
+ * Contrato dos plugins: ver seção PLUGINS em tools/validate-html.js
+ */
+
+module.exports = {
+    id: 'NOTICIA_DATA',
+    nome: 'Notícias com <time datetime> válido',
+    severidade: 'aviso',
+    wcag: ['1.3.1'],
+    emag: ['eMAG-1'],
+    categoria: 'noticias',
+
+    validar: (dom) => {
+        const cards = Array.from(dom.window.document.querySelectorAll('article.noticia-card, article.hero-article'));
+
+        const semData = cards.filter(card => {
+            const time = card.querySelector('time');
+            if (!time) return true;
+
+            const datetime = time.getAttribute('datetime');
+            return !datetime || isNaN(Date.parse(datetime));
+        });
+
+        if (semData.length > 0) {
+            return {
+                valido: false,
+                detalhes: `${semData.length} notícia(s) sem <time datetime> válido`,
+                elementos: semData
+            };
+        }
+        return { valido: true };
+    },
+
+    sugestao: (card) => {
+        const time = card.querySelector('time');
+
+        if (!time) {
+            return 'Envolva a data da notícia em <time datetime="AAAA-MM-DD">';
+        }
+        return `Preencha datetime no <time> ("${time.textContent.trim()}") no formato AAAA-MM-DD`;
+    }
+};
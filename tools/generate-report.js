@@ -7,18 +7,24 @@
  * 
  * Gera relatório completo de acessibilidade
  * do projeto Cabra da Tech
+ *
+ * Os scores são calculados rodando as regras do
+ * validate-html.js no HTML de cada versão e
+ * mapeando os resultados para os CRITERIOS
  * 
  * Uso: node tools/generate-report.js
  */
 
 const fs = require('fs');
 const path = require('path');
+const { ValidadorHTML, carregarConfiguracao } = require('./validate-html');
 
 // ============================================
 // CONFIGURAÇÃO
 // ============================================
 
 const CONFIG = {
+    rootDir: path.join(__dirname, '..'),
     outputDir: './reports',
     outputFile: 'accessibility-report.html',
     projectName: 'Cabra da Tech',
@@ -117,85 +123,181 @@ const CRITERIOS = {
 // ANÁLISE DE VERSÕES
 // ============================================
 
-const ANALISES = {
-    'v1-antipadrao': {
-        nome: 'V1 - Antipadrão',
-        wcag_nivel: 'Não conforme',
-        score: 25,
-        problemas: [
-            'Sem alt em imagens',
-            'Contraste insuficiente',
-            'Sem navegação por teclado',
-            'Estrutura HTML incorreta',
-            'Sem ARIA',
-            'Fontes não redimensionáveis'
-        ],
-        conformidade: {
-            A: 15,
-            AA: 0,
-            AAA: 0
-        }
-    },
-    'v2-wcag-aa': {
-        nome: 'V2 - WCAG AA',
-        wcag_nivel: 'AA',
-        score: 72,
-        problemas: [
-            'Contraste AAA não atingido em alguns elementos',
-            'Falta breadcrumb',
-            'Alguns links sem contexto claro'
-        ],
-        conformidade: {
-            A: 100,
-            AA: 95,
-            AAA: 40
-        }
-    },
-    'v3-aaa-emag': {
-        nome: 'V3 - AAA + eMAG',
-        wcag_nivel: 'AAA',
-        score: 95,
-        problemas: [
-            'Alguns textos alternativos poderiam ser mais descritivos'
-        ],
-        conformidade: {
-            A: 100,
-            AA: 100,
-            AAA: 98
-        }
-    },
-    'v4-global-i18n': {
-        nome: 'V4 - Global i18n',
-        wcag_nivel: 'AAA + i18n',
-        score: 98,
-        problemas: [
-            'Nenhum problema crítico encontrado'
-        ],
-        conformidade: {
-            A: 100,
-            AA: 100,
-            AAA: 100
-        }
-    }
+const VERSOES = {
+    'v1-antipadrao': { nome: 'V1 - Antipadrão' },
+    'v2-wcag-aa': { nome: 'V2 - WCAG AA' },
+    'v3-aaa-emag': { nome: 'V3 - AAA + eMAG' },
+    'v4-global-i18n': { nome: 'V4 - Global i18n' }
 };
 
+/**
+ * Rodar as regras do validate-html.js em todos os HTML da versão.
+ * Uma regra só passa na versão se passar em todos os arquivos.
+ * @param {string} version
+ * Usa o .a11yrc.json da raiz do projeto (regras desativadas e supressões).
+ * @returns {{arquivos: Array<string>, regras: Array<object>, suprimidos: Array<object>}}
+ */
+function executarRegras(version) {
+    const validador = new ValidadorHTML(carregarConfiguracao(null, CONFIG.rootDir));
+    const diretorio = path.join(CONFIG.rootDir, version);
+    const arquivos = validador.buscarArquivosHTML(diretorio);
+    const regras = new Map();
+    const suprimidos = [];
+
+    arquivos.forEach(arquivo => {
+        const html = fs.readFileSync(arquivo, 'utf8');
+        const resultado = validador.analisar(html, arquivo);
+        const nomeArquivo = path.relative(diretorio, arquivo);
+
+        resultado.suprimidos.forEach(suprimido => {
+            suprimidos.push({ arquivo: nomeArquivo, ...suprimido });
+        });
+
+        resultado.regras.forEach(item => {
+            if (!regras.has(item.id)) {
+                regras.set(item.id, { ...item, valido: true, falhas: [] });
+            }
+
+            if (!item.valido) {
+                const regra = regras.get(item.id);
+                regra.valido = false;
+                regra.falhas.push({
+                    arquivo: nomeArquivo,
+                    detalhes: item.detalhes,
+                    ocorrencias: item.ocorrencias.map(ocorrencia => ({ arquivo: nomeArquivo, ...ocorrencia }))
+                });
+            }
+        });
+    });
+
+    return { arquivos, regras: Array.from(regras.values()), suprimidos };
+}
+
+/**
+ * Avaliar critérios a partir das regras que os verificam.
+ * Critérios sem nenhuma regra ficam como não avaliados (null)
+ * e não entram nos percentuais.
+ * @param {Array} criterios - Lista de CRITERIOS
+ * @param {Array} regras - Resultado de executarRegras()
+ * @param {string} campo - 'wcag' ou 'emag'
+ */
+function avaliarCriterios(criterios, regras, campo) {
+    return criterios.map(criterio => {
+        const verificacoes = regras.filter(regra => regra[campo].includes(criterio.id));
+
+        return {
+            ...criterio,
+            regras: verificacoes.map(regra => regra.id),
+            atendido: verificacoes.length > 0
+                ? verificacoes.every(regra => regra.valido)
+                : null
+        };
+    });
+}
+
+/**
+ * Percentual ponderado pelo peso dos critérios avaliados
+ * @returns {number|null} null se nenhum critério foi avaliado
+ */
+function calcularConformidade(criterios) {
+    const avaliados = criterios.filter(criterio => criterio.atendido !== null);
+    const pesoTotal = avaliados.reduce((total, criterio) => total + criterio.peso, 0);
+    if (pesoTotal === 0) return null;
+
+    const pesoAtendido = avaliados
+        .filter(criterio => criterio.atendido)
+        .reduce((total, criterio) => total + criterio.peso, 0);
+
+    return Math.round((pesoAtendido / pesoTotal) * 100);
+}
+
+function classificarNivel(conformidade) {
+    if (conformidade.A !== 100) return 'Não conforme';
+    if (conformidade.AA !== 100) return 'A';
+    if (conformidade.AAA !== 100) return 'AA';
+    return 'AAA';
+}
+
+function analisarVersao(version) {
+    const { arquivos, regras, suprimidos } = executarRegras(version);
+
+    const criteriosWCAG = Object.values(CRITERIOS.wcag).flatMap(principio => principio.criterios);
+    const wcag = avaliarCriterios(criteriosWCAG, regras, 'wcag');
+    const emag = avaliarCriterios(CRITERIOS.emag.criterios, regras, 'emag');
+
+    const conformidade = {
+        A: calcularConformidade(wcag.filter(criterio => criterio.nivel === 'A')),
+        AA: calcularConformidade(wcag.filter(criterio => criterio.nivel === 'AA')),
+        AAA: calcularConformidade(wcag.filter(criterio => criterio.nivel === 'AAA'))
+    };
+
+    const analise = {
+        nome: VERSOES[version] ? VERSOES[version].nome : version,
+        arquivos: arquivos.map(arquivo => path.relative(CONFIG.rootDir, arquivo)),
+        wcag_nivel: classificarNivel(conformidade),
+        conformidade: conformidade,
+        emag: calcularConformidade(emag),
+        criterios: { wcag, emag },
+        suprimidos: suprimidos,
+        problemas: regras
+            .filter(regra => !regra.valido)
+            .map(regra => {
+                const ocorrencias = regra.falhas.flatMap(falha => falha.ocorrencias);
+                const criterios = regra.wcag.length > 0 ? ` — WCAG ${regra.wcag.join(', ')}` : '';
+
+                // Com elementos listados, a contagem basta; sem eles, o detalhe da regra é a única pista
+                const detalhes = ocorrencias.length > 0
+                    ? [`${ocorrencias.length} elemento(s)`]
+                    : regra.falhas.map(falha => falha.detalhes).filter(Boolean);
+
+                return {
+                    texto: `${regra.nome}${detalhes.length > 0 ? ` (${detalhes.join('; ')})` : ''}${criterios}`,
+                    ocorrencias
+                };
+            })
+    };
+
+    analise.score = calcularScoreTotal(analise);
+
+    return analise;
+}
+
+function analisarVersoes() {
+    const analises = {};
+
+    CONFIG.versions.forEach(version => {
+        analises[version] = analisarVersao(version);
+    });
+
+    return analises;
+}
+
 // ============================================
 // FUNÇÕES AUXILIARES
 // ============================================
 
 function calcularScoreTotal(analise) {
     const { conformidade } = analise;
-    const pesoA = 0.5;
-    const pesoAA = 0.3;
-    const pesoAAA = 0.2;
+    const pesos = { A: 0.5, AA: 0.3, AAA: 0.2 };
+
+    // Níveis sem critérios avaliados não entram na média
+    const niveis = Object.keys(pesos).filter(nivel => conformidade[nivel] !== null);
+    const pesoTotal = niveis.reduce((total, nivel) => total + pesos[nivel], 0);
+    if (pesoTotal === 0) return 0;
 
     return Math.round(
-        conformidade.A * pesoA +
-        conformidade.AA * pesoAA +
-        conformidade.AAA * pesoAAA
+        niveis.reduce((total, nivel) => total + conformidade[nivel] * pesos[nivel], 0) / pesoTotal
     );
 }
 
+function escaparHTML(texto) {
+    return String(texto)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 function gerarBadgeNivel(nivel) {
     const cores = {
         'Não conforme': '#e53e3e',
@@ -209,6 +311,14 @@ function gerarBadgeNivel(nivel) {
 }
 
 function gerarBarraProgresso(percentual, cor = '#667eea') {
+    if (percentual === null) {
+        return `
+    <div style="background: #e2e8f0; border-radius: 8px; height: 24px; display: flex; align-items: center; justify-content: center;">
+      <span style="font-size: 0.875rem; color: #4a5568;">Não avaliado</span>
+    </div>
+  `;
+    }
+
     return `
     <div style="background: #e2e8f0; border-radius: 8px; overflow: hidden; height: 24px; position: relative;">
       <div style="background: ${cor}; width: ${percentual}%; height: 100%; transition: width 0.3s;"></div>
@@ -217,7 +327,7 @@ function gerarBarraProgresso(percentual, cor = '#667eea') {
   `;
 }
 
-function gerarTabelaComparacao() {
+function gerarTabelaComparacao(analises) {
     let html = `
     <table style="width: 100%; border-collapse: collapse; margin: 2rem 0;">
       <thead>
@@ -234,7 +344,7 @@ function gerarTabelaComparacao() {
   `;
 
     CONFIG.versions.forEach(version => {
-        const analise = ANALISES[version];
+        const analise = analises[version];
         html += `
       <tr style="border-bottom: 1px solid #e2e8f0;">
         <td style="padding: 1rem; font-weight: 600;">${analise.nome}</td>
@@ -255,8 +365,9 @@ function gerarTabelaComparacao() {
     return html;
 }
 
-function gerarDetalhesVersao(version) {
-    const analise = ANALISES[version];
+function gerarDetalhesVersao(version, analise) {
+    const avaliados = analise.criterios.wcag.filter(criterio => criterio.atendido !== null);
+    const atendidos = avaliados.filter(criterio => criterio.atendido);
 
     let html = `
     <div style="background: white; border-radius: 12px; padding: 2rem; margin-bottom: 2rem; box-shadow: 0 4px 15px rgba(0,0,0,0.1);">
@@ -285,6 +396,16 @@ function gerarDetalhesVersao(version) {
             ${gerarBarraProgresso(analise.conformidade.AAA, '#667eea')}
           </div>
         </div>
+        <p style="font-size: 0.875rem; color: #718096; margin-top: 0.75rem;">
+          ${atendidos.length} de ${avaliados.length} critérios WCAG avaliados atendidos
+          (${analise.criterios.wcag.length - avaliados.length} sem regra automática) ·
+          Arquivos: ${analise.arquivos.map(escaparHTML).join(', ')}
+        </p>
+      </div>
+
+      <div style="margin-bottom: 1.5rem;">
+        <h4 style="font-size: 1.1rem; margin-bottom: 0.5rem; color: #4a5568;">eMAG</h4>
+        ${gerarBarraProgresso(analise.emag, '#38b2ac')}
       </div>
       
       ${analise.problemas.length > 0 ? `
@@ -293,7 +414,8 @@ function gerarDetalhesVersao(version) {
           <ul style="list-style: none; padding: 0;">
             ${analise.problemas.map(problema => `
               <li style="padding: 0.5rem 0; border-bottom: 1px solid #e2e8f0; color: #718096;">
-                <i style="color: #f56565; margin-right: 0.5rem;">⚠️</i> ${problema}
+                <i style="color: #f56565; margin-right: 0.5rem;">⚠️</i> ${escaparHTML(problema.texto)}
+                ${gerarListaOcorrencias(problema.ocorrencias)}
               </li>
             `).join('')}
           </ul>
@@ -304,14 +426,55 @@ function gerarDetalhesVersao(version) {
           <p style="margin: 0.5rem 0 0; color: #2f855a; font-weight: 600;">Nenhum problema crítico encontrado</p>
         </div>
       `}
+
+      ${analise.suprimidos.length > 0 ? `
+        <div style="margin-top: 1.5rem;">
+          <h4 style="font-size: 1.1rem; margin-bottom: 0.75rem; color: #4a5568;">Supressões (${analise.suprimidos.length})</h4>
+          <ul style="list-style: none; padding: 0; font-size: 0.875rem; color: #718096;">
+            ${analise.suprimidos.map(suprimido => `
+              <li style="padding: 0.5rem 0; border-bottom: 1px solid #e2e8f0;">
+                <i style="margin-right: 0.5rem;">🔕</i>
+                <strong>${escaparHTML(suprimido.id)}</strong> - ${escaparHTML(suprimido.nome)}
+                em ${escaparHTML(suprimido.arquivo)}${suprimido.linha !== null ? `:${suprimido.linha}:${suprimido.coluna}` : ''}
+                ${suprimido.seletor ? `<code>${escaparHTML(suprimido.seletor)}</code>` : ''}
+                <br><code>${escaparHTML(suprimido.comentario.texto)}</code> (linha ${suprimido.comentario.linha})
+              </li>
+            `).join('')}
+          </ul>
+        </div>
+      ` : ''}
     </div>
   `;
 
     return html;
 }
 
-function gerarGraficoComparativo() {
-    const maxScore = Math.max(...Object.values(ANALISES).map(a => a.score));
+/**
+ * Elementos reprovados: posição, seletor, trecho do HTML e correção sugerida
+ */
+function gerarListaOcorrencias(ocorrencias) {
+    if (ocorrencias.length === 0) return '';
+
+    return `
+    <details style="margin: 0.5rem 0 0 1.75rem;">
+      <summary style="cursor: pointer; color: #4a5568; font-size: 0.875rem;">Ver elementos</summary>
+      <ol style="padding-left: 1.25rem; font-size: 0.875rem;">
+        ${ocorrencias.map(ocorrencia => `
+          <li style="margin: 0.75rem 0;">
+            <strong style="color: #2d3748;">${escaparHTML(ocorrencia.arquivo)}${ocorrencia.linha !== null ? `:${ocorrencia.linha}:${ocorrencia.coluna}` : ''}</strong>
+            ${ocorrencia.seletor ? `<code style="color: #4a5568;">${escaparHTML(ocorrencia.seletor)}</code>` : ''}
+            ${ocorrencia.trecho ? `<pre style="background: #f7fafc; padding: 0.5rem; border-radius: 6px; white-space: pre-wrap; word-break: break-all; margin: 0.25rem 0;"><code>${escaparHTML(ocorrencia.trecho)}</code></pre>` : ''}
+            ${ocorrencia.mensagem ? `<p style="margin: 0.25rem 0;">${escaparHTML(ocorrencia.mensagem)}</p>` : ''}
+            ${ocorrencia.sugestao ? `<p style="margin: 0.25rem 0; color: #2f855a;">💡 ${escaparHTML(ocorrencia.sugestao)}</p>` : ''}
+          </li>
+        `).join('')}
+      </ol>
+    </details>
+  `;
+}
+
+function gerarGraficoComparativo(analises) {
+    const maxScore = Math.max(1, ...Object.values(analises).map(a => a.score));
 
     let html = `
     <div style="background: white; border-radius: 12px; padding: 2rem; margin-bottom: 2rem; box-shadow: 0 4px 15px rgba(0,0,0,0.1);">
@@ -320,7 +483,7 @@ function gerarGraficoComparativo() {
   `;
 
     CONFIG.versions.forEach(version => {
-        const analise = ANALISES[version];
+        const analise = analises[version];
         const altura = (analise.score / maxScore) * 100;
         const cor = analise.score >= 80 ? '#48bb78' : analise.score >= 50 ? '#ed8936' : '#e53e3e';
 
@@ -345,7 +508,12 @@ function gerarGraficoComparativo() {
 // TEMPLATE HTML
 // ============================================
 
-function gerarHTML() {
+function gerarHTML(analises = analisarVersoes()) {
+    const lista = CONFIG.versions.map(version => ({ version, ...analises[version] }));
+    const melhor = lista.reduce((a, b) => (b.score >= a.score ? b : a));
+    const primeira = lista[0];
+    const ultima = lista[lista.length - 1];
+
     return `
 <!DOCTYPE html>
 <html lang="pt-BR">
@@ -436,30 +604,30 @@ function gerarHTML() {
 
     <div class="summary">
       <div class="summary-card">
-        <h3>4</h3>
+        <h3>${lista.length}</h3>
         <p>Versões Analisadas</p>
       </div>
       <div class="summary-card">
-        <h3>98%</h3>
-        <p>Score Máximo (V4)</p>
+        <h3>${melhor.score}%</h3>
+        <p>Score Máximo (V${melhor.version.charAt(1)})</p>
       </div>
       <div class="summary-card">
-        <h3>73%</h3>
+        <h3>${ultima.score - primeira.score}%</h3>
         <p>Melhoria Total</p>
       </div>
       <div class="summary-card">
-        <h3>AAA</h3>
+        <h3>${ultima.wcag_nivel}</h3>
         <p>Nível Atingido</p>
       </div>
     </div>
 
     <h2>📈 Comparação Geral</h2>
-    ${gerarTabelaComparacao()}
+    ${gerarTabelaComparacao(analises)}
 
-    ${gerarGraficoComparativo()}
+    ${gerarGraficoComparativo(analises)}
 
     <h2>📋 Detalhes por Versão</h2>
-    ${CONFIG.versions.map(v => gerarDetalhesVersao(v)).join('')}
+    ${CONFIG.versions.map(v => gerarDetalhesVersao(v, analises[v])).join('')}
 
     <div style="background: #edf2f7; padding: 2rem; border-radius: 12px; margin-top: 3rem; text-align: center;">
       <p style="color: #4a5568; font-size: 0.95rem;">
@@ -486,8 +654,18 @@ function main() {
         console.log(`✅ Diretório ${CONFIG.outputDir} criado`);
     }
 
+    // Analisar versões
+    const analises = analisarVersoes();
+
+    CONFIG.versions.forEach(version => {
+        const analise = analises[version];
+        console.log(`🔍 ${analise.nome}: ${analise.score}% (${analise.wcag_nivel}) - ${analise.problemas.length} problema(s)` +
+            (analise.suprimidos.length > 0 ? `, ${analise.suprimidos.length} suprimido(s)` : ''));
+    });
+    console.log('');
+
     // Gerar HTML
-    const html = gerarHTML();
+    const html = gerarHTML(analises);
 
     // Salvar arquivo
     const outputPath = path.join(CONFIG.outputDir, CONFIG.outputFile);
@@ -504,4 +682,4 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { gerarHTML, ANALISES, CONFIG };
\ No newline at end of file
+module.exports = { gerarHTML, analisarVersoes, analisarVersao, CRITERIOS, CONFIG };
\ No newline at end of file
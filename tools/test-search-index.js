@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * ============================================
+ * TEST-SEARCH-INDEX.JS
+ * ============================================
+ *
+ * Confere a busca de notícias da V4 nas escritas
+ * que não são latinas:
+ * - Hindi: matras do devanágari fazem parte da palavra
+ * - Japonês: palavras do meio de um trecho sem espaços
+ *
+ * Uso: node tools/test-search-index.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { SearchIndex } = require('../v4-global-i18n/js/search-index.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+function carregar(arquivo) {
+    return JSON.parse(fs.readFileSync(path.join(DATA_DIR, arquivo), 'utf8'));
+}
+
+/**
+ * Índice com o conteúdo traduzido por cima do original,
+ * como CabraDaTechApp.getLocalizedNoticias()
+ */
+function indiceDoIdioma(locale) {
+    const { noticias } = carregar('noticias.json');
+    const traducao = carregar(`noticias.${locale}.json`).noticias;
+
+    const index = new SearchIndex();
+    index.log = () => {};
+    index.build(noticias.map(noticia => ({ ...noticia, ...traducao[noticia.id] })));
+    return index;
+}
+
+const casos = [
+    ['hi: palavra com matras', () => {
+        const index = indiceDoIdioma('hi');
+        assert.deepStrictEqual(index.tokenize('शिक्षा और प्रौद्योगिकी'), ['शिक्षा', 'और', 'प्रौद्योगिकी']);
+
+        const results = index.search('छात्रों');
+        assert.ok(results.some(result => result.noticia.id === 'not-001'));
+        assert.ok(index.highlight(results[0].noticia.titulo, results[0].terms).some(segment => segment.text === 'छात्रों' && segment.match));
+    }],
+    ['ja: palavra do meio do título', () => {
+        const index = indiceDoIdioma('ja');
+        assert.ok(index.tokenize('アプリ').every(term => term.length === 2));
+
+        const results = index.search('アプリ');
+        assert.ok(results.some(result => result.noticia.id === 'not-001'));
+        assert.ok(index.search('開発').some(result => result.noticia.id === 'not-001'));
+
+        const segments = index.highlight('お年寄りでも使えるアプリを開発', index.tokenize('アプリ'));
+        assert.deepStrictEqual(segments.filter(segment => segment.match).map(segment => segment.text), ['アプリ']);
+    }],
+    ['pt-BR: busca sem acentos continua valendo', () => {
+        const index = new SearchIndex();
+        assert.deepStrictEqual(index.tokenize('Educação no Sertão'), ['educacao', 'no', 'sertao']);
+    }]
+];
+
+let falhas = 0;
+
+casos.forEach(([nome, caso]) => {
+    try {
+        caso();
+        console.log(`✅ ${nome}`);
+    } catch (error) {
+        falhas++;
+        console.error(`❌ ${nome}\n   ${error.message}`);
+    }
+});
+
+process.exit(falhas > 0 ? 1 : 0);
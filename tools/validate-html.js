@@ -8,7 +8,15 @@
  * Valida HTML e verifica conformidade com
  * padrões de acessibilidade WCAG
  * 
- * Uso: node tools/validate-html.js [caminho]
+ * Uso: node tools/validate-html.js [caminho] [opções]
+ *
+ * Opções:
+ *   -v, --verbose         Mostrar também regras aprovadas e infos
+ *   --format <formato>    console (padrão), json, sarif ou junit
+ *   --fail-on <nível>     Severidade mínima que falha a execução:
+ *                         erro (padrão), aviso ou info
+ *   --config <arquivo>    Configuração de regras (padrão: .a11yrc.json
+ *                         mais próximo do diretório atual)
  */
 
 const fs = require('fs');
@@ -19,6 +27,18 @@ const { JSDOM } = require('jsdom');
 // CONFIGURAÇÃO
 // ============================================
 
+/**
+ * Ler valor de opção da linha de comando (--opcao valor ou --opcao=valor)
+ */
+function lerArgumento(nome) {
+    const args = process.argv.slice(2);
+    const indice = args.indexOf(nome);
+    if (indice !== -1) return args[indice + 1];
+
+    const comIgual = args.find(arg => arg.startsWith(`${nome}=`));
+    return comIgual ? comIgual.slice(nome.length + 1) : undefined;
+}
+
 const CONFIG = {
     encoding: 'utf8',
     ignorePatterns: [
@@ -28,13 +48,39 @@ const CONFIG = {
         'tools'
     ],
     extensions: ['.html'],
-    verbose: process.argv.includes('--verbose') || process.argv.includes('-v')
+    verbose: process.argv.includes('--verbose') || process.argv.includes('-v'),
+    formato: lerArgumento('--format') || 'console',
+    falharEm: lerArgumento('--fail-on') || 'erro',
+    arquivoConfiguracao: lerArgumento('--config') || null,
+    nomeConfiguracao: '.a11yrc.json',
+    diretorioPlugins: 'rules',
+    formatos: ['console', 'json', 'sarif', 'junit'],
+    // Da menos para a mais grave
+    severidades: ['info', 'aviso', 'erro'],
+    opcoesComValor: ['--format', '--fail-on', '--config']
 };
 
 // ============================================
 // REGRAS DE VALIDAÇÃO
 // ============================================
 
+const ROLES_ARIA = [
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'button',
+    'checkbox', 'columnheader', 'combobox', 'complementary', 'contentinfo',
+    'definition', 'dialog', 'directory', 'document', 'form', 'grid',
+    'gridcell', 'group', 'heading', 'img', 'link', 'list', 'listbox',
+    'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar',
+    'menuitem', 'menuitemcheckbox', 'menuitemradio', 'navigation', 'note',
+    'option', 'presentation', 'progressbar', 'radio', 'radiogroup',
+    'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search',
+    'separator', 'slider', 'spinbutton', 'status', 'tab', 'tablist',
+    'tabpanel', 'textbox', 'timer', 'toolbar', 'tooltip', 'tree',
+    'treegrid', 'treeitem'
+];
+
+// wcag/emag: critérios de CRITERIOS (generate-report.js) que cada
+// regra verifica. Uma regra que falha reprova todos os seus critérios.
+// sugestao(elemento, dom): correção proposta para cada elemento reprovado.
 const REGRAS = {
     // Estrutura HTML
     estrutura: [
@@ -42,12 +88,16 @@ const REGRAS = {
             id: 'DOCTYPE',
             nome: 'DOCTYPE declarado',
             severidade: 'erro',
+            wcag: ['4.1.1'],
+            emag: ['eMAG-1'],
             validar: (html) => html.trim().toLowerCase().startsWith('<!doctype html')
         },
         {
             id: 'HTML_LANG',
             nome: 'Atributo lang no <html>',
             severidade: 'erro',
+            wcag: ['3.1.1'],
+            emag: ['eMAG-3'],
             validar: (dom) => {
                 const html = dom.window.document.documentElement;
                 return html.hasAttribute('lang') && html.getAttribute('lang').length > 0;
@@ -57,6 +107,8 @@ const REGRAS = {
             id: 'CHARSET',
             nome: 'Charset UTF-8 declarado',
             severidade: 'erro',
+            wcag: ['4.1.1'],
+            emag: ['eMAG-1'],
             validar: (dom) => {
                 const meta = dom.window.document.querySelector('meta[charset]');
                 return meta && meta.getAttribute('charset').toLowerCase() === 'utf-8';
@@ -66,6 +118,8 @@ const REGRAS = {
             id: 'VIEWPORT',
             nome: 'Meta viewport presente',
             severidade: 'aviso',
+            wcag: ['1.4.4'],
+            emag: ['eMAG-4'],
             validar: (dom) => {
                 return dom.window.document.querySelector('meta[name="viewport"]') !== null;
             }
@@ -74,6 +128,8 @@ const REGRAS = {
             id: 'TITLE',
             nome: 'Título da página presente',
             severidade: 'erro',
+            wcag: ['2.4.2'],
+            emag: ['eMAG-3'],
             validar: (dom) => {
                 const title = dom.window.document.querySelector('title');
                 return title && title.textContent.trim().length > 0;
@@ -87,6 +143,8 @@ const REGRAS = {
             id: 'MAIN',
             nome: 'Elemento <main> presente',
             severidade: 'erro',
+            wcag: ['1.3.1', '2.4.1'],
+            emag: ['eMAG-1'],
             validar: (dom) => {
                 return dom.window.document.querySelector('main') !== null;
             }
@@ -95,18 +153,40 @@ const REGRAS = {
             id: 'HEADINGS',
             nome: 'Hierarquia de headings (h1-h6)',
             severidade: 'aviso',
+            wcag: ['1.3.1', '2.4.6'],
+            emag: ['eMAG-1'],
+            sugestao: sugerirNivelHeading,
             validar: (dom) => {
                 const headings = Array.from(dom.window.document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
-                if (headings.length === 0) return false;
+                if (headings.length === 0) {
+                    const body = dom.window.document.body;
+                    return {
+                        valido: false,
+                        detalhes: 'Nenhum heading (h1-h6) na página',
+                        elementos: body ? [body] : []
+                    };
+                }
 
                 const levels = headings.map(h => parseInt(h.tagName.charAt(1)));
 
                 // Verificar se começa com h1
-                if (levels[0] !== 1) return false;
+                if (levels[0] !== 1) {
+                    return {
+                        valido: false,
+                        detalhes: `Primeiro heading é h${levels[0]}, não h1`,
+                        elementos: [headings[0]]
+                    };
+                }
 
                 // Verificar saltos maiores que 1
                 for (let i = 1; i < levels.length; i++) {
-                    if (levels[i] - levels[i - 1] > 1) return false;
+                    if (levels[i] - levels[i - 1] > 1) {
+                        return {
+                            valido: false,
+                            detalhes: `Salto de h${levels[i - 1]} para h${levels[i]}`,
+                            elementos: [headings[i]]
+                        };
+                    }
                 }
 
                 return true;
@@ -116,6 +196,8 @@ const REGRAS = {
             id: 'LANDMARKS',
             nome: 'Landmarks ARIA ou elementos semânticos',
             severidade: 'aviso',
+            wcag: ['1.3.1', '2.4.1'],
+            emag: ['eMAG-1'],
             validar: (dom) => {
                 const landmarks = dom.window.document.querySelectorAll(
                     'header, nav, main, footer, aside, section[aria-label], section[aria-labelledby], [role="banner"], [role="navigation"], [role="main"], [role="contentinfo"]'
@@ -131,6 +213,9 @@ const REGRAS = {
             id: 'IMG_ALT',
             nome: 'Imagens com texto alternativo',
             severidade: 'erro',
+            wcag: ['1.1.1'],
+            emag: ['eMAG-3'],
+            sugestao: sugerirAlt,
             validar: (dom) => {
                 const images = Array.from(dom.window.document.querySelectorAll('img'));
                 const semAlt = images.filter(img => !img.hasAttribute('alt'));
@@ -138,7 +223,8 @@ const REGRAS = {
                 if (semAlt.length > 0) {
                     return {
                         valido: false,
-                        detalhes: `${semAlt.length} imagem(ns) sem atributo alt`
+                        detalhes: `${semAlt.length} imagem(ns) sem atributo alt`,
+                        elementos: semAlt
                     };
                 }
                 return { valido: true };
@@ -148,6 +234,9 @@ const REGRAS = {
             id: 'FORM_LABELS',
             nome: 'Inputs com labels associados',
             severidade: 'erro',
+            wcag: ['1.3.1', '3.3.2', '4.1.2'],
+            emag: ['eMAG-6'],
+            sugestao: sugerirLabel,
             validar: (dom) => {
                 const inputs = Array.from(dom.window.document.querySelectorAll('input:not([type="hidden"]):not([type="submit"]):not([type="button"]), textarea, select'));
                 const semLabel = inputs.filter(input => {
@@ -164,7 +253,8 @@ const REGRAS = {
                 if (semLabel.length > 0) {
                     return {
                         valido: false,
-                        detalhes: `${semLabel.length} input(s) sem label associado`
+                        detalhes: `${semLabel.length} input(s) sem label associado`,
+                        elementos: semLabel
                     };
                 }
                 return { valido: true };
@@ -174,6 +264,9 @@ const REGRAS = {
             id: 'LINKS_TEXT',
             nome: 'Links com texto descritivo',
             severidade: 'aviso',
+            wcag: ['2.4.4'],
+            emag: ['eMAG-3'],
+            sugestao: sugerirTextoLink,
             validar: (dom) => {
                 const links = Array.from(dom.window.document.querySelectorAll('a[href]'));
                 const textoVazio = links.filter(link => {
@@ -187,7 +280,8 @@ const REGRAS = {
                 if (textoVazio.length > 0) {
                     return {
                         valido: false,
-                        detalhes: `${textoVazio.length} link(s) sem texto descritivo`
+                        detalhes: `${textoVazio.length} link(s) sem texto descritivo`,
+                        elementos: textoVazio
                     };
                 }
                 return { valido: true };
@@ -197,6 +291,8 @@ const REGRAS = {
             id: 'SKIP_LINKS',
             nome: 'Links de pular navegação',
             severidade: 'aviso',
+            wcag: ['2.4.1'],
+            emag: ['eMAG-1'],
             validar: (dom) => {
                 const skipLinks = dom.window.document.querySelectorAll('a[href^="#"]');
                 return skipLinks.length > 0;
@@ -206,6 +302,9 @@ const REGRAS = {
             id: 'BUTTON_TEXT',
             nome: 'Botões com texto ou aria-label',
             severidade: 'erro',
+            wcag: ['4.1.2'],
+            emag: ['eMAG-2'],
+            sugestao: sugerirTextoBotao,
             validar: (dom) => {
                 const buttons = Array.from(dom.window.document.querySelectorAll('button'));
                 const semTexto = buttons.filter(btn => {
@@ -218,7 +317,8 @@ const REGRAS = {
                 if (semTexto.length > 0) {
                     return {
                         valido: false,
-                        detalhes: `${semTexto.length} botão(ões) sem texto ou aria-label`
+                        detalhes: `${semTexto.length} botão(ões) sem texto ou aria-label`,
+                        elementos: semTexto
                     };
                 }
                 return { valido: true };
@@ -228,6 +328,9 @@ const REGRAS = {
             id: 'TABINDEX',
             nome: 'Uso correto de tabindex',
             severidade: 'aviso',
+            wcag: ['2.4.3'],
+            emag: ['eMAG-2'],
+            sugestao: sugerirTabindex,
             validar: (dom) => {
                 const tabindexPositivo = Array.from(dom.window.document.querySelectorAll('[tabindex]'))
                     .filter(el => {
@@ -238,7 +341,8 @@ const REGRAS = {
                 if (tabindexPositivo.length > 0) {
                     return {
                         valido: false,
-                        detalhes: `${tabindexPositivo.length} elemento(s) com tabindex positivo (não recomendado)`
+                        detalhes: `${tabindexPositivo.length} elemento(s) com tabindex positivo (não recomendado)`,
+                        elementos: tabindexPositivo
                     };
                 }
                 return { valido: true };
@@ -252,31 +356,22 @@ const REGRAS = {
             id: 'ARIA_ROLES',
             nome: 'Roles ARIA válidos',
             severidade: 'erro',
+            wcag: ['4.1.2'],
+            emag: ['eMAG-1'],
+            sugestao: sugerirRole,
             validar: (dom) => {
-                const rolesValidos = [
-                    'alert', 'alertdialog', 'application', 'article', 'banner', 'button',
-                    'checkbox', 'columnheader', 'combobox', 'complementary', 'contentinfo',
-                    'definition', 'dialog', 'directory', 'document', 'form', 'grid',
-                    'gridcell', 'group', 'heading', 'img', 'link', 'list', 'listbox',
-                    'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar',
-                    'menuitem', 'menuitemcheckbox', 'menuitemradio', 'navigation', 'note',
-                    'option', 'presentation', 'progressbar', 'radio', 'radiogroup',
-                    'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search',
-                    'separator', 'slider', 'spinbutton', 'status', 'tab', 'tablist',
-                    'tabpanel', 'textbox', 'timer', 'toolbar', 'tooltip', 'tree',
-                    'treegrid', 'treeitem'
-                ];
 
                 const elements = Array.from(dom.window.document.querySelectorAll('[role]'));
                 const rolesInvalidos = elements.filter(el => {
                     const role = el.getAttribute('role');
-                    return !rolesValidos.includes(role);
+                    return !ROLES_ARIA.includes(role);
                 });
 
                 if (rolesInvalidos.length > 0) {
                     return {
                         valido: false,
-                        detalhes: `${rolesInvalidos.length} elemento(s) com role ARIA inválido`
+                        detalhes: `${rolesInvalidos.length} elemento(s) com role ARIA inválido`,
+                        elementos: rolesInvalidos
                     };
                 }
                 return { valido: true };
@@ -286,6 +381,8 @@ const REGRAS = {
             id: 'ARIA_LIVE',
             nome: 'Regiões ARIA live para anúncios',
             severidade: 'info',
+            wcag: ['4.1.3'],
+            emag: ['eMAG-2'],
             validar: (dom) => {
                 const liveRegions = dom.window.document.querySelectorAll('[aria-live], [role="status"], [role="alert"]');
                 return liveRegions.length > 0;
@@ -293,12 +390,34 @@ const REGRAS = {
         }
     ],
 
+    // Contraste
+    contraste: [
+        {
+            id: 'CONTRASTE_AA',
+            nome: 'Contraste mínimo do texto (4.5:1, texto grande 3:1)',
+            severidade: 'erro',
+            wcag: ['1.4.3'],
+            emag: ['eMAG-4'],
+            validar: (dom, contexto) => validarContraste(contexto, 'AA')
+        },
+        {
+            id: 'CONTRASTE_AAA',
+            nome: 'Contraste aprimorado do texto (7:1, texto grande 4.5:1)',
+            severidade: 'aviso',
+            wcag: ['1.4.6'],
+            emag: ['eMAG-4'],
+            validar: (dom, contexto) => validarContraste(contexto, 'AAA')
+        }
+    ],
+
     // Performance
     performance: [
         {
             id: 'LAZY_LOADING',
             nome: 'Imagens com lazy loading',
             severidade: 'info',
+            wcag: [],
+            emag: [],
             validar: (dom) => {
                 const images = Array.from(dom.window.document.querySelectorAll('img'));
                 const lazyImages = images.filter(img => img.getAttribute('loading') === 'lazy');
@@ -313,6 +432,8 @@ const REGRAS = {
             id: 'IMG_DIMENSIONS',
             nome: 'Imagens com width e height',
             severidade: 'info',
+            wcag: [],
+            emag: [],
             validar: (dom) => {
                 const images = Array.from(dom.window.document.querySelectorAll('img'));
                 const comDimensoes = images.filter(img =>
@@ -328,84 +449,1436 @@ const REGRAS = {
     ]
 };
 
+// ============================================
+// CONTRASTE DE CORES
+// ============================================
+
+const CONTRASTE = {
+    minimos: {
+        AA: { normal: 4.5, grande: 3 },
+        AAA: { normal: 7, grande: 4.5 }
+    },
+    // Texto grande: 18pt (24px) ou 14pt (18.66px) em negrito
+    textoGrande: { tamanho: 24, tamanhoNegrito: 18.66, pesoNegrito: 700 },
+    viewport: { largura: 1280, altura: 800 },
+    fonteRaiz: 16,
+    maxExemplos: 5,
+    propriedades: [
+        'color', 'background', 'background-color', 'background-image',
+        'font-size', 'font-weight', 'display', 'visibility', 'clip', 'clip-path', 'filter'
+    ],
+    // Classes que cada tema da barra deixa no <body>. O alto contraste
+    // é estilizado pelas classes de AltoContraste.sincronizarTema(),
+    // uma variação por esquema (CONFIG.esquemas de alto-contraste.js)
+    classesTema: {
+        'high-contrast': {
+            'amarelo-preto': ['alto-contraste', 'contraste-amarelo-preto'],
+            'branco-preto': ['alto-contraste', 'contraste-branco-preto'],
+            'invertido': ['contraste-invertido']
+        }
+    },
+    // Pseudo-classes e pseudo-elementos que não valem no estado inicial da página
+    seletoresIgnorados: /:(hover|focus|focus-visible|focus-within|active|visited|target|checked)\b|::?(before|after|placeholder|selection|marker|first-line|first-letter|-webkit-[\w-]+|-moz-[\w-]+)/,
+    elementosSemTexto: ['script', 'style', 'noscript', 'template', 'head', 'title', 'svg'],
+    // Estilos padrão do navegador que afetam cor e tamanho
+    padraoNavegador: {
+        h1: { 'font-size': '2em', 'font-weight': 'bold' },
+        h2: { 'font-size': '1.5em', 'font-weight': 'bold' },
+        h3: { 'font-size': '1.17em', 'font-weight': 'bold' },
+        h4: { 'font-weight': 'bold' },
+        h5: { 'font-size': '0.83em', 'font-weight': 'bold' },
+        h6: { 'font-size': '0.67em', 'font-weight': 'bold' },
+        b: { 'font-weight': 'bold' },
+        strong: { 'font-weight': 'bold' },
+        th: { 'font-weight': 'bold' },
+        small: { 'font-size': '0.83em' },
+        a: { color: '#0000ee' },
+        mark: { color: '#000000', 'background-color': '#ffff00' },
+        button: { color: '#000000', 'background-color': '#efefef', 'font-size': '13.33px' },
+        input: { color: '#000000', 'background-color': '#ffffff', 'font-size': '13.33px' },
+        select: { color: '#000000', 'background-color': '#ffffff', 'font-size': '13.33px' },
+        textarea: { color: '#000000', 'background-color': '#ffffff', 'font-size': '13.33px' }
+    },
+    coresNomeadas: {
+        black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000',
+        blue: '#0000ff', yellow: '#ffff00', cyan: '#00ffff', aqua: '#00ffff',
+        magenta: '#ff00ff', fuchsia: '#ff00ff', gray: '#808080', grey: '#808080',
+        silver: '#c0c0c0', maroon: '#800000', olive: '#808000', navy: '#000080',
+        purple: '#800080', teal: '#008080', orange: '#ffa500', lime: '#00ff00',
+        darkgray: '#a9a9a9', lightgray: '#d3d3d3', gold: '#ffd700',
+        darkblue: '#00008b', darkred: '#8b0000', darkgreen: '#006400'
+    }
+};
+
+/**
+ * Converter cor CSS em {r, g, b, a}
+ * @returns {object|null} null se não for uma cor reconhecida
+ */
+function interpretarCor(valor) {
+    const texto = String(valor || '').trim().toLowerCase();
+
+    if (texto === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+    if (CONTRASTE.coresNomeadas[texto]) return interpretarCor(CONTRASTE.coresNomeadas[texto]);
+
+    const hex = texto.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+        let digitos = hex[1];
+        if (digitos.length === 3 || digitos.length === 4) {
+            digitos = digitos.split('').map(d => d + d).join('');
+        }
+        if (digitos.length !== 6 && digitos.length !== 8) return null;
+
+        return {
+            r: parseInt(digitos.slice(0, 2), 16),
+            g: parseInt(digitos.slice(2, 4), 16),
+            b: parseInt(digitos.slice(4, 6), 16),
+            a: digitos.length === 8 ? parseInt(digitos.slice(6, 8), 16) / 255 : 1
+        };
+    }
+
+    const funcao = texto.match(/^(rgba?|hsla?)\((.*)\)$/);
+    if (!funcao) return null;
+
+    const partes = funcao[2].split(/[\s,/]+/).filter(Boolean);
+    if (partes.length < 3) return null;
+
+    const numero = (parte, escala) => parte.endsWith('%')
+        ? parseFloat(parte) / 100 * escala
+        : parseFloat(parte);
+    const alfa = partes[3] !== undefined ? numero(partes[3], 1) : 1;
+
+    if (funcao[1].startsWith('rgb')) {
+        return {
+            r: numero(partes[0], 255),
+            g: numero(partes[1], 255),
+            b: numero(partes[2], 255),
+            a: alfa
+        };
+    }
+
+    // hsl → rgb
+    const h = ((parseFloat(partes[0]) % 360) + 360) % 360 / 360;
+    const s = parseFloat(partes[1]) / 100;
+    const l = parseFloat(partes[2]) / 100;
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const canal = (t) => {
+        t = (t + 1) % 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+
+    return {
+        r: canal(h + 1 / 3) * 255,
+        g: canal(h) * 255,
+        b: canal(h - 1 / 3) * 255,
+        a: alfa
+    };
+}
+
+/**
+ * Sobrepor cor semitransparente a um fundo opaco
+ */
+function misturarCores(frente, fundo) {
+    const a = frente.a;
+    return {
+        r: frente.r * a + fundo.r * (1 - a),
+        g: frente.g * a + fundo.g * (1 - a),
+        b: frente.b * a + fundo.b * (1 - a),
+        a: 1
+    };
+}
+
+/**
+ * Ler filter: invert() e hue-rotate() como funções de cor
+ * (aplicadas na ordem em que aparecem)
+ */
+function interpretarFiltro(valor) {
+    const funcoes = [];
+    const regex = /(invert|hue-rotate)\(\s*([^)]*)\)/g;
+    let funcao;
+
+    while ((funcao = regex.exec(String(valor || ''))) !== null) {
+        const argumento = funcao[2].trim();
+
+        if (funcao[1] === 'invert') {
+            const quantidade = argumento === '' ? 1
+                : Math.min(1, parseFloat(argumento) / (argumento.endsWith('%') ? 100 : 1));
+            funcoes.push(cor => ({
+                r: cor.r + (255 - 2 * cor.r) * quantidade,
+                g: cor.g + (255 - 2 * cor.g) * quantidade,
+                b: cor.b + (255 - 2 * cor.b) * quantidade,
+                a: cor.a
+            }));
+        } else {
+            const angulo = (parseFloat(argumento) || 0) * (argumento.endsWith('turn') ? 2 * Math.PI
+                : argumento.endsWith('rad') ? 1 : Math.PI / 180);
+            const cos = Math.cos(angulo);
+            const sen = Math.sin(angulo);
+            // Matriz de feColorMatrix type="hueRotate"
+            const matriz = [
+                [0.213 + cos * 0.787 - sen * 0.213, 0.715 - cos * 0.715 - sen * 0.715, 0.072 - cos * 0.072 + sen * 0.928],
+                [0.213 - cos * 0.213 + sen * 0.143, 0.715 + cos * 0.285 + sen * 0.140, 0.072 - cos * 0.072 - sen * 0.283],
+                [0.213 - cos * 0.213 - sen * 0.787, 0.715 - cos * 0.715 + sen * 0.715, 0.072 + cos * 0.928 + sen * 0.072]
+            ];
+            const canal = (linha, cor) =>
+                Math.min(255, Math.max(0, linha[0] * cor.r + linha[1] * cor.g + linha[2] * cor.b));
+            funcoes.push(cor => ({
+                r: canal(matriz[0], cor),
+                g: canal(matriz[1], cor),
+                b: canal(matriz[2], cor),
+                a: cor.a
+            }));
+        }
+    }
+
+    return funcoes;
+}
+
+/**
+ * Luminância relativa (WCAG 2.x)
+ */
+function luminancia(cor) {
+    const [r, g, b] = [cor.r, cor.g, cor.b].map(valor => {
+        const c = valor / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function razaoContraste(cor1, cor2) {
+    const l1 = luminancia(cor1);
+    const l2 = luminancia(cor2);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+function corParaHex(cor) {
+    return '#' + [cor.r, cor.g, cor.b]
+        .map(valor => Math.round(valor).toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Separar argumentos de funções CSS respeitando parênteses
+ */
+function dividirValorCSS(valor, separador) {
+    const partes = [];
+    let profundidade = 0;
+    let atual = '';
+
+    for (const char of valor) {
+        if (char === '(') profundidade++;
+        if (char === ')') profundidade--;
+
+        if (profundidade === 0 && separador.test(char)) {
+            if (atual.trim()) partes.push(atual.trim());
+            atual = '';
+        } else {
+            atual += char;
+        }
+    }
+    if (atual.trim()) partes.push(atual.trim());
+
+    return partes;
+}
+
+/**
+ * Substituir var(--nome, fallback) pelos valores das variáveis herdadas
+ */
+function resolverVariaveis(valor, variaveis, profundidade = 0) {
+    if (profundidade > 10 || !valor.includes('var(')) return valor;
+
+    const inicio = valor.indexOf('var(');
+    let nivel = 0;
+    let fim = inicio + 4;
+    for (; fim < valor.length; fim++) {
+        if (valor[fim] === '(') nivel++;
+        if (valor[fim] === ')') {
+            if (nivel === 0) break;
+            nivel--;
+        }
+    }
+
+    const [nome, ...fallback] = dividirValorCSS(valor.slice(inicio + 4, fim), /,/);
+    const substituto = variaveis.has(nome.trim())
+        ? variaveis.get(nome.trim())
+        : fallback.join(',');
+
+    return resolverVariaveis(
+        valor.slice(0, inicio) + substituto + valor.slice(fim + 1),
+        variaveis,
+        profundidade + 1
+    );
+}
+
+/**
+ * Converter tamanho de fonte CSS em pixels
+ * @returns {number|null} null se o valor não puder ser calculado
+ */
+function interpretarTamanho(valor, tamanhoPai) {
+    const texto = String(valor || '').trim().toLowerCase();
+    const palavras = {
+        'xx-small': 9, 'x-small': 10, small: 13, medium: 16,
+        large: 18, 'x-large': 24, 'xx-large': 32
+    };
+
+    if (palavras[texto]) return palavras[texto];
+    if (texto === 'smaller') return tamanhoPai / 1.2;
+    if (texto === 'larger') return tamanhoPai * 1.2;
+
+    const funcao = texto.match(/^(clamp|min|max)\((.*)\)$/);
+    if (funcao) {
+        const valores = dividirValorCSS(funcao[2], /,/).map(parte => interpretarTamanho(parte, tamanhoPai));
+        if (valores.some(v => v === null)) return null;
+        if (funcao[1] === 'min') return Math.min(...valores);
+        if (funcao[1] === 'max') return Math.max(...valores);
+        return Math.max(valores[0], Math.min(valores[1], valores[2]));
+    }
+
+    const medida = texto.match(/^(-?[\d.]+)(px|rem|em|%|pt|vw|vh)?$/);
+    if (!medida) return null;
+
+    const numero = parseFloat(medida[1]);
+    switch (medida[2]) {
+        case 'rem': return numero * CONTRASTE.fonteRaiz;
+        case 'em': return numero * tamanhoPai;
+        case '%': return numero / 100 * tamanhoPai;
+        case 'pt': return numero * 4 / 3;
+        case 'vw': return numero / 100 * CONTRASTE.viewport.largura;
+        case 'vh': return numero / 100 * CONTRASTE.viewport.altura;
+        default: return numero;
+    }
+}
+
+function interpretarPeso(valor, pesoPai) {
+    const texto = String(valor || '').trim().toLowerCase();
+    if (texto === 'bold') return 700;
+    if (texto === 'normal') return 400;
+    if (texto === 'bolder') return Math.min(900, pesoPai + 300);
+    if (texto === 'lighter') return Math.max(100, pesoPai - 300);
+    const numero = parseInt(texto, 10);
+    return isNaN(numero) ? pesoPai : numero;
+}
+
+/**
+ * Avaliar @media para uma tela de computador com preferências padrão
+ */
+function midiaAtiva(textoMidia) {
+    return textoMidia.split(',').some(consulta => {
+        let texto = consulta.trim().toLowerCase();
+        const negar = texto.startsWith('not ');
+        if (negar) texto = texto.slice(4);
+
+        const tipo = texto.match(/^(only\s+)?(\w+)/);
+        if (tipo && !['screen', 'all', 'and'].includes(tipo[2])) return negar;
+
+        const condicoes = texto.match(/\([^)]*\)/g) || [];
+        const ativa = condicoes.every(condicao => {
+            const [recurso, valor = ''] = condicao.slice(1, -1).split(':').map(parte => parte.trim());
+            const largura = interpretarTamanho(valor, CONTRASTE.fonteRaiz);
+
+            switch (recurso) {
+                case 'min-width': return CONTRASTE.viewport.largura >= largura;
+                case 'max-width': return CONTRASTE.viewport.largura <= largura;
+                case 'prefers-color-scheme': return valor === 'light';
+                case 'prefers-contrast':
+                case 'prefers-reduced-motion':
+                case 'prefers-reduced-transparency':
+                    return valor === 'no-preference';
+                case 'forced-colors': return valor === 'none';
+                default: return false;
+            }
+        });
+
+        return negar ? !ativa : ativa;
+    });
+}
+
+/**
+ * Especificidade de um seletor simples (sem vírgulas)
+ * @returns {Array<number>} [ids, classes/atributos/pseudo-classes, tipos]
+ */
+function especificidade(seletor) {
+    const texto = seletor
+        .replace(/:where\((?:[^()]|\([^()]*\))*\)/g, '')
+        .replace(/:(not|is|has)\(/g, ' (');
+
+    const ids = (texto.match(/#[\w-]+/g) || []).length;
+    const classes = (texto.match(/\.[\w-]+|\[[^\]]*\]|:(?!root\b)[\w-]+|:root\b/g) || []).length;
+    const tipos = (texto
+        .replace(/\[[^\]]*\]/g, '')
+        .replace(/[#.:][\w-]+/g, '')
+        .match(/(^|[\s>+~(])[a-z][\w-]*/gi) || []).length;
+
+    return [ids, classes, tipos];
+}
+
+function compararPrioridade(a, b) {
+    return a.importante - b.importante
+        || a.inline - b.inline
+        || a.especificidade[0] - b.especificidade[0]
+        || a.especificidade[1] - b.especificidade[1]
+        || a.especificidade[2] - b.especificidade[2]
+        || a.ordem - b.ordem;
+}
+
+/**
+ * Ler declarações de um CSSStyleDeclaration
+ */
+function lerDeclaracoes(estilo) {
+    const declaracoes = [];
+
+    for (let i = 0; i < estilo.length; i++) {
+        const propriedade = estilo[i];
+        if (propriedade.startsWith('--') || CONTRASTE.propriedades.includes(propriedade)) {
+            declaracoes.push({
+                propriedade,
+                valor: estilo.getPropertyValue(propriedade).trim(),
+                importante: estilo.getPropertyPriority(propriedade) === 'important' ? 1 : 0
+            });
+        }
+    }
+
+    return declaracoes;
+}
+
+/**
+ * Trocar <link rel="stylesheet"> locais pelo conteúdo do CSS,
+ * mantendo a ordem da cascata
+ */
+function incorporarFolhasDeEstilo(documento, arquivo) {
+    documento.querySelectorAll('link[rel~="stylesheet"][href]').forEach(link => {
+        const href = link.getAttribute('href');
+        if (!arquivo || /^(https?:)?\/\//.test(href)) {
+            link.remove();
+            return;
+        }
+
+        const caminhoCSS = path.resolve(path.dirname(arquivo), href.split(/[?#]/)[0]);
+        if (!fs.existsSync(caminhoCSS)) {
+            link.remove();
+            return;
+        }
+
+        const style = documento.createElement('style');
+        style.textContent = fs.readFileSync(caminhoCSS, CONFIG.encoding);
+        if (link.getAttribute('media')) style.setAttribute('media', link.getAttribute('media'));
+        link.replaceWith(style);
+    });
+}
+
+/**
+ * Regras CSS aplicáveis na ordem em que aparecem
+ */
+function coletarRegrasCSS(documento) {
+    const regras = [];
+
+    const percorrer = (listaRegras) => {
+        for (const regra of Array.from(listaRegras)) {
+            if (regra.media && regra.cssRules) {
+                if (midiaAtiva(regra.media.mediaText)) percorrer(regra.cssRules);
+            } else if (regra.cssRules && regra.conditionText !== undefined) {
+                percorrer(regra.cssRules);
+            } else if (regra.selectorText && regra.style) {
+                const declaracoes = lerDeclaracoes(regra.style);
+                if (declaracoes.length === 0) continue;
+
+                dividirValorCSS(regra.selectorText, /,/).forEach(seletor => {
+                    if (CONTRASTE.seletoresIgnorados.test(seletor)) return;
+                    regras.push({ seletor, especificidade: especificidade(seletor), declaracoes });
+                });
+            }
+        }
+    };
+
+    Array.from(documento.styleSheets).forEach(folha => {
+        const midia = folha.ownerNode && folha.ownerNode.getAttribute('media');
+        if (midia && !midiaAtiva(midia)) return;
+        percorrer(folha.cssRules);
+    });
+
+    return regras.map((regra, ordem) => ({ ...regra, ordem }));
+}
+
+// Classes de alto contraste que a análise coloca no <body>
+const classesDeTema = new Set(Object.values(CONTRASTE.classesTema)
+    .flatMap(esquemas => Object.values(esquemas).flat()));
+
+/**
+ * Caminho de seletores até o elemento (ex.: main#conteudo > article.card > p)
+ */
+function caminhoSeletor(elemento) {
+    const partes = [];
+    let atual = elemento;
+
+    // Para antes do <body>, cujas classes mudam com o tema
+    while (atual && atual.nodeType === 1 && partes.length < 4) {
+        let parte = atual.tagName.toLowerCase();
+        if ((parte === 'body' || parte === 'html') && partes.length > 0) break;
+
+        if (atual.id) {
+            partes.unshift(`${parte}#${atual.id}`);
+            break;
+        }
+
+        const classes = Array.from(atual.classList).filter(classe => !classe.startsWith('tema-') && !classesDeTema.has(classe)).slice(0, 2);
+        if (classes.length > 0) parte += '.' + classes.join('.');
+
+        partes.unshift(parte);
+        atual = atual.parentElement;
+    }
+
+    return partes.join(' > ');
+}
+
+/**
+ * Calcular cor do texto e fundos possíveis de cada elemento com texto
+ */
+function calcularCores(documento, regrasCSS) {
+    // Regras que casam com cada elemento
+    const regrasPorElemento = new Map();
+    regrasCSS.forEach(regra => {
+        let elementos;
+        try {
+            elementos = documento.querySelectorAll(regra.seletor);
+        } catch (erro) {
+            return; // Seletor não suportado pelo jsdom
+        }
+        elementos.forEach(elemento => {
+            if (!regrasPorElemento.has(elemento)) regrasPorElemento.set(elemento, []);
+            regrasPorElemento.get(elemento).push(regra);
+        });
+    });
+
+    const branco = { r: 255, g: 255, b: 255, a: 1 };
+    const raiz = {
+        variaveis: new Map(),
+        cor: { r: 0, g: 0, b: 0, a: 1 },
+        fundos: [branco],
+        tamanho: CONTRASTE.fonteRaiz,
+        peso: 400,
+        filtros: [],
+        oculto: false,
+        indeterminado: false
+    };
+    const textos = [];
+
+    const visitar = (elemento, pai) => {
+        const tag = elemento.tagName.toLowerCase();
+
+        // Cascata: padrão do navegador < folhas de estilo < style=""
+        const candidatas = Object.entries(CONTRASTE.padraoNavegador[tag] || {}).map(([propriedade, valor]) => ({
+            propriedade, valor, importante: 0, inline: 0, especificidade: [0, 0, 0], ordem: -1
+        }));
+
+        (regrasPorElemento.get(elemento) || []).forEach(regra => {
+            regra.declaracoes.forEach(declaracao => {
+                candidatas.push({ ...declaracao, inline: 0, especificidade: regra.especificidade, ordem: regra.ordem });
+            });
+        });
+
+        lerDeclaracoes(elemento.style).forEach(declaracao => {
+            candidatas.push({ ...declaracao, inline: 1, especificidade: [0, 0, 0], ordem: Number.MAX_SAFE_INTEGER });
+        });
+
+        const declaradas = new Map();
+        candidatas.sort(compararPrioridade).forEach(candidata => {
+            if (candidata.propriedade === 'background') {
+                // O atalho redefine cor e imagem de fundo
+                declaradas.delete('background-color');
+                declaradas.delete('background-image');
+            }
+            declaradas.set(candidata.propriedade, candidata.valor);
+        });
+
+        const variaveis = new Map(pai.variaveis);
+        declaradas.forEach((valor, propriedade) => {
+            if (propriedade.startsWith('--')) variaveis.set(propriedade, valor);
+        });
+
+        const valorDe = (propriedade) => {
+            const valor = declaradas.get(propriedade);
+            return valor === undefined ? undefined : resolverVariaveis(valor, variaveis).trim();
+        };
+
+        const estilo = {
+            variaveis,
+            cor: pai.cor,
+            fundos: pai.fundos,
+            tamanho: pai.tamanho,
+            peso: pai.peso,
+            // Filtro do elemento antes dos filtros dos ancestrais
+            filtros: interpretarFiltro(valorDe('filter')).concat(pai.filtros),
+            oculto: pai.oculto || elemento.hasAttribute('hidden'),
+            indeterminado: pai.indeterminado
+        };
+
+        const tamanho = valorDe('font-size');
+        if (tamanho && tamanho !== 'inherit') {
+            estilo.tamanho = interpretarTamanho(tamanho, pai.tamanho) || pai.tamanho;
+        }
+
+        const peso = valorDe('font-weight');
+        if (peso && peso !== 'inherit') estilo.peso = interpretarPeso(peso, pai.peso);
+
+        const cor = valorDe('color');
+        if (cor && !['inherit', 'currentcolor'].includes(cor.toLowerCase())) {
+            estilo.cor = interpretarCor(cor) || pai.cor;
+        }
+
+        if (valorDe('display') === 'none' || valorDe('visibility') === 'hidden') estilo.oculto = true;
+        if (/rect\(\s*(0|1px)/.test(valorDe('clip') || '') || /inset\(\s*50%/.test(valorDe('clip-path') || '')) {
+            estilo.oculto = true; // Visível apenas para leitores de tela
+        }
+
+        // Camadas de fundo: cor, gradiente ou imagem
+        const atalho = valorDe('background') || '';
+        const imagem = valorDe('background-image') || '';
+        const camadas = [atalho, imagem].join(' ');
+        let corFundo = valorDe('background-color');
+        if (!corFundo && atalho) {
+            corFundo = dividirValorCSS(atalho.replace(/(linear|radial|conic)-gradient\((?:[^()]|\([^()]*\))*\)/g, ''), /\s/)
+                .find(parte => interpretarCor(parte) !== null);
+        }
+        if (corFundo && corFundo.toLowerCase() === 'currentcolor') corFundo = corParaHex(estilo.cor);
+
+        const gradiente = camadas.match(/(linear|radial|conic)-gradient\(((?:[^()]|\([^()]*\))*)\)/);
+        if (gradiente) {
+            const paradas = dividirValorCSS(gradiente[2], /,/)
+                .map(parada => interpretarCor(dividirValorCSS(parada, /\s/)[0]))
+                .filter(Boolean);
+            if (paradas.length > 0) {
+                estilo.fundos = paradas.map(parada => misturarCores(parada, pai.fundos[0]));
+            }
+        } else if (/url\(/.test(camadas)) {
+            estilo.indeterminado = true; // Não dá para saber a cor de uma imagem
+        }
+
+        const fundo = interpretarCor(corFundo);
+        if (fundo && fundo.a > 0) {
+            estilo.fundos = estilo.fundos.map(atual => misturarCores(fundo, atual));
+            if (fundo.a === 1) estilo.indeterminado = false;
+        }
+
+        const temTexto = Array.from(elemento.childNodes)
+            .some(no => no.nodeType === 3 && no.textContent.trim().length > 0);
+
+        if (temTexto && !estilo.oculto && !estilo.indeterminado && !CONTRASTE.elementosSemTexto.includes(tag)) {
+            // Cores como aparecem na tela, depois de filter (ex.: contraste invertido)
+            const filtrar = cor => estilo.filtros.reduce((atual, filtro) => filtro(atual), cor);
+            const pares = estilo.fundos.map(fundoAtual => ({
+                cor: filtrar(misturarCores(estilo.cor, fundoAtual)),
+                fundo: filtrar(fundoAtual)
+            }));
+            const razao = Math.min(...pares.map(par => razaoContraste(par.cor, par.fundo)));
+            const pior = pares.find(par => razaoContraste(par.cor, par.fundo) === razao);
+
+            textos.push({
+                elemento,
+                seletor: caminhoSeletor(elemento),
+                trecho: trechoHTML(elemento),
+                razao,
+                grande: estilo.tamanho >= CONTRASTE.textoGrande.tamanho ||
+                    (estilo.tamanho >= CONTRASTE.textoGrande.tamanhoNegrito && estilo.peso >= CONTRASTE.textoGrande.pesoNegrito),
+                cor: corParaHex(pior.cor),
+                fundo: corParaHex(pior.fundo)
+            });
+        }
+
+        if (!CONTRASTE.elementosSemTexto.includes(tag)) {
+            Array.from(elemento.children).forEach(filho => visitar(filho, estilo));
+        }
+    };
+
+    visitar(documento.documentElement, raiz);
+    return textos;
+}
+
+const analisesContraste = new WeakMap();
+
+/**
+ * Medir contraste de todos os textos em cada tema da barra de acessibilidade.
+ * O resultado é compartilhado pelas regras AA e AAA.
+ */
+function analisarContraste(contexto) {
+    if (analisesContraste.has(contexto)) return analisesContraste.get(contexto);
+
+    const dom = new JSDOM(contexto.html, { includeNodeLocations: true });
+    const documento = dom.window.document;
+    incorporarFolhasDeEstilo(documento, contexto.arquivo);
+
+    // Temas alternados pela barra de acessibilidade (data-theme → body.tema-*),
+    // com uma variação por esquema de alto contraste
+    const temas = Array.from(new Set(
+        Array.from(documento.querySelectorAll('[data-theme]')).map(botao => botao.getAttribute('data-theme'))
+    )).flatMap(tema => {
+        const esquemas = CONTRASTE.classesTema[tema];
+        if (!esquemas) return [{ nome: `tema-${tema}`, classes: [`tema-${tema}`] }];
+
+        return Object.entries(esquemas).map(([esquema, classes]) => ({
+            nome: `tema-${tema} (${esquema})`,
+            classes: [`tema-${tema}`, ...classes]
+        }));
+    });
+    const todasClasses = temas.flatMap(tema => tema.classes);
+
+    const medicoes = [];
+    (temas.length > 0 ? temas : [{ nome: 'padrão', classes: [] }]).forEach(tema => {
+        if (documento.body) {
+            documento.body.classList.remove(...todasClasses);
+            documento.body.classList.add(...tema.classes);
+        }
+
+        calcularCores(documento, coletarRegrasCSS(documento)).forEach(texto => {
+            medicoes.push({ ...texto, ...localizarElemento(dom, texto.elemento), tema: tema.nome });
+        });
+    });
+
+    analisesContraste.set(contexto, medicoes);
+    return medicoes;
+}
+
+/**
+ * Regra de contraste para um nível (AA → 1.4.3, AAA → 1.4.6)
+ */
+function validarContraste(contexto, nivel) {
+    const minimos = CONTRASTE.minimos[nivel];
+
+    // Agrupar textos iguais (mesmo seletor e razão) e os temas em que aparecem
+    const falhas = new Map();
+    analisarContraste(contexto).forEach(medicao => {
+        const minimo = medicao.grande ? minimos.grande : minimos.normal;
+        if (medicao.razao >= minimo) return;
+
+        const razao = Math.floor(medicao.razao * 100) / 100;
+        const chave = `${medicao.seletor}|${razao}`;
+        if (!falhas.has(chave)) {
+            falhas.set(chave, { ...medicao, razao, minimo, temas: new Set(), posicoes: new Map() });
+        }
+        const falha = falhas.get(chave);
+        falha.temas.add(medicao.tema);
+        falha.posicoes.set(`${medicao.linha}:${medicao.coluna}`, {
+            linha: medicao.linha,
+            coluna: medicao.coluna,
+            seletor: medicao.seletor,
+            trecho: medicao.trecho
+        });
+    });
+
+    if (falhas.size === 0) return { valido: true };
+
+    const descrever = (falha) =>
+        `${falha.seletor}: ${falha.razao}:1 < ${falha.minimo}:1 (${falha.cor} sobre ${falha.fundo}` +
+        `${falha.grande ? ', texto grande' : ''}; ${Array.from(falha.temas).join(', ')})`;
+
+    const sugerir = (falha) => {
+        const cor = sugerirCorTexto(interpretarCor(falha.cor), interpretarCor(falha.fundo), falha.minimo);
+        return cor
+            ? `Use color: ${cor} (ou mais forte) sobre ${falha.fundo} para atingir ${falha.minimo}:1`
+            : `Nenhuma cor de texto atinge ${falha.minimo}:1 sobre ${falha.fundo}: mude o fundo`;
+    };
+
+    const lista = Array.from(falhas.values()).sort((a, b) => a.razao - b.razao);
+    const exemplos = lista.slice(0, CONTRASTE.maxExemplos).map(descrever);
+    const restantes = lista.length - exemplos.length;
+
+    return {
+        valido: false,
+        detalhes: `${lista.length} texto(s) abaixo do contraste ${nivel}: ${exemplos.join('; ')}` +
+            (restantes > 0 ? `; e mais ${restantes}` : ''),
+        ocorrencias: lista.flatMap(falha => Array.from(falha.posicoes.values()).map(posicao => ({
+            ...posicao,
+            mensagem: descrever(falha),
+            sugestao: sugerir(falha)
+        })))
+    };
+}
+
+// ============================================
+// SUGESTÕES DE CORREÇÃO
+// ============================================
+
+/**
+ * Gerar um id a partir de um texto ("E-mail do autor" → "e-mail-do-autor")
+ */
+function gerarId(texto) {
+    return String(texto || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40) || 'campo';
+}
+
+function textoVisivel(elemento) {
+    return elemento ? elemento.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+function sugerirNivelHeading(heading, dom) {
+    const headings = Array.from(dom.window.document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+    const anterior = headings[headings.indexOf(heading) - 1];
+    const nivel = anterior ? parseInt(anterior.tagName.charAt(1)) + 1 : 1;
+
+    return anterior
+        ? `Use h${nivel} (o heading anterior é h${nivel - 1}) ou ajuste só o visual com CSS`
+        : 'Comece a página com um h1 descrevendo o conteúdo principal';
+}
+
+function sugerirAlt(img) {
+    if (img.getAttribute('role') === 'presentation' || img.getAttribute('aria-hidden') === 'true') {
+        return 'Imagem decorativa: use alt="" para que leitores de tela a ignorem';
+    }
+
+    const figura = img.closest('figure');
+    const legenda = figura && figura.querySelector('figcaption');
+    if (textoVisivel(legenda)) {
+        return `Descreva a imagem no alt; a legenda sugere algo como alt="${textoVisivel(legenda).slice(0, 80)}"`;
+    }
+
+    const link = img.closest('a');
+    if (link && !textoVisivel(link)) {
+        return 'Imagem é o único conteúdo do link: o alt deve dizer para onde o link leva';
+    }
+
+    const arquivo = (img.getAttribute('src') || '').split(/[/?#]/).filter(Boolean).pop() || '';
+    const nome = arquivo.replace(/\.[a-z0-9]+$/i, '').replace(/[-_]+/g, ' ').trim();
+
+    return nome
+        ? `Adicione alt descrevendo o conteúdo (arquivo "${arquivo}" sugere algo como alt="${nome.charAt(0).toUpperCase()}${nome.slice(1)}"), ou alt="" se for decorativa`
+        : 'Adicione alt descrevendo o conteúdo da imagem, ou alt="" se for decorativa';
+}
+
+function sugerirLabel(campo, dom) {
+    const documento = dom.window.document;
+    const id = campo.getAttribute('id');
+    const dica = campo.getAttribute('placeholder') || campo.getAttribute('name') || campo.getAttribute('title') || '';
+
+    // <label for> apontando para um id que não existe (provável alvo)
+    const container = campo.closest('form, fieldset') || campo.parentElement;
+    const orfao = Array.from(container ? container.querySelectorAll('label[for]') : [])
+        .find(label => !documento.getElementById(label.getAttribute('for')));
+
+    // <label> sem for ao lado do campo
+    const anterior = campo.previousElementSibling;
+    const vizinho = anterior && anterior.tagName === 'LABEL' && !anterior.hasAttribute('for')
+        ? anterior
+        : campo.parentElement && Array.from(campo.parentElement.querySelectorAll(':scope > label:not([for])'))[0];
+
+    if (vizinho) {
+        const alvo = id || gerarId(textoVisivel(vizinho) || dica);
+        return `Ligue o <label> "${textoVisivel(vizinho)}" ao campo: <label for="${alvo}">${id ? '' : ` e id="${alvo}" no campo`}`;
+    }
+
+    if (!id && orfao) {
+        return `Adicione id="${orfao.getAttribute('for')}" ao campo para ligá-lo ao <label for="${orfao.getAttribute('for')}"> ("${textoVisivel(orfao)}")`;
+    }
+
+    const alvo = id || gerarId(dica);
+    const texto = dica || 'Descrição do campo';
+    return `Crie <label for="${alvo}">${texto}</label>${id ? '' : ` e adicione id="${alvo}" ao campo`}, ou use aria-label="${texto}"`;
+}
+
+function sugerirTextoLink(link) {
+    const img = link.querySelector('img, svg');
+    const destino = link.getAttribute('href') || '';
+
+    if (img) {
+        return `Link só com imagem/ícone: adicione aria-label com o destino (href="${destino}") ou alt na imagem`;
+    }
+    return `Adicione texto visível ou aria-label descrevendo o destino (href="${destino}")`;
+}
+
+function sugerirTextoBotao(botao) {
+    const icone = botao.querySelector('i[class], svg, img');
+    const titulo = botao.getAttribute('title');
+
+    if (titulo) {
+        return `Use o title como nome acessível: aria-label="${titulo}"`;
+    }
+
+    if (icone) {
+        const classe = Array.from(icone.classList || []).find(nome => /^(bi|fa|icon)-/.test(nome));
+        const acao = classe ? classe.replace(/^(bi|fa|icon)-/, '').replace(/-/g, ' ') : '';
+        return `Botão só com ícone: adicione aria-label${acao ? ` (o ícone "${classe}" sugere a ação "${acao}")` : ''} e aria-hidden="true" no ícone`;
+    }
+
+    return 'Adicione texto ao botão ou aria-label descrevendo a ação';
+}
+
+function sugerirTabindex(elemento) {
+    const valor = elemento.getAttribute('tabindex');
+    const focavel = elemento.matches('a[href], button, input, select, textarea, summary');
+
+    return focavel
+        ? `Remova tabindex="${valor}" (o elemento já é focável) e ajuste a ordem no HTML`
+        : `Troque tabindex="${valor}" por tabindex="0" e ajuste a ordem no HTML`;
+}
+
+function sugerirRole(elemento) {
+    const role = elemento.getAttribute('role');
+
+    // Distância de edição para achar erros de digitação ("navigaton" → "navigation")
+    const distancia = (a, b) => {
+        const linha = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let anterior = linha[0];
+            linha[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const atual = linha[j];
+                linha[j] = Math.min(linha[j] + 1, linha[j - 1] + 1, anterior + (a[i - 1] === b[j - 1] ? 0 : 1));
+                anterior = atual;
+            }
+        }
+        return linha[b.length];
+    };
+
+    const parecido = ROLES_ARIA
+        .map(valido => ({ valido, distancia: distancia(role, valido) }))
+        .sort((a, b) => a.distancia - b.distancia)[0];
+
+    if (parecido && parecido.distancia <= 2) {
+        return `Troque por role="${parecido.valido}"`;
+    }
+    if (role.startsWith('doc-')) {
+        return `role="${role}" é do módulo DPUB-ARIA, pouco suportado: prefira um elemento semântico ou role="region" com aria-label`;
+    }
+    return `role="${role}" não existe na especificação ARIA: use um role válido ou remova o atributo`;
+}
+
+/**
+ * Cor de texto mais próxima da atual que atinge o mínimo sobre o fundo
+ * @returns {string|null} hex ou null se nem preto nem branco atingem
+ */
+function sugerirCorTexto(cor, fundo, minimo) {
+    const alvos = [{ r: 0, g: 0, b: 0, a: 1 }, { r: 255, g: 255, b: 255, a: 1 }]
+        .sort((a, b) => razaoContraste(b, fundo) - razaoContraste(a, fundo));
+
+    for (const alvo of alvos) {
+        for (let passo = 1; passo <= 100; passo++) {
+            const candidata = misturarCores({ ...alvo, a: passo / 100 }, cor);
+            if (razaoContraste(candidata, fundo) >= minimo) {
+                return corParaHex(candidata);
+            }
+        }
+    }
+
+    return null;
+}
+
+// ============================================
+// LOCALIZAÇÃO
+// ============================================
+
+/**
+ * Linha e coluna (base 1) da tag de abertura do elemento no HTML original
+ * @returns {{linha: number|null, coluna: number|null}}
+ */
+function localizarElemento(dom, elemento) {
+    const local = elemento ? dom.nodeLocation(elemento) : null;
+    return local
+        ? { linha: local.startLine, coluna: local.startCol }
+        : { linha: null, coluna: null };
+}
+
+/**
+ * Trecho do HTML do elemento, resumido a tag de abertura quando for longo
+ */
+function trechoHTML(elemento, limite = 160) {
+    const html = elemento.outerHTML.replace(/\s+/g, ' ').trim();
+    if (html.length <= limite) return html;
+
+    const abertura = html.slice(0, html.indexOf('>') + 1);
+    const fechamento = `</${elemento.tagName.toLowerCase()}>`;
+    return abertura.length <= limite
+        ? `${abertura}…${html.endsWith(fechamento) ? fechamento : ''}`
+        : `${abertura.slice(0, limite)}…`;
+}
+
+/**
+ * Ocorrência completa de um elemento reprovado: posição, seletor,
+ * trecho do HTML e correção sugerida pela regra
+ */
+function descreverElemento(dom, elemento, regra) {
+    return {
+        ...localizarElemento(dom, elemento),
+        seletor: caminhoSeletor(elemento),
+        trecho: trechoHTML(elemento),
+        sugestao: regra.sugestao ? regra.sugestao(elemento, dom) : null
+    };
+}
+
+// ============================================
+// CONFIGURAÇÃO DE REGRAS (.a11yrc.json)
+// ============================================
+
+/*
+ * Formato do .a11yrc.json:
+ *
+ * {
+ *   "plugins": ["./regras-da-casa.js"],
+ *   "regras": { "LAZY_LOADING": "off", "HEADINGS": "erro" },
+ *   "diretorios": {
+ *     "v1-antipadrao": { "*": "info" }
+ *   }
+ * }
+ *
+ * Valores: "erro", "aviso", "info", "off" ou false (desativa) e
+ * true (severidade padrão). "*" vale para todas as regras.
+ * Os caminhos de "diretorios" são relativos ao .a11yrc.json e o
+ * diretório mais específico tem prioridade.
+ */
+
+const VALORES_CONFIGURACAO = ['erro', 'aviso', 'info', 'off', true, false];
+
+/**
+ * Procurar .a11yrc.json do diretório inicial até a raiz
+ * @returns {string|null}
+ */
+function procurarConfiguracao(inicio) {
+    let diretorio = path.resolve(inicio);
+
+    while (true) {
+        const candidato = path.join(diretorio, CONFIG.nomeConfiguracao);
+        if (fs.existsSync(candidato)) return candidato;
+
+        const pai = path.dirname(diretorio);
+        if (pai === diretorio) return null;
+        diretorio = pai;
+    }
+}
+
+/**
+ * Carregar configuração de regras
+ * @param {string} [arquivo] - Caminho explícito (--config); senão procura a partir de inicio
+ * @param {string} [inicio]
+ * @returns {{arquivo: string|null, diretorio: string, plugins: Array<string>, regras: object, diretorios: object}}
+ */
+function carregarConfiguracao(arquivo = null, inicio = process.cwd()) {
+    const caminho = arquivo ? path.resolve(arquivo) : procurarConfiguracao(inicio);
+
+    if (!caminho) {
+        return { arquivo: null, diretorio: path.resolve(inicio), plugins: [], regras: {}, diretorios: {} };
+    }
+
+    if (!fs.existsSync(caminho)) {
+        throw new Error(`Configuração não encontrada: ${caminho}`);
+    }
+
+    let dados;
+    try {
+        dados = JSON.parse(fs.readFileSync(caminho, CONFIG.encoding));
+    } catch (erro) {
+        throw new Error(`Configuração inválida em ${caminho}: ${erro.message}`);
+    }
+
+    const conferir = (regras, onde) => {
+        Object.entries(regras || {}).forEach(([id, valor]) => {
+            if (!VALORES_CONFIGURACAO.includes(valor)) {
+                throw new Error(`Valor inválido para ${id} em ${onde}: ${JSON.stringify(valor)} (use erro, aviso, info ou off)`);
+            }
+        });
+    };
+
+    if (dados.plugins !== undefined &&
+        (!Array.isArray(dados.plugins) || dados.plugins.some(plugin => typeof plugin !== 'string'))) {
+        throw new Error(`Configuração inválida em ${caminho}: plugins deve ser uma lista de caminhos`);
+    }
+
+    conferir(dados.regras, `${caminho} → regras`);
+    Object.entries(dados.diretorios || {}).forEach(([diretorio, regras]) => {
+        conferir(regras, `${caminho} → diretorios.${diretorio}`);
+    });
+
+    return {
+        arquivo: caminho,
+        diretorio: path.dirname(caminho),
+        plugins: dados.plugins || [],
+        regras: dados.regras || {},
+        diretorios: dados.diretorios || {}
+    };
+}
+
+/**
+ * Severidade de uma regra para um arquivo, aplicando regras globais
+ * e depois os diretórios do mais genérico ao mais específico
+ * @returns {string|null} null se a regra estiver desativada
+ */
+function severidadeEfetiva(configuracao, regra, caminhoArquivo) {
+    const camadas = [configuracao.regras];
+
+    if (caminhoArquivo) {
+        const relativo = path.relative(configuracao.diretorio, path.resolve(caminhoArquivo)).split(path.sep).join('/');
+
+        Object.entries(configuracao.diretorios)
+            .map(([diretorio, regras]) => [diretorio.replace(/^\.\/|\/+$/g, ''), regras])
+            .filter(([diretorio]) => relativo.startsWith(`${diretorio}/`))
+            .sort(([a], [b]) => a.length - b.length)
+            .forEach(([, regras]) => camadas.push(regras));
+    }
+
+    let severidade = regra.severidade;
+
+    camadas.forEach(camada => {
+        [camada['*'], camada[regra.id]].forEach(valor => {
+            if (valor === undefined) return;
+            if (valor === true) severidade = severidade || regra.severidade;
+            else if (valor === false || valor === 'off') severidade = null;
+            else severidade = valor;
+        });
+    });
+
+    return severidade;
+}
+
+// ============================================
+// PLUGINS
+// ============================================
+
+/*
+ * Regras externas seguem o mesmo contrato das regras de REGRAS.
+ * Um plugin é um módulo CommonJS que exporta uma regra ou um array de regras:
+ *
+ * module.exports = {
+ *     id: 'NOTICIA_DATA',              // único, em MAIÚSCULAS_COM_UNDERSCORE
+ *     nome: 'Notícias com data legível por máquina',
+ *     severidade: 'aviso',             // erro | aviso | info
+ *     wcag: ['1.3.1'],                 // critérios de CRITERIOS (pode ser [])
+ *     emag: ['eMAG-1'],                // opcional
+ *     categoria: 'noticias',           // opcional, padrão 'plugins'
+ *     sugestao: (elemento, dom) => '', // opcional, correção por elemento
+ *     validar: (dom, ctx) => true      // ctx: { arquivo, html }
+ * };
+ *
+ * validar() retorna um booleano ou { valido, detalhes, elementos }.
+ * Os elementos ganham posição, seletor, trecho e sugestão, e a regra
+ * passa pelo .a11yrc.json, supressões e formatos de saída como as demais.
+ *
+ * Carregados de "plugins" no .a11yrc.json (caminhos relativos a ele)
+ * e de todos os .js do diretório rules/ ao lado do .a11yrc.json.
+ */
+
+/**
+ * Conferir se a regra segue o contrato
+ * @throws {Error} com o arquivo de origem e o campo inválido
+ */
+function validarPlugin(regra, origem, idsExistentes) {
+    const erro = (mensagem) => new Error(`Plugin inválido (${origem}): ${mensagem}`);
+
+    if (!regra || typeof regra !== 'object') throw erro('deve exportar um objeto de regra ou um array de regras');
+    if (typeof regra.id !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(regra.id)) {
+        throw erro(`id ${JSON.stringify(regra.id)} deve estar em MAIÚSCULAS_COM_UNDERSCORE`);
+    }
+    if (idsExistentes.has(regra.id)) throw erro(`id ${regra.id} já existe`);
+    if (typeof regra.nome !== 'string' || regra.nome.trim() === '') throw erro(`${regra.id}: nome é obrigatório`);
+    if (!CONFIG.severidades.includes(regra.severidade)) {
+        throw erro(`${regra.id}: severidade deve ser ${CONFIG.severidades.join(', ')}`);
+    }
+    if (!Array.isArray(regra.wcag)) throw erro(`${regra.id}: wcag deve ser um array de critérios (pode ser vazio)`);
+    if (regra.emag !== undefined && !Array.isArray(regra.emag)) throw erro(`${regra.id}: emag deve ser um array`);
+    if (typeof regra.validar !== 'function') throw erro(`${regra.id}: validar(dom, ctx) deve ser uma função`);
+    if (regra.sugestao !== undefined && typeof regra.sugestao !== 'function') {
+        throw erro(`${regra.id}: sugestao deve ser uma função`);
+    }
+}
+
+/**
+ * Caminhos dos plugins: lista do .a11yrc.json + diretório rules/
+ */
+function listarPlugins(configuracao) {
+    const caminhos = configuracao.plugins.map(plugin => path.resolve(configuracao.diretorio, plugin));
+    const diretorio = path.join(configuracao.diretorio, CONFIG.diretorioPlugins);
+
+    if (fs.existsSync(diretorio) && fs.statSync(diretorio).isDirectory()) {
+        fs.readdirSync(diretorio)
+            .filter(arquivo => path.extname(arquivo) === '.js')
+            .sort()
+            .forEach(arquivo => caminhos.push(path.join(diretorio, arquivo)));
+    }
+
+    return Array.from(new Set(caminhos));
+}
+
+/**
+ * Regras internas + plugins, agrupadas por categoria
+ * @returns {object} mesmo formato de REGRAS
+ */
+function montarRegras(configuracao) {
+    const regras = {};
+    const ids = new Set();
+
+    Object.entries(REGRAS).forEach(([categoria, lista]) => {
+        regras[categoria] = [...lista];
+        lista.forEach(regra => ids.add(regra.id));
+    });
+
+    listarPlugins(configuracao).forEach(caminho => {
+        let exportado;
+        try {
+            exportado = require(caminho);
+        } catch (erro) {
+            throw new Error(`Erro ao carregar plugin ${caminho}: ${erro.message}`);
+        }
+
+        (Array.isArray(exportado) ? exportado : [exportado]).forEach(regra => {
+            validarPlugin(regra, path.relative(process.cwd(), caminho), ids);
+            ids.add(regra.id);
+
+            const categoria = regra.categoria || 'plugins';
+            if (!regras[categoria]) regras[categoria] = [];
+            regras[categoria].push(regra);
+        });
+    });
+
+    return regras;
+}
+
+// ============================================
+// SUPRESSÕES INLINE
+// ============================================
+
+/*
+ * <!-- a11y-disable IMG_ALT, TABINDEX -->  desativa as regras daqui em diante
+ * <!-- a11y-enable IMG_ALT -->             reativa
+ * Sem ids, vale para todas as regras. Problemas sem posição (ex.: falta
+ * de <main>) são suprimidos por qualquer a11y-disable da regra no arquivo.
+ */
+
+/**
+ * Ler comentários de supressão com sua posição
+ */
+function lerSupressoes(html) {
+    const supressoes = [];
+    const padrao = /<!--\s*a11y-(disable|enable)\b([^]*?)-->/g;
+    let encontrado;
+
+    while ((encontrado = padrao.exec(html)) !== null) {
+        const antes = html.slice(0, encontrado.index + encontrado[0].length);
+        const linhas = antes.split('\n');
+
+        const ids = encontrado[2].split(/[\s,]+/).filter(Boolean);
+
+        supressoes.push({
+            acao: encontrado[1],
+            regras: ids.length > 0 ? ids : null,
+            linha: linhas.length,
+            coluna: linhas[linhas.length - 1].length + 1,
+            texto: encontrado[0]
+        });
+    }
+
+    return supressoes;
+}
+
+/**
+ * Comentário que suprime a regra na posição da ocorrência
+ * @returns {object|null}
+ */
+function buscarSupressao(supressoes, regraId, ocorrencia) {
+    const aplica = (supressao) => !supressao.regras || supressao.regras.includes(regraId);
+
+    if (ocorrencia.linha === null) {
+        return supressoes.find(supressao => supressao.acao === 'disable' && aplica(supressao)) || null;
+    }
+
+    let ativa = null;
+
+    for (const supressao of supressoes) {
+        const depois = supressao.linha > ocorrencia.linha ||
+            (supressao.linha === ocorrencia.linha && supressao.coluna > ocorrencia.coluna);
+        if (depois) break;
+
+        if (aplica(supressao)) {
+            ativa = supressao.acao === 'disable' ? supressao : null;
+        }
+    }
+
+    return ativa;
+}
+
 // ============================================
 // CLASSES
 // ============================================
 
 class ValidadorHTML {
-    constructor() {
+    /**
+     * @param {object} [configuracao] - Resultado de carregarConfiguracao();
+     *                                   padrão: .a11yrc.json mais próximo
+     */
+    constructor(configuracao = carregarConfiguracao(CONFIG.arquivoConfiguracao)) {
+        this.configuracao = configuracao;
+        this.regras = montarRegras(configuracao);
         this.resultados = {
             arquivos: 0,
             erros: 0,
             avisos: 0,
             infos: 0,
+            suprimidos: 0,
             detalhes: []
         };
     }
 
-    validarArquivo(caminhoArquivo) {
-        console.log(`\n📄 Validando: ${caminhoArquivo}`);
+    /**
+     * Aplicar as regras a um HTML sem imprimir nada
+     * @param {string} html
+     * @param {string} [caminhoArquivo]
+     * @returns {object} resultado com erros, avisos, infos, sucesso e
+     *                   a lista completa de regras na ordem de execução
+     */
+    analisar(html, caminhoArquivo = null) {
+        const dom = new JSDOM(html, { includeNodeLocations: true });
+        const contexto = { arquivo: caminhoArquivo, html };
+        const supressoes = lerSupressoes(html);
 
-        try {
-            const html = fs.readFileSync(caminhoArquivo, CONFIG.encoding);
-            const dom = new JSDOM(html);
-
-            const resultado = {
-                arquivo: caminhoArquivo,
-                erros: [],
-                avisos: [],
-                infos: [],
-                sucesso: []
-            };
-
-            // Validar cada categoria
-            for (const [categoria, regras] of Object.entries(REGRAS)) {
-                if (CONFIG.verbose) {
-                    console.log(`\n  🔍 Categoria: ${categoria}`);
-                }
+        const resultado = {
+            arquivo: caminhoArquivo,
+            erros: [],
+            avisos: [],
+            infos: [],
+            sucesso: [],
+            suprimidos: [],
+            regras: []
+        };
+
+        for (const [categoria, regras] of Object.entries(this.regras)) {
+            for (const regra of regras) {
+                const severidade = severidadeEfetiva(this.configuracao, regra, caminhoArquivo);
+                if (severidade === null) continue; // Desativada no .a11yrc.json
 
-                for (const regra of regras) {
-                    let validacao;
+                let validacao;
 
+                try {
                     if (regra.id === 'DOCTYPE') {
                         validacao = regra.validar(html);
                     } else {
-                        validacao = regra.validar(dom);
+                        validacao = regra.validar(dom, contexto);
                     }
+                } catch (erro) {
+                    // Uma regra quebrada (ex.: plugin) não interrompe as outras
+                    validacao = { valido: false, detalhes: `Falha ao executar a regra: ${erro.message}` };
+                }
 
-                    // Processar resultado
-                    const valido = typeof validacao === 'boolean' ? validacao : validacao.valido;
-                    const detalhes = typeof validacao === 'object' ? validacao.detalhes : null;
+                // Processar resultado
+                const objeto = validacao !== null && typeof validacao === 'object';
+                const valido = objeto ? validacao.valido : Boolean(validacao);
+                const detalhes = objeto ? validacao.detalhes : null;
 
-                    const item = {
-                        id: regra.id,
-                        nome: regra.nome,
-                        detalhes: detalhes
-                    };
+                // Posições dos elementos com problema
+                let ocorrencias = [];
+                if (objeto && validacao.ocorrencias) {
+                    ocorrencias = validacao.ocorrencias;
+                } else if (objeto && validacao.elementos) {
+                    ocorrencias = validacao.elementos.map(elemento => descreverElemento(dom, elemento, regra));
+                }
 
-                    if (valido) {
-                        resultado.sucesso.push(item);
-                        if (CONFIG.verbose) {
-                            console.log(`    ✅ ${regra.nome}`);
-                            if (detalhes) console.log(`       ${detalhes}`);
-                        }
-                    } else {
-                        if (regra.severidade === 'erro') {
-                            resultado.erros.push(item);
-                            console.log(`    ❌ ${regra.nome}`);
-                            if (detalhes) console.log(`       ${detalhes}`);
-                        } else if (regra.severidade === 'aviso') {
-                            resultado.avisos.push(item);
-                            console.log(`    ⚠️  ${regra.nome}`);
-                            if (detalhes) console.log(`       ${detalhes}`);
-                        } else if (regra.severidade === 'info') {
-                            resultado.infos.push(item);
-                            if (CONFIG.verbose) {
-                                console.log(`    ℹ️  ${regra.nome}`);
-                                if (detalhes) console.log(`       ${detalhes}`);
-                            }
+                const item = {
+                    id: regra.id,
+                    nome: regra.nome,
+                    categoria: categoria,
+                    severidade: severidade,
+                    wcag: regra.wcag || [],
+                    emag: regra.emag || [],
+                    valido: Boolean(valido),
+                    detalhes: detalhes,
+                    ocorrencias: valido ? [] : ocorrencias,
+                    suprimidas: []
+                };
+
+                // Comentários a11y-disable: separar ocorrências suprimidas
+                if (!item.valido && supressoes.length > 0) {
+                    const candidatas = ocorrencias.length > 0 ? ocorrencias : [{ linha: null, coluna: null }];
+                    const ativas = [];
+
+                    candidatas.forEach(ocorrencia => {
+                        const supressao = buscarSupressao(supressoes, regra.id, ocorrencia);
+                        if (supressao) {
+                            item.suprimidas.push({ ...ocorrencia, comentario: { linha: supressao.linha, texto: supressao.texto } });
+                        } else {
+                            ativas.push(ocorrencia);
                         }
+                    });
+
+                    if (item.suprimidas.length > 0) {
+                        item.ocorrencias = ocorrencias.length > 0 ? ativas : [];
+                        item.valido = ativas.length === 0;
+                        item.detalhes = item.valido
+                            ? `${detalhes || ''} (suprimido por a11y-disable)`.trim()
+                            : `${detalhes || ''} (${item.suprimidas.length} suprimido(s))`.trim();
+
+                        item.suprimidas.forEach(ocorrencia => {
+                            resultado.suprimidos.push({
+                                id: item.id,
+                                nome: item.nome,
+                                severidade,
+                                wcag: item.wcag,
+                                emag: item.emag,
+                                ...ocorrencia
+                            });
+                        });
+                    }
+                }
+
+                resultado.regras.push(item);
+
+                if (item.valido) {
+                    resultado.sucesso.push(item);
+                } else if (severidade === 'erro') {
+                    resultado.erros.push(item);
+                } else if (severidade === 'aviso') {
+                    resultado.avisos.push(item);
+                } else if (severidade === 'info') {
+                    resultado.infos.push(item);
+                }
+            }
+        }
+
+        return resultado;
+    }
+
+    validarArquivo(caminhoArquivo) {
+        this.log(`\n📄 Validando: ${caminhoArquivo}`);
+
+        try {
+            const html = fs.readFileSync(caminhoArquivo, CONFIG.encoding);
+            const resultado = this.analisar(html, caminhoArquivo);
+
+            let categoriaAtual = null;
+
+            for (const item of resultado.regras) {
+                if (CONFIG.verbose && item.categoria !== categoriaAtual) {
+                    categoriaAtual = item.categoria;
+                    this.log(`\n  🔍 Categoria: ${categoriaAtual}`);
+                }
+
+                if (item.valido) {
+                    if (CONFIG.verbose) {
+                        this.log(`    ✅ ${item.nome}`);
+                        if (item.detalhes) this.log(`       ${item.detalhes}`);
                     }
+                } else if (item.severidade === 'erro') {
+                    this.log(`    ❌ ${item.nome}`);
+                    if (item.detalhes) this.log(`       ${item.detalhes}`);
+                    this.imprimirOcorrencias(item);
+                } else if (item.severidade === 'aviso') {
+                    this.log(`    ⚠️  ${item.nome}`);
+                    if (item.detalhes) this.log(`       ${item.detalhes}`);
+                    this.imprimirOcorrencias(item);
+                } else if (item.severidade === 'info' && CONFIG.verbose) {
+                    this.log(`    ℹ️  ${item.nome}`);
+                    if (item.detalhes) this.log(`       ${item.detalhes}`);
+                    this.imprimirOcorrencias(item);
+                }
+            }
+
+            if (resultado.suprimidos.length > 0) {
+                this.log(`    🔕 ${resultado.suprimidos.length} ocorrência(s) suprimida(s) por a11y-disable`);
+                if (CONFIG.verbose) {
+                    resultado.suprimidos.forEach(suprimido => {
+                        const posicao = suprimido.linha !== null ? `linha ${suprimido.linha}:${suprimido.coluna}` : 'arquivo';
+                        this.log(`       ${suprimido.id} (${posicao}) - comentário na linha ${suprimido.comentario.linha}`);
+                    });
                 }
             }
 
@@ -414,6 +1887,7 @@ class ValidadorHTML {
             this.resultados.erros += resultado.erros.length;
             this.resultados.avisos += resultado.avisos.length;
             this.resultados.infos += resultado.infos.length;
+            this.resultados.suprimidos += resultado.suprimidos.length;
             this.resultados.detalhes.push(resultado);
 
             return resultado;
@@ -424,6 +1898,20 @@ class ValidadorHTML {
         }
     }
 
+    /**
+     * Listar cada elemento reprovado (apenas no modo verbose)
+     */
+    imprimirOcorrencias(item) {
+        if (!CONFIG.verbose) return;
+
+        for (const ocorrencia of item.ocorrencias) {
+            const posicao = ocorrencia.linha !== null ? `linha ${ocorrencia.linha}:${ocorrencia.coluna}` : 'sem posição';
+            this.log(`       📍 ${posicao}${ocorrencia.seletor ? ` - ${ocorrencia.seletor}` : ''}`);
+            if (ocorrencia.trecho) this.log(`          ${ocorrencia.trecho}`);
+            if (ocorrencia.sugestao) this.log(`          💡 ${ocorrencia.sugestao}`);
+        }
+    }
+
     buscarArquivosHTML(diretorio) {
         const arquivos = [];
 
@@ -462,29 +1950,271 @@ class ValidadorHTML {
         console.log(`❌ Erros: ${this.resultados.erros}`);
         console.log(`⚠️  Avisos: ${this.resultados.avisos}`);
         console.log(`ℹ️  Informações: ${this.resultados.infos}`);
+        console.log(`🔕 Suprimidos: ${this.resultados.suprimidos}`);
+        if (this.configuracao.arquivo) {
+            console.log(`⚙️  Configuração: ${path.relative(process.cwd(), this.configuracao.arquivo) || this.configuracao.arquivo}`);
+        }
 
         // Resumo por arquivo
         console.log('\n📋 Resumo por arquivo:');
         for (const detalhe of this.resultados.detalhes) {
             const status = detalhe.erros.length === 0 ? '✅' : '❌';
             console.log(`  ${status} ${path.basename(detalhe.arquivo)}`);
-            console.log(`     Erros: ${detalhe.erros.length} | Avisos: ${detalhe.avisos.length} | OK: ${detalhe.sucesso.length}`);
+            console.log(`     Erros: ${detalhe.erros.length} | Avisos: ${detalhe.avisos.length} | OK: ${detalhe.sucesso.length}` +
+                (detalhe.suprimidos.length > 0 ? ` | Suprimidos: ${detalhe.suprimidos.length}` : ''));
+        }
+
+        // Supressões inline
+        const suprimidos = this.listarSuprimidos();
+        if (suprimidos.length > 0) {
+            console.log('\n🔕 Supressões:');
+            suprimidos.forEach(suprimido => {
+                const posicao = suprimido.linha !== null ? `:${suprimido.linha}:${suprimido.coluna}` : '';
+                console.log(`  ${suprimido.arquivo}${posicao} ${suprimido.regra} (${suprimido.severidade})`);
+            });
         }
 
         // Status final
         console.log('\n' + '='.repeat(60));
-        if (this.resultados.erros === 0) {
+        if (!this.falhou()) {
             console.log('✅ VALIDAÇÃO CONCLUÍDA COM SUCESSO!');
-        } else {
+        } else if (CONFIG.falharEm === 'erro') {
             console.log('❌ VALIDAÇÃO FALHOU - CORRIGIR ERROS');
+        } else {
+            console.log(`❌ VALIDAÇÃO FALHOU - CORRIGIR PROBLEMAS (--fail-on ${CONFIG.falharEm})`);
         }
         console.log('='.repeat(60) + '\n');
 
-        return this.resultados.erros === 0;
+        return !this.falhou();
+    }
+
+    /**
+     * Logs de progresso só no formato console, para não misturar
+     * texto com a saída JSON/SARIF/JUnit
+     */
+    log(...args) {
+        if (CONFIG.formato === 'console') {
+            console.log(...args);
+        }
+    }
+
+    /**
+     * Verificar se alguma regra reprovada atinge a severidade de --fail-on
+     */
+    falhou() {
+        const limite = CONFIG.severidades.indexOf(CONFIG.falharEm);
+
+        return this.resultados.detalhes.some(detalhe =>
+            detalhe.regras.some(item =>
+                !item.valido && CONFIG.severidades.indexOf(item.severidade) >= limite
+            )
+        );
+    }
+
+    /**
+     * Lista plana de problemas: um por elemento encontrado, ou um
+     * por arquivo quando a regra não aponta elementos
+     */
+    listarAchados() {
+        const achados = [];
+
+        for (const detalhe of this.resultados.detalhes) {
+            const arquivo = path.relative(process.cwd(), detalhe.arquivo).split(path.sep).join('/');
+
+            for (const item of detalhe.regras.filter(regra => !regra.valido)) {
+                const ocorrencias = item.ocorrencias.length > 0
+                    ? item.ocorrencias
+                    : [{ linha: null, coluna: null }];
+
+                ocorrencias.forEach(ocorrencia => {
+                    achados.push({
+                        arquivo,
+                        linha: ocorrencia.linha,
+                        coluna: ocorrencia.coluna,
+                        regra: item.id,
+                        nome: item.nome,
+                        categoria: item.categoria,
+                        severidade: item.severidade,
+                        wcag: item.wcag,
+                        emag: item.emag,
+                        seletor: ocorrencia.seletor || null,
+                        trecho: ocorrencia.trecho || null,
+                        sugestao: ocorrencia.sugestao || null,
+                        mensagem: [item.nome, ocorrencia.mensagem || ocorrencia.seletor || item.detalhes].filter(Boolean).join(': ')
+                    });
+                });
+            }
+        }
+
+        return achados;
+    }
+
+    /**
+     * Ocorrências suprimidas por comentários a11y-disable
+     */
+    listarSuprimidos() {
+        return this.resultados.detalhes.flatMap(detalhe => {
+            const arquivo = path.relative(process.cwd(), detalhe.arquivo).split(path.sep).join('/');
+
+            return detalhe.suprimidos.map(suprimido => ({
+                arquivo,
+                linha: suprimido.linha,
+                coluna: suprimido.coluna,
+                regra: suprimido.id,
+                nome: suprimido.nome,
+                severidade: suprimido.severidade,
+                wcag: suprimido.wcag,
+                emag: suprimido.emag,
+                seletor: suprimido.seletor || null,
+                comentario: suprimido.comentario
+            }));
+        });
+    }
+
+    gerarJSON() {
+        return {
+            ferramenta: 'validate-html',
+            geradoEm: new Date().toISOString(),
+            falharEm: CONFIG.falharEm,
+            sucesso: !this.falhou(),
+            resumo: {
+                arquivos: this.resultados.arquivos,
+                erros: this.resultados.erros,
+                avisos: this.resultados.avisos,
+                infos: this.resultados.infos,
+                suprimidos: this.resultados.suprimidos
+            },
+            configuracao: this.configuracao.arquivo,
+            achados: this.listarAchados(),
+            suprimidos: this.listarSuprimidos()
+        };
+    }
+
+    /**
+     * SARIF 2.1.0 (GitHub code scanning, VS Code SARIF Viewer)
+     */
+    gerarSARIF() {
+        const niveis = { erro: 'error', aviso: 'warning', info: 'note' };
+        const regras = Object.entries(this.regras).flatMap(([categoria, lista]) =>
+            lista.map(regra => ({ ...regra, categoria }))
+        );
+
+        return {
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: 'validate-html',
+                        rules: regras.map(regra => ({
+                            id: regra.id,
+                            name: regra.id,
+                            shortDescription: { text: regra.nome },
+                            defaultConfiguration: { level: niveis[regra.severidade] },
+                            properties: {
+                                category: regra.categoria,
+                                tags: [
+                                    ...(regra.wcag || []).map(criterio => `WCAG ${criterio}`),
+                                    ...(regra.emag || [])
+                                ]
+                            }
+                        }))
+                    }
+                },
+                results: [
+                    ...this.listarAchados(),
+                    ...this.listarSuprimidos().map(suprimido => ({
+                        ...suprimido,
+                        mensagem: `${suprimido.nome}${suprimido.seletor ? `: ${suprimido.seletor}` : ''}`,
+                        suprimido: true
+                    }))
+                ].map(achado => {
+                    const localizacao = { artifactLocation: { uri: achado.arquivo } };
+                    if (achado.linha !== null) {
+                        localizacao.region = { startLine: achado.linha, startColumn: achado.coluna };
+                        if (achado.trecho) localizacao.region.snippet = { text: achado.trecho };
+                    }
+
+                    const resultadoSARIF = {
+                        ruleId: achado.regra,
+                        ruleIndex: regras.findIndex(regra => regra.id === achado.regra),
+                        level: niveis[achado.severidade],
+                        message: { text: achado.sugestao ? `${achado.mensagem}. Sugestão: ${achado.sugestao}` : achado.mensagem },
+                        locations: [{ physicalLocation: localizacao }],
+                        properties: {
+                            wcag: achado.wcag,
+                            emag: achado.emag,
+                            severidade: achado.severidade,
+                            seletor: achado.seletor
+                        }
+                    };
+
+                    if (achado.suprimido) {
+                        resultadoSARIF.suppressions = [{ kind: 'inSource', justification: achado.comentario.texto }];
+                    }
+
+                    return resultadoSARIF;
+                })
+            }]
+        };
+    }
+
+    /**
+     * JUnit XML: um testsuite por arquivo e um testcase por regra.
+     * Só reprovações no nível de --fail-on contam como <failure>.
+     */
+    gerarJUnit() {
+        const escapar = (texto) => String(texto)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const limite = CONFIG.severidades.indexOf(CONFIG.falharEm);
+        const achados = this.listarAchados();
+
+        let totalTestes = 0;
+        let totalFalhas = 0;
+
+        const suites = this.resultados.detalhes.map(detalhe => {
+            const arquivo = path.relative(process.cwd(), detalhe.arquivo).split(path.sep).join('/');
+            let falhas = 0;
+
+            const casos = detalhe.regras.map(item => {
+                const nome = escapar(`${item.id} - ${item.nome}`);
+                const abertura = `    <testcase classname="validate-html.${item.categoria}" name="${nome}" file="${escapar(arquivo)}">`;
+
+                if (item.valido) {
+                    return `${abertura}</testcase>`;
+                }
+
+                const linhas = achados
+                    .filter(achado => achado.arquivo === arquivo && achado.regra === item.id)
+                    .map(achado => `${arquivo}${achado.linha !== null ? `:${achado.linha}:${achado.coluna}` : ''} ${achado.mensagem}` +
+                        (achado.sugestao ? ` (sugestão: ${achado.sugestao})` : ''))
+                    .join('\n');
+                const criterios = item.wcag.length > 0 ? ` [WCAG ${item.wcag.join(', ')}]` : '';
+
+                if (CONFIG.severidades.indexOf(item.severidade) >= limite) {
+                    falhas++;
+                    return `${abertura}\n      <failure type="${item.severidade}" message="${escapar(item.nome + criterios)}">${escapar(linhas)}</failure>\n    </testcase>`;
+                }
+
+                return `${abertura}\n      <system-out>${escapar(`[${item.severidade}]${criterios} ${linhas}`)}</system-out>\n    </testcase>`;
+            });
+
+            totalTestes += casos.length;
+            totalFalhas += falhas;
+
+            return `  <testsuite name="${escapar(arquivo)}" tests="${casos.length}" failures="${falhas}">\n${casos.join('\n')}\n  </testsuite>`;
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+            `<testsuites name="validate-html" tests="${totalTestes}" failures="${totalFalhas}">\n` +
+            `${suites.join('\n')}\n</testsuites>\n`;
     }
 
     executar(caminho) {
-        console.log('🚀 Iniciando validação de HTML...\n');
+        this.log('🚀 Iniciando validação de HTML...\n');
 
         const stats = fs.statSync(caminho);
 
@@ -494,14 +2224,28 @@ class ValidadorHTML {
         } else if (stats.isDirectory()) {
             // Validar todos os arquivos do diretório
             const arquivos = this.buscarArquivosHTML(caminho);
-            console.log(`📂 Encontrados ${arquivos.length} arquivo(s) HTML\n`);
+            this.log(`📂 Encontrados ${arquivos.length} arquivo(s) HTML\n`);
 
             for (const arquivo of arquivos) {
                 this.validarArquivo(arquivo);
             }
         }
 
-        return this.gerarRelatorio();
+        switch (CONFIG.formato) {
+            case 'json':
+                console.log(JSON.stringify(this.gerarJSON(), null, 2));
+                break;
+            case 'sarif':
+                console.log(JSON.stringify(this.gerarSARIF(), null, 2));
+                break;
+            case 'junit':
+                process.stdout.write(this.gerarJUnit());
+                break;
+            default:
+                this.gerarRelatorio();
+        }
+
+        return !this.falhou();
     }
 }
 
@@ -510,18 +2254,39 @@ class ValidadorHTML {
 // ============================================
 
 function main() {
-    const args = process.argv.slice(2).filter(arg => !arg.startsWith('-'));
+    // Argumentos posicionais (ignorando valores de --format/--fail-on)
+    const args = process.argv.slice(2).filter((arg, indice, todos) =>
+        !arg.startsWith('-') && !CONFIG.opcoesComValor.includes(todos[indice - 1])
+    );
     const caminho = args[0] || '.';
 
+    if (!CONFIG.formatos.includes(CONFIG.formato)) {
+        console.error(`❌ Erro: Formato inválido: ${CONFIG.formato} (use ${CONFIG.formatos.join(', ')})`);
+        process.exit(1);
+    }
+
+    if (!CONFIG.severidades.includes(CONFIG.falharEm)) {
+        console.error(`❌ Erro: Severidade inválida para --fail-on: ${CONFIG.falharEm} (use ${CONFIG.severidades.join(', ')})`);
+        process.exit(1);
+    }
+
     if (!fs.existsSync(caminho)) {
         console.error(`❌ Erro: Caminho não encontrado: ${caminho}`);
         process.exit(1);
     }
 
-    const validador = new ValidadorHTML();
+    let validador;
+    try {
+        validador = new ValidadorHTML(carregarConfiguracao(CONFIG.arquivoConfiguracao));
+    } catch (erro) {
+        console.error(`❌ Erro: ${erro.message}`);
+        process.exit(1);
+    }
+
     const sucesso = validador.executar(caminho);
 
-    process.exit(sucesso ? 0 : 1);
+    // exitCode em vez de exit(): deixa o stdout terminar de escrever saídas grandes em pipes
+    process.exitCode = sucesso ? 0 : 1;
 }
 
 // Executar se for script principal
@@ -529,4 +2294,4 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { ValidadorHTML, REGRAS };
\ No newline at end of file
+module.exports = { ValidadorHTML, REGRAS, carregarConfiguracao };
\ No newline at end of file
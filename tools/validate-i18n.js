@@ -9,6 +9,8 @@
  * - Chaves faltantes em idiomas
  * - Chaves órfãs (não usadas)
  * - Placeholders inconsistentes
+ * - Sintaxe de mensagens ICU (plural, select, number, date)
+ * - Categorias de plural CLDR faltantes
  * - Completude das traduções
  * 
  * Uso: node tools/validate-i18n.js [--fix]
@@ -16,6 +18,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { MessageFormat } = require('../v4-global-i18n/js/message-format.js');
 
 // ============================================
 // CONFIGURAÇÃO
@@ -25,6 +28,8 @@ const CONFIG = {
     localesDir: './v4-global-i18n/locales',
     baseLocale: 'pt-BR',
     requiredLocales: ['pt-BR', 'en', 'es', 'ar', 'hi', 'ja', 'ru'],
+    pluralCategories: ['zero', 'one', 'two', 'few', 'many', 'other'],
+    ordinalNamespace: 'ordinals',
     encoding: 'utf8',
     fix: process.argv.includes('--fix'),
     verbose: process.argv.includes('--verbose') || process.argv.includes('-v')
@@ -40,12 +45,16 @@ class ValidadorI18n {
         this.erros = [];
         this.avisos = [];
         this.infos = [];
+        this.messageFormat = new MessageFormat();
         this.stats = {
             totalChaves: 0,
             localesCarregados: 0,
             chavesFaltantes: 0,
             chavesOrfas: 0,
-            placeholdersInconsistentes: 0
+            placeholdersInconsistentes: 0,
+            categoriasPluraisFaltantes: 0,
+            mensagensICU: 0,
+            mensagensICUInvalidas: 0
         };
     }
 
@@ -127,12 +136,82 @@ class ValidadorI18n {
         return valor;
     }
 
+    /**
+     * Verificar se objeto é um grupo de formas plurais
+     * Ex: { "one": "...", "other": "..." }
+     */
+    ehGrupoPlural(valor) {
+        if (typeof valor !== 'object' || valor === null || Array.isArray(valor)) return false;
+
+        const chaves = Object.keys(valor);
+        return chaves.length > 0 && chaves.every(chave => CONFIG.pluralCategories.includes(chave));
+    }
+
+    /**
+     * Extrair caminhos dos grupos plurais (recursivo)
+     */
+    extrairGruposPlurais(obj, prefixo = '') {
+        const grupos = [];
+
+        for (const [key, value] of Object.entries(obj)) {
+            const chaveFull = prefixo ? `${prefixo}.${key}` : key;
+
+            if (this.ehGrupoPlural(value)) {
+                grupos.push(chaveFull);
+            } else if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+                grupos.push(...this.extrairGruposPlurais(value, chaveFull));
+            }
+        }
+
+        return grupos;
+    }
+
+    /**
+     * Extrair chaves tratando cada grupo plural como uma chave só,
+     * já que cada idioma tem seu próprio conjunto de categorias
+     */
+    extrairChavesNormalizadas(obj) {
+        const grupos = this.extrairGruposPlurais(obj);
+        const chaves = this.extrairChaves(obj).filter(chave => {
+            return !grupos.some(grupo => chave.startsWith(`${grupo}.`));
+        });
+
+        return [...chaves, ...grupos];
+    }
+
+    /**
+     * Categorias CLDR que contagens reais selecionam no idioma
+     * (amostra de inteiros, frações e 1 milhão, que em pt e es é "many")
+     */
+    categoriasAlcancaveis(locale, tipo = 'cardinal') {
+        const regras = new Intl.PluralRules(locale, { type: tipo });
+        const categorias = new Set();
+        const amostras = [0.5, 1.5, 2.5, 1000000];
+
+        for (let n = 0; n <= 200; n++) {
+            amostras.push(n);
+        }
+
+        amostras.forEach(n => categorias.add(regras.select(n)));
+
+        return CONFIG.pluralCategories.filter(categoria => categorias.has(categoria));
+    }
+
     /**
      * Extrair placeholders de uma string
+     * ({{name}} legado e argumentos ICU como {count, plural, ...})
      */
     extrairPlaceholders(texto) {
         if (typeof texto !== 'string') return [];
 
+        if (this.messageFormat.isMessage(texto)) {
+            try {
+                return this.messageFormat.extractArguments(texto);
+            } catch (erro) {
+                // Erro de sintaxe é reportado por validarMensagensICU
+            }
+        }
+
         const regex = /\{\{(\w+)\}\}/g;
         const placeholders = [];
         let match;
@@ -160,7 +239,7 @@ class ValidadorI18n {
         }
 
         // Extrair todas as chaves do locale base
-        const chavesBase = this.extrairChaves(baseLocale.translations);
+        const chavesBase = this.extrairChavesNormalizadas(baseLocale.translations);
         this.stats.totalChaves = chavesBase.length;
 
         console.log(`📋 Total de chaves no locale base (${CONFIG.baseLocale}): ${chavesBase.length}\n`);
@@ -172,7 +251,7 @@ class ValidadorI18n {
 
             console.log(`🌍 Validando: ${locale}`);
 
-            const chavesLocale = this.extrairChaves(this.locales[locale].translations);
+            const chavesLocale = this.extrairChavesNormalizadas(this.locales[locale].translations);
             const chavesFaltantes = chavesBase.filter(chave => !chavesLocale.includes(chave));
             const chavesExtras = chavesLocale.filter(chave => !chavesBase.includes(chave));
 
@@ -236,10 +315,18 @@ class ValidadorI18n {
         if (!baseLocale) return;
 
         const chavesBase = this.extrairChaves(baseLocale.translations);
+        const gruposPlurais = this.extrairGruposPlurais(baseLocale.translations);
 
         for (const chave of chavesBase) {
             const valorBase = this.obterValor(baseLocale.translations, chave);
-            const placeholdersBase = this.extrairPlaceholders(valorBase);
+            let placeholdersBase = this.extrairPlaceholders(valorBase);
+
+            // Formas plurais podem escrever o número por extenso
+            // (ex: "نتيجة واحدة" em vez de "{{count}} نتيجة")
+            const ehFormaPlural = gruposPlurais.some(grupo => chave.startsWith(`${grupo}.`));
+            if (ehFormaPlural) {
+                placeholdersBase = placeholdersBase.filter(p => p !== 'count');
+            }
 
             if (placeholdersBase.length === 0) continue;
 
@@ -249,7 +336,10 @@ class ValidadorI18n {
                 if (!this.locales[locale]) continue;
 
                 const valorLocale = this.obterValor(this.locales[locale].translations, chave);
-                const placeholdersLocale = this.extrairPlaceholders(valorLocale);
+                let placeholdersLocale = this.extrairPlaceholders(valorLocale);
+                if (ehFormaPlural) {
+                    placeholdersLocale = placeholdersLocale.filter(p => p !== 'count');
+                }
 
                 // Comparar placeholders
                 const faltando = placeholdersBase.filter(p => !placeholdersLocale.includes(p));
@@ -287,6 +377,125 @@ class ValidadorI18n {
         }
     }
 
+    /**
+     * Validar sintaxe das mensagens ICU de cada idioma
+     */
+    validarMensagensICU() {
+        console.log('🔍 Validando mensagens ICU...\n');
+
+        for (const locale of CONFIG.requiredLocales) {
+            if (!this.locales[locale]) continue;
+
+            const translations = this.locales[locale].translations || {};
+            const invalidas = [];
+            let total = 0;
+
+            for (const chave of this.extrairChaves(translations)) {
+                const valor = this.obterValor(translations, chave);
+                if (!this.messageFormat.isMessage(valor)) continue;
+
+                total++;
+
+                try {
+                    this.messageFormat.parse(valor);
+                } catch (erro) {
+                    invalidas.push({ chave: chave, erro: erro.message });
+                }
+            }
+
+            this.stats.mensagensICU += total;
+
+            if (invalidas.length === 0) {
+                console.log(`  ✅ ${locale}: ${total} mensagem(ns) válida(s)`);
+                continue;
+            }
+
+            invalidas.forEach(({ chave, erro }) => {
+                this.erros.push({
+                    tipo: 'SINTAXE_ICU',
+                    locale: locale,
+                    chave: chave,
+                    mensagem: `Mensagem ICU inválida em "${chave}": ${erro}`
+                });
+            });
+            this.stats.mensagensICUInvalidas += invalidas.length;
+
+            console.log(`  ❌ ${locale}: ${invalidas.length}/${total} mensagem(ns) inválida(s)`);
+
+            invalidas.forEach(({ chave, erro }) => {
+                console.log(`     - ${chave}: ${erro}`);
+            });
+        }
+
+        console.log('');
+    }
+
+    /**
+     * Validar categorias de plural CLDR de cada idioma
+     */
+    validarPlurais() {
+        console.log('🔍 Validando categorias de plural (CLDR)...\n');
+
+        for (const locale of CONFIG.requiredLocales) {
+            if (!this.locales[locale]) continue;
+
+            const translations = this.locales[locale].translations || {};
+            const grupos = this.extrairGruposPlurais(translations);
+            const faltantesPorGrupo = {};
+
+            for (const grupo of grupos) {
+                const tipo = grupo.startsWith(`${CONFIG.ordinalNamespace}.`) ? 'ordinal' : 'cardinal';
+                const formas = this.obterValor(translations, grupo);
+                const faltando = this.categoriasAlcancaveis(locale, tipo)
+                    .filter(categoria => formas[categoria] === undefined);
+
+                // Sem "other" não há para onde cair
+                if (formas.other === undefined) {
+                    this.erros.push({
+                        tipo: 'PLURAL_SEM_OTHER',
+                        locale: locale,
+                        chave: grupo,
+                        mensagem: `Grupo plural "${grupo}" sem a categoria obrigatória "other"`
+                    });
+                    console.log(`  ❌ ${locale}: ${grupo} sem "other"`);
+                }
+
+                if (faltando.length > 0) {
+                    faltantesPorGrupo[grupo] = faltando;
+                }
+            }
+
+            const gruposIncompletos = Object.keys(faltantesPorGrupo);
+            if (gruposIncompletos.length === 0) {
+                console.log(`  ✅ ${locale}: ${grupos.length} grupo(s) plural(is) completo(s)`);
+                continue;
+            }
+
+            const totalFaltantes = gruposIncompletos
+                .reduce((total, grupo) => total + faltantesPorGrupo[grupo].length, 0);
+            const categorias = [...new Set(Object.values(faltantesPorGrupo).flat())];
+
+            this.avisos.push({
+                tipo: 'CATEGORIAS_PLURAIS_FALTANTES',
+                locale: locale,
+                categorias: categorias,
+                grupos: faltantesPorGrupo,
+                mensagem: `${gruposIncompletos.length} grupo(s) plural(is) sem as categorias [${categorias.join(', ')}]`
+            });
+            this.stats.categoriasPluraisFaltantes += totalFaltantes;
+
+            console.log(`  ⚠️  ${locale}: faltando [${categorias.join(', ')}] em ${gruposIncompletos.length} grupo(s)`);
+
+            if (CONFIG.verbose) {
+                gruposIncompletos.forEach(grupo => {
+                    console.log(`     - ${grupo}: [${faltantesPorGrupo[grupo].join(', ')}]`);
+                });
+            }
+        }
+
+        console.log('');
+    }
+
     /**
      * Validar metadados
      */
@@ -388,6 +597,8 @@ class ValidadorI18n {
         console.log(`  ❌ Chaves faltantes: ${this.stats.chavesFaltantes}`);
         console.log(`  ⚠️  Chaves órfãs: ${this.stats.chavesOrfas}`);
         console.log(`  🔤 Placeholders inconsistentes: ${this.stats.placeholdersInconsistentes}`);
+        console.log(`  🔢 Categorias de plural faltantes: ${this.stats.categoriasPluraisFaltantes}`);
+        console.log(`  💬 Mensagens ICU inválidas: ${this.stats.mensagensICUInvalidas}/${this.stats.mensagensICU}`);
 
         console.log('\n📋 Resumo:');
         console.log(`  ❌ Erros: ${this.erros.length}`);
@@ -440,7 +651,9 @@ class ValidadorI18n {
 
         this.validarMetadados();
         this.validarCompletude();
+        this.validarMensagensICU();
         this.validarPlaceholders();
+        this.validarPlurais();
         this.validarTraducoesVazias();
 
         return this.gerarRelatorio();
@@ -145,6 +145,7 @@ function enviarFormulario() {
 }
 
 // ❌ Função com muitas responsabilidades
+// (versão correta: SearchIndex em v4-global-i18n/js/search-index.js)
 function buscar(termo) {
     console.log("Buscando:", termo);
     
@@ -476,6 +477,7 @@ function usarWith(obj) {
 }
 
 // ❌ Loops aninhados profundamente
+// ❌ Sem índice: cada busca percorre tudo de novo (V4 indexa uma vez)
 function buscarNasNoticias(termo) {
     for(var i = 0; i < dados.noticias.length; i++) {
         for(var j = 0; j < dados.noticias[i].tags.length; j++) {
@@ -25,7 +25,14 @@ document.addEventListener('DOMContentLoaded', () => {
 const MenuMobile = {
     menuToggle: null,
     menuList: null,
-    isOpen: false,
+    dialogo: null, // DialogoAcessivel em modo disclosure (js/dialogo-acessivel.js)
+
+    /**
+     * Menu aberto?
+     */
+    get isOpen() {
+        return Boolean(this.dialogo && this.dialogo.aberto);
+    },
 
     /**
      * Inicializa o menu mobile
@@ -39,6 +46,21 @@ const MenuMobile = {
             return;
         }
 
+        // ESC fecha e devolve o foco ao botão; o foco não fica preso
+        this.dialogo = new DialogoAcessivel(this.menuList, {
+            modal: false,
+            invocador: this.menuToggle,
+            focoInicial: 'a',
+            aoAbrir: () => {
+                this.menuList.setAttribute('aria-expanded', 'true');
+                this.menuList.style.display = 'flex';
+            },
+            aoFechar: () => {
+                this.menuList.setAttribute('aria-expanded', 'false');
+                this.menuList.style.display = '';
+            }
+        });
+
         this.bindEvents();
         console.log('✓ Menu mobile inicializado');
     },
@@ -50,19 +72,12 @@ const MenuMobile = {
         // Click no botão toggle
         this.menuToggle.addEventListener('click', () => this.toggle());
 
-        // Fechar ao pressionar ESC
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isOpen) {
-                this.close();
-            }
-        });
-
-        // Fechar ao clicar em um link do menu
+        // Fechar ao clicar em um link do menu (o foco segue para o destino)
         const menuLinks = this.menuList.querySelectorAll('a');
         menuLinks.forEach(link => {
             link.addEventListener('click', () => {
                 if (window.innerWidth <= 768) {
-                    this.close();
+                    this.close({ restaurarFoco: false });
                 }
             });
         });
@@ -70,7 +85,7 @@ const MenuMobile = {
         // Ajustar ao redimensionar janela
         window.addEventListener('resize', () => {
             if (window.innerWidth > 768 && this.isOpen) {
-                this.close();
+                this.close({ restaurarFoco: false });
             }
         });
     },
@@ -87,36 +102,22 @@ const MenuMobile = {
     },
 
     /**
-     * Abrir menu
+     * Abrir menu (foco no primeiro link)
      */
     open() {
-        this.isOpen = true;
-        this.menuToggle.setAttribute('aria-expanded', 'true');
-        this.menuList.setAttribute('aria-expanded', 'true');
-        this.menuList.style.display = 'flex';
-
-        // Foco no primeiro link
-        const firstLink = this.menuList.querySelector('a');
-        if (firstLink) {
-            setTimeout(() => firstLink.focus(), 100);
+        if (this.dialogo.abrir()) {
+            console.log('Menu aberto');
         }
-
-        console.log('Menu aberto');
     },
 
     /**
      * Fechar menu
+     * @param {{restaurarFoco?: boolean}} [opcoes] - Ver DialogoAcessivel.fechar
      */
-    close() {
-        this.isOpen = false;
-        this.menuToggle.setAttribute('aria-expanded', 'false');
-        this.menuList.setAttribute('aria-expanded', 'false');
-        this.menuList.style.display = '';
-
-        // Retornar foco ao botão
-        this.menuToggle.focus();
-
-        console.log('Menu fechado');
+    close(opcoes) {
+        if (this.dialogo.fechar(opcoes)) {
+            console.log('Menu fechado');
+        }
     }
 };
 
@@ -548,20 +549,10 @@ function prefersReducedMotion() {
 
 /**
  * Anunciar para leitores de tela
+ * Usa o anunciador compartilhado (js/anunciador.js)
  */
 function anunciar(mensagem, prioridade = 'polite') {
-    const anunciador = document.createElement('div');
-    anunciador.setAttribute('role', 'status');
-    anunciador.setAttribute('aria-live', prioridade);
-    anunciador.className = 'sr-only';
-    anunciador.textContent = mensagem;
-
-    document.body.appendChild(anunciador);
-
-    // Remover após 1 segundo
-    setTimeout(() => {
-        document.body.removeChild(anunciador);
-    }, 1000);
+    return window.anunciarParaLeitores(mensagem, prioridade);
 }
 
 /* ============================================
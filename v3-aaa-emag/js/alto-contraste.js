@@ -0,0 +1,476 @@
+/* ============================================
+   ALTO CONTRASTE - V3
+   Esquemas de alto contraste (WCAG 1.4.6 - AAA)
+   ============================================ */
+
+'use strict';
+
+/**
+ * Módulo de Alto Contraste
+ * Oferece esquemas de contraste e respeita as preferências do sistema
+ * (prefers-contrast chega por js/preferencias.js; forced-colors é daqui)
+ *
+ * Divisão das classes do body:
+ * - tema-* pertence ao mudarTema() da BarraAcessibilidade
+ * - alto-contraste e contraste-* pertencem a este módulo
+ * O tema "high-contrast" é este módulo: mudarTema() avisa via
+ * sincronizarTema() e este módulo muda o tema via mudarTema(),
+ * sem que um remova as classes do outro.
+ */
+const AltoContraste = (() => {
+    // Textos traduzidos (js/traducao.js)
+    const traduzir = window.traduzirAcessibilidade;
+
+    // Configuração
+    const CONFIG = {
+        esquemas: {
+            'amarelo-preto': {
+                nome: 'amarelo no preto',
+                chave: 'theme.schemes.yellowOnBlack',
+                classes: ['alto-contraste', 'contraste-amarelo-preto']
+            },
+            'branco-preto': {
+                nome: 'branco no preto',
+                chave: 'theme.schemes.whiteOnBlack',
+                classes: ['alto-contraste', 'contraste-branco-preto']
+            },
+            'invertido': {
+                nome: 'cores invertidas',
+                chave: 'theme.schemes.inverted',
+                classes: ['contraste-invertido']
+            }
+        },
+        esquemaInicial: 'amarelo-preto',
+        temaContraste: 'high-contrast',
+        temaPadrao: 'default',
+        midiaCoresForcadas: '(forced-colors: active)'
+    };
+
+    // Estado privado
+    let ativo = false;
+    let esquemaAtual = CONFIG.esquemaInicial;
+    let coresForcadas = false;
+    let sincronizando = false;
+    let botoes = [];
+    let rotulo = null;
+
+    /**
+     * Inicializa o módulo
+     */
+    function init() {
+        console.log('🌓 Inicializando Alto Contraste...');
+
+        // Botões de esquema (criar se não existirem)
+        botoes = Array.from(document.querySelectorAll('[data-contrast-scheme]'));
+
+        if (!botoes.length) {
+            criarBotoes();
+        }
+
+        // Configurar eventos
+        configurarEventos();
+
+        // Detectar cores forçadas
+        detectarCoresForcadas();
+
+        // Carregar preferência (escolhida ou do sistema)
+        carregarPreferencia();
+
+        atualizarBotoes();
+
+        console.log('✅ Alto Contraste inicializado');
+        return true;
+    }
+
+    /**
+     * Cria grupo de botões de esquema dinamicamente
+     */
+    function criarBotoes() {
+        const barraAcessibilidade = document.querySelector('.acessibilidade-controles');
+
+        if (!barraAcessibilidade) {
+            console.warn('⚠️ Barra de acessibilidade não encontrada');
+            return;
+        }
+
+        const grupoControle = document.createElement('div');
+        grupoControle.className = 'controle-grupo';
+
+        rotulo = document.createElement('span');
+        rotulo.className = 'controle-label';
+        rotulo.id = 'esquema-contraste-label';
+
+        const grupoBotoes = document.createElement('div');
+        grupoBotoes.className = 'controle-botoes';
+        grupoBotoes.setAttribute('role', 'group');
+        grupoBotoes.setAttribute('aria-labelledby', rotulo.id);
+
+        Object.keys(CONFIG.esquemas).forEach(esquema => {
+            const botao = document.createElement('button');
+            botao.type = 'button';
+            botao.className = 'btn-controle';
+            botao.setAttribute('data-contrast-scheme', esquema);
+            botao.setAttribute('aria-pressed', 'false');
+
+            grupoBotoes.appendChild(botao);
+            botoes.push(botao);
+        });
+
+        grupoControle.appendChild(rotulo);
+        grupoControle.appendChild(grupoBotoes);
+        barraAcessibilidade.appendChild(grupoControle);
+
+        atualizarTextos();
+
+        console.log('✅ Botões de esquema de contraste criados');
+    }
+
+    /**
+     * Configura event listeners
+     */
+    function configurarEventos() {
+        botoes.forEach(botao => {
+            botao.addEventListener('click', (e) => {
+                const esquema = e.currentTarget.getAttribute('data-contrast-scheme');
+
+                // Clicar no esquema ativo desliga o alto contraste
+                if (ativo && esquema === esquemaAtual) {
+                    desativar();
+                } else {
+                    ativar(esquema);
+                }
+            });
+        });
+
+        // Traduções da V4 (carregadas ou trocadas)
+        window.addEventListener('i18nready', atualizarTextos);
+        window.addEventListener('languagechanged', atualizarTextos);
+
+        // Contraste mudado pelo sistema, em outra aba, por perfil importado ou reset
+        window.addEventListener('preferenciasalteradas', (e) => {
+            const { nome, valor } = e.detail;
+
+            if (nome === 'altoContraste' && valor !== ativo) {
+                aplicarEstado(valor, esquemaAtual);
+            } else if (nome === 'esquemaContraste' && valor !== esquemaAtual) {
+                aplicarEstado(ativo, valor);
+            }
+        });
+    }
+
+    /**
+     * Atualiza textos do grupo criado por criarBotoes() no idioma atual
+     * Botões que já vêm no HTML mantêm seus textos.
+     */
+    function atualizarTextos() {
+        if (!rotulo) {
+            return;
+        }
+
+        rotulo.textContent = traduzir('accessibility.contrastScheme', 'Esquema de contraste:');
+
+        botoes.forEach(botao => {
+            const nome = nomeEsquema(botao.getAttribute('data-contrast-scheme'));
+
+            botao.textContent = nome.charAt(0).toUpperCase() + nome.slice(1);
+            botao.title = `${traduzir('theme.contrastLabel', 'Alto contraste')}: ${nome}`;
+        });
+    }
+
+    /**
+     * Nome do esquema no idioma atual
+     * @param {string} esquema - Esquema de CONFIG.esquemas
+     * @returns {string} Nome traduzido
+     */
+    function nomeEsquema(esquema) {
+        const { chave, nome } = CONFIG.esquemas[esquema];
+        return traduzir(chave, nome);
+    }
+
+    /**
+     * Detecta forced-colors e acompanha mudanças
+     */
+    function detectarCoresForcadas() {
+        if (typeof window.matchMedia !== 'function') {
+            return;
+        }
+
+        const midiaCoresForcadas = window.matchMedia(CONFIG.midiaCoresForcadas);
+
+        coresForcadas = midiaCoresForcadas.matches;
+
+        midiaCoresForcadas.addEventListener('change', (e) => {
+            coresForcadas = e.matches;
+            aplicarClasses();
+            console.log(`🖥️ Cores forçadas ${coresForcadas ? 'ativas' : 'inativas'}`);
+        });
+    }
+
+    /**
+     * Ativa/desativa alto contraste
+     * @returns {boolean} Novo estado
+     */
+    function toggle() {
+        if (ativo) {
+            desativar();
+        } else {
+            ativar(esquemaAtual);
+        }
+
+        return ativo;
+    }
+
+    /**
+     * Ativa alto contraste com um esquema
+     * @param {string} [esquema] - amarelo-preto, branco-preto ou invertido
+     * @returns {boolean} Sucesso da operação
+     */
+    function ativar(esquema = esquemaAtual) {
+        if (!CONFIG.esquemas[esquema]) {
+            console.warn(`⚠️ Esquema de contraste inválido: ${esquema}`);
+            return false;
+        }
+
+        aplicarEstado(true, esquema);
+        salvarPreferencia();
+
+        anunciar(traduzir('announcements.highContrastScheme', 'Alto contraste ativado: {{scheme}}', {
+            scheme: nomeEsquema(esquema)
+        }));
+        console.log(`✅ Alto contraste ativado: ${esquema}`);
+        return true;
+    }
+
+    /**
+     * Desativa alto contraste
+     * @returns {boolean} Sucesso da operação
+     */
+    function desativar() {
+        aplicarEstado(false, esquemaAtual);
+        salvarPreferencia();
+
+        anunciar(traduzir('announcements.highContrastDisabled', 'Alto contraste desativado'));
+        console.log('✅ Alto contraste desativado');
+        return true;
+    }
+
+    /**
+     * Aplica estado e leva o tema da barra junto
+     * @param {boolean} novoAtivo - Estado desejado
+     * @param {string} esquema - Esquema desejado
+     */
+    function aplicarEstado(novoAtivo, esquema) {
+        const temaMudou = novoAtivo !== ativo;
+
+        ativo = novoAtivo;
+        esquemaAtual = esquema;
+        aplicarClasses();
+        atualizarBotoes();
+
+        if (temaMudou) {
+            mudarTemaDaBarra(ativo ? CONFIG.temaContraste : CONFIG.temaPadrao);
+        }
+    }
+
+    /**
+     * Aplica as classes do esquema atual no body
+     * Com cores forçadas o sistema já controla as cores: nada é aplicado.
+     */
+    function aplicarClasses() {
+        const todasClasses = Object.values(CONFIG.esquemas)
+            .flatMap(({ classes }) => classes);
+
+        document.body.classList.remove(...todasClasses);
+
+        if (ativo && !coresForcadas) {
+            document.body.classList.add(...CONFIG.esquemas[esquemaAtual].classes);
+        }
+    }
+
+    /**
+     * Atualiza estado visual dos botões de esquema
+     */
+    function atualizarBotoes() {
+        botoes.forEach(botao => {
+            const estaAtivo = ativo && botao.getAttribute('data-contrast-scheme') === esquemaAtual;
+
+            botao.classList.toggle('active', estaAtivo);
+            botao.setAttribute('aria-pressed', estaAtivo);
+        });
+    }
+
+    /**
+     * Obtém a BarraAcessibilidade disponível na página
+     * (módulo da barra-acessibilidade.js ou objeto da wcag-aaa-emag.js)
+     * @returns {Object|null}
+     */
+    function obterBarra() {
+        if (window.BarraAcessibilidade) {
+            return window.BarraAcessibilidade;
+        }
+
+        return typeof BarraAcessibilidade !== 'undefined' ? BarraAcessibilidade : null;
+    }
+
+    /**
+     * Muda o tema da barra sem voltar para sincronizarTema()
+     * @param {string} tema - Tema da barra
+     */
+    function mudarTemaDaBarra(tema) {
+        const barra = obterBarra();
+
+        if (!barra || typeof barra.mudarTema !== 'function') {
+            return;
+        }
+
+        sincronizando = true;
+        try {
+            barra.mudarTema(tema);
+        } finally {
+            sincronizando = false;
+        }
+    }
+
+    /**
+     * Chamado por mudarTema() a cada troca de tema
+     * @param {string} tema - Tema escolhido na barra
+     */
+    function sincronizarTema(tema) {
+        if (sincronizando) {
+            return;
+        }
+
+        const querContraste = tema === CONFIG.temaContraste;
+
+        if (querContraste === ativo) {
+            return;
+        }
+
+        // A barra já mudou o tema: só acompanhar
+        ativo = querContraste;
+        aplicarClasses();
+        atualizarBotoes();
+        salvarPreferencia();
+
+        console.log(`🔗 Alto contraste sincronizado com tema: ${tema}`);
+    }
+
+    /**
+     * Salva preferência (js/preferencias.js)
+     */
+    function salvarPreferencia() {
+        try {
+            const preferencias = window.PreferenciasAcessibilidade;
+            preferencias.definir('esquemaContraste', esquemaAtual);
+            preferencias.definir('altoContraste', ativo);
+            console.log(`💾 Alto contraste salvo: ${ativo ? esquemaAtual : 'desativado'}`);
+        } catch (error) {
+            console.error('❌ Erro ao salvar alto contraste:', error);
+        }
+    }
+
+    /**
+     * Carrega preferência salva ou do sistema (prefers-contrast)
+     */
+    function carregarPreferencia() {
+        try {
+            const preferencias = window.PreferenciasAcessibilidade;
+
+            // Sem escolha nem sistema: o tema da barra já decidiu
+            if (preferencias.origem('altoContraste') === 'padrao') {
+                return;
+            }
+
+            const esquema = preferencias.obter('esquemaContraste');
+
+            preferencias.reaplicar(() => {
+                aplicarEstado(preferencias.obter('altoContraste'), esquema);
+            });
+            console.log(`✅ Alto contraste carregado (${preferencias.origem('altoContraste')}): ${ativo ? esquema : 'desativado'}`);
+        } catch (error) {
+            console.error('❌ Erro ao carregar alto contraste:', error);
+        }
+    }
+
+    /**
+     * Anuncia mudança para leitores de tela
+     * @param {string} mensagem - Mensagem a anunciar
+     */
+    function anunciar(mensagem) {
+        if (typeof window.anunciarParaLeitores === 'function') {
+            window.anunciarParaLeitores(mensagem, 'polite');
+        }
+    }
+
+    /**
+     * Verifica se alto contraste está ativo
+     * @returns {boolean} Estado atual
+     */
+    function isAtivo() {
+        return ativo;
+    }
+
+    /**
+     * Obtém esquema atual
+     * @returns {string} Esquema atual
+     */
+    function getEsquemaAtual() {
+        return esquemaAtual;
+    }
+
+    /**
+     * Lista esquemas disponíveis
+     * @returns {Array<string>} Nomes dos esquemas
+     */
+    function getEsquemasDisponiveis() {
+        return Object.keys(CONFIG.esquemas);
+    }
+
+    /**
+     * Verifica se o estado atual veio de prefers-contrast
+     * @returns {boolean}
+     */
+    function isSeguindoSistema() {
+        try {
+            return window.PreferenciasAcessibilidade.origem('altoContraste') === 'sistema';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Verifica se o sistema está forçando cores (forced-colors)
+     * @returns {boolean}
+     */
+    function isCoresForcadas() {
+        return coresForcadas;
+    }
+
+    // API Pública
+    return {
+        init,
+        toggle,
+        ativar,
+        desativar,
+        sincronizarTema,
+        isAtivo,
+        getEsquemaAtual,
+        getEsquemasDisponiveis,
+        isSeguindoSistema,
+        isCoresForcadas
+    };
+})();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.AltoContraste = AltoContraste;
+}
+
+// Auto-inicializar se DOM estiver pronto
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        AltoContraste.init();
+    });
+} else {
+    AltoContraste.init();
+}
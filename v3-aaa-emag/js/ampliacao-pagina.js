@@ -0,0 +1,541 @@
+/* ============================================
+   AMPLIAÇÃO DA PÁGINA - V3
+   Zoom contínuo até 400% (WCAG 1.4.10 - Reflow)
+   ============================================ */
+
+'use strict';
+
+/**
+ * Módulo de Ampliação da Página
+ * AumentarFonte troca o font-size do <html> em 5 passos, o que só
+ * aumenta o que está em rem; aqui a página inteira é ampliada com
+ * a propriedade CSS zoom (px, imagens e bordas juntos), como o zoom
+ * do navegador, e o layout refaz as linhas na largura disponível.
+ *
+ * - Controle deslizante (passos de 25%) e porcentagem livre
+ * - A cada nível, marca os elementos que passam da largura da
+ *   janela (rolagem horizontal, o que o 1.4.10 proíbe)
+ * - Relatório de todos os níveis de uma vez
+ * - O valor escolhido é o tamanho final do texto: com o modo
+ *   dislexia ativo, o aumento que ModoDislexia.ajustes.tamanhoBase
+ *   dá ao body (medido no CSS calculado) é descontado do zoom em
+ *   vez de se somar a ele
+ */
+const AmpliacaoPagina = (() => {
+    // Textos traduzidos (js/traducao.js)
+    const traduzir = window.traduzirAcessibilidade;
+
+    // Configuração (limites iguais aos do ESQUEMA em js/preferencias.js)
+    const CONFIG = {
+        minimo: 100,
+        maximo: 400,
+        passo: 25,
+        niveisRelatorio: [100, 150, 200, 300, 400],
+        tamanhoReferencia: '1.6rem', // texto do site sem o modo dislexia (body: --fonte-base)
+        propriedade: '--zoom-pagina',
+        classe: 'zoom-pagina',
+        atributoTransborda: 'data-zoom-transborda',
+        tolerancia: 1, // px de arredondamento ignorados
+        rolagemPropria: ['auto', 'scroll', 'hidden', 'clip'] // overflow-x que contém o transbordo
+    };
+
+    // Estado privado
+    let valor = CONFIG.minimo;     // Tamanho final escolhido (%)
+    let transbordos = [];
+    let entrada = null;            // <input type="range">
+    let campo = null;              // <input type="number">
+    let saida = null;
+    let botaoRelatorio = null;
+    let resumo = null;
+    let relatorio = null;
+    let titulo = null;
+
+    /**
+     * Inicializa o módulo
+     */
+    function init() {
+        console.log('🔍 Inicializando Ampliação da Página...');
+
+        criarControles();
+        configurarEventos();
+        carregarPreferencia();
+
+        console.log('✅ Ampliação da Página inicializada');
+        return true;
+    }
+
+    /**
+     * Cria os controles na barra (dentro de um <details>)
+     */
+    function criarControles() {
+        const barraAcessibilidade = document.querySelector('.acessibilidade-controles');
+
+        if (!barraAcessibilidade) {
+            console.warn('⚠️ Barra de acessibilidade não encontrada');
+            return;
+        }
+
+        const grupoControle = document.createElement('details');
+        grupoControle.className = 'controle-grupo ampliacao-pagina';
+
+        titulo = document.createElement('summary');
+        titulo.className = 'controle-label';
+
+        const linha = document.createElement('div');
+        linha.className = 'ampliacao-pagina-controle';
+
+        const rotuloEntrada = document.createElement('label');
+        rotuloEntrada.htmlFor = 'ampliacao-pagina-nivel';
+
+        entrada = document.createElement('input');
+        entrada.type = 'range';
+        entrada.id = 'ampliacao-pagina-nivel';
+        entrada.min = CONFIG.minimo;
+        entrada.max = CONFIG.maximo;
+        entrada.step = CONFIG.passo;
+        entrada.value = CONFIG.minimo;
+
+        saida = document.createElement('output');
+        saida.htmlFor = entrada.id;
+
+        const rotuloCampo = document.createElement('label');
+        rotuloCampo.htmlFor = 'ampliacao-pagina-porcentagem';
+
+        campo = document.createElement('input');
+        campo.type = 'number';
+        campo.id = 'ampliacao-pagina-porcentagem';
+        campo.min = CONFIG.minimo;
+        campo.max = CONFIG.maximo;
+        campo.step = 1;
+        campo.value = CONFIG.minimo;
+        campo.inputMode = 'numeric';
+
+        linha.append(rotuloEntrada, entrada, saida, rotuloCampo, campo);
+
+        resumo = document.createElement('p');
+        resumo.className = 'ampliacao-pagina-resumo';
+
+        botaoRelatorio = document.createElement('button');
+        botaoRelatorio.type = 'button';
+        botaoRelatorio.className = 'btn-controle';
+
+        relatorio = document.createElement('ul');
+        relatorio.className = 'ampliacao-pagina-relatorio';
+        relatorio.hidden = true;
+
+        grupoControle.append(titulo, linha, resumo, botaoRelatorio, relatorio);
+        barraAcessibilidade.appendChild(grupoControle);
+
+        atualizarTextos();
+    }
+
+    /**
+     * Configura event listeners
+     */
+    function configurarEventos() {
+        if (entrada) {
+            // Prévia ao arrastar, verificar e salvar ao soltar
+            entrada.addEventListener('input', () => aplicar(Number(entrada.value)));
+            entrada.addEventListener('change', () => confirmar());
+
+            // Porcentagem livre: vale no Enter ou ao sair do campo
+            campo.addEventListener('change', () => {
+                const numero = Math.round(Number(campo.value));
+
+                if (!Number.isFinite(numero) || numero < CONFIG.minimo || numero > CONFIG.maximo) {
+                    campo.setAttribute('aria-invalid', 'true');
+                    anunciar(traduzir('announcements.zoomOutOfRange', 'Digite uma porcentagem entre {{min}} e {{max}}',
+                        { min: CONFIG.minimo, max: CONFIG.maximo }));
+                    return;
+                }
+
+                campo.removeAttribute('aria-invalid');
+                aplicar(numero);
+                confirmar();
+            });
+
+            botaoRelatorio.addEventListener('click', () => verificarNiveis());
+        }
+
+        // Traduções da V4 (carregadas ou trocadas)
+        window.addEventListener('i18nready', atualizarTextos);
+        window.addEventListener('languagechanged', atualizarTextos);
+
+        // Zoom mudado em outra aba, por perfil importado ou reset;
+        // dislexia ligada ou desligada muda o quanto falta ampliar
+        window.addEventListener('preferenciasalteradas', (e) => {
+            const { nome, valor: novo } = e.detail;
+
+            if (nome === 'zoom' && novo !== valor) {
+                aplicar(novo);
+                procurarEMarcar();
+            } else if (nome === 'dislexia') {
+                aplicar(valor);
+                procurarEMarcar();
+            }
+        });
+    }
+
+    /**
+     * Atualiza textos dos controles no idioma atual
+     */
+    function atualizarTextos() {
+        if (!titulo) {
+            return;
+        }
+
+        titulo.textContent = traduzir('zoom.title', 'Zoom da página');
+        entrada.labels[0].textContent = traduzir('zoom.level', 'Nível de zoom');
+        campo.labels[0].textContent = traduzir('zoom.custom', 'Porcentagem ({{min}}–{{max}})',
+            { min: CONFIG.minimo, max: CONFIG.maximo });
+        botaoRelatorio.textContent = traduzir('zoom.checkLevels', 'Verificar rolagem horizontal em todos os níveis');
+
+        atualizarSaida();
+    }
+
+    /**
+     * Atualiza <output>, aria-valuetext, campo livre e aviso da dislexia
+     */
+    function atualizarSaida() {
+        if (!saida) {
+            return;
+        }
+
+        const texto = `${valor}%`;
+
+        saida.textContent = texto;
+        entrada.value = valor;
+        entrada.setAttribute('aria-valuetext', texto);
+
+        if (document.activeElement !== campo) {
+            campo.value = valor;
+        }
+
+        const fator = fatorDislexia();
+
+        resumo.textContent = fator > 1 && valor > CONFIG.minimo
+            ? traduzir('zoom.dyslexiaNote',
+                'O modo dislexia já aumenta o texto em {{percent}}%; o zoom aplicado é {{applied}}% para o total ficar em {{level}}%.',
+                { percent: Math.round((fator - 1) * 100), applied: Math.round(zoomAplicado(valor) * 100), level: valor })
+            : '';
+        resumo.hidden = resumo.textContent === '';
+    }
+
+    /**
+     * Quanto o modo dislexia já aumenta o texto (1 = nada)
+     * Compara o font-size calculado do body com o do texto de
+     * referência, medidos no mesmo lugar (o zoom vale para os dois).
+     * @returns {number}
+     */
+    function fatorDislexia() {
+        const dislexia = window.ModoDislexia;
+
+        if (!dislexia || !dislexia.isAtivo()) {
+            return 1;
+        }
+
+        const referencia = document.createElement('span');
+        referencia.style.fontSize = CONFIG.tamanhoReferencia;
+        referencia.hidden = true;
+        document.body.appendChild(referencia);
+
+        const tamanhoBody = parseFloat(getComputedStyle(document.body).fontSize);
+        const tamanhoReferencia = parseFloat(getComputedStyle(referencia).fontSize);
+        referencia.remove();
+
+        if (!(tamanhoBody > 0) || !(tamanhoReferencia > 0)) {
+            return 1;
+        }
+
+        return tamanhoBody / tamanhoReferencia;
+    }
+
+    /**
+     * Tamanho em que o texto está sendo mostrado (%)
+     * Dislexia medida vezes o zoom escrito no documento.
+     * @returns {number}
+     */
+    function getTamanhoTexto() {
+        const zoom = parseFloat(document.documentElement.style.getPropertyValue(CONFIG.propriedade)) || 1;
+        return Math.round(fatorDislexia() * zoom * 100);
+    }
+
+    /**
+     * Zoom CSS que leva o texto ao tamanho final pedido
+     * @param {number} nivel - Tamanho final (%)
+     * @returns {number} Fator de zoom (nunca menor que 1)
+     */
+    function zoomAplicado(nivel) {
+        return Math.max(1, nivel / 100 / fatorDislexia());
+    }
+
+    /**
+     * Aplica um nível (sem salvar nem verificar)
+     * @param {number} nivel - Entre CONFIG.minimo e CONFIG.maximo
+     * @returns {boolean} Sucesso da operação
+     */
+    function aplicar(nivel) {
+        if (!Number.isFinite(nivel) || nivel < CONFIG.minimo || nivel > CONFIG.maximo) {
+            console.warn(`⚠️ Zoom inválido: ${nivel}%`);
+            return false;
+        }
+
+        valor = Math.round(nivel);
+        aplicarNoDocumento(valor);
+        atualizarSaida();
+
+        return true;
+    }
+
+    /**
+     * Escreve o zoom no documento
+     * @param {number} nivel - Tamanho final (%)
+     */
+    function aplicarNoDocumento(nivel) {
+        const fator = zoomAplicado(nivel);
+        const root = document.documentElement;
+
+        if (fator > 1) {
+            root.style.setProperty(CONFIG.propriedade, fator.toFixed(4));
+        } else {
+            root.style.removeProperty(CONFIG.propriedade);
+        }
+
+        document.body.classList.toggle(CONFIG.classe, fator > 1);
+    }
+
+    /**
+     * Nível escolhido pelo usuário: verificar, salvar e anunciar
+     */
+    function confirmar() {
+        procurarEMarcar();
+        salvarPreferencia();
+
+        anunciar(traduzir('announcements.zoomChanged',
+            'Zoom da página em {{level}}%. {count, plural, =0 {Sem rolagem horizontal.} one {# elemento com rolagem horizontal.} other {# elementos com rolagem horizontal.}}',
+            { level: valor, count: transbordos.length }));
+    }
+
+    /**
+     * Procura transbordos no nível atual e marca no documento
+     * @returns {HTMLElement[]}
+     */
+    function procurarEMarcar() {
+        limparMarcas();
+        transbordos = procurarTransbordos();
+
+        transbordos.forEach(elemento => {
+            elemento.setAttribute(CONFIG.atributoTransborda, `${valor}`);
+        });
+
+        if (transbordos.length) {
+            console.table(transbordos.map(elemento => ({ zoom: `${valor}%`, elemento: descreverElemento(elemento) })));
+        }
+        console.log(`🔍 WCAG 1.4.10 em ${valor}%: ${transbordos.length} elemento(s) com rolagem horizontal`);
+
+        return transbordos.slice();
+    }
+
+    /**
+     * Remove as marcas do documento
+     */
+    function limparMarcas() {
+        document.querySelectorAll(`[${CONFIG.atributoTransborda}]`).forEach(elemento => {
+            elemento.removeAttribute(CONFIG.atributoTransborda);
+        });
+        transbordos = [];
+    }
+
+    /**
+     * Elementos que passam da borda da janela no sentido do texto
+     * Só o mais externo de cada caso; o que está dentro de uma área
+     * com rolagem própria (tabelas, código) é permitido pelo 1.4.10.
+     * @returns {HTMLElement[]}
+     */
+    function procurarTransbordos() {
+        const raiz = document.documentElement;
+        const limites = raiz.getBoundingClientRect();
+        const rtl = getComputedStyle(raiz).direction === 'rtl';
+        const encontrados = [];
+
+        document.body.querySelectorAll('*').forEach(elemento => {
+            if (elemento.closest('script, style, noscript, template, [hidden], [aria-hidden="true"], .sr-only, .skip-link')
+                || encontrados.some(externo => externo.contains(elemento))) {
+                return;
+            }
+
+            const caixa = elemento.getBoundingClientRect();
+            const passa = rtl ? limites.left - caixa.left : caixa.right - limites.right;
+
+            if (caixa.width > CONFIG.tolerancia && passa > CONFIG.tolerancia && !dentroDeRolagem(elemento)) {
+                encontrados.push(elemento);
+            }
+        });
+
+        return encontrados;
+    }
+
+    /**
+     * Verifica se um ancestral contém o transbordo (rola ou corta)
+     * @param {HTMLElement} elemento
+     * @returns {boolean}
+     */
+    function dentroDeRolagem(elemento) {
+        for (let atual = elemento.parentElement; atual && atual !== document.body; atual = atual.parentElement) {
+            if (CONFIG.rolagemPropria.includes(getComputedStyle(atual).overflowX)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Passa por CONFIG.niveisRelatorio e lista os transbordos de cada um
+     * Volta ao nível do usuário no fim.
+     * @returns {Object<number, string[]>} nível → elementos
+     */
+    function verificarNiveis() {
+        const resultado = {};
+
+        CONFIG.niveisRelatorio.forEach(nivel => {
+            aplicarNoDocumento(nivel);
+            resultado[nivel] = procurarTransbordos().map(descreverElemento);
+
+            // Com dislexia, o texto só não chega ao nível abaixo do aumento dela
+            const tamanho = getTamanhoTexto();
+
+            if (Math.abs(tamanho - nivel) > 1 && nivel >= fatorDislexia() * 100) {
+                console.warn(`⚠️ Zoom de ${nivel}% mostra o texto em ${tamanho}%`);
+            }
+        });
+
+        aplicarNoDocumento(valor);
+        procurarEMarcar();
+
+        if (relatorio) {
+            relatorio.innerHTML = '';
+
+            Object.entries(resultado).forEach(([nivel, elementos]) => {
+                const item = document.createElement('li');
+
+                item.textContent = elementos.length
+                    ? traduzir('zoom.overflowLevel', '{{level}}%: {{elements}}', { level: nivel, elements: elementos.join(', ') })
+                    : traduzir('zoom.noOverflow', '{{level}}%: sem rolagem horizontal', { level: nivel });
+
+                relatorio.appendChild(item);
+            });
+
+            relatorio.hidden = false;
+        }
+
+        const niveisComProblema = Object.values(resultado).filter(elementos => elementos.length).length;
+
+        anunciar(traduzir('announcements.zoomReport',
+            'Verificação do zoom: {count, plural, =0 {sem rolagem horizontal em nenhum dos {total} níveis} one {rolagem horizontal em # de {total} níveis} other {rolagem horizontal em # de {total} níveis}}',
+            { count: niveisComProblema, total: CONFIG.niveisRelatorio.length }));
+
+        console.log('🔍 WCAG 1.4.10 por nível:', resultado);
+        return resultado;
+    }
+
+    /**
+     * Seletor curto para o relatório
+     * @param {HTMLElement} elemento
+     * @returns {string}
+     */
+    function descreverElemento(elemento) {
+        const id = elemento.id ? `#${elemento.id}` : '';
+        const classes = Array.from(elemento.classList).map(classe => `.${classe}`).join('');
+
+        return `${elemento.tagName.toLowerCase()}${id}${classes}`;
+    }
+
+    /**
+     * Salva preferência (js/preferencias.js)
+     */
+    function salvarPreferencia() {
+        try {
+            window.PreferenciasAcessibilidade.definir('zoom', valor);
+            console.log(`💾 Zoom salvo: ${valor}%`);
+        } catch (error) {
+            console.error('❌ Erro ao salvar zoom:', error);
+        }
+    }
+
+    /**
+     * Carrega preferência salva
+     */
+    function carregarPreferencia() {
+        try {
+            aplicar(window.PreferenciasAcessibilidade.obter('zoom'));
+        } catch (error) {
+            console.error('❌ Erro ao carregar zoom:', error);
+        }
+    }
+
+    /**
+     * Anuncia mudança para leitores de tela
+     * @param {string} mensagem - Mensagem a anunciar
+     */
+    function anunciar(mensagem) {
+        if (typeof window.anunciarParaLeitores === 'function') {
+            // Mesma chave: digitar ou arrastar anuncia só o valor final
+            window.anunciarParaLeitores(mensagem, 'polite', { chave: 'zoom' });
+        }
+    }
+
+    /**
+     * Define o zoom pela API (aplica, verifica e salva)
+     * @param {number} nivel - Tamanho final em %
+     * @returns {boolean} Sucesso da operação
+     */
+    function setZoom(nivel) {
+        if (!aplicar(nivel)) {
+            return false;
+        }
+
+        confirmar();
+        return true;
+    }
+
+    /**
+     * Obtém o zoom escolhido
+     * @returns {number} Tamanho final em %
+     */
+    function getZoom() {
+        return valor;
+    }
+
+    /**
+     * Elementos com rolagem horizontal no nível atual
+     * @returns {HTMLElement[]}
+     */
+    function getTransbordos() {
+        return transbordos.slice();
+    }
+
+    // API Pública
+    return {
+        init,
+        setZoom,
+        getZoom,
+        getTransbordos,
+        getTamanhoTexto,
+        verificarNiveis
+    };
+})();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.AmpliacaoPagina = AmpliacaoPagina;
+}
+
+// Auto-inicializar se DOM estiver pronto
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        AmpliacaoPagina.init();
+    });
+} else {
+    AmpliacaoPagina.init();
+}
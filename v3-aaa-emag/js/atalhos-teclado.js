@@ -8,100 +8,251 @@
 /**
  * Módulo de Atalhos de Teclado
  * Implementa navegação rápida conforme eMAG e WCAG
+ *
+ * Cada ação tem uma tecla base; o esquema de modificador escolhido
+ * (Alt, Alt+Shift, Ctrl+Alt ou nenhum) forma a combinação. O usuário
+ * pode trocar o esquema, refazer ou remover o atalho de cada ação e
+ * desligar os atalhos de uma tecla só (WCAG 2.1.4). Tudo fica em
+ * 'atalhos' no js/preferencias.js:
+ *   { esquema: 'alt', teclas: { busca: 'Ctrl+Alt+F', ajuda: null }, teclaUnica: true }
+ * (teclas só guarda o que difere do esquema; null = sem atalho)
+ *
+ * Combinações normalizadas: modificadores na ordem Ctrl, Alt, Shift
+ * e uma tecla imprimível em maiúscula (ex: 'Alt+Shift+K') ou uma
+ * tecla física de KeyboardEvent.code (ex: 'Alt+KeyU'), que vale em
+ * qualquer layout (cirílico, árabe...).
+ *
+ * Na V4 cada idioma escolhe suas teclas em shortcuts.keys do JSON
+ * (caractere ou código físico); ao trocar de idioma o mapa, os
+ * accesskey e o painel são refeitos e 'atalhosalterados' é emitido.
  */
 const AtalhosTeclado = (() => {
-    // Mapa de atalhos
+    // Textos traduzidos (js/traducao.js)
+    const traduzir = window.traduzirAcessibilidade;
+    
+    // Mapa de atalhos (id da ação → tecla base; a ação recebe o alvo)
     const ATALHOS = {
         // Navegação principal (eMAG 2.1)
-        '1': {
-            tecla: 'Alt+1',
-            acao: () => navegarPara('#main-content'),
+        conteudo: {
+            tecla: '1',
+            alvo: '#main-content',
+            acao: navegarPara,
             descricao: 'Ir para conteúdo principal',
+            chave: 'shortcuts.actions.content',
             tipo: 'navegacao'
         },
-        '2': {
-            tecla: 'Alt+2',
-            acao: () => navegarPara('#main-nav'),
+        menu: {
+            tecla: '2',
+            alvo: '#main-nav',
+            acao: navegarPara,
             descricao: 'Ir para menu de navegação',
+            chave: 'shortcuts.actions.menu',
             tipo: 'navegacao'
         },
-        '3': {
-            tecla: 'Alt+3',
-            acao: () => focarElemento('#search'),
+        busca: {
+            tecla: '3',
+            alvo: '#search',
+            acao: focarElemento,
             descricao: 'Ir para busca',
+            chave: 'shortcuts.actions.search',
             tipo: 'navegacao'
         },
-        '4': {
-            tecla: 'Alt+4',
-            acao: () => navegarPara('#site-footer'),
+        rodape: {
+            tecla: '4',
+            alvo: '#site-footer',
+            acao: navegarPara,
             descricao: 'Ir para rodapé',
+            chave: 'shortcuts.actions.footer',
             tipo: 'navegacao'
         },
         
         // Seções do site
-        'h': {
-            tecla: 'Alt+H',
-            acao: () => navegarPara('#home'),
+        inicio: {
+            tecla: 'H',
+            alvo: '#home',
+            acao: navegarPara,
             descricao: 'Ir para página inicial',
+            chave: 'shortcuts.actions.home',
             tipo: 'secao'
         },
-        't': {
-            tecla: 'Alt+T',
-            acao: () => navegarPara('#tecnologia'),
+        tecnologia: {
+            tecla: 'T',
+            alvo: '#tecnologia',
+            acao: navegarPara,
             descricao: 'Ver notícias de tecnologia',
+            chave: 'shortcuts.actions.technology',
             tipo: 'secao'
         },
-        'e': {
-            tecla: 'Alt+E',
-            acao: () => navegarPara('#educacao'),
+        educacao: {
+            tecla: 'E',
+            alvo: '#educacao',
+            acao: navegarPara,
             descricao: 'Ver notícias de educação',
+            chave: 'shortcuts.actions.education',
             tipo: 'secao'
         },
-        'r': {
-            tecla: 'Alt+R',
-            acao: () => navegarPara('#regiao'),
+        regiao: {
+            tecla: 'R',
+            alvo: '#regiao',
+            acao: navegarPara,
             descricao: 'Ver notícias da região',
+            chave: 'shortcuts.actions.region',
             tipo: 'secao'
         },
-        's': {
-            tecla: 'Alt+S',
-            acao: () => navegarPara('#sobre'),
+        sobre: {
+            tecla: 'S',
+            alvo: '#sobre',
+            acao: navegarPara,
             descricao: 'Sobre o site',
+            chave: 'shortcuts.actions.about',
             tipo: 'secao'
         },
-        'b': {
-            tecla: 'Alt+B',
-            acao: () => focarElemento('#search'),
+        focarBusca: {
+            tecla: 'B',
+            alvo: '#search',
+            acao: focarElemento,
             descricao: 'Focar campo de busca',
+            chave: 'shortcuts.actions.focusSearch',
             tipo: 'acao'
         },
         
         // Acessibilidade
-        'a': {
-            tecla: 'Alt+A',
-            acao: () => navegarPara('#barra-acessibilidade'),
+        barraAcessibilidade: {
+            tecla: 'A',
+            alvo: '#barra-acessibilidade',
+            acao: navegarPara,
             descricao: 'Ir para barra de acessibilidade',
+            chave: 'shortcuts.actions.accessibilityBar',
             tipo: 'acessibilidade'
         },
-        'k': {
-            tecla: 'Alt+K',
-            acao: () => abrirModalAtalhos(),
+        ajuda: {
+            tecla: 'K',
+            acao: abrirModalAtalhos,
             descricao: 'Ver lista de atalhos de teclado',
+            chave: 'shortcuts.actions.help',
             tipo: 'ajuda'
         }
     };
     
+    // Esquemas de modificador
+    const ESQUEMAS = {
+        alt: {
+            modificadores: ['Alt'],
+            nome: 'Alt + tecla',
+            chave: 'shortcuts.customize.schemes.alt'
+        },
+        'alt-shift': {
+            modificadores: ['Alt', 'Shift'],
+            nome: 'Alt + Shift + tecla',
+            chave: 'shortcuts.customize.schemes.altShift'
+        },
+        'ctrl-alt': {
+            modificadores: ['Ctrl', 'Alt'],
+            nome: 'Ctrl + Alt + tecla',
+            chave: 'shortcuts.customize.schemes.ctrlAlt'
+        },
+        'tecla-unica': {
+            modificadores: [],
+            nome: 'Só a tecla (sem modificador)',
+            chave: 'shortcuts.customize.schemes.none'
+        }
+    };
+    
+    // Ordem dos modificadores na combinação normalizada
+    const MODIFICADORES = ['Ctrl', 'Alt', 'Shift'];
+    
+    // Tecla física (KeyboardEvent.code) aceita nas combinações
+    const TECLA_FISICA = /^(Key[A-Z]|Digit\d)$/;
+    
+    // Quem mais usa a combinação
+    const ORIGENS = {
+        navegador: { nome: 'Navegador', chave: 'shortcuts.conflicts.sources.browser' },
+        nvda: { nome: 'NVDA' },
+        jaws: { nome: 'JAWS' },
+        voiceover: { nome: 'VoiceOver' },
+        leitores: { nome: 'NVDA, JAWS e Orca' },
+        site: { nome: 'Este site', chave: 'shortcuts.conflicts.sources.site' }
+    };
+    
+    // Conflitos conhecidos (atalhos padrão de cada programa)
+    const CONFLITOS = [
+        {
+            padrao: /^Alt\+D$/,
+            origem: 'navegador',
+            descricao: 'Foca a barra de endereço',
+            chave: 'shortcuts.conflicts.addressBar'
+        },
+        {
+            padrao: /^Alt\+[FEVSBTH]$/,
+            origem: 'navegador',
+            descricao: 'Abre um menu do navegador (Firefox, Edge)',
+            chave: 'shortcuts.conflicts.browserMenu'
+        },
+        {
+            padrao: /^Alt\+[1-8]$/,
+            origem: 'navegador',
+            descricao: 'Troca de aba no Linux',
+            chave: 'shortcuts.conflicts.switchTabLinux'
+        },
+        {
+            padrao: /^Ctrl\+[1-9]$/,
+            origem: 'navegador',
+            descricao: 'Troca de aba',
+            chave: 'shortcuts.conflicts.switchTab'
+        },
+        {
+            padrao: /^Ctrl\+(Shift\+)?[A-Z]$/,
+            origem: 'navegador',
+            descricao: 'Pode ser um atalho do navegador',
+            chave: 'shortcuts.conflicts.browserReserved'
+        },
+        {
+            padrao: /^Ctrl\+Alt\+N$/,
+            origem: 'nvda',
+            descricao: 'Inicia o leitor de tela',
+            chave: 'shortcuts.conflicts.startScreenReader'
+        },
+        {
+            padrao: /^Ctrl\+Alt\+J$/,
+            origem: 'jaws',
+            descricao: 'Inicia o leitor de tela',
+            chave: 'shortcuts.conflicts.startScreenReader'
+        },
+        {
+            padrao: /^Ctrl\+Alt\+/,
+            origem: 'voiceover',
+            descricao: 'Control+Option é a tecla VO no macOS',
+            chave: 'shortcuts.conflicts.voiceOver'
+        },
+        {
+            padrao: /^(Shift\+)?.$/u,
+            origem: 'leitores',
+            descricao: 'Navegação rápida no modo de leitura',
+            chave: 'shortcuts.conflicts.quickNavigation'
+        },
+        {
+            padrao: /^Ctrl\+([+=0-]|Shift\+L)$/,
+            origem: 'site',
+            descricao: 'Tamanho da fonte ou seletor de idioma',
+            chave: 'shortcuts.conflicts.siteShortcut'
+        }
+    ];
+    
     // Configuração
     const CONFIG = {
-        prefixoAlt: true,
-        prefixoCtrl: false,
+        esquemaPadrao: 'alt',
         habilitado: true,
         logAtivado: true
     };
     
     // Estado
     let inicializado = false;
-    let atalhosPressionados = new Set();
+    let personalizacao = { esquema: CONFIG.esquemaPadrao, teclas: {}, teclaUnica: true };
+    let mapa = new Map();     // combinação → id da ação
+    let gravando = null;      // id da ação esperando nova combinação
+    let painel = null;
+    let teclasIdioma = {};    // id → tecla de shortcuts.keys (V4)
+    let layoutTeclado = null; // navigator.keyboard.getLayoutMap(), se houver
     
     /**
      * Inicializa o módulo
@@ -114,6 +265,11 @@ const AtalhosTeclado = (() => {
         
         console.log('⌨️ Inicializando Atalhos de Teclado...');
         
+        // Teclas do idioma (V4) e combinações escolhidas pelo usuário
+        carregarTeclasDoIdioma();
+        carregarPreferencia();
+        carregarLayoutTeclado();
+        
         // Configurar listener global
         configurarEventos();
         
@@ -135,21 +291,15 @@ const AtalhosTeclado = (() => {
     function configurarEventos() {
         // Keydown para detectar combinações
         document.addEventListener('keydown', (e) => {
-            if (!CONFIG.habilitado) return;
+            if (!CONFIG.habilitado || gravando) return;
             
-            // Detectar Alt + tecla
-            if (CONFIG.prefixoAlt && e.altKey && !e.ctrlKey && !e.shiftKey) {
-                const tecla = e.key.toLowerCase();
-                
-                if (ATALHOS[tecla]) {
-                    e.preventDefault();
-                    executarAtalho(tecla);
-                }
-            }
+            // Detectar combinação do mapa (tecla física primeiro)
+            const combinacao = combinacoesDoEvento(e).find(candidata => mapa.has(candidata));
+            const id = combinacao && mapa.get(combinacao);
             
-            // Tecla ESC para fechar modals/menus
-            if (e.key === 'Escape') {
-                fecharModaisAbertos();
+            if (id && podeExecutar(combinacao, e.target)) {
+                e.preventDefault();
+                executarAtalho(id);
             }
         });
         
@@ -161,33 +311,322 @@ const AtalhosTeclado = (() => {
                 return;
             }
         });
+        
+        // Teclas e textos do idioma (V4, carregado ou trocado)
+        window.addEventListener('i18nready', aoTrocarIdioma);
+        window.addEventListener('languagechanged', aoTrocarIdioma);
+        
+        // Atalhos mudados em outra aba, por perfil importado ou reset
+        window.addEventListener('preferenciasalteradas', (e) => {
+            const { nome, valor } = e.detail;
+            
+            if (nome === 'atalhos' && JSON.stringify(valor) !== JSON.stringify(personalizacao)) {
+                carregarPreferencia();
+                atualizarRegistro();
+            }
+        });
+    }
+    
+    /**
+     * Combinações possíveis de um keydown: pela tecla física e pelo
+     * caractere. Dígitos com Shift vêm de e.code (Shift+1 vira '!').
+     * @param {KeyboardEvent} e
+     * @returns {string[]} Ex: ['Alt+KeyH', 'Alt+H']; vazio para modificador
+     *   sozinho, Meta/Cmd ou tecla não imprimível
+     */
+    function combinacoesDoEvento(e) {
+        if (e.metaKey || !e.key || ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph'].includes(e.key)) {
+            return [];
+        }
+        
+        const modificadores = [];
+        if (e.ctrlKey) modificadores.push('Ctrl');
+        if (e.altKey) modificadores.push('Alt');
+        if (e.shiftKey) modificadores.push('Shift');
+        
+        const combinacoes = [];
+        
+        if (TECLA_FISICA.test(e.code || '')) {
+            combinacoes.push(montarCombinacao(modificadores, e.code));
+        }
+        
+        let tecla = e.key;
+        
+        if (e.shiftKey && /^Digit\d$/.test(e.code || '')) {
+            tecla = e.code.slice(-1);
+        }
+        
+        if (tecla.length === 1 && tecla !== ' ') {
+            combinacoes.push(montarCombinacao(modificadores, tecla));
+        }
+        
+        return combinacoes;
+    }
+    
+    /**
+     * Combinação a gravar para um keydown
+     * Caractere ASCII fica como caractere; fora disso (layout cirílico,
+     * Option do macOS) grava a tecla física, que não muda com o layout.
+     * @param {KeyboardEvent} e
+     * @returns {string|null}
+     */
+    function combinacaoParaGravar(e) {
+        const [primeira, segunda] = combinacoesDoEvento(e);
+        
+        if (!segunda) {
+            return primeira || null;
+        }
+        
+        const caractere = segunda.slice(-1);
+        return /^[\x21-\x7e]$/.test(caractere) ? segunda : primeira;
+    }
+    
+    /**
+     * Junta modificadores e tecla na forma normalizada
+     * @param {string[]} modificadores - 'Ctrl', 'Alt' e/ou 'Shift'
+     * @param {string} tecla - Um caractere ou código físico ('KeyU')
+     * @returns {string}
+     */
+    function montarCombinacao(modificadores, tecla) {
+        const ordenados = MODIFICADORES.filter(mod => modificadores.includes(mod));
+        
+        return [...ordenados, TECLA_FISICA.test(tecla) ? tecla : tecla.toUpperCase()].join('+');
+    }
+    
+    /**
+     * Normaliza uma tecla de shortcuts.keys
+     * @param {*} valor - Caractere ('B') ou código físico ('KeyB', 'Digit1')
+     * @returns {string|null}
+     */
+    function normalizarTecla(valor) {
+        if (typeof valor !== 'string') {
+            return null;
+        }
+        
+        if (TECLA_FISICA.test(valor)) {
+            return valor;
+        }
+        
+        return [...valor].length === 1 && valor.trim() !== '' && valor !== '+' ? valor.toUpperCase() : null;
+    }
+    
+    /**
+     * Lê as teclas do idioma atual (shortcuts.keys no JSON da V4)
+     * O nome de cada tecla é o fim da chave da ação
+     * (shortcuts.actions.search → shortcuts.keys.search).
+     */
+    function carregarTeclasDoIdioma() {
+        teclasIdioma = {};
+        
+        if (!window.i18n || typeof window.i18n.t !== 'function') {
+            return;
+        }
+        
+        const teclas = window.i18n.t('shortcuts.keys');
+        
+        // t() devolve a própria chave quando não encontra
+        if (!teclas || typeof teclas !== 'object') {
+            return;
+        }
+        
+        Object.keys(ATALHOS).forEach(id => {
+            const tecla = normalizarTecla(teclas[ATALHOS[id].chave.split('.').pop()]);
+            
+            if (tecla) {
+                teclasIdioma[id] = tecla;
+            }
+        });
+    }
+    
+    /**
+     * Rótulos reais das teclas físicas no layout do usuário
+     * (navigator.keyboard só existe em navegadores Chromium)
+     */
+    function carregarLayoutTeclado() {
+        if (!navigator.keyboard || typeof navigator.keyboard.getLayoutMap !== 'function') {
+            return;
+        }
+        
+        navigator.keyboard.getLayoutMap()
+            .then(layout => {
+                layoutTeclado = layout;
+                atualizarRegistro();
+            })
+            .catch(error => {
+                console.warn('⚠️ Layout do teclado indisponível:', error);
+            });
+    }
+    
+    /**
+     * Idioma carregado ou trocado: novas teclas e textos
+     */
+    function aoTrocarIdioma() {
+        carregarTeclasDoIdioma();
+        atualizarRegistro();
+    }
+    
+    /**
+     * Refaz mapa, accesskeys e painel e avisa quem mostra os atalhos
+     */
+    function atualizarRegistro() {
+        atualizarMapa();
+        adicionarAccessKeys();
+        renderizarPainel();
+        
+        window.dispatchEvent(new CustomEvent('atalhosalterados', {
+            detail: { atalhos: getAtalhos() }
+        }));
+    }
+    
+    /**
+     * Combinação para mostrar (tecla física vira o rótulo do layout)
+     * @param {string|null} combinacao - Normalizada
+     * @returns {string} Ex: 'Alt+Г' para 'Alt+KeyU' num layout russo
+     */
+    function formatarCombinacao(combinacao) {
+        if (!combinacao) {
+            return '';
+        }
+        
+        return combinacao.replace(/(Key[A-Z]|Digit\d)$/, codigo => rotuloDaTecla(codigo));
+    }
+    
+    /**
+     * Rótulo de uma tecla física
+     * @param {string} codigo - Ex: 'KeyU'
+     * @returns {string} Do layout atual ou a letra/dígito QWERTY
+     */
+    function rotuloDaTecla(codigo) {
+        const rotulo = layoutTeclado && layoutTeclado.get(codigo);
+        
+        return rotulo ? rotulo.toUpperCase() : codigo.slice(-1);
+    }
+    
+    /**
+     * Forma QWERTY da combinação, para comparar física com caractere
+     * @param {string} combinacao - Ex: 'Alt+KeyF'
+     * @returns {string} Ex: 'Alt+F'
+     */
+    function equivalenteQwerty(combinacao) {
+        return combinacao.replace(/(?:Key|Digit)(\w)$/, '$1');
+    }
+    
+    /**
+     * Verifica se é atalho de uma tecla só (sem Ctrl nem Alt)
+     * Shift não conta: Shift+K ainda digita um caractere (WCAG 2.1.4).
+     * @param {string} combinacao
+     * @returns {boolean}
+     */
+    function isTeclaUnica(combinacao) {
+        return !combinacao.startsWith('Ctrl+') && !combinacao.startsWith('Alt+');
+    }
+    
+    /**
+     * Atalhos de uma tecla só não valem desligados nem ao digitar
+     * @param {string} combinacao
+     * @param {EventTarget} alvo - Alvo do keydown
+     * @returns {boolean}
+     */
+    function podeExecutar(combinacao, alvo) {
+        if (!isTeclaUnica(combinacao)) {
+            return true;
+        }
+        
+        const digitando = alvo instanceof Element
+            && (alvo.isContentEditable || !!alvo.closest('input, textarea, select, [contenteditable="true"]'));
+        
+        return personalizacao.teclaUnica && !digitando;
+    }
+    
+    /**
+     * Combinação atual de uma ação
+     * @param {string} id - Id da ação em ATALHOS
+     * @returns {string|null} null = ação sem atalho
+     */
+    function combinacaoDe(id) {
+        if (id in personalizacao.teclas) {
+            return personalizacao.teclas[id];
+        }
+        
+        return combinacaoPadrao(id);
+    }
+    
+    /**
+     * Combinação da ação no esquema escolhido
+     * @param {string} id - Id da ação em ATALHOS
+     * @returns {string}
+     */
+    function combinacaoPadrao(id) {
+        return montarCombinacao(ESQUEMAS[personalizacao.esquema].modificadores, teclaDe(id));
+    }
+    
+    /**
+     * Tecla base da ação no idioma atual
+     * @param {string} id - Id da ação em ATALHOS
+     * @returns {string} De shortcuts.keys ou a de ATALHOS
+     */
+    function teclaDe(id) {
+        return teclasIdioma[id] || ATALHOS[id].tecla;
+    }
+    
+    /**
+     * Refaz o mapa combinação → ação
+     */
+    function atualizarMapa() {
+        mapa = new Map();
+        
+        Object.keys(ATALHOS).forEach(id => {
+            const combinacao = combinacaoDe(id);
+            
+            if (combinacao && !mapa.has(combinacao)) {
+                mapa.set(combinacao, id);
+            }
+        });
     }
     
     /**
      * Adiciona accesskey nos elementos HTML
+     * Refeito a cada mudança de atalho: o accesskey do navegador é
+     * Alt+tecla, então só fica quando a combinação da ação é essa.
      */
     function adicionarAccessKeys() {
-        Object.keys(ATALHOS).forEach(tecla => {
-            const atalho = ATALHOS[tecla];
+        Object.keys(ATALHOS).forEach(id => {
+            const atalho = ATALHOS[id];
             
-            // Extrair seletor da ação (se for navegarPara)
-            const acaoStr = atalho.acao.toString();
-            const match = acaoStr.match(/#[\w-]+/);
-            
-            if (match) {
-                const seletor = match[0];
-                const elemento = document.querySelector(seletor);
+            if (atalho.alvo) {
+                const elemento = document.querySelector(atalho.alvo);
+                
+                // Respeitar accesskey que veio no HTML
+                if (!elemento || (elemento.hasAttribute('accesskey') && !elemento.hasAttribute('data-atalho'))) {
+                    return;
+                }
                 
-                if (elemento && !elemento.hasAttribute('accesskey')) {
-                    elemento.setAttribute('accesskey', tecla);
-                    
-                    // Adicionar title com instrução
-                    const tituloAtual = elemento.getAttribute('title') || '';
-                    const novoTitulo = tituloAtual 
-                        ? `${tituloAtual} (${atalho.tecla})`
-                        : atalho.tecla;
-                    
+                const combinacao = combinacaoDe(id);
+                const tecla = teclaDe(id);
+                const rotulo = formatarCombinacao(combinacao);
+                
+                // Title original guardado para trocar só a instrução
+                if (!elemento.hasAttribute('data-atalho')) {
+                    elemento.setAttribute('data-atalho-titulo', elemento.getAttribute('title') || '');
+                }
+                elemento.setAttribute('data-atalho', id);
+                
+                if (combinacao === `Alt+${tecla}`) {
+                    elemento.setAttribute('accesskey', (TECLA_FISICA.test(tecla) ? rotuloDaTecla(tecla) : tecla).toLowerCase());
+                } else {
+                    elemento.removeAttribute('accesskey');
+                }
+                
+                // Adicionar title com instrução
+                const tituloAtual = elemento.getAttribute('data-atalho-titulo');
+                const novoTitulo = tituloAtual && rotulo
+                    ? `${tituloAtual} (${rotulo})`
+                    : (rotulo || tituloAtual);
+                
+                if (novoTitulo) {
                     elemento.setAttribute('title', novoTitulo);
+                } else {
+                    elemento.removeAttribute('title');
                 }
             }
         });
@@ -197,30 +636,30 @@ const AtalhosTeclado = (() => {
     
     /**
      * Executa um atalho específico
-     * @param {string} tecla - Tecla do atalho
+     * @param {string} id - Id da ação em ATALHOS (ex: 'busca')
      */
-    function executarAtalho(tecla) {
-        const atalho = ATALHOS[tecla];
+    function executarAtalho(id) {
+        const atalho = ATALHOS[id];
         
         if (!atalho) {
-            console.warn(`⚠️ Atalho não encontrado: ${tecla}`);
+            console.warn(`⚠️ Atalho não encontrado: ${id}`);
             return false;
         }
         
         // Log
         if (CONFIG.logAtivado) {
-            console.log(`⌨️ Atalho ativado: ${atalho.tecla} - ${atalho.descricao}`);
+            console.log(`⌨️ Atalho ativado: ${formatarCombinacao(combinacaoDe(id)) || id} - ${descrever(atalho)}`);
         }
         
         // Executar ação
         try {
-            atalho.acao();
+            atalho.acao(atalho.alvo);
             
             // Anunciar para leitores de tela
-            anunciar(atalho.descricao);
+            anunciar(descrever(atalho));
             
             // Feedback visual (opcional)
-            mostrarFeedbackVisual(atalho.descricao);
+            mostrarFeedbackVisual(descrever(atalho));
             
             return true;
         } catch (error) {
@@ -238,7 +677,7 @@ const AtalhosTeclado = (() => {
         
         if (!elemento) {
             console.warn(`⚠️ Elemento não encontrado: ${seletor}`);
-            anunciar('Seção não disponível');
+            anunciar(traduzir('announcements.sectionUnavailable', 'Seção não disponível'));
             return false;
         }
         
@@ -318,29 +757,14 @@ const AtalhosTeclado = (() => {
         } else {
             // Fallback: mostrar lista em console
             console.table(
-                Object.keys(ATALHOS).map(k => ({
-                    Tecla: ATALHOS[k].tecla,
-                    Descrição: ATALHOS[k].descricao,
-                    Tipo: ATALHOS[k].tipo
+                Object.keys(ATALHOS).map(id => ({
+                    Tecla: formatarCombinacao(combinacaoDe(id)) || '-',
+                    Descrição: descrever(ATALHOS[id]),
+                    Tipo: ATALHOS[id].tipo
                 }))
             );
             
-            anunciar('Lista de atalhos exibida no console');
-        }
-    }
-    
-    /**
-     * Fecha modais e menus abertos (ESC)
-     */
-    function fecharModaisAbertos() {
-        // Fechar modal de atalhos
-        if (window.ModalAtalhos && typeof window.ModalAtalhos.fechar === 'function') {
-            window.ModalAtalhos.fechar();
-        }
-        
-        // Fechar menu mobile
-        if (window.MenuMobile && typeof window.MenuMobile.fechar === 'function') {
-            window.MenuMobile.fechar();
+            anunciar(traduzir('announcements.shortcutsInConsole', 'Lista de atalhos exibida no console'));
         }
     }
     
@@ -383,6 +807,15 @@ const AtalhosTeclado = (() => {
         }, 2000);
     }
     
+    /**
+     * Descrição do atalho no idioma atual
+     * @param {Object} atalho - Entrada de ATALHOS
+     * @returns {string} Descrição traduzida
+     */
+    function descrever(atalho) {
+        return traduzir(atalho.chave, atalho.descricao);
+    }
+    
     /**
      * Anuncia mensagem para leitores de tela
      * @param {string} mensagem - Mensagem a anunciar
@@ -395,22 +828,39 @@ const AtalhosTeclado = (() => {
     
     /**
      * Verifica preferência de movimento reduzido
+     * (escolha na barra ou, sem escolha, o sistema)
      * @returns {boolean} Prefere movimento reduzido
      */
     function preferenciaMovimentoReduzido() {
+        if (window.PreferenciasAcessibilidade) {
+            return window.PreferenciasAcessibilidade.obter('movimentoReduzido');
+        }
+        
         return window.matchMedia && 
                window.matchMedia('(prefers-reduced-motion: reduce)').matches;
     }
     
+    /**
+     * Verifica se a ação tem onde agir nesta página
+     * @param {string} id - Id da ação em ATALHOS
+     * @returns {boolean} Falso se o elemento alvo não existe
+     */
+    function isDisponivel(id) {
+        const { alvo } = ATALHOS[id];
+        return !alvo || !!document.querySelector(alvo);
+    }
+    
     /**
      * Obtém lista de todos os atalhos
      * @returns {Array} Array com informações dos atalhos
      */
     function getAtalhos() {
-        return Object.keys(ATALHOS).map(tecla => ({
-            tecla: ATALHOS[tecla].tecla,
-            descricao: ATALHOS[tecla].descricao,
-            tipo: ATALHOS[tecla].tipo
+        return Object.keys(ATALHOS).map(id => ({
+            id,
+            tecla: formatarCombinacao(combinacaoDe(id)),
+            descricao: descrever(ATALHOS[id]),
+            tipo: ATALHOS[id].tipo,
+            disponivel: isDisponivel(id)
         }));
     }
     
@@ -421,8 +871,8 @@ const AtalhosTeclado = (() => {
     function getAtalhosPorTipo() {
         const agrupados = {};
         
-        Object.keys(ATALHOS).forEach(tecla => {
-            const atalho = ATALHOS[tecla];
+        Object.keys(ATALHOS).forEach(id => {
+            const atalho = ATALHOS[id];
             const tipo = atalho.tipo;
             
             if (!agrupados[tipo]) {
@@ -430,8 +880,10 @@ const AtalhosTeclado = (() => {
             }
             
             agrupados[tipo].push({
-                tecla: atalho.tecla,
-                descricao: atalho.descricao
+                id,
+                tecla: formatarCombinacao(combinacaoDe(id)),
+                descricao: descrever(atalho),
+                disponivel: isDisponivel(id)
             });
         });
         
@@ -455,6 +907,563 @@ const AtalhosTeclado = (() => {
         return CONFIG.habilitado;
     }
     
+    /**
+     * Normaliza uma combinação digitada ou salva
+     * @param {string} texto - Ex: 'ctrl+alt+k', 'Alt+1', 'Alt+KeyU'
+     * @returns {string|null} Forma normalizada ou null se inválida
+     */
+    function normalizarCombinacao(texto) {
+        const partes = /^((?:(?:ctrl|alt|shift)\+)*)(Key[A-Z]|Digit\d|.)$/iu.exec(String(texto).trim());
+        
+        if (!partes) {
+            return null;
+        }
+        
+        const modificadores = partes[1].split('+').filter(Boolean)
+            .map(mod => mod.charAt(0).toUpperCase() + mod.slice(1).toLowerCase());
+        
+        return montarCombinacao(modificadores, partes[2]);
+    }
+    
+    /**
+     * Outra ação que já usa a combinação (física ou caractere)
+     * @param {string} combinacao - Normalizada
+     * @param {string} [id] - Ação a ignorar
+     * @returns {string[]} Ids das ações
+     */
+    function acoesCom(combinacao, id) {
+        const alvo = equivalenteQwerty(combinacao);
+        
+        return Object.keys(ATALHOS).filter(outro => {
+            const atual = combinacaoDe(outro);
+            return outro !== id && atual && equivalenteQwerty(atual) === alvo;
+        });
+    }
+    
+    /**
+     * Conflitos conhecidos de uma combinação
+     * @param {string} combinacao - Ex: 'Alt+F'
+     * @param {string} [id] - Ação que usaria a combinação (não conflita consigo)
+     * @returns {Array<{origem: string, descricao: string}>} Textos no idioma atual
+     */
+    function getConflitos(combinacao, id) {
+        const normalizada = normalizarCombinacao(combinacao);
+        
+        if (!normalizada) {
+            return [];
+        }
+        
+        // Os padrões são QWERTY; tecla física compara pela sua letra
+        const qwerty = equivalenteQwerty(normalizada);
+        
+        const conflitos = CONFLITOS
+            .filter(conflito => conflito.padrao.test(qwerty))
+            .map(conflito => ({
+                origem: nomeOrigem(conflito.origem),
+                descricao: traduzir(conflito.chave, conflito.descricao)
+            }));
+        
+        // Outra ação deste site com a mesma combinação
+        acoesCom(normalizada, id).forEach(outro => {
+            conflitos.unshift({
+                origem: nomeOrigem('site'),
+                descricao: traduzir('shortcuts.conflicts.otherAction', 'Também usado por: {{action}}', {
+                    action: descrever(ATALHOS[outro])
+                })
+            });
+        });
+        
+        return conflitos;
+    }
+    
+    /**
+     * Nome de quem mais usa a combinação
+     * @param {string} origem - Chave de ORIGENS
+     * @returns {string}
+     */
+    function nomeOrigem(origem) {
+        const { nome, chave } = ORIGENS[origem];
+        return chave ? traduzir(chave, nome) : nome;
+    }
+    
+    /**
+     * Define (ou remove) a combinação de uma ação
+     * @param {string} id - Id da ação em ATALHOS
+     * @param {string|null} combinacao - Ex: 'Ctrl+Alt+B'; null remove o atalho
+     * @returns {boolean} Falso se inválida ou já usada por outra ação
+     */
+    function definirAtalho(id, combinacao) {
+        if (!ATALHOS[id]) {
+            console.warn(`⚠️ Atalho não encontrado: ${id}`);
+            return false;
+        }
+        
+        let normalizada = null;
+        
+        if (combinacao !== null) {
+            normalizada = normalizarCombinacao(combinacao);
+            
+            if (!normalizada) {
+                console.warn(`⚠️ Combinação inválida: ${combinacao}`);
+                return false;
+            }
+            
+            const [ocupante] = acoesCom(normalizada, id);
+            
+            if (ocupante) {
+                mostrarStatus(traduzir('announcements.shortcutInUse', '{{shortcut}} já é usado por: {{action}}', {
+                    shortcut: formatarCombinacao(normalizada),
+                    action: descrever(ATALHOS[ocupante])
+                }));
+                return false;
+            }
+        }
+        
+        gravando = null;
+        personalizacao.teclas[id] = normalizada;
+        aplicarMudanca();
+        
+        const acao = descrever(ATALHOS[id]);
+        let mensagem = normalizada
+            ? traduzir('announcements.shortcutChanged', '{{action}}: {{shortcut}}', { action: acao, shortcut: formatarCombinacao(normalizada) })
+            : traduzir('announcements.shortcutRemoved', 'Atalho removido: {{action}}', { action: acao });
+        
+        const conflitos = normalizada ? getConflitos(normalizada, id) : [];
+        
+        if (conflitos.length) {
+            mensagem += '. ' + traduzir('announcements.shortcutConflicts', 'Pode conflitar com: {{sources}}', {
+                sources: [...new Set(conflitos.map(conflito => conflito.origem))].join(', ')
+            });
+        }
+        
+        mostrarStatus(mensagem);
+        return true;
+    }
+    
+    /**
+     * Troca o esquema de modificador
+     * @param {string} esquema - 'alt', 'alt-shift', 'ctrl-alt' ou 'tecla-unica'
+     * @returns {boolean} Sucesso da operação
+     */
+    function setEsquema(esquema) {
+        if (!ESQUEMAS[esquema]) {
+            console.warn(`⚠️ Esquema de atalhos inválido: ${esquema}`);
+            return false;
+        }
+        
+        personalizacao.esquema = esquema;
+        
+        // Quem escolhe "só a tecla" quer esses atalhos ligados
+        if (esquema === 'tecla-unica') {
+            personalizacao.teclaUnica = true;
+        }
+        
+        aplicarMudanca();
+        
+        const { chave, nome } = ESQUEMAS[esquema];
+        mostrarStatus(traduzir('announcements.shortcutSchemeChanged', 'Atalhos: {{scheme}}', {
+            scheme: traduzir(chave, nome)
+        }));
+        
+        return true;
+    }
+    
+    /**
+     * Liga ou desliga os atalhos de uma tecla só (WCAG 2.1.4)
+     * @param {boolean} permitir
+     */
+    function setTeclaUnica(permitir) {
+        personalizacao.teclaUnica = !!permitir;
+        aplicarMudanca();
+        
+        mostrarStatus(permitir
+            ? traduzir('announcements.singleKeyShortcutsOn', 'Atalhos de uma tecla só ativados')
+            : traduzir('announcements.singleKeyShortcutsOff', 'Atalhos de uma tecla só desativados'));
+    }
+    
+    /**
+     * Volta ao esquema Alt e às teclas originais
+     */
+    function restaurarPadroes() {
+        personalizacao = { esquema: CONFIG.esquemaPadrao, teclas: {}, teclaUnica: true };
+        gravando = null;
+        
+        try {
+            window.PreferenciasAcessibilidade.remover('atalhos');
+        } catch (error) {
+            console.error('❌ Erro ao restaurar atalhos:', error);
+        }
+        
+        atualizarRegistro();
+        
+        mostrarStatus(traduzir('announcements.shortcutsRestored', 'Atalhos padrão restaurados'));
+    }
+    
+    /**
+     * Salva e refaz mapa, accesskeys e painel
+     */
+    function aplicarMudanca() {
+        // Só guardar o que difere do esquema
+        Object.keys(personalizacao.teclas).forEach(id => {
+            if (personalizacao.teclas[id] === combinacaoPadrao(id)) {
+                delete personalizacao.teclas[id];
+            }
+        });
+        
+        salvarPreferencia();
+        atualizarRegistro();
+    }
+    
+    /**
+     * Salva preferência (js/preferencias.js)
+     */
+    function salvarPreferencia() {
+        try {
+            window.PreferenciasAcessibilidade.definir('atalhos', {
+                ...personalizacao,
+                teclas: { ...personalizacao.teclas }
+            });
+        } catch (error) {
+            console.error('❌ Erro ao salvar atalhos:', error);
+        }
+    }
+    
+    /**
+     * Carrega combinações salvas (ignora ações e combinações inválidas)
+     */
+    function carregarPreferencia() {
+        personalizacao = { esquema: CONFIG.esquemaPadrao, teclas: {}, teclaUnica: true };
+        
+        try {
+            const salvo = window.PreferenciasAcessibilidade.obter('atalhos') || {};
+            
+            if (ESQUEMAS[salvo.esquema]) {
+                personalizacao.esquema = salvo.esquema;
+            }
+            
+            personalizacao.teclaUnica = salvo.teclaUnica !== false;
+            
+            Object.entries(salvo.teclas || {}).forEach(([id, combinacao]) => {
+                if (!ATALHOS[id]) {
+                    return;
+                }
+                
+                const normalizada = combinacao === null ? null : normalizarCombinacao(combinacao);
+                
+                if (combinacao === null || normalizada) {
+                    personalizacao.teclas[id] = normalizada;
+                }
+            });
+        } catch (error) {
+            console.error('❌ Erro ao carregar atalhos:', error);
+        }
+        
+        atualizarMapa();
+    }
+    
+    /**
+     * Obtém esquema, combinações trocadas e estado da tecla única
+     * @returns {{esquema: string, teclas: Object, teclaUnica: boolean}}
+     */
+    function getPersonalizacao() {
+        return { ...personalizacao, teclas: { ...personalizacao.teclas } };
+    }
+    
+    /**
+     * Cria o painel de personalização (o ModalAtalhos o inclui)
+     * @returns {HTMLElement} O mesmo painel nas chamadas seguintes
+     */
+    function criarPainelPersonalizacao() {
+        if (painel) {
+            return painel;
+        }
+        
+        painel = document.createElement('section');
+        painel.className = 'atalhos-personalizar';
+        painel.setAttribute('aria-labelledby', 'atalhos-personalizar-titulo');
+        
+        painel.innerHTML = `
+            <h3 id="atalhos-personalizar-titulo"></h3>
+            <div class="atalhos-opcoes">
+                <label for="atalhos-esquema"></label>
+                <select id="atalhos-esquema"></select>
+                <label class="atalhos-tecla-unica">
+                    <input type="checkbox" id="atalhos-tecla-unica">
+                    <span></span>
+                </label>
+            </div>
+            <table class="atalhos-tabela">
+                <thead>
+                    <tr>
+                        <th scope="col" data-coluna="acao"></th>
+                        <th scope="col" data-coluna="atalho"></th>
+                        <th scope="col" data-coluna="opcoes"></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <button type="button" class="btn-controle atalhos-restaurar"></button>
+            <p class="atalhos-status"></p>
+        `;
+        
+        configurarPainel();
+        renderizarPainel();
+        
+        return painel;
+    }
+    
+    /**
+     * Eventos do painel (delegados: as linhas são refeitas)
+     */
+    function configurarPainel() {
+        const corpo = painel.querySelector('tbody');
+        
+        painel.querySelector('#atalhos-esquema').addEventListener('change', (e) => {
+            setEsquema(e.target.value);
+        });
+        
+        painel.querySelector('#atalhos-tecla-unica').addEventListener('change', (e) => {
+            setTeclaUnica(e.target.checked);
+        });
+        
+        painel.querySelector('.atalhos-restaurar').addEventListener('click', restaurarPadroes);
+        
+        corpo.addEventListener('click', (e) => {
+            const botao = e.target.closest('button');
+            const id = botao && botao.closest('tr').dataset.atalho;
+            
+            if (!id) {
+                return;
+            }
+            
+            if (botao.classList.contains('atalho-alterar')) {
+                iniciarGravacao(id, botao);
+            } else if (botao.classList.contains('atalho-remover')) {
+                definirAtalho(id, null);
+                focarBotao(id, '.atalho-alterar');
+            }
+        });
+        
+        corpo.addEventListener('keydown', (e) => {
+            if (gravando && e.target.classList.contains('atalho-alterar')) {
+                gravarTecla(e);
+            }
+        });
+        
+        corpo.addEventListener('focusout', (e) => {
+            if (gravando && e.target.classList.contains('atalho-alterar')) {
+                cancelarGravacao();
+            }
+        });
+    }
+    
+    /**
+     * Espera a próxima combinação no botão "Alterar"
+     * @param {string} id - Id da ação
+     * @param {HTMLButtonElement} botao
+     */
+    function iniciarGravacao(id, botao) {
+        if (gravando === id) {
+            cancelarGravacao();
+            return;
+        }
+        
+        gravando = id;
+        botao.setAttribute('aria-pressed', 'true');
+        botao.textContent = traduzir('shortcuts.customize.recording', 'Pressione a combinação (Esc cancela)');
+        botao.focus();
+        
+        mostrarStatus(traduzir('announcements.shortcutRecording',
+            'Pressione a nova combinação para {{action}}. Esc cancela, Delete remove.', {
+                action: descrever(ATALHOS[id])
+            }));
+    }
+    
+    /**
+     * Trata a tecla pressionada durante a gravação
+     * @param {KeyboardEvent} e
+     */
+    function gravarTecla(e) {
+        // Tab continua navegando (não prender o foco)
+        if (e.key === 'Tab') {
+            cancelarGravacao();
+            return;
+        }
+        
+        // Nada de fechar o modal ou disparar atalhos durante a gravação
+        e.preventDefault();
+        e.stopPropagation();
+        
+        const id = gravando;
+        
+        if (e.key === 'Escape') {
+            cancelarGravacao();
+            return;
+        }
+        
+        if (e.key === 'Backspace' || e.key === 'Delete') {
+            gravando = null;
+            definirAtalho(id, null);
+            focarBotao(id, '.atalho-alterar');
+            return;
+        }
+        
+        const combinacao = combinacaoParaGravar(e);
+        
+        if (!combinacao) {
+            // Modificador sozinho: esperar o resto da combinação
+            if (!['Control', 'Alt', 'Shift', 'AltGraph'].includes(e.key)) {
+                mostrarStatus(traduzir('announcements.shortcutKeyNotSupported',
+                    'Use uma letra, número ou símbolo, com ou sem Ctrl, Alt e Shift'));
+            }
+            return;
+        }
+        
+        if (definirAtalho(id, combinacao)) {
+            focarBotao(id, '.atalho-alterar');
+        }
+    }
+    
+    /**
+     * Sai da gravação sem mudar nada
+     * Só o botão volta ao normal: refazer as linhas aqui (no focusout)
+     * engoliria o clique em outro botão do painel.
+     */
+    function cancelarGravacao() {
+        const botao = painel && painel.querySelector(`tr[data-atalho="${gravando}"] .atalho-alterar`);
+        
+        gravando = null;
+        
+        if (botao) {
+            botao.setAttribute('aria-pressed', 'false');
+            botao.textContent = traduzir('shortcuts.customize.change', 'Alterar');
+        }
+    }
+    
+    /**
+     * Foca um botão da linha de uma ação (as linhas são refeitas)
+     * @param {string} id - Id da ação
+     * @param {string} seletor - '.atalho-alterar' ou '.atalho-remover'
+     */
+    function focarBotao(id, seletor) {
+        const botao = painel && painel.querySelector(`tr[data-atalho="${id}"] ${seletor}`);
+        
+        if (botao) {
+            botao.focus();
+        }
+    }
+    
+    /**
+     * Refaz textos e linhas do painel no idioma e estado atuais
+     */
+    function renderizarPainel() {
+        if (!painel || gravando) {
+            return;
+        }
+        
+        painel.querySelector('h3').textContent = traduzir('shortcuts.customize.title', 'Personalizar atalhos');
+        painel.querySelector('label[for="atalhos-esquema"]').textContent = traduzir('shortcuts.customize.scheme', 'Modificador:');
+        painel.querySelector('.atalhos-tecla-unica span').textContent = traduzir('shortcuts.customize.singleKey', 'Permitir atalhos de uma tecla só');
+        painel.querySelector('#atalhos-tecla-unica').checked = personalizacao.teclaUnica;
+        painel.querySelector('[data-coluna="acao"]').textContent = traduzir('shortcuts.customize.action', 'Ação');
+        painel.querySelector('[data-coluna="atalho"]').textContent = traduzir('shortcuts.customize.shortcut', 'Atalho');
+        painel.querySelector('[data-coluna="opcoes"]').textContent = traduzir('shortcuts.customize.options', 'Opções');
+        painel.querySelector('.atalhos-restaurar').textContent = traduzir('shortcuts.customize.restore', 'Restaurar atalhos padrão');
+        
+        const seletor = painel.querySelector('#atalhos-esquema');
+        seletor.innerHTML = '';
+        
+        Object.entries(ESQUEMAS).forEach(([esquema, { chave, nome }]) => {
+            seletor.appendChild(new Option(traduzir(chave, nome), esquema, false, esquema === personalizacao.esquema));
+        });
+        
+        const corpo = painel.querySelector('tbody');
+        corpo.innerHTML = '';
+        
+        Object.keys(ATALHOS).forEach(id => {
+            corpo.appendChild(criarLinha(id));
+        });
+    }
+    
+    /**
+     * Linha do painel: ação, combinação com avisos e botões
+     * @param {string} id - Id da ação
+     * @returns {HTMLTableRowElement}
+     */
+    function criarLinha(id) {
+        const acao = descrever(ATALHOS[id]);
+        const combinacao = combinacaoDe(id);
+        
+        const linha = document.createElement('tr');
+        linha.dataset.atalho = id;
+        
+        const nome = document.createElement('th');
+        nome.scope = 'row';
+        nome.textContent = acao;
+        
+        const celula = document.createElement('td');
+        const tecla = document.createElement('kbd');
+        tecla.textContent = formatarCombinacao(combinacao) || traduzir('shortcuts.customize.none', 'Sem atalho');
+        celula.appendChild(tecla);
+        
+        const avisos = combinacao
+            ? getConflitos(combinacao, id).map(({ origem, descricao }) => `${origem}: ${descricao}`)
+            : [];
+        
+        if (combinacao && isTeclaUnica(combinacao) && !personalizacao.teclaUnica) {
+            avisos.unshift(traduzir('shortcuts.customize.singleKeyOff', 'Desligado: atalhos de uma tecla só estão desativados'));
+        }
+        
+        const alterar = document.createElement('button');
+        alterar.type = 'button';
+        alterar.className = 'btn-controle atalho-alterar';
+        alterar.setAttribute('aria-pressed', 'false');
+        alterar.textContent = traduzir('shortcuts.customize.change', 'Alterar');
+        alterar.setAttribute('aria-label', traduzir('shortcuts.customize.changeLabel', 'Alterar atalho: {{action}}', { action: acao }));
+        
+        if (avisos.length) {
+            const lista = document.createElement('ul');
+            lista.className = 'atalhos-conflitos';
+            lista.id = `atalho-conflitos-${id}`;
+            
+            avisos.forEach(aviso => {
+                const item = document.createElement('li');
+                item.textContent = aviso;
+                lista.appendChild(item);
+            });
+            
+            celula.appendChild(lista);
+            alterar.setAttribute('aria-describedby', lista.id);
+        }
+        
+        const remover = document.createElement('button');
+        remover.type = 'button';
+        remover.className = 'btn-controle atalho-remover';
+        remover.textContent = traduzir('shortcuts.customize.remove', 'Remover');
+        remover.setAttribute('aria-label', traduzir('shortcuts.customize.removeLabel', 'Remover atalho: {{action}}', { action: acao }));
+        remover.disabled = !combinacao;
+        
+        const opcoes = document.createElement('td');
+        opcoes.append(alterar, ' ', remover);
+        
+        linha.append(nome, celula, opcoes);
+        return linha;
+    }
+    
+    /**
+     * Mostra mensagem no painel e anuncia
+     * @param {string} mensagem
+     */
+    function mostrarStatus(mensagem) {
+        const status = painel && painel.querySelector('.atalhos-status');
+        
+        if (status) {
+            status.textContent = mensagem;
+        }
+        
+        anunciar(mensagem);
+    }
+    
     // API Pública
     return {
         init,
@@ -464,7 +1473,14 @@ const AtalhosTeclado = (() => {
         getAtalhos,
         getAtalhosPorTipo,
         setHabilitado,
-        isHabilitado
+        isHabilitado,
+        definirAtalho,
+        setEsquema,
+        setTeclaUnica,
+        restaurarPadroes,
+        getConflitos,
+        getPersonalizacao,
+        criarPainelPersonalizacao
     };
 })();
 
@@ -10,14 +10,16 @@
  * Permite aumentar/diminuir fonte em 5 níveis
  */
 const AumentarFonte = (() => {
+    // Textos traduzidos (js/traducao.js)
+    const traduzir = window.traduzirAcessibilidade;
+    
     // Configuração
     const CONFIG = {
         tamanhosDisponiveis: [85, 100, 115, 130, 145], // Percentuais
         indiceInicial: 1, // 100% (padrão)
         teclaAumentar: '+',
         teclaDiminuir: '-',
-        teclaResetar: '0',
-        prefKey: 'cabra-tech-v3-fonte'
+        teclaResetar: '0'
     };
     
     // Estado privado
@@ -79,6 +81,37 @@ const AumentarFonte = (() => {
                 }
             }
         });
+        
+        // Traduções da V4 (carregadas ou trocadas)
+        window.addEventListener('i18nready', atualizarTextos);
+        window.addEventListener('languagechanged', atualizarTextos);
+        
+        // Tamanho mudado em outra aba, por perfil importado ou reset
+        window.addEventListener('preferenciasalteradas', (e) => {
+            const { nome, valor } = e.detail;
+            
+            if (nome === 'fonte' && valor !== getTamanhoAtual()) {
+                setTamanho(valor);
+            }
+        });
+    }
+    
+    /**
+     * Atualiza rótulos dos botões no idioma atual (V4)
+     * Só troca aria-label que já existe no HTML.
+     */
+    function atualizarTextos() {
+        const rotulos = [
+            [botoes.diminuir, traduzir('accessibility.decreaseLabel', 'Diminuir tamanho da fonte')],
+            [botoes.normal, traduzir('accessibility.normalLabel', 'Tamanho de fonte normal')],
+            [botoes.aumentar, traduzir('accessibility.increaseLabel', 'Aumentar tamanho da fonte')]
+        ];
+        
+        rotulos.forEach(([botao, texto]) => {
+            if (botao && botao.hasAttribute('aria-label')) {
+                botao.setAttribute('aria-label', texto);
+            }
+        });
     }
     
     /**
@@ -90,7 +123,7 @@ const AumentarFonte = (() => {
             aplicar();
             console.log('➕ Fonte aumentada');
         } else {
-            anunciar('Tamanho máximo de fonte atingido');
+            anunciar(traduzir('announcements.fontSizeMax', 'Tamanho máximo de fonte atingido'));
             console.log('⚠️ Fonte no máximo');
         }
         
@@ -106,7 +139,7 @@ const AumentarFonte = (() => {
             aplicar();
             console.log('➖ Fonte diminuída');
         } else {
-            anunciar('Tamanho mínimo de fonte atingido');
+            anunciar(traduzir('announcements.fontSizeMin', 'Tamanho mínimo de fonte atingido'));
             console.log('⚠️ Fonte no mínimo');
         }
         
@@ -119,7 +152,7 @@ const AumentarFonte = (() => {
     function resetar() {
         indiceAtual = CONFIG.indiceInicial;
         aplicar();
-        anunciar('Tamanho de fonte resetado para o padrão');
+        anunciar(traduzir('announcements.fontSizeReset', 'Tamanho de fonte resetado para o padrão'));
         console.log('🔄 Fonte resetada para 100%');
         
         return getTamanhoAtual();
@@ -141,7 +174,7 @@ const AumentarFonte = (() => {
         salvarPreferencia(tamanho);
         
         // Anunciar mudança
-        anunciar(`Tamanho de fonte alterado para ${tamanho}%`);
+        anunciar(traduzir('announcements.fontSizeChanged', 'Tamanho de fonte alterado para {{size}}%', { size: tamanho }));
         
         console.log(`✅ Fonte aplicada: ${tamanho}%`);
     }
@@ -170,12 +203,12 @@ const AumentarFonte = (() => {
     }
     
     /**
-     * Salva preferência no localStorage
+     * Salva preferência (js/preferencias.js)
      * @param {number} tamanho - Tamanho em percentual
      */
     function salvarPreferencia(tamanho) {
         try {
-            localStorage.setItem(CONFIG.prefKey, tamanho.toString());
+            window.PreferenciasAcessibilidade.definir('fonte', tamanho);
             console.log(`💾 Tamanho de fonte salvo: ${tamanho}%`);
         } catch (error) {
             console.error('❌ Erro ao salvar tamanho de fonte:', error);
@@ -187,10 +220,10 @@ const AumentarFonte = (() => {
      */
     function carregarPreferencia() {
         try {
-            const tamanhoSalvo = localStorage.getItem(CONFIG.prefKey);
+            const preferencias = window.PreferenciasAcessibilidade;
             
-            if (tamanhoSalvo) {
-                const tamanho = parseInt(tamanhoSalvo, 10);
+            if (preferencias.foiDefinida('fonte')) {
+                const tamanho = preferencias.obter('fonte');
                 const indice = CONFIG.tamanhosDisponiveis.indexOf(tamanho);
                 
                 if (indice !== -1) {
@@ -210,7 +243,8 @@ const AumentarFonte = (() => {
      */
     function anunciar(mensagem) {
         if (typeof window.anunciarParaLeitores === 'function') {
-            window.anunciarParaLeitores(mensagem, 'polite');
+            // Mesma chave: segurar Ctrl + anuncia só o tamanho final
+            window.anunciarParaLeitores(mensagem, 'polite', { chave: 'fonte' });
         }
     }
     
@@ -248,6 +282,18 @@ const AumentarFonte = (() => {
         return false;
     }
     
+    /**
+     * Combinações de teclado do módulo, no formato do AtalhosTeclado
+     * @returns {{aumentar: string, diminuir: string, resetar: string}}
+     */
+    function getAtalhos() {
+        return {
+            aumentar: `Ctrl+${CONFIG.teclaAumentar}`,
+            diminuir: `Ctrl+${CONFIG.teclaDiminuir}`,
+            resetar: `Ctrl+${CONFIG.teclaResetar}`
+        };
+    }
+    
     // API Pública
     return {
         init,
@@ -256,7 +302,8 @@ const AumentarFonte = (() => {
         resetar,
         getTamanhoAtual,
         getIndiceAtual,
-        setTamanho
+        setTamanho,
+        getAtalhos
     };
 })();
 
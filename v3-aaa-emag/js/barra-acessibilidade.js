@@ -10,6 +10,9 @@
  * Gerencia tema, espaçamento, Libras e modal de atalhos
  */
 const BarraAcessibilidade = (() => {
+    // Textos traduzidos (js/traducao.js)
+    const traduzir = window.traduzirAcessibilidade;
+    
     // Estado privado
     let controles = {};
     let temasDisponiveis = ['default', 'high-contrast', 'dark'];
@@ -17,6 +20,17 @@ const BarraAcessibilidade = (() => {
     let espacamentoAtual = 'normal';
     let librasAtivo = false;
     
+    // Chaves de tradução (V4) de cada tema/espaçamento
+    const CHAVES_TEMAS = {
+        'default': 'theme.default',
+        'high-contrast': 'theme.contrast',
+        'dark': 'theme.dark'
+    };
+    const CHAVES_ESPACAMENTOS = {
+        'normal': 'spacing.normal',
+        'large': 'spacing.large'
+    };
+    
     /**
      * Inicializa a barra de acessibilidade
      */
@@ -38,9 +52,17 @@ const BarraAcessibilidade = (() => {
         // Configurar eventos
         configurarEventos();
         
-        // Carregar preferências salvas
+        // Carregar preferências salvas (ou do sistema)
         carregarPreferencias();
         
+        // Mostrar se o tema segue o sistema
+        if (window.PreferenciasAcessibilidade) {
+            window.PreferenciasAcessibilidade.indicarOrigem(
+                controles.temas[0].closest('.controle-grupo'),
+                ['tema', 'altoContraste']
+            );
+        }
+        
         console.log('✅ Barra de Acessibilidade inicializada');
         return true;
     }
@@ -78,6 +100,54 @@ const BarraAcessibilidade = (() => {
                 }
             });
         }
+        
+        // Traduções da V4 (carregadas ou trocadas)
+        window.addEventListener('i18nready', atualizarTextos);
+        window.addEventListener('languagechanged', atualizarTextos);
+        
+        // Preferências mudadas pelo sistema, em outra aba, por perfil importado ou reset
+        window.addEventListener('preferenciasalteradas', (e) => {
+            const { nome, valor } = e.detail;
+            
+            if (nome === 'tema' && valor !== temaAtual) {
+                mudarTema(valor);
+            } else if (nome === 'espacamento' && valor !== espacamentoAtual) {
+                mudarEspacamento(valor);
+            } else if (nome === 'libras' && valor !== librasAtivo && controles.libras) {
+                toggleLibras();
+            }
+        });
+    }
+    
+    /**
+     * Atualiza rótulos dos controles no idioma atual (V4)
+     * Só troca aria-label que já existe no HTML.
+     */
+    function atualizarTextos() {
+        const rotulos = {
+            'theme.default': traduzir('theme.defaultLabel', 'Tema padrão'),
+            'theme.contrast': traduzir('theme.contrastLabel', 'Alto contraste'),
+            'theme.dark': traduzir('theme.darkLabel', 'Modo escuro'),
+            'spacing.normal': traduzir('spacing.normalLabel', 'Espaçamento normal'),
+            'spacing.large': traduzir('spacing.largeLabel', 'Espaçamento ampliado')
+        };
+        
+        const definirRotulo = (elemento, texto) => {
+            if (elemento && elemento.hasAttribute('aria-label')) {
+                elemento.setAttribute('aria-label', texto);
+            }
+        };
+        
+        controles.temas.forEach(botao => {
+            definirRotulo(botao, rotulos[CHAVES_TEMAS[botao.getAttribute('data-theme')]]);
+        });
+        
+        controles.espacamentos.forEach(botao => {
+            definirRotulo(botao, rotulos[CHAVES_ESPACAMENTOS[botao.getAttribute('data-spacing')]]);
+        });
+        
+        definirRotulo(controles.libras, traduzir('accessibility.librasEnable', 'Ativar tradução em Libras'));
+        definirRotulo(controles.atalhos, traduzir('accessibility.shortcutsLabel', 'Ver atalhos de teclado'));
     }
     
     /**
@@ -102,6 +172,11 @@ const BarraAcessibilidade = (() => {
         document.body.classList.add(`tema-${tema}`);
         temaAtual = tema;
         
+        // Alto contraste: classes alto-contraste/contraste-* são do AltoContraste
+        if (window.AltoContraste) {
+            window.AltoContraste.sincronizarTema(tema);
+        }
+        
         // Atualizar botões (estado visual e ARIA)
         atualizarBotoesAtivos(controles.temas, 'data-theme', tema);
         
@@ -115,7 +190,9 @@ const BarraAcessibilidade = (() => {
             'dark': 'modo escuro'
         };
         
-        anunciarMudanca(`Tema alterado para ${nomesTemas[tema]}`);
+        anunciarMudanca(traduzir('announcements.themeChanged', 'Tema alterado para {{theme}}', {
+            theme: traduzir(CHAVES_TEMAS[tema], nomesTemas[tema])
+        }));
         
         console.log(`✅ Tema alterado: ${tema}`);
         return true;
@@ -145,7 +222,9 @@ const BarraAcessibilidade = (() => {
             'large': 'ampliado'
         };
         
-        anunciarMudanca(`Espaçamento alterado para ${nomesEspacamentos[espacamento]}`);
+        anunciarMudanca(traduzir('announcements.spacingChanged', 'Espaçamento alterado para {{spacing}}', {
+            spacing: traduzir(CHAVES_ESPACAMENTOS[espacamento], nomesEspacamentos[espacamento])
+        }));
         
         console.log(`✅ Espaçamento alterado: ${espacamento}`);
         return true;
@@ -174,10 +253,10 @@ const BarraAcessibilidade = (() => {
                 if (window.VLibras && window.VLibras.Widget) {
                     console.log('📱 Ativando VLibras...');
                 }
-                anunciarMudanca('Tradução em Libras ativada');
+                anunciarMudanca(traduzir('announcements.librasEnabled', 'Tradução em Libras ativada'));
             } else {
                 vlibrasWidget.classList.remove('enabled');
-                anunciarMudanca('Tradução em Libras desativada');
+                anunciarMudanca(traduzir('announcements.librasDisabled', 'Tradução em Libras desativada'));
             }
         } else {
             console.warn('⚠️ Widget VLibras não encontrado');
@@ -208,16 +287,13 @@ const BarraAcessibilidade = (() => {
     }
     
     /**
-     * Salva preferência no localStorage
+     * Salva preferência (js/preferencias.js)
      * @param {string} chave - Nome da preferência
      * @param {*} valor - Valor a salvar
      */
     function salvarPreferencia(chave, valor) {
         try {
-            const prefKey = 'cabra-tech-v3-preferencias';
-            const prefs = JSON.parse(localStorage.getItem(prefKey) || '{}');
-            prefs[chave] = valor;
-            localStorage.setItem(prefKey, JSON.stringify(prefs));
+            window.PreferenciasAcessibilidade.definir(chave, valor);
             console.log(`💾 Preferência salva: ${chave} = ${valor}`);
         } catch (error) {
             console.error('❌ Erro ao salvar preferência:', error);
@@ -225,29 +301,34 @@ const BarraAcessibilidade = (() => {
     }
     
     /**
-     * Carrega preferências salvas do localStorage
+     * Carrega preferências salvas (js/preferencias.js)
+     * Sem escolha do usuário, o tema vem do sistema (prefers-color-scheme/prefers-contrast)
      */
     function carregarPreferencias() {
         try {
-            const prefKey = 'cabra-tech-v3-preferencias';
-            const prefs = JSON.parse(localStorage.getItem(prefKey) || '{}');
+            const preferencias = window.PreferenciasAcessibilidade;
+            const tema = preferencias.obter('tema');
+            const espacamento = preferencias.obter('espacamento');
             
-            // Restaurar tema
-            if (prefs.tema && temasDisponiveis.includes(prefs.tema)) {
-                mudarTema(prefs.tema);
-            }
-            
-            // Restaurar espaçamento
-            if (prefs.espacamento) {
-                mudarEspacamento(prefs.espacamento);
-            }
-            
-            // Restaurar Libras
-            if (prefs.libras === true && !librasAtivo) {
-                toggleLibras();
-            }
+            // Reaplicar sem transformar o valor do sistema em escolha
+            preferencias.reaplicar(() => {
+                // Restaurar tema
+                if (tema !== temaAtual) {
+                    mudarTema(tema);
+                }
+                
+                // Restaurar espaçamento
+                if (espacamento !== espacamentoAtual) {
+                    mudarEspacamento(espacamento);
+                }
+                
+                // Restaurar Libras
+                if (preferencias.obter('libras') === true && !librasAtivo && controles.libras) {
+                    toggleLibras();
+                }
+            });
             
-            console.log('✅ Preferências carregadas:', prefs);
+            console.log('✅ Preferências carregadas:', preferencias.obterTodas());
         } catch (error) {
             console.error('❌ Erro ao carregar preferências:', error);
         }
@@ -312,11 +393,11 @@ const BarraAcessibilidade = (() => {
             toggleLibras();
         }
         
-        // Limpar localStorage
+        // Limpar todas as preferências (os outros módulos acompanham o evento)
         try {
-            localStorage.removeItem('cabra-tech-v3-preferencias');
+            window.PreferenciasAcessibilidade.redefinir();
             console.log('✅ Preferências resetadas');
-            anunciarMudanca('Todas as preferências foram resetadas para o padrão');
+            anunciarMudanca(traduzir('announcements.preferencesReset', 'Todas as preferências foram resetadas para o padrão'));
         } catch (error) {
             console.error('❌ Erro ao resetar preferências:', error);
         }
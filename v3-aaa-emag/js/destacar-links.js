@@ -0,0 +1,220 @@
+/* ============================================
+   DESTACAR LINKS - V3
+   Contorno em todos os links e botões
+   ============================================ */
+
+'use strict';
+
+/**
+ * Módulo de Destaque de Links
+ * Ajuda a encontrar o que é clicável (body.links-destacados)
+ */
+const DestacarLinks = (() => {
+    // Textos traduzidos (js/traducao.js)
+    const traduzir = window.traduzirAcessibilidade;
+
+    // Configuração
+    const CONFIG = {
+        preferencia: 'destacarLinks',
+        classe: 'links-destacados',
+        // O que é contado no anúncio (mesmos seletores do CSS)
+        seletor: 'a[href], button, [role="button"], [role="link"], input[type="button"], input[type="submit"], input[type="reset"]'
+    };
+
+    // Estado
+    let ativo = false;
+    let botao = null;
+
+    /**
+     * Inicializa o módulo
+     */
+    function init() {
+        console.log('🔗 Inicializando Destacar Links...');
+
+        // Criar botão de controle se não existir
+        botao = document.getElementById('toggle-destacar-links');
+
+        if (!botao) {
+            criarBotao();
+        }
+
+        // Configurar eventos
+        configurarEventos();
+
+        // Carregar preferência salva
+        carregarPreferencia();
+
+        console.log('✅ Destacar Links inicializado');
+        return true;
+    }
+
+    /**
+     * Cria botão de controle dinamicamente
+     */
+    function criarBotao() {
+        const barraAcessibilidade = document.querySelector('.acessibilidade-controles');
+
+        if (!barraAcessibilidade) {
+            console.warn('⚠️ Barra de acessibilidade não encontrada');
+            return;
+        }
+
+        const grupoControle = document.createElement('div');
+        grupoControle.className = 'controle-grupo';
+
+        botao = document.createElement('button');
+        botao.type = 'button';
+        botao.id = 'toggle-destacar-links';
+        botao.className = 'btn-controle btn-destacar-links';
+        botao.setAttribute('aria-pressed', 'false');
+
+        botao.innerHTML = `
+            <i class="bi bi-link-45deg" aria-hidden="true"></i>
+            <span class="btn-text"></span>
+        `;
+
+        grupoControle.appendChild(botao);
+        barraAcessibilidade.appendChild(grupoControle);
+
+        atualizarTextos();
+
+        console.log('✅ Botão de destacar links criado');
+    }
+
+    /**
+     * Configura event listeners
+     */
+    function configurarEventos() {
+        if (botao) {
+            botao.addEventListener('click', toggle);
+        }
+
+        // Traduções da V4 (carregadas ou trocadas)
+        window.addEventListener('i18nready', atualizarTextos);
+        window.addEventListener('languagechanged', atualizarTextos);
+
+        // Outra aba, perfil importado ou reset
+        window.addEventListener('preferenciasalteradas', (e) => {
+            const { nome, valor } = e.detail;
+
+            if (nome === CONFIG.preferencia && valor !== ativo) {
+                aplicar(valor);
+            }
+        });
+    }
+
+    /**
+     * Atualiza texto do botão criado por criarBotao() no idioma atual
+     */
+    function atualizarTextos() {
+        const texto = botao && botao.querySelector('.btn-text');
+
+        if (!texto) {
+            return;
+        }
+
+        texto.textContent = traduzir('accessibility.highlightLinks', 'Destacar links');
+        botao.title = traduzir('accessibility.highlightLinksTitle', 'Contornar todos os links e botões');
+    }
+
+    /**
+     * Ativa/desativa o destaque
+     * @returns {boolean} Novo estado
+     */
+    function toggle() {
+        aplicar(!ativo);
+        salvarPreferencia();
+
+        anunciar(ativo
+            ? traduzir('announcements.linksHighlighted', 'Destaque de links ativado: {count, plural, one {# link ou botão} other {# links e botões}}', { count: contar() })
+            : traduzir('announcements.linksHighlightOff', 'Destaque de links desativado'));
+
+        console.log(`✅ Links ${ativo ? 'destacados' : 'sem destaque'}`);
+        return ativo;
+    }
+
+    /**
+     * Aplica estado no body e no botão
+     * @param {boolean} novoEstado
+     */
+    function aplicar(novoEstado) {
+        ativo = novoEstado;
+        document.body.classList.toggle(CONFIG.classe, ativo);
+
+        if (botao) {
+            botao.classList.toggle('active', ativo);
+            botao.setAttribute('aria-pressed', ativo);
+        }
+    }
+
+    /**
+     * Conta links e botões visíveis
+     * @returns {number}
+     */
+    function contar() {
+        return Array.from(document.querySelectorAll(CONFIG.seletor))
+            .filter(elemento => !elemento.closest('[hidden], [aria-hidden="true"]'))
+            .length;
+    }
+
+    /**
+     * Salva preferência (js/preferencias.js)
+     */
+    function salvarPreferencia() {
+        try {
+            window.PreferenciasAcessibilidade.definir(CONFIG.preferencia, ativo);
+        } catch (error) {
+            console.error('❌ Erro ao salvar destaque de links:', error);
+        }
+    }
+
+    /**
+     * Carrega preferência salva
+     */
+    function carregarPreferencia() {
+        try {
+            aplicar(window.PreferenciasAcessibilidade.obter(CONFIG.preferencia) === true);
+        } catch (error) {
+            console.error('❌ Erro ao carregar destaque de links:', error);
+        }
+    }
+
+    /**
+     * Anuncia mudança para leitores de tela
+     * @param {string} mensagem - Mensagem a anunciar
+     */
+    function anunciar(mensagem) {
+        if (typeof window.anunciarParaLeitores === 'function') {
+            window.anunciarParaLeitores(mensagem, 'polite');
+        }
+    }
+
+    /**
+     * Verifica se o destaque está ativo
+     * @returns {boolean}
+     */
+    function isAtivo() {
+        return ativo;
+    }
+
+    // API Pública
+    return {
+        init,
+        toggle,
+        isAtivo
+    };
+})();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.DestacarLinks = DestacarLinks;
+}
+
+// Auto-inicializar se DOM estiver pronto
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        DestacarLinks.init();
+    });
+} else {
+    DestacarLinks.init();
+}
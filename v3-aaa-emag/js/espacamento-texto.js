@@ -0,0 +1,647 @@
+/* ============================================
+   ESPAÇAMENTO DE TEXTO - V3
+   Controles do WCAG 1.4.12 (Espaçamento de Texto - AA)
+   ============================================ */
+
+'use strict';
+
+/**
+ * Módulo de Espaçamento de Texto
+ * Quatro controles independentes, cada um até o valor do SC 1.4.12:
+ * - Altura da linha: até 1.5× o tamanho da fonte
+ * - Espaço após parágrafos: até 2× o tamanho da fonte
+ * - Espaço entre letras: até 0.12em
+ * - Espaço entre palavras: até 0.16em
+ *
+ * Os valores viram custom properties no :root (--texto-*) e uma
+ * classe por controle ativo no body; o CSS fica em css/global.css.
+ * O primeiro valor de cada controle (0) deixa o estilo do site.
+ *
+ * Modo de verificação: aplica os quatro no máximo e marca os
+ * elementos cujo conteúdo é cortado ou transborda por cima de
+ * outro, que é o que o 1.4.12 exige provar.
+ *
+ * Na V4 só valem os controles cujo ajuste a escrita do idioma
+ * comporta (js/escritas.js); os outros ficam desativados e o
+ * valor salvo volta junto com o idioma.
+ */
+const EspacamentoTexto = (() => {
+    // Textos traduzidos (js/traducao.js)
+    const traduzir = window.traduzirAcessibilidade;
+
+    // Ajustes que valem em cada escrita (js/escritas.js)
+    const escritas = window.EscritasAcessibilidade;
+
+    // Configuração (valores iguais aos do ESQUEMA em js/preferencias.js)
+    const CONFIG = {
+        controles: {
+            alturaLinha: {
+                nome: 'Altura da linha',
+                chave: 'textSpacing.lineHeight',
+                propriedade: '--texto-altura-linha',
+                classe: 'texto-altura-linha',
+                ajuste: 'linhas', // ver js/escritas.js
+                valores: [0, 1.2, 1.3, 1.4, 1.5],
+                unidade: '×'
+            },
+            espacamentoParagrafo: {
+                nome: 'Espaço após parágrafos',
+                chave: 'textSpacing.paragraph',
+                propriedade: '--texto-espaco-paragrafo',
+                classe: 'texto-espaco-paragrafo',
+                ajuste: 'paragrafos',
+                valores: [0, 0.5, 1, 1.5, 2],
+                unidade: 'em'
+            },
+            espacamentoLetras: {
+                nome: 'Espaço entre letras',
+                chave: 'textSpacing.letters',
+                propriedade: '--texto-espaco-letras',
+                classe: 'texto-espaco-letras',
+                ajuste: 'letras',
+                valores: [0, 0.03, 0.06, 0.09, 0.12],
+                unidade: 'em'
+            },
+            espacamentoPalavras: {
+                nome: 'Espaço entre palavras',
+                chave: 'textSpacing.words',
+                propriedade: '--texto-espaco-palavras',
+                classe: 'texto-espaco-palavras',
+                ajuste: 'palavras',
+                valores: [0, 0.04, 0.08, 0.12, 0.16],
+                unidade: 'em'
+            }
+        },
+        classeVerificando: 'verificando-espacamento',
+        atributoFalha: 'data-espacamento-falha',
+        tolerancia: 1 // px de arredondamento ignorados
+    };
+
+    // Estado privado
+    let valores = {};         // controle → valor aplicado
+    let escrita = 'latin';    // EscritasAcessibilidade.atual()
+    let verificando = false;
+    let falhas = [];
+    let entradas = {};        // controle → <input type="range">
+    let saidas = {};          // controle → <output>
+    let botaoVerificar = null;
+    let resumo = null;
+    let titulo = null;
+
+    /**
+     * Inicializa o módulo
+     */
+    function init() {
+        console.log('📏 Inicializando Espaçamento de Texto...');
+
+        escrita = escritas.atual();
+        criarControles();
+        configurarEventos();
+        carregarPreferencia();
+
+        console.log('✅ Espaçamento de Texto inicializado');
+        return true;
+    }
+
+    /**
+     * Cria os controles na barra (dentro de um <details>)
+     */
+    function criarControles() {
+        const barraAcessibilidade = document.querySelector('.acessibilidade-controles');
+
+        if (!barraAcessibilidade) {
+            console.warn('⚠️ Barra de acessibilidade não encontrada');
+            return;
+        }
+
+        const grupoControle = document.createElement('details');
+        grupoControle.className = 'controle-grupo espacamento-texto';
+
+        titulo = document.createElement('summary');
+        titulo.className = 'controle-label';
+        grupoControle.appendChild(titulo);
+
+        Object.entries(CONFIG.controles).forEach(([controle, { valores: lista }]) => {
+            const id = `espacamento-texto-${controle}`;
+            const linha = document.createElement('div');
+            linha.className = 'espacamento-texto-controle';
+
+            const label = document.createElement('label');
+            label.htmlFor = id;
+
+            const entrada = document.createElement('input');
+            entrada.type = 'range';
+            entrada.id = id;
+            entrada.min = 0;
+            entrada.max = lista.length - 1;
+            entrada.step = 1;
+            entrada.value = 0;
+            entrada.setAttribute('data-text-spacing', controle);
+
+            const saida = document.createElement('output');
+            saida.htmlFor = id;
+
+            linha.append(label, entrada, saida);
+            grupoControle.appendChild(linha);
+
+            entradas[controle] = entrada;
+            saidas[controle] = saida;
+        });
+
+        botaoVerificar = document.createElement('button');
+        botaoVerificar.type = 'button';
+        botaoVerificar.className = 'btn-controle';
+        botaoVerificar.setAttribute('aria-pressed', 'false');
+
+        resumo = document.createElement('p');
+        resumo.className = 'espacamento-texto-resumo';
+        resumo.hidden = true;
+
+        grupoControle.append(botaoVerificar, resumo);
+        barraAcessibilidade.appendChild(grupoControle);
+
+        atualizarTextos();
+    }
+
+    /**
+     * Configura event listeners
+     */
+    function configurarEventos() {
+        Object.entries(entradas).forEach(([controle, entrada]) => {
+            // Prévia ao arrastar, salvar ao soltar
+            entrada.addEventListener('input', () => {
+                aplicar(controle, CONFIG.controles[controle].valores[entrada.value]);
+            });
+
+            entrada.addEventListener('change', () => {
+                salvarPreferencia(controle);
+                anunciar(traduzir('announcements.textSpacingChanged', '{{control}}: {{value}}', {
+                    control: nomeControle(controle),
+                    value: descreverValor(controle, valores[controle])
+                }));
+            });
+        });
+
+        if (botaoVerificar) {
+            botaoVerificar.addEventListener('click', () => {
+                if (verificando) {
+                    sairVerificacao();
+                } else {
+                    verificar();
+                }
+            });
+        }
+
+        // Idioma carregado ou trocado: textos e controles da nova escrita
+        window.addEventListener('i18nready', atualizarEscrita);
+        window.addEventListener('languagechanged', atualizarEscrita);
+
+        // Espaçamento mudado em outra aba, por perfil importado ou reset
+        window.addEventListener('preferenciasalteradas', (e) => {
+            const { nome, valor } = e.detail;
+
+            if (CONFIG.controles[nome] && valor !== valores[nome]) {
+                aplicar(nome, valor);
+            }
+        });
+    }
+
+    /**
+     * Reaplica os controles na escrita do idioma atual
+     * @param {CustomEvent} [e] - languagechanged traz detail.locale
+     */
+    function atualizarEscrita(e) {
+        escrita = escritas.atual(e && e.detail && e.detail.locale);
+
+        Object.entries(CONFIG.controles).forEach(([controle, { valores: lista }]) => {
+            aplicarNoDocumento(controle, verificando ? lista[lista.length - 1] : valores[controle]);
+        });
+
+        atualizarTextos();
+    }
+
+    /**
+     * Verifica se um controle vale na escrita atual
+     * @param {string} controle - Chave de CONFIG.controles
+     * @returns {boolean}
+     */
+    function valeNaEscrita(controle) {
+        return escritas.vale(CONFIG.controles[controle].ajuste, escrita);
+    }
+
+    /**
+     * Atualiza textos dos controles no idioma atual
+     */
+    function atualizarTextos() {
+        if (!titulo) {
+            return;
+        }
+
+        titulo.textContent = traduzir('textSpacing.title', 'Espaçamento do texto');
+
+        Object.keys(CONFIG.controles).forEach(controle => {
+            entradas[controle].labels[0].textContent = nomeControle(controle);
+            atualizarSaida(controle);
+        });
+
+        botaoVerificar.textContent = verificando
+            ? traduzir('textSpacing.verifyExit', 'Sair da verificação')
+            : traduzir('textSpacing.verify', 'Verificar WCAG 1.4.12');
+        botaoVerificar.title = traduzir('textSpacing.verifyDescription',
+            'Aplica o espaçamento máximo e marca textos cortados ou sobrepostos');
+    }
+
+    /**
+     * Nome do controle no idioma atual
+     * @param {string} controle - Chave de CONFIG.controles
+     * @returns {string}
+     */
+    function nomeControle(controle) {
+        const { chave, nome } = CONFIG.controles[controle];
+        return traduzir(chave, nome);
+    }
+
+    /**
+     * Valor legível ("1.5×", "0.12em" ou "Padrão do site")
+     * @param {string} controle
+     * @param {number} valor
+     * @returns {string}
+     */
+    function descreverValor(controle, valor) {
+        if (!valor) {
+            return traduzir('textSpacing.siteDefault', 'Padrão do site');
+        }
+
+        return `${valor}${CONFIG.controles[controle].unidade}`;
+    }
+
+    /**
+     * Atualiza <output> e aria-valuetext do controle
+     * @param {string} controle
+     */
+    function atualizarSaida(controle) {
+        const vale = valeNaEscrita(controle);
+        const texto = vale
+            ? descreverValor(controle, valores[controle])
+            : traduzir('textSpacing.notForScript', 'Não se aplica a este idioma');
+
+        if (saidas[controle]) {
+            saidas[controle].textContent = texto;
+            entradas[controle].setAttribute('aria-valuetext', texto);
+            entradas[controle].disabled = !vale;
+        }
+    }
+
+    /**
+     * Aplica um valor: custom property no :root e classe no body
+     * @param {string} controle - Chave de CONFIG.controles
+     * @param {number} valor - Um de CONFIG.controles[controle].valores
+     * @returns {boolean} Sucesso da operação
+     */
+    function aplicar(controle, valor) {
+        const definicao = CONFIG.controles[controle];
+
+        if (!definicao || !definicao.valores.includes(valor)) {
+            console.warn(`⚠️ Espaçamento inválido: ${controle} = ${valor}`);
+            return false;
+        }
+
+        valores[controle] = valor;
+
+        // Na verificação os valores máximos continuam valendo
+        if (!verificando) {
+            aplicarNoDocumento(controle, valor);
+        }
+
+        if (entradas[controle]) {
+            entradas[controle].value = definicao.valores.indexOf(valor);
+        }
+        atualizarSaida(controle);
+
+        return true;
+    }
+
+    /**
+     * Escreve o valor no documento
+     * @param {string} controle
+     * @param {number} valor - 0 (ou controle fora da escrita) remove
+     */
+    function aplicarNoDocumento(controle, valor) {
+        const { propriedade, classe, unidade } = CONFIG.controles[controle];
+        const root = document.documentElement;
+
+        valor = valeNaEscrita(controle) ? valor : 0;
+
+        if (valor) {
+            // Altura da linha fica sem unidade (multiplica a fonte de cada elemento)
+            root.style.setProperty(propriedade, unidade === 'em' ? `${valor}em` : `${valor}`);
+        } else {
+            root.style.removeProperty(propriedade);
+        }
+
+        document.body.classList.toggle(classe, !!valor);
+    }
+
+    /**
+     * Verifica o SC 1.4.12: aplica os máximos e procura texto cortado
+     * ou sobreposto
+     * @returns {Array<{elemento: HTMLElement, tipo: string}>} Falhas
+     */
+    function verificar() {
+        if (verificando) {
+            limparMarcas();
+        }
+
+        verificando = true;
+        document.body.classList.add(CONFIG.classeVerificando);
+
+        Object.entries(CONFIG.controles).forEach(([controle, { valores: lista }]) => {
+            aplicarNoDocumento(controle, lista[lista.length - 1]);
+        });
+
+        falhas = procurarFalhas();
+
+        falhas.forEach(({ elemento, tipo }) => {
+            elemento.setAttribute(CONFIG.atributoFalha, tipo);
+        });
+
+        const mensagem = traduzir('announcements.textSpacingVerified',
+            'Verificação do espaçamento: {count, plural, one {# elemento com texto cortado ou sobreposto} other {# elementos com texto cortado ou sobreposto}}',
+            { count: falhas.length });
+
+        if (resumo) {
+            resumo.textContent = mensagem;
+            resumo.hidden = false;
+        }
+        botaoVerificar?.setAttribute('aria-pressed', 'true');
+        atualizarTextos();
+
+        anunciar(mensagem);
+
+        if (falhas.length) {
+            console.table(falhas.map(({ elemento, tipo }) => ({
+                tipo,
+                elemento: descreverElemento(elemento),
+                texto: elemento.textContent.trim().slice(0, 60)
+            })));
+        }
+        console.log(`🔍 WCAG 1.4.12: ${falhas.length} falha(s)`);
+
+        return falhas.map(falha => ({ ...falha }));
+    }
+
+    /**
+     * Volta aos valores do usuário e remove as marcas
+     */
+    function sairVerificacao() {
+        if (!verificando) {
+            return;
+        }
+
+        verificando = false;
+        limparMarcas();
+        document.body.classList.remove(CONFIG.classeVerificando);
+
+        Object.keys(CONFIG.controles).forEach(controle => {
+            aplicarNoDocumento(controle, valores[controle]);
+        });
+
+        if (resumo) {
+            resumo.hidden = true;
+        }
+        botaoVerificar?.setAttribute('aria-pressed', 'false');
+        atualizarTextos();
+    }
+
+    /**
+     * Remove as marcas de falha do documento
+     */
+    function limparMarcas() {
+        document.querySelectorAll(`[${CONFIG.atributoFalha}]`).forEach(elemento => {
+            elemento.removeAttribute(CONFIG.atributoFalha);
+        });
+        falhas = [];
+    }
+
+    /**
+     * Elementos com texto próprio cujo conteúdo não cabe na caixa
+     * - 'corta': overflow escondido (hidden/clip) ou reticências
+     * - 'sobrepoe': overflow visível, o texto passa por cima do vizinho
+     * @returns {Array<{elemento: HTMLElement, tipo: string}>}
+     */
+    function procurarFalhas() {
+        const encontradas = [];
+
+        document.body.querySelectorAll('*').forEach(elemento => {
+            if (!temTextoProprio(elemento)) {
+                return;
+            }
+
+            // O elemento que corta pode ser um ancestral com altura fixa
+            const caixa = caixaQueTransborda(elemento);
+
+            if (!caixa || encontradas.some(falha => falha.elemento === caixa)) {
+                return;
+            }
+
+            const estilo = getComputedStyle(caixa);
+            const escondido = [estilo.overflowX, estilo.overflowY].some(valor => valor === 'hidden' || valor === 'clip')
+                || estilo.textOverflow === 'ellipsis';
+
+            encontradas.push({ elemento: caixa, tipo: escondido ? 'corta' : 'sobrepoe' });
+        });
+
+        return encontradas;
+    }
+
+    /**
+     * Elemento (ou ancestral próximo) cujo conteúdo passa da caixa
+     * Para no primeiro ancestral que rola ou na barra de acessibilidade.
+     * @param {HTMLElement} elemento
+     * @returns {HTMLElement|null}
+     */
+    function caixaQueTransborda(elemento) {
+        for (let atual = elemento; atual && atual !== document.body; atual = atual.parentElement) {
+            const estilo = getComputedStyle(atual);
+
+            if (estilo.display === 'none' || estilo.display === 'contents') {
+                continue;
+            }
+
+            // Quem rola não corta: o conteúdo continua acessível
+            if (['auto', 'scroll'].includes(estilo.overflowY) || ['auto', 'scroll'].includes(estilo.overflowX)) {
+                return null;
+            }
+
+            const passaAltura = atual.clientHeight > 0
+                && atual.scrollHeight - atual.clientHeight > CONFIG.tolerancia;
+            const passaLargura = atual.clientWidth > 0
+                && atual.scrollWidth - atual.clientWidth > CONFIG.tolerancia;
+
+            if (passaAltura || passaLargura) {
+                return atual;
+            }
+
+            // Só subir enquanto o ancestral tem altura fixa (é ele que limita)
+            if (!temAlturaFixa(atual) || !atual.parentElement) {
+                return null;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Verifica se a altura do elemento vem do CSS (height ou max-height)
+     * e não do conteúdo. getComputedStyle().height devolve px para todo
+     * bloco renderizado, então a altura é medida de novo com height:auto.
+     * @param {HTMLElement} elemento
+     * @returns {boolean}
+     */
+    function temAlturaFixa(elemento) {
+        const original = elemento.getAttribute('style');
+        const altura = elemento.offsetHeight;
+
+        elemento.style.setProperty('height', 'auto', 'important');
+        elemento.style.setProperty('max-height', 'none', 'important');
+        const alturaLivre = elemento.offsetHeight;
+
+        if (original === null) {
+            elemento.removeAttribute('style');
+        } else {
+            elemento.setAttribute('style', original);
+        }
+
+        return Math.abs(alturaLivre - altura) > CONFIG.tolerancia;
+    }
+
+    /**
+     * Verifica se o elemento tem texto direto (não só nos filhos)
+     * @param {HTMLElement} elemento
+     * @returns {boolean}
+     */
+    function temTextoProprio(elemento) {
+        if (elemento.closest('script, style, noscript, template, [hidden], [aria-hidden="true"]')) {
+            return false;
+        }
+
+        return Array.from(elemento.childNodes).some(no => {
+            return no.nodeType === Node.TEXT_NODE && no.textContent.trim() !== '';
+        });
+    }
+
+    /**
+     * Seletor curto para o console
+     * @param {HTMLElement} elemento
+     * @returns {string}
+     */
+    function descreverElemento(elemento) {
+        const id = elemento.id ? `#${elemento.id}` : '';
+        const classes = Array.from(elemento.classList).map(classe => `.${classe}`).join('');
+
+        return `${elemento.tagName.toLowerCase()}${id}${classes}`;
+    }
+
+    /**
+     * Salva preferência (js/preferencias.js)
+     * @param {string} controle
+     */
+    function salvarPreferencia(controle) {
+        try {
+            window.PreferenciasAcessibilidade.definir(controle, valores[controle]);
+            console.log(`💾 Espaçamento salvo: ${controle} = ${valores[controle]}`);
+        } catch (error) {
+            console.error('❌ Erro ao salvar espaçamento:', error);
+        }
+    }
+
+    /**
+     * Carrega preferências salvas
+     */
+    function carregarPreferencia() {
+        try {
+            const preferencias = window.PreferenciasAcessibilidade;
+
+            Object.keys(CONFIG.controles).forEach(controle => {
+                aplicar(controle, preferencias.obter(controle));
+            });
+        } catch (error) {
+            console.error('❌ Erro ao carregar espaçamento:', error);
+        }
+    }
+
+    /**
+     * Anuncia mudança para leitores de tela
+     * @param {string} mensagem - Mensagem a anunciar
+     */
+    function anunciar(mensagem) {
+        if (typeof window.anunciarParaLeitores === 'function') {
+            // Mesma chave: arrastar o controle anuncia só o valor final
+            window.anunciarParaLeitores(mensagem, 'polite', { chave: 'espacamento-texto' });
+        }
+    }
+
+    /**
+     * Define um controle pela API (aplica e salva)
+     * @param {string} controle - alturaLinha, espacamentoParagrafo, espacamentoLetras ou espacamentoPalavras
+     * @param {number} valor
+     * @returns {boolean} Sucesso da operação
+     */
+    function setValor(controle, valor) {
+        if (!aplicar(controle, valor)) {
+            return false;
+        }
+
+        salvarPreferencia(controle);
+        return true;
+    }
+
+    /**
+     * Obtém os valores atuais
+     * @returns {Object} controle → valor
+     */
+    function getValores() {
+        return { ...valores };
+    }
+
+    /**
+     * Verifica se o modo de verificação está ativo
+     * @returns {boolean}
+     */
+    function isVerificando() {
+        return verificando;
+    }
+
+    /**
+     * Falhas da última verificação
+     * @returns {Array<{elemento: HTMLElement, tipo: string}>}
+     */
+    function getFalhas() {
+        return falhas.map(falha => ({ ...falha }));
+    }
+
+    // API Pública
+    return {
+        init,
+        setValor,
+        getValores,
+        verificar,
+        sairVerificacao,
+        isVerificando,
+        getFalhas
+    };
+})();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.EspacamentoTexto = EspacamentoTexto;
+}
+
+// Auto-inicializar se DOM estiver pronto
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        EspacamentoTexto.init();
+    });
+} else {
+    EspacamentoTexto.init();
+}
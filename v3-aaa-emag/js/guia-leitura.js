@@ -0,0 +1,378 @@
+/* ============================================
+   GUIA DE LEITURA - V3
+   Régua e máscara de leitura (auxílio de atenção)
+   ============================================ */
+
+'use strict';
+
+/**
+ * Módulo de Guia de Leitura
+ * Régua: faixa destacada sobre a linha atual
+ * Máscara: escurece tudo fora da faixa atual
+ *
+ * A faixa segue o ponteiro, o foco do teclado e o cursor de
+ * texto (inclusive a navegação por cursor, F7), então também
+ * funciona sem mouse.
+ */
+const GuiaLeitura = (() => {
+    // Textos traduzidos (js/traducao.js)
+    const traduzir = window.traduzirAcessibilidade;
+
+    // Configuração
+    const CONFIG = {
+        altura: 48, // px da faixa
+        propriedade: '--guia-leitura-y',
+        modos: {
+            regua: {
+                preferencia: 'reguaLeitura',
+                id: 'toggle-regua-leitura',
+                classe: 'regua-leitura',
+                icone: 'bi-rulers',
+                rotulo: ['accessibility.readingRuler', 'Régua de leitura'],
+                titulo: ['accessibility.readingRulerTitle', 'Destacar a linha sob o ponteiro ou o cursor'],
+                ativado: ['announcements.readingRulerOn', 'Régua de leitura ativada. Ela segue o ponteiro, o foco e o cursor de texto.'],
+                desativado: ['announcements.readingRulerOff', 'Régua de leitura desativada']
+            },
+            mascara: {
+                preferencia: 'mascaraLeitura',
+                id: 'toggle-mascara-leitura',
+                classe: 'mascara-leitura',
+                icone: 'bi-distribute-vertical',
+                rotulo: ['accessibility.readingMask', 'Máscara de leitura'],
+                titulo: ['accessibility.readingMaskTitle', 'Escurecer a página fora da faixa de leitura'],
+                ativado: ['announcements.readingMaskOn', 'Máscara de leitura ativada. Só a faixa atual fica visível.'],
+                desativado: ['announcements.readingMaskOff', 'Máscara de leitura desativada']
+            }
+        }
+    };
+
+    // Estado
+    const ativos = { regua: false, mascara: false };
+    const botoes = {};
+    const faixas = {};
+    let acompanhando = false;
+    let alvo = null;          // Elemento com foco seguido pela faixa (null = ponteiro)
+    let posicaoPendente = null;
+
+    /**
+     * Inicializa o módulo
+     */
+    function init() {
+        console.log('📏 Inicializando Guia de Leitura...');
+
+        criarControles();
+        configurarEventos();
+        carregarPreferencia();
+
+        console.log('✅ Guia de Leitura inicializado');
+        return true;
+    }
+
+    /**
+     * Cria os botões de controle (um por modo) na barra
+     */
+    function criarControles() {
+        const barraAcessibilidade = document.querySelector('.acessibilidade-controles');
+        let grupoControle = null;
+
+        Object.entries(CONFIG.modos).forEach(([modo, config]) => {
+            botoes[modo] = document.getElementById(config.id);
+
+            if (botoes[modo] || !barraAcessibilidade) {
+                return;
+            }
+
+            if (!grupoControle) {
+                grupoControle = document.createElement('div');
+                grupoControle.className = 'controle-grupo guia-leitura';
+                barraAcessibilidade.appendChild(grupoControle);
+            }
+
+            const botao = document.createElement('button');
+            botao.type = 'button';
+            botao.id = config.id;
+            botao.className = `btn-controle btn-${config.classe}`;
+            botao.setAttribute('aria-pressed', 'false');
+
+            botao.innerHTML = `
+                <i class="bi ${config.icone}" aria-hidden="true"></i>
+                <span class="btn-text"></span>
+            `;
+
+            grupoControle.appendChild(botao);
+            botoes[modo] = botao;
+        });
+
+        if (!barraAcessibilidade) {
+            console.warn('⚠️ Barra de acessibilidade não encontrada');
+        }
+
+        atualizarTextos();
+    }
+
+    /**
+     * Configura event listeners
+     */
+    function configurarEventos() {
+        Object.keys(CONFIG.modos).forEach((modo) => {
+            if (botoes[modo]) {
+                botoes[modo].addEventListener('click', () => toggle(modo));
+            }
+        });
+
+        // Traduções da V4 (carregadas ou trocadas)
+        window.addEventListener('i18nready', atualizarTextos);
+        window.addEventListener('languagechanged', atualizarTextos);
+
+        // Outra aba, perfil importado ou reset
+        window.addEventListener('preferenciasalteradas', (e) => {
+            const { nome, valor } = e.detail;
+            const modo = Object.keys(CONFIG.modos).find(m => CONFIG.modos[m].preferencia === nome);
+
+            if (modo && valor !== ativos[modo]) {
+                aplicar(modo, valor);
+            }
+        });
+    }
+
+    /**
+     * Atualiza textos dos botões no idioma atual
+     */
+    function atualizarTextos() {
+        Object.entries(CONFIG.modos).forEach(([modo, config]) => {
+            const texto = botoes[modo] && botoes[modo].querySelector('.btn-text');
+
+            if (!texto) {
+                return;
+            }
+
+            texto.textContent = traduzir(...config.rotulo);
+            botoes[modo].title = traduzir(...config.titulo);
+        });
+    }
+
+    /**
+     * Ativa/desativa um modo
+     * @param {string} modo - 'regua' ou 'mascara'
+     * @returns {boolean} Novo estado
+     */
+    function toggle(modo) {
+        const config = CONFIG.modos[modo];
+
+        if (!config) {
+            console.warn(`⚠️ Modo de guia desconhecido: ${modo}`);
+            return false;
+        }
+
+        aplicar(modo, !ativos[modo]);
+        salvarPreferencia(modo);
+
+        anunciar(traduzir(...(ativos[modo] ? config.ativado : config.desativado)));
+
+        console.log(`✅ ${config.rotulo[1]}: ${ativos[modo]}`);
+        return ativos[modo];
+    }
+
+    /**
+     * Aplica o estado de um modo na página e no botão
+     * @param {string} modo
+     * @param {boolean} novoEstado
+     */
+    function aplicar(modo, novoEstado) {
+        const config = CONFIG.modos[modo];
+
+        ativos[modo] = novoEstado;
+
+        if (novoEstado && !faixas[modo]) {
+            faixas[modo] = document.createElement('div');
+            faixas[modo].className = config.classe;
+            faixas[modo].setAttribute('aria-hidden', 'true');
+            document.body.appendChild(faixas[modo]);
+        } else if (!novoEstado && faixas[modo]) {
+            faixas[modo].remove();
+            faixas[modo] = null;
+        }
+
+        if (botoes[modo]) {
+            botoes[modo].classList.toggle('active', novoEstado);
+            botoes[modo].setAttribute('aria-pressed', novoEstado);
+        }
+
+        acompanhar(ativos.regua || ativos.mascara);
+    }
+
+    /**
+     * Liga/desliga o acompanhamento do ponteiro, foco e cursor
+     * @param {boolean} ligar
+     */
+    function acompanhar(ligar) {
+        if (ligar === acompanhando) {
+            return;
+        }
+
+        const metodo = ligar ? 'addEventListener' : 'removeEventListener';
+
+        document[metodo]('pointermove', aoMoverPonteiro, { passive: true });
+        document[metodo]('focusin', aoFocar);
+        document[metodo]('selectionchange', aoMoverCursor);
+        window[metodo]('scroll', aoRolar, { passive: true });
+
+        acompanhando = ligar;
+
+        if (ligar) {
+            document.documentElement.style.setProperty('--guia-leitura-altura', `${CONFIG.altura}px`);
+            posicionar(document.activeElement && document.activeElement !== document.body
+                ? centroDe(document.activeElement)
+                : window.innerHeight / 2);
+        } else {
+            document.documentElement.style.removeProperty(CONFIG.propriedade);
+            document.documentElement.style.removeProperty('--guia-leitura-altura');
+            alvo = null;
+        }
+    }
+
+    /**
+     * Ponteiro (mouse, caneta ou toque)
+     * @param {PointerEvent} e
+     */
+    function aoMoverPonteiro(e) {
+        alvo = null;
+        posicionar(e.clientY);
+    }
+
+    /**
+     * Foco do teclado
+     * @param {FocusEvent} e
+     */
+    function aoFocar(e) {
+        alvo = e.target;
+        posicionar(centroDe(alvo));
+    }
+
+    /**
+     * Cursor de texto (seleção recolhida)
+     */
+    function aoMoverCursor() {
+        const selecao = document.getSelection();
+
+        if (!selecao || !selecao.rangeCount || !selecao.isCollapsed) {
+            return;
+        }
+
+        const retangulo = selecao.getRangeAt(0).getBoundingClientRect();
+
+        // Campos de formulário não expõem o cursor: fica o foco
+        if (retangulo.height > 0) {
+            alvo = null;
+            posicionar(retangulo.top + retangulo.height / 2);
+        }
+    }
+
+    /**
+     * Rolagem: a faixa acompanha o elemento com foco
+     */
+    function aoRolar() {
+        if (alvo && alvo.isConnected) {
+            posicionar(centroDe(alvo));
+        }
+    }
+
+    /**
+     * Centro vertical de um elemento na janela
+     * @param {Element} elemento
+     * @returns {number} Posição em px
+     */
+    function centroDe(elemento) {
+        const retangulo = elemento.getBoundingClientRect();
+        return retangulo.top + Math.min(retangulo.height, CONFIG.altura) / 2;
+    }
+
+    /**
+     * Move a faixa (uma vez por quadro)
+     * @param {number} y - Centro da faixa em px
+     */
+    function posicionar(y) {
+        const agendar = posicaoPendente === null;
+
+        posicaoPendente = Math.max(0, Math.min(y, window.innerHeight));
+
+        if (!agendar) {
+            return;
+        }
+
+        window.requestAnimationFrame(() => {
+            if (acompanhando) {
+                document.documentElement.style.setProperty(CONFIG.propriedade, `${Math.round(posicaoPendente)}px`);
+            }
+
+            posicaoPendente = null;
+        });
+    }
+
+    /**
+     * Salva preferência (js/preferencias.js)
+     * @param {string} modo
+     */
+    function salvarPreferencia(modo) {
+        try {
+            window.PreferenciasAcessibilidade.definir(CONFIG.modos[modo].preferencia, ativos[modo]);
+        } catch (error) {
+            console.error('❌ Erro ao salvar guia de leitura:', error);
+        }
+    }
+
+    /**
+     * Carrega preferências salvas
+     */
+    function carregarPreferencia() {
+        try {
+            Object.entries(CONFIG.modos).forEach(([modo, config]) => {
+                if (window.PreferenciasAcessibilidade.obter(config.preferencia) === true) {
+                    aplicar(modo, true);
+                }
+            });
+        } catch (error) {
+            console.error('❌ Erro ao carregar guia de leitura:', error);
+        }
+    }
+
+    /**
+     * Anuncia mudança para leitores de tela
+     * @param {string} mensagem - Mensagem a anunciar
+     */
+    function anunciar(mensagem) {
+        if (typeof window.anunciarParaLeitores === 'function') {
+            window.anunciarParaLeitores(mensagem, 'polite');
+        }
+    }
+
+    /**
+     * Verifica se um modo está ativo
+     * @param {string} modo - 'regua' ou 'mascara'
+     * @returns {boolean}
+     */
+    function isAtivo(modo) {
+        return ativos[modo] === true;
+    }
+
+    // API Pública
+    return {
+        init,
+        toggle,
+        isAtivo
+    };
+})();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.GuiaLeitura = GuiaLeitura;
+}
+
+// Auto-inicializar se DOM estiver pronto
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        GuiaLeitura.init();
+    });
+} else {
+    GuiaLeitura.init();
+}
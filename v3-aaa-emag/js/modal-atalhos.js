@@ -0,0 +1,395 @@
+/* ============================================
+   MODAL DE ATALHOS - V3
+   Lista de atalhos gerada do registro de AtalhosTeclado
+   ============================================ */
+
+'use strict';
+
+/**
+ * Módulo do Modal de Atalhos
+ *
+ * Compartilhado pela V3 e pela V4; abre pelo botão #btn-atalhos
+ * (BarraAcessibilidade) e pelo atalho de ajuda (AtalhosTeclado).
+ *
+ * - Grupos por tipo do registro (AtalhosTeclado.getAtalhosPorTipo),
+ *   sem as ações cujo alvo não existe nesta página, mais os de fonte
+ * - Filtro por texto, com a contagem anunciada
+ * - Botão "Executar" em cada linha, para quem não pressiona combinações
+ * - Painel de personalização (AtalhosTeclado.criarPainelPersonalizacao)
+ * - Refeito quando o registro muda ou o idioma da V4 troca
+ */
+const ModalAtalhos = (() => {
+    // Textos traduzidos (js/traducao.js)
+    const traduzir = window.traduzirAcessibilidade;
+
+    // Configuração
+    const CONFIG = {
+        botao: 'btn-atalhos',
+        // Títulos dos grupos (tipo do registro de AtalhosTeclado)
+        grupos: {
+            navegacao: { chave: 'shortcuts.modal.groups.navigation', nome: 'Navegação' },
+            fonte: { chave: 'shortcuts.modal.groups.fontSize', nome: 'Tamanho da Fonte' },
+            secao: { chave: 'shortcuts.modal.groups.sections', nome: 'Seções do Site' },
+            acao: { chave: 'shortcuts.modal.groups.actions', nome: 'Ações' },
+            acessibilidade: { chave: 'shortcuts.modal.groups.accessibility', nome: 'Acessibilidade' },
+            ajuda: { chave: 'shortcuts.modal.groups.help', nome: 'Ajuda' }
+        },
+        // Atalhos de AumentarFonte (fora do registro; teclas de getAtalhos)
+        fonte: [
+            { chave: 'shortcuts.modal.fontIncrease', descricao: 'Aumentar fonte', metodo: 'aumentar' },
+            { chave: 'shortcuts.modal.fontDecrease', descricao: 'Diminuir fonte', metodo: 'diminuir' },
+            { chave: 'shortcuts.modal.fontReset', descricao: 'Fonte normal', metodo: 'resetar' }
+        ]
+    };
+
+    // Estado
+    let modal = null;
+    let overlay = null;
+    let dialogo = null; // DialogoAcessivel (js/dialogo-acessivel.js)
+    let lista = null;
+    let filtro = null;
+    let contagem = null;
+    let grupos = [];
+
+    /**
+     * Abre o modal (criado na primeira vez)
+     */
+    function abrir() {
+        if (!modal) {
+            criar();
+        } else {
+            // Alvos podem ter surgido ou sumido desde a última vez
+            renderizar();
+        }
+
+        // Aberto por atalho sem foco em nada: o foco volta ao botão
+        const invocador = document.activeElement && document.activeElement !== document.body
+            ? document.activeElement
+            : document.getElementById(CONFIG.botao);
+
+        if (dialogo.abrir(invocador)) {
+            anunciar(traduzir('announcements.shortcutsModalOpened', 'Modal de atalhos de teclado aberto. Pressione ESC para fechar.'), 'assertive');
+        }
+    }
+
+    /**
+     * Fecha o modal
+     * @param {{restaurarFoco?: boolean}} [opcoes] - Ver DialogoAcessivel.fechar
+     */
+    function fechar(opcoes) {
+        if (dialogo) {
+            dialogo.fechar(opcoes);
+        }
+    }
+
+    /**
+     * Cria overlay e modal (textos em atualizarTextos)
+     */
+    function criar() {
+        overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.hidden = true;
+
+        modal = document.createElement('div');
+        modal.className = 'modal-atalhos';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-labelledby', 'modal-titulo');
+        modal.hidden = true;
+
+        modal.innerHTML = `
+            <div class="modal-header">
+                <h2 id="modal-titulo">
+                    <i class="bi bi-keyboard" aria-hidden="true"></i>
+                    <span class="modal-atalhos-titulo"></span>
+                </h2>
+                <button type="button" class="modal-close">
+                    <i class="bi bi-x" aria-hidden="true"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <p class="modal-atalhos-intro"></p>
+
+                <div class="modal-atalhos-filtro">
+                    <label for="filtro-atalhos"></label>
+                    <input type="search" id="filtro-atalhos" autocomplete="off" aria-describedby="contagem-atalhos">
+                    <p id="contagem-atalhos" class="modal-atalhos-contagem"></p>
+                </div>
+
+                <div class="modal-atalhos-lista"></div>
+
+                <p class="modal-atalhos-dica"></p>
+            </div>
+        `;
+
+        lista = modal.querySelector('.modal-atalhos-lista');
+        filtro = modal.querySelector('#filtro-atalhos');
+        contagem = modal.querySelector('#contagem-atalhos');
+
+        // Personalizar atalhos (antes da dica do ESC)
+        if (window.AtalhosTeclado) {
+            const corpo = modal.querySelector('.modal-body');
+            corpo.insertBefore(window.AtalhosTeclado.criarPainelPersonalizacao(), corpo.lastElementChild);
+        }
+
+        document.body.appendChild(overlay);
+        document.body.appendChild(modal);
+
+        // Foco preso, fundo inert, ESC e clique no overlay fecham
+        dialogo = new DialogoAcessivel(modal, {
+            overlay,
+            aoAbrir: () => {
+                modal.hidden = false;
+                overlay.hidden = false;
+            },
+            // ESC e overlay fecham direto pelo componente: anunciar aqui
+            aoFechar: () => {
+                modal.hidden = true;
+                overlay.hidden = true;
+                anunciar(traduzir('announcements.shortcutsModalClosed', 'Modal de atalhos fechado'));
+            }
+        });
+
+        configurarEventos();
+        atualizarTextos();
+        renderizar();
+
+        console.log('✅ Modal de atalhos criado');
+    }
+
+    /**
+     * Configura event listeners do modal
+     */
+    function configurarEventos() {
+        modal.querySelector('.modal-close').addEventListener('click', () => fechar());
+
+        filtro.addEventListener('input', () => filtrar(true));
+
+        // Botão "Executar" (delegado: a lista é refeita)
+        lista.addEventListener('click', (e) => {
+            const botao = e.target.closest('.btn-executar-atalho');
+
+            if (botao) {
+                executar(botao.dataset.grupo, Number(botao.dataset.indice));
+            }
+        });
+
+        // Registro mudou (atalho trocado, teclas do idioma da V4)
+        window.addEventListener('atalhosalterados', renderizar);
+
+        // Traduções da V4 (carregadas ou trocadas)
+        window.addEventListener('i18nready', atualizarIdioma);
+        window.addEventListener('languagechanged', atualizarIdioma);
+    }
+
+    /**
+     * Textos fixos e lista no idioma atual
+     */
+    function atualizarIdioma() {
+        atualizarTextos();
+        renderizar();
+    }
+
+    /**
+     * Textos fixos do modal no idioma atual
+     */
+    function atualizarTextos() {
+        modal.querySelector('.modal-atalhos-titulo').textContent = traduzir('shortcuts.title', 'Atalhos de Teclado');
+        modal.querySelector('.modal-close').setAttribute('aria-label', traduzir('shortcuts.modal.close', 'Fechar modal de atalhos'));
+        modal.querySelector('.modal-atalhos-intro').textContent = traduzir('shortcuts.modal.intro',
+            'Use os atalhos abaixo para navegar rapidamente pelo site. Se não puder pressionar combinações de teclas, use o botão "Executar" de cada atalho.');
+        modal.querySelector('label[for="filtro-atalhos"]').textContent = traduzir('shortcuts.modal.filter', 'Filtrar atalhos');
+
+        // Dica: a tecla fica num <kbd> no meio da frase traduzida
+        const dica = modal.querySelector('.modal-atalhos-dica');
+        const rotulo = document.createElement('strong');
+        const [antes, depois = ''] = traduzir('shortcuts.modal.tip', 'Pressione {{key}} para fechar este modal.', { key: '{{key}}' }).split('{{key}}');
+        const tecla = document.createElement('kbd');
+
+        rotulo.textContent = traduzir('shortcuts.modal.tipLabel', 'Dica:');
+        tecla.textContent = 'ESC';
+
+        dica.innerHTML = '<i class="bi bi-info-circle" aria-hidden="true"></i> ';
+        dica.append(rotulo, ` ${antes}`, tecla, depois);
+    }
+
+    /**
+     * Grupos da lista: registro de AtalhosTeclado por tipo, sem as
+     * ações cujo alvo não existe nesta página, mais os de fonte
+     * @returns {Array<{tipo: string, itens: Array}>}
+     */
+    function obterGrupos() {
+        const resultado = [];
+        const registro = window.AtalhosTeclado;
+        const porTipo = registro ? registro.getAtalhosPorTipo() : {};
+
+        Object.entries(porTipo).forEach(([tipo, atalhos]) => {
+            const itens = atalhos
+                .filter(atalho => atalho.disponivel)
+                .map(atalho => ({
+                    tecla: atalho.tecla,
+                    descricao: atalho.descricao,
+                    executar: () => registro.executarAtalho(atalho.id)
+                }));
+
+            if (itens.length) {
+                resultado.push({ tipo, itens });
+            }
+        });
+
+        // Fonte logo depois da navegação, como na barra
+        if (window.AumentarFonte) {
+            const posicao = resultado.findIndex(grupo => grupo.tipo === 'navegacao') + 1;
+            const teclas = window.AumentarFonte.getAtalhos();
+
+            resultado.splice(posicao, 0, {
+                tipo: 'fonte',
+                itens: CONFIG.fonte.map(atalho => ({
+                    tecla: teclas[atalho.metodo],
+                    descricao: traduzir(atalho.chave, atalho.descricao),
+                    executar: () => window.AumentarFonte[atalho.metodo]()
+                }))
+            });
+        }
+
+        return resultado;
+    }
+
+    /**
+     * Refaz a lista a partir do registro
+     */
+    function renderizar() {
+        if (!lista) {
+            return;
+        }
+
+        grupos = obterGrupos();
+        lista.innerHTML = '';
+
+        grupos.forEach((grupo, indiceGrupo) => {
+            const secao = document.createElement('section');
+            secao.className = 'modal-atalhos-grupo';
+            secao.dataset.tipo = grupo.tipo;
+
+            const titulo = document.createElement('h3');
+            const definicao = CONFIG.grupos[grupo.tipo];
+            titulo.textContent = definicao ? traduzir(definicao.chave, definicao.nome) : grupo.tipo;
+
+            const itens = document.createElement('dl');
+
+            grupo.itens.forEach((item, indice) => {
+                const linha = document.createElement('div');
+                linha.className = 'modal-atalhos-item';
+
+                const descricao = document.createElement('dt');
+                descricao.textContent = item.descricao;
+
+                const tecla = document.createElement('dd');
+                const kbd = document.createElement('kbd');
+                kbd.textContent = item.tecla || traduzir('shortcuts.customize.none', 'Sem atalho');
+
+                const botao = document.createElement('button');
+                botao.type = 'button';
+                botao.className = 'btn-executar-atalho';
+                botao.textContent = traduzir('shortcuts.modal.run', 'Executar');
+                botao.setAttribute('aria-label', traduzir('shortcuts.modal.runLabel', 'Executar: {{action}}', { action: item.descricao }));
+                botao.dataset.grupo = indiceGrupo;
+                botao.dataset.indice = indice;
+
+                tecla.append(kbd, ' ', botao);
+                linha.append(descricao, tecla);
+                linha.dataset.busca = normalizar(`${item.descricao} ${item.tecla}`);
+                itens.appendChild(linha);
+            });
+
+            secao.append(titulo, itens);
+            lista.appendChild(secao);
+        });
+
+        filtrar(false);
+    }
+
+    /**
+     * Mostra só os atalhos que combinam com o filtro
+     * @param {boolean} anunciarContagem - Anunciar quantos sobraram
+     */
+    function filtrar(anunciarContagem) {
+        const termo = normalizar(filtro.value);
+        const linhas = lista.querySelectorAll('.modal-atalhos-item');
+        let visiveis = 0;
+
+        linhas.forEach(linha => {
+            linha.hidden = !linha.dataset.busca.includes(termo);
+            visiveis += linha.hidden ? 0 : 1;
+        });
+
+        // Esconder grupo sem nenhuma linha visível
+        lista.querySelectorAll('.modal-atalhos-grupo').forEach(secao => {
+            secao.hidden = !secao.querySelector('.modal-atalhos-item:not([hidden])');
+        });
+
+        contagem.textContent = visiveis === 0
+            ? traduzir('shortcuts.modal.noResults', 'Nenhum atalho encontrado')
+            : traduzir('shortcuts.modal.count', '{{visible}} de {{total}} atalhos', { visible: visiveis, total: linhas.length });
+
+        if (anunciarContagem) {
+            anunciar(contagem.textContent, 'polite', { chave: 'filtro-atalhos' });
+        }
+    }
+
+    /**
+     * Executa o atalho de uma linha (para quem não pressiona combinações)
+     * @param {number|string} indiceGrupo
+     * @param {number} indice
+     */
+    function executar(indiceGrupo, indice) {
+        const item = grupos[indiceGrupo] && grupos[indiceGrupo].itens[indice];
+
+        if (item) {
+            // Fechar antes: a ação move o foco para a página
+            fechar({ restaurarFoco: false });
+            item.executar();
+        }
+    }
+
+    /**
+     * Texto para comparar no filtro (sem acentos, minúsculo)
+     * @param {string} texto
+     * @returns {string}
+     */
+    function normalizar(texto) {
+        return texto.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    }
+
+    /**
+     * Anuncia mudança para leitores de tela
+     * @param {string} mensagem - Mensagem a anunciar
+     * @param {string} [prioridade] - 'polite' ou 'assertive'
+     * @param {Object} [opcoes] - Ver anunciarParaLeitores (ex.: { chave })
+     */
+    function anunciar(mensagem, prioridade = 'polite', opcoes) {
+        if (typeof window.anunciarParaLeitores === 'function') {
+            window.anunciarParaLeitores(mensagem, prioridade, opcoes);
+        }
+    }
+
+    /**
+     * Verifica se o modal está aberto
+     * @returns {boolean}
+     */
+    function isAberto() {
+        return !!dialogo && dialogo.aberto;
+    }
+
+    // API Pública
+    return {
+        abrir,
+        fechar,
+        renderizar,
+        isAberto
+    };
+})();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.ModalAtalhos = ModalAtalhos;
+}
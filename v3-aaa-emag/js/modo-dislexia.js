@@ -7,27 +7,74 @@
 
 /**
  * Módulo de Modo Dislexia
- * Aplica fonte OpenDyslexic e ajustes de legibilidade
+ * Aplica fonte para dislexia e ajustes de legibilidade
+ *
+ * O usuário escolhe a fonte (OpenDyslexic, Atkinson Hyperlegible
+ * ou Lexend) com prévia ao vivo. As fontes são servidas de
+ * assets/fonts/ via FontFace API; se uma não carregar, os ajustes
+ * continuam com a fonte reserva e o motivo é informado.
+ *
+ * Na V4 os ajustes dependem da escrita do idioma
+ * (js/escritas.js).
  */
 const ModoDislexia = (() => {
+    // Textos traduzidos (js/traducao.js)
+    const traduzir = window.traduzirAcessibilidade;
+    
+    // Ajustes que valem em cada escrita (js/escritas.js)
+    const escritas = window.EscritasAcessibilidade;
+    
     // Configuração
     const CONFIG = {
-        fonteUrl: '../assets/fonts/OpenDyslexic/OpenDyslexic-Regular.woff2',
-        fontFamily: 'OpenDyslexic, Arial, sans-serif',
-        prefKey: 'cabra-tech-v3-dislexia',
+        // Fontes locais (ver assets/fonts/README.md); sem a face regular a fonte não é usada
+        fontes: {
+            opendyslexic: {
+                nome: 'OpenDyslexic',
+                pasta: '../assets/fonts/OpenDyslexic/',
+                faces: [
+                    { arquivo: 'OpenDyslexic-Regular.woff2', face: 'regular', weight: '400', style: 'normal' },
+                    { arquivo: 'OpenDyslexic-Bold.woff2', face: 'bold', weight: '700', style: 'normal' },
+                    { arquivo: 'OpenDyslexic-Italic.woff2', face: 'italic', weight: '400', style: 'italic' }
+                ]
+            },
+            atkinson: {
+                nome: 'Atkinson Hyperlegible',
+                pasta: '../assets/fonts/AtkinsonHyperlegible/',
+                faces: [
+                    { arquivo: 'AtkinsonHyperlegible-Regular.woff2', face: 'regular', weight: '400', style: 'normal' },
+                    { arquivo: 'AtkinsonHyperlegible-Bold.woff2', face: 'bold', weight: '700', style: 'normal' },
+                    { arquivo: 'AtkinsonHyperlegible-Italic.woff2', face: 'italic', weight: '400', style: 'italic' }
+                ]
+            },
+            lexend: {
+                nome: 'Lexend',
+                pasta: '../assets/fonts/Lexend/',
+                faces: [ // Lexend não tem itálico
+                    { arquivo: 'Lexend-Regular.woff2', face: 'regular', weight: '400', style: 'normal' },
+                    { arquivo: 'Lexend-Bold.woff2', face: 'bold', weight: '700', style: 'normal' }
+                ]
+            }
+        },
+        fontePadrao: 'opendyslexic',
+        fonteReserva: 'Arial, sans-serif',
         ajustes: {
             espacamentoLinhas: 1.8,
             espacamentoLetras: '0.05em',
             espacamentoPalavras: '0.2em',
-            tamanhoBase: '18px',
+            tamanhoBase: '1.8rem', // 18px no tamanho padrão; em rem acompanha o AumentarFonte
             pesoFonte: 500
         }
     };
     
     // Estado
     let ativo = false;
-    let fonteCarregada = false;
+    let fonteAtual = CONFIG.fontePadrao;
+    let escrita = 'latin';
     let botao = null;
+    let seletor = null;                // <details> com as fontes e a prévia
+    let previaAtual = null;            // Fonte mostrada na prévia
+    const carregamentos = {};          // id → Promise do carregamento (uma vez por fonte)
+    const relatorioFontes = {};        // id → { carregadas: [], falhas: [] }
     
     /**
      * Inicializa o módulo
@@ -43,15 +90,21 @@ const ModoDislexia = (() => {
             criarBotao();
         }
         
+        // Escolha da fonte com prévia
+        criarSeletorFonte();
+        
         // Configurar eventos
         configurarEventos();
         
-        // Pré-carregar fonte
-        preCarregarFonte();
+        // Escrita do idioma (V4)
+        escrita = escritas.atual();
         
-        // Carregar preferência salva
+        // Carregar preferência salva (fonte e modo)
         carregarPreferencia();
         
+        // Pré-carregar fonte escolhida
+        carregarFonte(fonteAtual).then(() => atualizarSeletor());
+        
         console.log('✅ Modo Dislexia inicializado');
         return true;
     }
@@ -78,12 +131,12 @@ const ModoDislexia = (() => {
         botao.id = 'toggle-dislexia';
         botao.className = 'btn-controle btn-dislexia';
         botao.setAttribute('aria-pressed', 'false');
-        botao.setAttribute('aria-label', 'Ativar modo para dislexia');
+        botao.setAttribute('aria-label', traduzir('accessibility.dyslexiaEnable', 'Ativar modo para dislexia'));
         botao.title = 'Ativar fonte e ajustes para dislexia';
         
         botao.innerHTML = `
             <i class="bi bi-book" aria-hidden="true"></i>
-            <span class="btn-text">Dislexia</span>
+            <span class="btn-text" data-i18n="accessibility.dyslexia">Dislexia</span>
         `;
         
         grupoControle.appendChild(botao);
@@ -92,6 +145,42 @@ const ModoDislexia = (() => {
         console.log('✅ Botão de dislexia criado');
     }
     
+    /**
+     * Cria a escolha de fonte ao lado do botão
+     * Cada opção aparece na própria fonte quando carregada
+     */
+    function criarSeletorFonte() {
+        const grupoBotao = botao && botao.closest('.controle-grupo');
+        
+        if (!grupoBotao) {
+            return;
+        }
+        
+        seletor = document.createElement('details');
+        seletor.className = 'controle-grupo dislexia-fontes';
+        
+        const opcoes = Object.entries(CONFIG.fontes).map(([id, fonte]) => `
+            <label class="dislexia-fonte-opcao" data-fonte="${id}">
+                <input type="radio" name="fonte-dislexia" value="${id}">
+                <span>${fonte.nome}</span>
+            </label>
+        `).join('');
+        
+        seletor.innerHTML = `
+            <summary class="controle-label"></summary>
+            <fieldset>
+                <legend class="sr-only"></legend>
+                ${opcoes}
+            </fieldset>
+            <p class="dislexia-fonte-previa"></p>
+            <p class="dislexia-fonte-status"></p>
+            <p class="dislexia-fonte-escrita" hidden></p>
+        `;
+        
+        grupoBotao.after(seletor);
+        atualizarSeletor();
+    }
+    
     /**
      * Configura event listeners
      */
@@ -99,39 +188,239 @@ const ModoDislexia = (() => {
         if (botao) {
             botao.addEventListener('click', toggle);
         }
+        
+        if (seletor) {
+            seletor.addEventListener('change', (e) => {
+                if (e.target.name === 'fonte-dislexia') {
+                    setFonte(e.target.value);
+                }
+            });
+            
+            // Prévia ao passar o ponteiro, sem trocar a escolha
+            seletor.querySelectorAll('.dislexia-fonte-opcao').forEach((opcao) => {
+                opcao.addEventListener('pointerenter', () => mostrarPrevia(opcao.dataset.fonte));
+                opcao.addEventListener('pointerleave', () => mostrarPrevia(fonteAtual));
+            });
+        }
+        
+        // Traduções da V4 (carregadas ou trocadas)
+        window.addEventListener('i18nready', atualizarEscrita);
+        window.addEventListener('languagechanged', atualizarEscrita);
+        
+        // FontLoader trocou a fonte do idioma (usada onde a de dislexia não vale)
+        window.addEventListener('fontsloaded', () => {
+            if (ativo && !escritas.vale('fonte', escrita)) {
+                aplicarAjustes();
+            }
+        });
+        
+        // Modo mudado em outra aba, por perfil importado ou reset
+        window.addEventListener('preferenciasalteradas', (e) => {
+            const { nome, valor } = e.detail;
+            
+            if (nome === 'dislexia' && valor !== ativo) {
+                if (valor) {
+                    ativar();
+                } else {
+                    desativar();
+                }
+            } else if (nome === 'fonteDislexia' && valor !== fonteAtual) {
+                aplicarFonte(valor);
+            }
+        });
+    }
+    
+    /**
+     * Atualiza rótulo do botão no idioma atual (V4)
+     */
+    function atualizarTextos() {
+        if (!botao) {
+            return;
+        }
+        
+        botao.setAttribute('aria-label', ativo
+            ? traduzir('accessibility.dyslexiaDisable', 'Desativar modo para dislexia')
+            : traduzir('accessibility.dyslexiaEnable', 'Ativar modo para dislexia'));
+        
+        atualizarSeletor();
     }
     
     /**
-     * Pré-carrega a fonte OpenDyslexic
+     * Idioma carregado ou trocado: reaplica os ajustes da nova escrita
+     * @param {CustomEvent} [e] - languagechanged traz detail.locale
      */
-    async function preCarregarFonte() {
-        try {
-            // Verificar se FontFace API está disponível
-            if (!('FontFace' in window)) {
-                console.warn('⚠️ FontFace API não suportada');
-                return false;
-            }
-            
-            console.log('⏳ Carregando fonte OpenDyslexic...');
-            
-            // Criar FontFace
-            const fontFace = new FontFace('OpenDyslexic', `url(${CONFIG.fonteUrl})`);
+    function atualizarEscrita(e) {
+        escrita = escritas.atual(e && e.detail && e.detail.locale);
+        
+        if (ativo) {
+            aplicarAjustes();
+        }
+        
+        atualizarTextos();
+    }
+    
+    /**
+     * Atualiza textos, opção marcada, fontes das opções e prévia
+     */
+    function atualizarSeletor() {
+        if (!seletor) {
+            return;
+        }
+        
+        const titulo = traduzir('dyslexiaFont.title', 'Fonte para dislexia');
+        
+        seletor.querySelector('summary').textContent = titulo;
+        seletor.querySelector('legend').textContent = titulo;
+        seletor.querySelector('.dislexia-fonte-escrita').textContent = traduzir('dyslexiaFont.notForScript',
+            'Este idioma mantém a própria fonte; o modo dislexia ajusta só o espaçamento.');
+        
+        seletor.querySelectorAll('.dislexia-fonte-opcao').forEach((opcao) => {
+            const id = opcao.dataset.fonte;
             
-            // Carregar fonte
-            await fontFace.load();
+            opcao.querySelector('input').checked = id === fonteAtual;
+            opcao.querySelector('span').style.fontFamily = familiaDe(id);
+        });
+        
+        mostrarPrevia(fonteAtual);
+    }
+    
+    /**
+     * Mostra o texto de exemplo e a situação de uma fonte
+     * @param {string} id - Chave de CONFIG.fontes
+     */
+    async function mostrarPrevia(id) {
+        if (!seletor || !CONFIG.fontes[id]) {
+            return;
+        }
+        
+        const previa = seletor.querySelector('.dislexia-fonte-previa');
+        const status = seletor.querySelector('.dislexia-fonte-status');
+        
+        previaAtual = id;
+        previa.textContent = traduzir('dyslexiaFont.preview', 'Aa Bb Dd Pp Qq Il1 0O — Quem lê com calma entende melhor.');
+        status.textContent = descreverFonte(id);
+        seletor.querySelector('.dislexia-fonte-escrita').hidden = escritas.vale('fonte', escrita);
+        
+        if (!relatorioFontes[id]) {
+            await carregarFonte(id);
             
-            // Adicionar ao documento
-            document.fonts.add(fontFace);
+            // O ponteiro pode ter ido para outra opção enquanto carregava
+            if (previaAtual !== id) {
+                return;
+            }
             
-            fonteCarregada = true;
-            console.log('✅ Fonte OpenDyslexic carregada');
+            status.textContent = descreverFonte(id);
+            seletor.querySelector(`[data-fonte="${id}"] span`).style.fontFamily = familiaDe(id);
+        }
+        
+        previa.style.fontFamily = familiaDe(id);
+    }
+    
+    /**
+     * Situação de uma fonte em texto (carregando, carregada, parcial ou reserva)
+     * @param {string} id - Chave de CONFIG.fontes
+     * @returns {string}
+     */
+    function descreverFonte(id) {
+        const nome = CONFIG.fontes[id].nome;
+        const relatorio = relatorioFontes[id];
+        
+        if (!relatorio) {
+            return traduzir('dyslexiaFont.loading', '{{font}}: carregando…', { font: nome });
+        }
+        
+        if (!fonteDisponivel(id)) {
+            return traduzir('dyslexiaFont.failed', '{{font}} não pôde ser carregada. Usando {{fallback}}.',
+                { font: nome, fallback: CONFIG.fonteReserva.split(',')[0] });
+        }
+        
+        if (relatorio.falhas.length) {
+            const nomesFaces = {
+                bold: traduzir('dyslexiaFont.faceBold', 'negrito'),
+                italic: traduzir('dyslexiaFont.faceItalic', 'itálico')
+            };
             
-            return true;
-        } catch (error) {
-            console.error('❌ Erro ao carregar fonte OpenDyslexic:', error);
-            fonteCarregada = false;
-            return false;
+            return traduzir('dyslexiaFont.partial', '{{font}} carregada, sem {{faces}} (o navegador simula).',
+                { font: nome, faces: relatorio.falhas.map(face => nomesFaces[face]).join(', ') });
+        }
+        
+        return traduzir('dyslexiaFont.loaded', '{{font}} carregada.', { font: nome });
+    }
+    
+    /**
+     * Carrega as faces de uma fonte (uma vez por fonte)
+     * @param {string} id - Chave de CONFIG.fontes
+     * @returns {Promise<{carregadas: string[], falhas: string[]}>}
+     */
+    function carregarFonte(id) {
+        if (!carregamentos[id]) {
+            carregamentos[id] = baixarFaces(CONFIG.fontes[id]).then((relatorio) => {
+                relatorioFontes[id] = relatorio;
+                return relatorio;
+            });
+        }
+        
+        return carregamentos[id];
+    }
+    
+    /**
+     * Baixa cada face pela FontFace API
+     * Uma face que falha não impede as outras
+     * @param {Object} fonte - Item de CONFIG.fontes
+     * @returns {Promise<{carregadas: string[], falhas: string[]}>}
+     */
+    async function baixarFaces(fonte) {
+        const relatorio = { carregadas: [], falhas: [] };
+        
+        // Verificar se FontFace API está disponível
+        if (!('FontFace' in window)) {
+            console.warn('⚠️ FontFace API não suportada');
+            relatorio.falhas = fonte.faces.map(face => face.face);
+            return relatorio;
         }
+        
+        console.log(`⏳ Carregando fonte ${fonte.nome}...`);
+        
+        await Promise.all(fonte.faces.map(async (face) => {
+            try {
+                const fontFace = new FontFace(fonte.nome, `url("${fonte.pasta}${face.arquivo}") format("woff2")`, {
+                    weight: face.weight,
+                    style: face.style,
+                    display: 'swap'
+                });
+                
+                await fontFace.load();
+                document.fonts.add(fontFace);
+                relatorio.carregadas.push(face.face);
+            } catch (error) {
+                console.error(`❌ Erro ao carregar ${fonte.pasta}${face.arquivo}:`, error);
+                relatorio.falhas.push(face.face);
+            }
+        }));
+        
+        console.log(`${relatorio.carregadas.includes('regular') ? '✅' : '⚠️'} Fonte ${fonte.nome}:`, relatorio);
+        return relatorio;
+    }
+    
+    /**
+     * Verifica se a face regular da fonte carregou
+     * @param {string} id - Chave de CONFIG.fontes
+     * @returns {boolean}
+     */
+    function fonteDisponivel(id) {
+        const relatorio = relatorioFontes[id];
+        return Boolean(relatorio && relatorio.carregadas.includes('regular'));
+    }
+    
+    /**
+     * font-family de uma fonte: só a reserva se ela não carregou
+     * @param {string} id - Chave de CONFIG.fontes
+     * @returns {string}
+     */
+    function familiaDe(id) {
+        return fonteDisponivel(id)
+            ? `"${CONFIG.fontes[id].nome}", ${CONFIG.fonteReserva}`
+            : CONFIG.fonteReserva;
     }
     
     /**
@@ -153,38 +442,46 @@ const ModoDislexia = (() => {
     async function ativar() {
         console.log('🔄 Ativando modo dislexia...');
         
-        // Verificar se fonte está carregada
-        if (!fonteCarregada) {
-            console.log('⏳ Aguardando carregamento da fonte...');
-            const sucesso = await preCarregarFonte();
-            
-            if (!sucesso) {
-                anunciar('Erro ao carregar fonte para dislexia. Por favor, tente novamente.');
-                return false;
-            }
-        }
-        
-        // Aplicar classe no body
-        document.body.classList.add('modo-dislexia');
-        
-        // Aplicar ajustes CSS
-        aplicarAjustes();
-        
-        // Atualizar estado
+        // Atualizar estado antes de esperar a fonte: um desativar()
+        // durante o carregamento (ex.: Desfazer da predefinição) vale
         ativo = true;
         
         // Atualizar botão
         if (botao) {
             botao.classList.add('active');
             botao.setAttribute('aria-pressed', 'true');
-            botao.setAttribute('aria-label', 'Desativar modo para dislexia');
+            atualizarTextos();
         }
         
         // Salvar preferência
         salvarPreferencia(true);
         
-        // Anunciar mudança
-        anunciar('Modo dislexia ativado. Fonte OpenDyslexic e ajustes de legibilidade aplicados.');
+        // Aguardar a fonte; sem ela, os ajustes valem com a fonte reserva
+        console.log('⏳ Aguardando carregamento da fonte...');
+        await carregarFonte(fonteAtual);
+        
+        // Desativado enquanto a fonte carregava
+        if (!ativo) {
+            return false;
+        }
+        
+        // Aplicar classe no body
+        document.body.classList.add('modo-dislexia');
+        
+        // Aplicar ajustes CSS
+        aplicarAjustes();
+        
+        // Anunciar mudança (a escrita sem a fonte, ou a fonte reserva)
+        const nome = CONFIG.fontes[fonteAtual].nome;
+        
+        if (!escritas.vale('fonte', escrita)) {
+            anunciar(traduzir('announcements.dyslexiaModeScript', 'Modo dislexia ativado. Este idioma mantém a própria fonte; só o espaçamento foi ajustado.'));
+        } else if (fonteDisponivel(fonteAtual)) {
+            anunciar(traduzir('announcements.dyslexiaFontEnabled', 'Modo dislexia ativado. Fonte {{font}} e ajustes de legibilidade aplicados.', { font: nome }));
+        } else {
+            anunciar(traduzir('announcements.dyslexiaFontFallback', 'Modo dislexia ativado sem a fonte {{font}}, que não pôde ser carregada. Ajustes de legibilidade aplicados com {{fallback}}.',
+                { font: nome, fallback: CONFIG.fonteReserva.split(',')[0] }));
+        }
         
         console.log('✅ Modo dislexia ativado');
         return true;
@@ -209,14 +506,14 @@ const ModoDislexia = (() => {
         if (botao) {
             botao.classList.remove('active');
             botao.setAttribute('aria-pressed', 'false');
-            botao.setAttribute('aria-label', 'Ativar modo para dislexia');
+            atualizarTextos();
         }
         
         // Salvar preferência
         salvarPreferencia(false);
         
         // Anunciar mudança
-        anunciar('Modo dislexia desativado. Fonte padrão restaurada.');
+        anunciar(traduzir('announcements.dyslexiaFontDisabled', 'Modo dislexia desativado. Fonte padrão restaurada.'));
         
         console.log('✅ Modo dislexia desativado');
         return true;
@@ -228,13 +525,20 @@ const ModoDislexia = (() => {
     function aplicarAjustes() {
         const root = document.documentElement;
         
-        // Aplicar fonte
-        root.style.setProperty('--fonte-familia-base', CONFIG.fontFamily);
+        // Aplicar fonte (--fonte-dislexia é usada por css/global.css);
+        // fora do latim e do cirílico fica a fonte do idioma, a que o
+        // <html> já usa (FontLoader)
+        const familia = escritas.vale('fonte', escrita)
+            ? familiaDe(fonteAtual)
+            : getComputedStyle(root).fontFamily;
+        
+        root.style.setProperty('--fonte-familia-base', familia);
+        root.style.setProperty('--fonte-dislexia', familia);
         
-        // Aplicar espaçamentos
-        root.style.setProperty('--linha-altura-base', CONFIG.ajustes.espacamentoLinhas);
-        root.style.setProperty('--letra-espacamento', CONFIG.ajustes.espacamentoLetras);
-        root.style.setProperty('--palavra-espacamento', CONFIG.ajustes.espacamentoPalavras);
+        // Aplicar espaçamentos ('normal' onde a escrita não comporta)
+        root.style.setProperty('--linha-altura-base', escritas.vale('linhas', escrita) ? CONFIG.ajustes.espacamentoLinhas : 'normal');
+        root.style.setProperty('--letra-espacamento', escritas.vale('letras', escrita) ? CONFIG.ajustes.espacamentoLetras : 'normal');
+        root.style.setProperty('--palavra-espacamento', escritas.vale('palavras', escrita) ? CONFIG.ajustes.espacamentoPalavras : 'normal');
         
         // Aplicar tamanho e peso
         root.style.setProperty('--fonte-tamanho-base', CONFIG.ajustes.tamanhoBase);
@@ -254,6 +558,7 @@ const ModoDislexia = (() => {
         
         // Remover propriedades customizadas
         root.style.removeProperty('--fonte-familia-base');
+        root.style.removeProperty('--fonte-dislexia');
         root.style.removeProperty('--linha-altura-base');
         root.style.removeProperty('--letra-espacamento');
         root.style.removeProperty('--palavra-espacamento');
@@ -280,21 +585,23 @@ const ModoDislexia = (() => {
         style.textContent = `
             /* Estilos para Modo Dislexia */
             .modo-dislexia {
-                /* Fonte OpenDyslexic em todo o documento */
-                font-family: ${CONFIG.fontFamily} !important;
+                /* Fonte escolhida em todo o documento */
+                font-family: var(--fonte-dislexia) !important;
             }
             
+            /* Espaçamento escolhido em EspacamentoTexto (--texto-*) vence;
+               senão, o da escrita atual (aplicarAjustes) */
             .modo-dislexia * {
                 font-family: inherit !important;
-                letter-spacing: ${CONFIG.ajustes.espacamentoLetras} !important;
-                word-spacing: ${CONFIG.ajustes.espacamentoPalavras} !important;
+                letter-spacing: var(--texto-espaco-letras, var(--letra-espacamento)) !important;
+                word-spacing: var(--texto-espaco-palavras, var(--palavra-espacamento)) !important;
             }
             
             .modo-dislexia p,
             .modo-dislexia li,
             .modo-dislexia td,
             .modo-dislexia th {
-                line-height: ${CONFIG.ajustes.espacamentoLinhas} !important;
+                line-height: var(--texto-altura-linha, var(--linha-altura-base)) !important;
             }
             
             /* Aumentar contraste de texto */
@@ -303,10 +610,10 @@ const ModoDislexia = (() => {
                 background-color: #FFFEF0 !important; /* Fundo levemente amarelado */
             }
             
-            /* Evitar justificação de texto */
+            /* Evitar justificação de texto (start respeita RTL) */
             .modo-dislexia p,
             .modo-dislexia div {
-                text-align: left !important;
+                text-align: start !important;
                 hyphens: none !important;
             }
             
@@ -386,12 +693,12 @@ const ModoDislexia = (() => {
     }
     
     /**
-     * Salva preferência no localStorage
+     * Salva preferência (js/preferencias.js)
      * @param {boolean} ativar - Estado desejado
      */
     function salvarPreferencia(ativar) {
         try {
-            localStorage.setItem(CONFIG.prefKey, ativar.toString());
+            window.PreferenciasAcessibilidade.definir('dislexia', ativar);
             console.log(`💾 Preferência de dislexia salva: ${ativar}`);
         } catch (error) {
             console.error('❌ Erro ao salvar preferência:', error);
@@ -403,9 +710,12 @@ const ModoDislexia = (() => {
      */
     function carregarPreferencia() {
         try {
-            const prefSalva = localStorage.getItem(CONFIG.prefKey);
+            fonteAtual = window.PreferenciasAcessibilidade.obter('fonteDislexia');
+            atualizarSeletor();
             
-            if (prefSalva === 'true' && !ativo) {
+            const prefSalva = window.PreferenciasAcessibilidade.obter('dislexia');
+            
+            if (prefSalva === true && !ativo) {
                 ativar();
                 console.log('✅ Modo dislexia carregado da preferência');
             }
@@ -437,7 +747,71 @@ const ModoDislexia = (() => {
      * @returns {boolean} Fonte carregada
      */
     function isFonteCarregada() {
-        return fonteCarregada;
+        return fonteDisponivel(fonteAtual);
+    }
+    
+    /**
+     * Escolhe a fonte (aplica, salva e anuncia a situação)
+     * @param {string} id - 'opendyslexic', 'atkinson' ou 'lexend'
+     * @returns {Promise<boolean>} Se a fonte carregou
+     */
+    async function setFonte(id) {
+        if (!CONFIG.fontes[id]) {
+            console.warn(`⚠️ Fonte desconhecida: ${id}`);
+            return false;
+        }
+        
+        await aplicarFonte(id);
+        
+        try {
+            window.PreferenciasAcessibilidade.definir('fonteDislexia', id);
+        } catch (error) {
+            console.error('❌ Erro ao salvar fonte:', error);
+        }
+        
+        anunciar(descreverFonte(id));
+        return fonteDisponivel(id);
+    }
+    
+    /**
+     * Troca a fonte na página (sem salvar)
+     * @param {string} id - Chave de CONFIG.fontes
+     */
+    async function aplicarFonte(id) {
+        fonteAtual = id;
+        atualizarSeletor();
+        
+        await carregarFonte(id);
+        
+        // Outra fonte escolhida enquanto esta carregava
+        if (fonteAtual !== id) {
+            return;
+        }
+        
+        atualizarSeletor();
+        
+        if (ativo) {
+            aplicarAjustes();
+        }
+    }
+    
+    /**
+     * Obtém a fonte escolhida
+     * @returns {string} Chave de CONFIG.fontes
+     */
+    function getFonte() {
+        return fonteAtual;
+    }
+    
+    /**
+     * Situação das fontes já carregadas (ou que falharam)
+     * @returns {Object} id → { nome, carregadas, falhas }
+     */
+    function getRelatorioFontes() {
+        return Object.fromEntries(Object.entries(relatorioFontes).map(([id, relatorio]) => [
+            id,
+            { nome: CONFIG.fontes[id].nome, carregadas: [...relatorio.carregadas], falhas: [...relatorio.falhas] }
+        ]));
     }
     
     /**
@@ -470,6 +844,9 @@ const ModoDislexia = (() => {
         desativar,
         isAtivo,
         isFonteCarregada,
+        setFonte,
+        getFonte,
+        getRelatorioFontes,
         getConfig,
         setConfig
     };
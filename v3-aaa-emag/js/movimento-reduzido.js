@@ -0,0 +1,259 @@
+/* ============================================
+   MOVIMENTO REDUZIDO - V3
+   Animações e transparências (WCAG 2.3.3 - AAA)
+   ============================================ */
+
+'use strict';
+
+/**
+ * Módulo de Movimento Reduzido
+ * Segue prefers-reduced-motion e prefers-reduced-transparency
+ * (via js/preferencias.js) até o usuário escolher na barra
+ *
+ * Classes do body (uma de cada par sempre presente, para que a
+ * escolha vença o @media do CSS nos dois sentidos):
+ * - movimento-reduzido / movimento-liberado
+ * - transparencia-reduzida / transparencia-liberada
+ */
+const MovimentoReduzido = (() => {
+    // Textos traduzidos (js/traducao.js)
+    const traduzir = window.traduzirAcessibilidade;
+
+    // Configuração
+    const CONFIG = {
+        classes: {
+            movimentoReduzido: ['movimento-reduzido', 'movimento-liberado'],
+            transparenciaReduzida: ['transparencia-reduzida', 'transparencia-liberada']
+        }
+    };
+
+    // Estado
+    let reduzido = false;
+    let transparenciaReduzida = false;
+    let botao = null;
+
+    /**
+     * Inicializa o módulo
+     */
+    function init() {
+        console.log('🎞️ Inicializando Movimento Reduzido...');
+
+        // Criar botão de controle se não existir
+        botao = document.getElementById('toggle-movimento');
+
+        if (!botao) {
+            criarBotao();
+        }
+
+        // Configurar eventos
+        configurarEventos();
+
+        // Carregar preferência (escolhida ou do sistema)
+        carregarPreferencia();
+
+        // Mostrar se segue o sistema
+        if (botao && window.PreferenciasAcessibilidade) {
+            window.PreferenciasAcessibilidade.indicarOrigem(botao.closest('.controle-grupo'), ['movimentoReduzido']);
+        }
+
+        console.log('✅ Movimento Reduzido inicializado');
+        return true;
+    }
+
+    /**
+     * Cria botão de controle dinamicamente
+     */
+    function criarBotao() {
+        const barraAcessibilidade = document.querySelector('.acessibilidade-controles');
+
+        if (!barraAcessibilidade) {
+            console.warn('⚠️ Barra de acessibilidade não encontrada');
+            return;
+        }
+
+        const grupoControle = document.createElement('div');
+        grupoControle.className = 'controle-grupo';
+
+        botao = document.createElement('button');
+        botao.type = 'button';
+        botao.id = 'toggle-movimento';
+        botao.className = 'btn-controle btn-movimento';
+        botao.setAttribute('aria-pressed', 'false');
+
+        botao.innerHTML = `
+            <i class="bi bi-pause-circle" aria-hidden="true"></i>
+            <span class="btn-text"></span>
+        `;
+
+        grupoControle.appendChild(botao);
+        barraAcessibilidade.appendChild(grupoControle);
+
+        atualizarTextos();
+
+        console.log('✅ Botão de movimento reduzido criado');
+    }
+
+    /**
+     * Configura event listeners
+     */
+    function configurarEventos() {
+        if (botao) {
+            botao.addEventListener('click', toggle);
+        }
+
+        // Traduções da V4 (carregadas ou trocadas)
+        window.addEventListener('i18nready', atualizarTextos);
+        window.addEventListener('languagechanged', atualizarTextos);
+
+        // Sistema mudou, outra aba, perfil importado ou reset
+        window.addEventListener('preferenciasalteradas', (e) => {
+            const { nome, valor } = e.detail;
+
+            if (nome === 'movimentoReduzido' && valor !== reduzido) {
+                aplicar(valor);
+            } else if (nome === 'transparenciaReduzida' && valor !== transparenciaReduzida) {
+                aplicarTransparencia(valor);
+            }
+        });
+    }
+
+    /**
+     * Atualiza texto do botão criado por criarBotao() no idioma atual
+     */
+    function atualizarTextos() {
+        const texto = botao && botao.querySelector('.btn-text');
+
+        if (!texto) {
+            return;
+        }
+
+        texto.textContent = traduzir('accessibility.reduceMotion', 'Reduzir animações');
+        botao.title = traduzir('accessibility.reduceMotionTitle', 'Reduzir animações e transições');
+    }
+
+    /**
+     * Ativa/desativa movimento reduzido
+     * @returns {boolean} Novo estado
+     */
+    function toggle() {
+        aplicar(!reduzido);
+        salvarPreferencia();
+
+        anunciar(reduzido
+            ? traduzir('announcements.motionReduced', 'Animações reduzidas')
+            : traduzir('announcements.motionRestored', 'Animações ativadas'));
+
+        console.log(`✅ Movimento ${reduzido ? 'reduzido' : 'liberado'}`);
+        return reduzido;
+    }
+
+    /**
+     * Aplica estado de movimento no body e no botão
+     * @param {boolean} novoEstado
+     */
+    function aplicar(novoEstado) {
+        reduzido = novoEstado;
+        aplicarClasses('movimentoReduzido', reduzido);
+
+        if (botao) {
+            botao.classList.toggle('active', reduzido);
+            botao.setAttribute('aria-pressed', reduzido);
+        }
+    }
+
+    /**
+     * Aplica estado de transparência no body
+     * @param {boolean} novoEstado
+     */
+    function aplicarTransparencia(novoEstado) {
+        transparenciaReduzida = novoEstado;
+        aplicarClasses('transparenciaReduzida', transparenciaReduzida);
+    }
+
+    /**
+     * Troca a classe do par conforme o estado
+     * @param {string} preferencia - Chave de CONFIG.classes
+     * @param {boolean} ativo
+     */
+    function aplicarClasses(preferencia, ativo) {
+        const [classeAtiva, classeInativa] = CONFIG.classes[preferencia];
+
+        document.body.classList.toggle(classeAtiva, ativo);
+        document.body.classList.toggle(classeInativa, !ativo);
+    }
+
+    /**
+     * Salva preferência (js/preferencias.js)
+     */
+    function salvarPreferencia() {
+        try {
+            window.PreferenciasAcessibilidade.definir('movimentoReduzido', reduzido);
+        } catch (error) {
+            console.error('❌ Erro ao salvar movimento reduzido:', error);
+        }
+    }
+
+    /**
+     * Carrega preferência salva ou do sistema
+     */
+    function carregarPreferencia() {
+        try {
+            const preferencias = window.PreferenciasAcessibilidade;
+
+            aplicar(preferencias.obter('movimentoReduzido'));
+            aplicarTransparencia(preferencias.obter('transparenciaReduzida'));
+
+            console.log(`✅ Movimento reduzido (${preferencias.origem('movimentoReduzido')}): ${reduzido}`);
+        } catch (error) {
+            console.error('❌ Erro ao carregar movimento reduzido:', error);
+        }
+    }
+
+    /**
+     * Anuncia mudança para leitores de tela
+     * @param {string} mensagem - Mensagem a anunciar
+     */
+    function anunciar(mensagem) {
+        if (typeof window.anunciarParaLeitores === 'function') {
+            window.anunciarParaLeitores(mensagem, 'polite');
+        }
+    }
+
+    /**
+     * Verifica se o movimento está reduzido
+     * @returns {boolean}
+     */
+    function isReduzido() {
+        return reduzido;
+    }
+
+    /**
+     * Verifica se a transparência está reduzida
+     * @returns {boolean}
+     */
+    function isTransparenciaReduzida() {
+        return transparenciaReduzida;
+    }
+
+    // API Pública
+    return {
+        init,
+        toggle,
+        isReduzido,
+        isTransparenciaReduzida
+    };
+})();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.MovimentoReduzido = MovimentoReduzido;
+}
+
+// Auto-inicializar se DOM estiver pronto
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        MovimentoReduzido.init();
+    });
+} else {
+    MovimentoReduzido.init();
+}
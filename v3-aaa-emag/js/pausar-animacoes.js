@@ -0,0 +1,484 @@
+/* ============================================
+   PAUSAR ANIMAÇÕES - V3
+   Para keyframes, GIFs e vídeos (WCAG 2.2.2)
+   ============================================ */
+
+'use strict';
+
+/**
+ * Módulo de Pausar Animações
+ * Diferente de MovimentoReduzido (que encurta animações), aqui
+ * tudo fica parado:
+ * - keyframes (css/animations.css e demais) pausados via CSS
+ * - GIFs trocados por uma imagem estática do quadro em exibição
+ * - GIFs de outra origem (sem CORS) escondidos atrás de um botão
+ *   "Reproduzir GIF", já que não dá para congelá-los
+ * - vídeos em reprodução pausados e autoplay suspenso
+ * - GIFs e vídeos inseridos depois também param (MutationObserver)
+ * Ao desativar, só volta a tocar o que este módulo parou.
+ */
+const PausarAnimacoes = (() => {
+    // Textos traduzidos (js/traducao.js)
+    const traduzir = window.traduzirAcessibilidade;
+
+    // Configuração
+    const CONFIG = {
+        preferencia: 'pausarAnimacoes',
+        classe: 'animacoes-pausadas',
+        gif: /\.gif($|[?#])/i,
+        atributos: {
+            original: 'data-gif-original',          // src (e srcset) do GIF
+            escondido: 'data-gif-escondido',        // GIF de outra origem atrás do botão
+            liberado: 'data-gif-liberado',          // GIF que o usuário mandou reproduzir
+            midia: 'data-pausado-por-animacoes'     // 'reproducao' e/ou 'autoplay'
+        },
+        classeReproduzir: 'btn-reproduzir-gif'
+    };
+
+    // Estado
+    let ativo = false;
+    let botao = null;
+    let observador = null;
+
+    /**
+     * Inicializa o módulo
+     */
+    function init() {
+        console.log('⏸️ Inicializando Pausar Animações...');
+
+        // Criar botão de controle se não existir
+        botao = document.getElementById('toggle-pausar-animacoes');
+
+        if (!botao) {
+            criarBotao();
+        }
+
+        // Configurar eventos
+        configurarEventos();
+
+        // Carregar preferência salva
+        carregarPreferencia();
+
+        console.log('✅ Pausar Animações inicializado');
+        return true;
+    }
+
+    /**
+     * Cria botão de controle dinamicamente
+     */
+    function criarBotao() {
+        const barraAcessibilidade = document.querySelector('.acessibilidade-controles');
+
+        if (!barraAcessibilidade) {
+            console.warn('⚠️ Barra de acessibilidade não encontrada');
+            return;
+        }
+
+        const grupoControle = document.createElement('div');
+        grupoControle.className = 'controle-grupo';
+
+        botao = document.createElement('button');
+        botao.type = 'button';
+        botao.id = 'toggle-pausar-animacoes';
+        botao.className = 'btn-controle btn-pausar-animacoes';
+        botao.setAttribute('aria-pressed', 'false');
+
+        botao.innerHTML = `
+            <i class="bi bi-stop-circle" aria-hidden="true"></i>
+            <span class="btn-text"></span>
+        `;
+
+        grupoControle.appendChild(botao);
+        barraAcessibilidade.appendChild(grupoControle);
+
+        atualizarTextos();
+
+        console.log('✅ Botão de pausar animações criado');
+    }
+
+    /**
+     * Configura event listeners
+     */
+    function configurarEventos() {
+        if (botao) {
+            botao.addEventListener('click', toggle);
+        }
+
+        // Traduções da V4 (carregadas ou trocadas)
+        window.addEventListener('i18nready', atualizarTextos);
+        window.addEventListener('languagechanged', atualizarTextos);
+
+        // Outra aba, perfil importado ou reset
+        window.addEventListener('preferenciasalteradas', (e) => {
+            const { nome, valor } = e.detail;
+
+            if (nome === CONFIG.preferencia && valor !== ativo) {
+                aplicar(valor);
+            }
+        });
+    }
+
+    /**
+     * Atualiza texto do botão criado por criarBotao() no idioma atual
+     */
+    function atualizarTextos() {
+        const texto = botao && botao.querySelector('.btn-text');
+
+        if (!texto) {
+            return;
+        }
+
+        texto.textContent = traduzir('accessibility.pauseAnimations', 'Parar animações');
+        botao.title = traduzir('accessibility.pauseAnimationsTitle', 'Pausar animações, GIFs e vídeos');
+    }
+
+    /**
+     * Ativa/desativa a pausa
+     * @returns {boolean} Novo estado
+     */
+    function toggle() {
+        const parados = aplicar(!ativo);
+        salvarPreferencia();
+
+        anunciar(ativo
+            ? traduzir('announcements.animationsPaused', 'Animações paradas. {count, plural, =0 {Nenhum GIF ou vídeo na página.} one {# GIF ou vídeo pausado.} other {# GIFs e vídeos pausados.}}', { count: parados })
+            : traduzir('announcements.animationsResumed', 'Animações liberadas'));
+
+        console.log(`✅ Animações ${ativo ? 'pausadas' : 'liberadas'}`);
+        return ativo;
+    }
+
+    /**
+     * Aplica estado na página e no botão
+     * @param {boolean} novoEstado
+     * @returns {number} GIFs e vídeos parados (ou retomados)
+     */
+    function aplicar(novoEstado) {
+        ativo = novoEstado;
+        document.body.classList.toggle(CONFIG.classe, ativo);
+
+        if (botao) {
+            botao.classList.toggle('active', ativo);
+            botao.setAttribute('aria-pressed', ativo);
+        }
+
+        if (ativo) {
+            observar();
+            return congelarGifs(document) + pausarVideos(document);
+        }
+
+        pararDeObservar();
+        return restaurarGifs() + retomarVideos();
+    }
+
+    /**
+     * Para GIFs e vídeos inseridos ou trocados enquanto a pausa está ativa
+     */
+    function observar() {
+        if (observador || typeof MutationObserver === 'undefined') {
+            return;
+        }
+
+        observador = new MutationObserver((mutacoes) => {
+            mutacoes.forEach((mutacao) => {
+                if (mutacao.type === 'attributes') {
+                    congelarGifs(mutacao.target);
+                    pausarVideos(mutacao.target);
+                    return;
+                }
+
+                mutacao.addedNodes.forEach((no) => {
+                    if (no.nodeType === Node.ELEMENT_NODE) {
+                        congelarGifs(no);
+                        pausarVideos(no);
+                    }
+                });
+            });
+        });
+
+        observador.observe(document.body, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['src', 'srcset', 'autoplay']
+        });
+    }
+
+    /**
+     * Desliga o MutationObserver de observar()
+     */
+    function pararDeObservar() {
+        if (observador) {
+            observador.disconnect();
+            observador = null;
+        }
+    }
+
+    /**
+     * Elementos da raiz (inclusive ela) que casam com o seletor
+     * @param {Element|Document} raiz
+     * @param {string} seletor
+     * @returns {Element[]}
+     */
+    function encontrar(raiz, seletor) {
+        const encontrados = Array.from(raiz.querySelectorAll(seletor));
+
+        if (raiz.matches && raiz.matches(seletor)) {
+            encontrados.unshift(raiz);
+        }
+
+        return encontrados;
+    }
+
+    /**
+     * Troca cada GIF pelo quadro em exibição desenhado em canvas
+     * @param {Element|Document} raiz
+     * @returns {number} GIFs congelados (ou que serão ao carregar)
+     */
+    function congelarGifs(raiz) {
+        let total = 0;
+
+        encontrar(raiz, 'img').forEach((imagem) => {
+            const src = imagem.currentSrc || imagem.src;
+
+            if (!CONFIG.gif.test(src) ||
+                imagem.hasAttribute(CONFIG.atributos.original) ||
+                imagem.hasAttribute(CONFIG.atributos.escondido) ||
+                imagem.hasAttribute(CONFIG.atributos.liberado)) {
+                return;
+            }
+
+            total++;
+
+            if (imagem.complete && imagem.naturalWidth) {
+                congelarGif(imagem);
+            } else {
+                imagem.addEventListener('load', () => {
+                    if (ativo) {
+                        congelarGif(imagem);
+                    }
+                }, { once: true });
+            }
+        });
+
+        return total;
+    }
+
+    /**
+     * Congela um GIF já carregado no quadro que está na tela agora
+     * @param {HTMLImageElement} imagem
+     */
+    function congelarGif(imagem) {
+        if (imagem.hasAttribute(CONFIG.atributos.original) || imagem.hasAttribute(CONFIG.atributos.escondido)) {
+            return;
+        }
+
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = imagem.naturalWidth;
+            canvas.height = imagem.naturalHeight;
+            canvas.getContext('2d').drawImage(imagem, 0, 0);
+
+            // Lança SecurityError se o GIF vier de outra origem sem CORS
+            const quadro = canvas.toDataURL('image/png');
+
+            imagem.setAttribute(CONFIG.atributos.original, JSON.stringify({
+                src: imagem.getAttribute('src'),
+                srcset: imagem.getAttribute('srcset')
+            }));
+            imagem.removeAttribute('srcset');
+            imagem.src = quadro;
+        } catch (error) {
+            console.warn('⚠️ GIF não pôde ser congelado (outra origem?):', imagem.src, error);
+            esconderGif(imagem);
+        }
+    }
+
+    /**
+     * Esconde um GIF que não pode ser congelado atrás de um botão
+     * "Reproduzir GIF" do mesmo tamanho (WCAG 2.2.2)
+     * @param {HTMLImageElement} imagem
+     */
+    function esconderGif(imagem) {
+        const alt = (imagem.getAttribute('alt') || '').trim();
+        const reproduzir = document.createElement('button');
+
+        reproduzir.type = 'button';
+        reproduzir.className = CONFIG.classeReproduzir;
+        reproduzir.style.width = `${imagem.width}px`;
+        reproduzir.style.height = `${imagem.height}px`;
+        reproduzir.innerHTML = '<i class="bi bi-play-circle" aria-hidden="true"></i> <span></span>';
+        reproduzir.querySelector('span').textContent = alt
+            ? traduzir('accessibility.playGifNamed', 'Reproduzir GIF: {{alt}}', { alt })
+            : traduzir('accessibility.playGif', 'Reproduzir GIF');
+
+        // O usuário escolheu ver a animação: não esconder de novo
+        reproduzir.addEventListener('click', () => {
+            imagem.removeAttribute(CONFIG.atributos.escondido);
+            imagem.setAttribute(CONFIG.atributos.liberado, '');
+            imagem.hidden = false;
+            reproduzir.remove();
+        });
+
+        imagem.setAttribute(CONFIG.atributos.escondido, '');
+        imagem.hidden = true;
+        imagem.before(reproduzir);
+
+        anunciar(traduzir('announcements.gifHidden',
+            'Um GIF de outro site não pôde ser parado e foi escondido. Use o botão Reproduzir GIF para vê-lo.'));
+    }
+
+    /**
+     * Devolve os GIFs originais
+     * @returns {number} GIFs restaurados
+     */
+    function restaurarGifs() {
+        // GIFs escondidos ou liberados por esconderGif()
+        document.querySelectorAll(`.${CONFIG.classeReproduzir}`).forEach(reproduzir => reproduzir.remove());
+        const escondidos = document.querySelectorAll(`img[${CONFIG.atributos.escondido}]`);
+
+        escondidos.forEach((imagem) => {
+            imagem.removeAttribute(CONFIG.atributos.escondido);
+            imagem.hidden = false;
+        });
+        document.querySelectorAll(`img[${CONFIG.atributos.liberado}]`).forEach((imagem) => {
+            imagem.removeAttribute(CONFIG.atributos.liberado);
+        });
+
+        const imagens = document.querySelectorAll(`img[${CONFIG.atributos.original}]`);
+
+        imagens.forEach((imagem) => {
+            const { src, srcset } = JSON.parse(imagem.getAttribute(CONFIG.atributos.original));
+
+            imagem.removeAttribute(CONFIG.atributos.original);
+
+            if (srcset) {
+                imagem.setAttribute('srcset', srcset);
+            }
+
+            imagem.setAttribute('src', src);
+        });
+
+        return imagens.length + escondidos.length;
+    }
+
+    /**
+     * Pausa vídeos tocando e suspende autoplay
+     * @param {Element|Document} raiz
+     * @returns {number} Vídeos afetados
+     */
+    function pausarVideos(raiz) {
+        let total = 0;
+
+        encontrar(raiz, 'video').forEach((video) => {
+            const motivos = (video.getAttribute(CONFIG.atributos.midia) || '').split(' ').filter(Boolean);
+
+            const antes = motivos.length;
+
+            if (video.autoplay) {
+                video.autoplay = false;
+                motivos.push('autoplay');
+            }
+
+            if (!video.paused) {
+                video.pause();
+                motivos.push('reproducao');
+            }
+
+            if (motivos.length > antes) {
+                video.setAttribute(CONFIG.atributos.midia, Array.from(new Set(motivos)).join(' '));
+                total++;
+            }
+        });
+
+        return total;
+    }
+
+    /**
+     * Retoma só os vídeos pausados por pausarVideos()
+     * @returns {number} Vídeos afetados
+     */
+    function retomarVideos() {
+        const videos = document.querySelectorAll(`video[${CONFIG.atributos.midia}]`);
+
+        videos.forEach((video) => {
+            const motivos = video.getAttribute(CONFIG.atributos.midia).split(' ');
+
+            video.removeAttribute(CONFIG.atributos.midia);
+
+            if (motivos.includes('autoplay')) {
+                video.autoplay = true;
+            }
+
+            if (motivos.includes('reproducao')) {
+                // play() pode ser recusado sem interação (política de autoplay)
+                Promise.resolve(video.play()).catch(() => {});
+            }
+        });
+
+        return videos.length;
+    }
+
+    /**
+     * Salva preferência (js/preferencias.js)
+     */
+    function salvarPreferencia() {
+        try {
+            window.PreferenciasAcessibilidade.definir(CONFIG.preferencia, ativo);
+        } catch (error) {
+            console.error('❌ Erro ao salvar pausa de animações:', error);
+        }
+    }
+
+    /**
+     * Carrega preferência salva
+     */
+    function carregarPreferencia() {
+        try {
+            if (window.PreferenciasAcessibilidade.obter(CONFIG.preferencia) === true) {
+                aplicar(true);
+            }
+        } catch (error) {
+            console.error('❌ Erro ao carregar pausa de animações:', error);
+        }
+    }
+
+    /**
+     * Anuncia mudança para leitores de tela
+     * @param {string} mensagem - Mensagem a anunciar
+     */
+    function anunciar(mensagem) {
+        if (typeof window.anunciarParaLeitores === 'function') {
+            window.anunciarParaLeitores(mensagem, 'polite');
+        }
+    }
+
+    /**
+     * Verifica se as animações estão pausadas
+     * @returns {boolean}
+     */
+    function isAtivo() {
+        return ativo;
+    }
+
+    // API Pública
+    return {
+        init,
+        toggle,
+        isAtivo
+    };
+})();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.PausarAnimacoes = PausarAnimacoes;
+}
+
+// Auto-inicializar se DOM estiver pronto
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        PausarAnimacoes.init();
+    });
+} else {
+    PausarAnimacoes.init();
+}
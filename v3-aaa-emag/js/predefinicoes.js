@@ -0,0 +1,464 @@
+/* ============================================
+   PREDEFINIÇÕES - V3
+   Combinações prontas de acessibilidade em um clique
+   ============================================ */
+
+'use strict';
+
+/**
+ * Módulo de Predefinições de Acessibilidade
+ *
+ * Cada predefinição aplica uma combinação pelas APIs dos módulos
+ * (mudarTema, mudarEspacamento, AumentarFonte.setTamanho,
+ * ModoDislexia.setConfig/ativar, MovimentoReduzido.toggle,
+ * PausarAnimacoes.toggle):
+ *
+ * - Baixa visão: alto contraste, fonte 145%, espaçamento ampliado
+ * - Dislexia: modo dislexia com entrelinha 2 e letras mais espaçadas,
+ *   fonte 115%, espaçamento ampliado
+ * - Motora / só teclado: fonte 115% (alvos maiores), espaçamento
+ *   ampliado, sem rolagem animada ao navegar por atalhos
+ * - Cognitiva / TDAH: tema padrão, espaçamento ampliado, sem
+ *   animações, GIFs ou vídeos, sem modo dislexia
+ * - Segura para convulsões: sem animações nem transições, GIFs e
+ *   vídeos parados, sem cores invertidas (tema padrão)
+ *
+ * Antes de aplicar, o valor anterior de cada preferência tocada é
+ * guardado em 'predefinicao' (js/preferencias.js). Depois o usuário
+ * pode ajustar à vontade; "Desfazer" volta ao que havia antes da
+ * primeira predefinição, mesmo após recarregar a página.
+ */
+const Predefinicoes = (() => {
+    // Textos traduzidos (js/traducao.js)
+    const traduzir = window.traduzirAcessibilidade;
+
+    // Combinações (valores do ESQUEMA de js/preferencias.js)
+    const PREDEFINICOES = {
+        'baixa-visao': {
+            nome: 'Baixa visão',
+            chave: 'presets.lowVision',
+            descricao: 'Alto contraste, fonte 145% e espaçamento ampliado',
+            chaveDescricao: 'presets.lowVisionDescription',
+            preferencias: { tema: 'high-contrast', fonte: 145, espacamento: 'large' }
+        },
+        'dislexia': {
+            nome: 'Dislexia',
+            chave: 'presets.dyslexia',
+            descricao: 'Fonte para dislexia, letras e linhas mais espaçadas',
+            chaveDescricao: 'presets.dyslexiaDescription',
+            preferencias: { dislexia: true, fonte: 115, espacamento: 'large' },
+            ajustesDislexia: {
+                espacamentoLinhas: 2,
+                espacamentoLetras: '0.12em',
+                espacamentoPalavras: '0.16em'
+            }
+        },
+        'motora': {
+            nome: 'Motora / teclado',
+            chave: 'presets.motor',
+            descricao: 'Alvos maiores, espaçamento ampliado e rolagem sem animação',
+            chaveDescricao: 'presets.motorDescription',
+            preferencias: { fonte: 115, espacamento: 'large', movimentoReduzido: true }
+        },
+        'cognitiva': {
+            nome: 'Cognitiva / TDAH',
+            chave: 'presets.cognitive',
+            descricao: 'Menos distrações: sem animações, GIFs ou vídeos e com espaçamento ampliado',
+            chaveDescricao: 'presets.cognitiveDescription',
+            preferencias: { tema: 'default', espacamento: 'large', movimentoReduzido: true, pausarAnimacoes: true, dislexia: false }
+        },
+        'convulsoes': {
+            nome: 'Segura para convulsões',
+            chave: 'presets.seizureSafe',
+            descricao: 'Sem animações, GIFs, vídeos, transições nem cores invertidas',
+            chaveDescricao: 'presets.seizureSafeDescription',
+            // GIFs e vídeos são o maior risco de flashes: movimento reduzido não os para
+            preferencias: { movimentoReduzido: true, pausarAnimacoes: true, tema: 'default' }
+        }
+    };
+
+    // Preferências que mudam junto (mudarTema leva o AltoContraste)
+    const VINCULADAS = {
+        tema: ['altoContraste', 'esquemaContraste']
+    };
+
+    // Estado privado
+    let atual = null; // { nome, anteriores, ajustesDislexia } salvo em 'predefinicao'
+    let botoes = [];
+    let botaoDesfazer = null;
+    let rotulo = null;
+
+    /**
+     * Inicializa o módulo
+     */
+    function init() {
+        console.log('🧩 Inicializando Predefinições...');
+
+        criarBotoes();
+        configurarEventos();
+        carregarPreferencia();
+
+        console.log('✅ Predefinições inicializadas');
+        return true;
+    }
+
+    /**
+     * Cria grupo de botões na barra de acessibilidade
+     */
+    function criarBotoes() {
+        const barraAcessibilidade = document.querySelector('.acessibilidade-controles');
+
+        if (!barraAcessibilidade) {
+            console.warn('⚠️ Barra de acessibilidade não encontrada');
+            return;
+        }
+
+        const grupoControle = document.createElement('div');
+        grupoControle.className = 'controle-grupo';
+
+        rotulo = document.createElement('span');
+        rotulo.className = 'controle-label';
+        rotulo.id = 'predefinicoes-label';
+
+        const grupoBotoes = document.createElement('div');
+        grupoBotoes.className = 'controle-botoes';
+        grupoBotoes.setAttribute('role', 'group');
+        grupoBotoes.setAttribute('aria-labelledby', rotulo.id);
+
+        Object.keys(PREDEFINICOES).forEach(nome => {
+            const botao = document.createElement('button');
+            botao.type = 'button';
+            botao.className = 'btn-controle';
+            botao.setAttribute('data-preset', nome);
+            botao.setAttribute('aria-pressed', 'false');
+
+            grupoBotoes.appendChild(botao);
+            botoes.push(botao);
+        });
+
+        botaoDesfazer = document.createElement('button');
+        botaoDesfazer.type = 'button';
+        botaoDesfazer.className = 'btn-controle';
+        botaoDesfazer.setAttribute('data-preset-desfazer', '');
+        botaoDesfazer.hidden = true;
+        grupoBotoes.appendChild(botaoDesfazer);
+
+        grupoControle.appendChild(rotulo);
+        grupoControle.appendChild(grupoBotoes);
+        barraAcessibilidade.appendChild(grupoControle);
+
+        atualizarTextos();
+    }
+
+    /**
+     * Configura event listeners
+     */
+    function configurarEventos() {
+        botoes.forEach(botao => {
+            botao.addEventListener('click', (e) => {
+                const nome = e.currentTarget.getAttribute('data-preset');
+
+                // Clicar na predefinição ativa desfaz
+                if (atual && atual.nome === nome) {
+                    reverter();
+                } else {
+                    aplicar(nome);
+                }
+            });
+        });
+
+        if (botaoDesfazer) {
+            botaoDesfazer.addEventListener('click', reverter);
+        }
+
+        // Traduções da V4 (carregadas ou trocadas)
+        window.addEventListener('i18nready', atualizarTextos);
+        window.addEventListener('languagechanged', atualizarTextos);
+
+        // Predefinição aplicada em outra aba, por perfil importado ou reset
+        window.addEventListener('preferenciasalteradas', (e) => {
+            const { nome, valor, anterior } = e.detail;
+
+            // Mudança feita por este módulo: estado já está em dia
+            if (nome !== 'predefinicao' || JSON.stringify(valor) === JSON.stringify(atual)) {
+                return;
+            }
+
+            atual = valor;
+
+            // Ajustes do modo dislexia não ficam salvos: acompanhar aqui
+            if (valor && PREDEFINICOES[valor.nome]) {
+                aplicarAjustesDislexia(PREDEFINICOES[valor.nome].ajustesDislexia);
+            } else if (anterior) {
+                aplicarAjustesDislexia(anterior.ajustesDislexia);
+            }
+
+            atualizarBotoes();
+        });
+    }
+
+    /**
+     * Atualiza textos do grupo no idioma atual
+     */
+    function atualizarTextos() {
+        if (!rotulo) {
+            return;
+        }
+
+        rotulo.textContent = traduzir('presets.label', 'Predefinições:');
+
+        botoes.forEach(botao => {
+            const predefinicao = PREDEFINICOES[botao.getAttribute('data-preset')];
+
+            botao.textContent = traduzir(predefinicao.chave, predefinicao.nome);
+            botao.title = traduzir(predefinicao.chaveDescricao, predefinicao.descricao);
+        });
+
+        botaoDesfazer.textContent = traduzir('presets.undo', 'Desfazer');
+        botaoDesfazer.title = traduzir('presets.undoDescription', 'Voltar às configurações de antes da predefinição');
+    }
+
+    /**
+     * Aplica uma predefinição
+     * @param {string} nome - Chave de PREDEFINICOES
+     * @returns {boolean} Sucesso da operação
+     */
+    function aplicar(nome) {
+        const predefinicao = PREDEFINICOES[nome];
+
+        if (!predefinicao) {
+            console.warn(`⚠️ Predefinição inválida: ${nome}`);
+            return false;
+        }
+
+        const preferencias = window.PreferenciasAcessibilidade;
+
+        // Guardar o estado de antes da primeira predefinição; trocar de
+        // predefinição só acrescenta o que a nova toca e a anterior não
+        const anteriores = atual ? { ...atual.anteriores } : {};
+
+        Object.keys(predefinicao.preferencias).forEach(tocada => {
+            [tocada, ...(VINCULADAS[tocada] || [])].forEach(preferencia => {
+                if (preferencia in anteriores) {
+                    return;
+                }
+
+                anteriores[preferencia] = preferencias.foiDefinida(preferencia)
+                    ? preferencias.obter(preferencia)
+                    : null; // null = seguia o sistema/padrão
+            });
+        });
+
+        atual = {
+            nome,
+            anteriores,
+            ajustesDislexia: atual ? atual.ajustesDislexia : obterAjustesDislexia()
+        };
+
+        // Salvar antes: se a página fechar no meio, ainda dá para desfazer
+        preferencias.definir('predefinicao', atual);
+
+        aplicarAjustesDislexia(predefinicao.ajustesDislexia || atual.ajustesDislexia);
+
+        Object.entries(predefinicao.preferencias).forEach(([preferencia, valor]) => {
+            aplicarPreferencia(preferencia, valor);
+        });
+
+        atualizarBotoes();
+
+        anunciarResumo(traduzir('announcements.presetApplied', 'Predefinição aplicada: {{preset}}', {
+            preset: traduzir(predefinicao.chave, predefinicao.nome)
+        }));
+        console.log(`✅ Predefinição aplicada: ${nome}`);
+        return true;
+    }
+
+    /**
+     * Volta às configurações de antes da predefinição
+     * Vale também depois de ajustes feitos pelo usuário.
+     * @returns {boolean} false se não havia predefinição
+     */
+    function reverter() {
+        if (!atual) {
+            return false;
+        }
+
+        const preferencias = window.PreferenciasAcessibilidade;
+        const { anteriores, ajustesDislexia } = atual;
+
+        atual = null;
+        preferencias.remover('predefinicao');
+
+        aplicarAjustesDislexia(ajustesDislexia);
+
+        Object.entries(anteriores).forEach(([preferencia, valor]) => {
+            if (valor === null) {
+                // Voltar a seguir o sistema/padrão: os módulos acompanham o evento
+                preferencias.remover(preferencia);
+            } else {
+                aplicarPreferencia(preferencia, valor);
+            }
+        });
+
+        atualizarBotoes();
+
+        anunciarResumo(traduzir('announcements.presetReverted', 'Configurações anteriores restauradas'));
+        console.log('↩️ Predefinição desfeita');
+        return true;
+    }
+
+    /**
+     * Aplica uma preferência pela API do módulo responsável
+     * Sem o módulo na página, grava direto (quem escuta o evento aplica).
+     * @param {string} preferencia - Nome no ESQUEMA
+     * @param {*} valor
+     */
+    function aplicarPreferencia(preferencia, valor) {
+        const barra = obterBarra();
+
+        if (preferencia === 'tema' && barra) {
+            barra.mudarTema(valor);
+        } else if (preferencia === 'espacamento' && barra) {
+            barra.mudarEspacamento(valor);
+        } else if (preferencia === 'fonte' && window.AumentarFonte) {
+            window.AumentarFonte.setTamanho(valor);
+        } else if (preferencia === 'dislexia' && window.ModoDislexia) {
+            if (valor !== window.ModoDislexia.isAtivo()) {
+                window.ModoDislexia.toggle();
+            }
+        } else if (preferencia === 'movimentoReduzido' && window.MovimentoReduzido) {
+            if (valor !== window.MovimentoReduzido.isReduzido()) {
+                window.MovimentoReduzido.toggle();
+            }
+        } else if (preferencia === 'pausarAnimacoes' && window.PausarAnimacoes) {
+            if (valor !== window.PausarAnimacoes.isAtivo()) {
+                window.PausarAnimacoes.toggle();
+            }
+        } else {
+            window.PreferenciasAcessibilidade.definir(preferencia, valor);
+        }
+    }
+
+    /**
+     * Ajustes atuais do modo dislexia (cópia)
+     * @returns {Object|null}
+     */
+    function obterAjustesDislexia() {
+        return window.ModoDislexia ? { ...window.ModoDislexia.getConfig().ajustes } : null;
+    }
+
+    /**
+     * Aplica ajustes do modo dislexia, se houver
+     * @param {Object|null} ajustes
+     */
+    function aplicarAjustesDislexia(ajustes) {
+        if (ajustes && window.ModoDislexia) {
+            window.ModoDislexia.setConfig(ajustes);
+        }
+    }
+
+    /**
+     * Atualiza estado visual dos botões
+     */
+    function atualizarBotoes() {
+        botoes.forEach(botao => {
+            const estaAtivo = !!atual && botao.getAttribute('data-preset') === atual.nome;
+
+            botao.classList.toggle('active', estaAtivo);
+            botao.setAttribute('aria-pressed', estaAtivo);
+        });
+
+        if (botaoDesfazer) {
+            botaoDesfazer.hidden = !atual;
+        }
+    }
+
+    /**
+     * Obtém a BarraAcessibilidade disponível na página
+     * (módulo da barra-acessibilidade.js ou objeto da wcag-aaa-emag.js)
+     * @returns {Object|null}
+     */
+    function obterBarra() {
+        if (window.BarraAcessibilidade) {
+            return window.BarraAcessibilidade;
+        }
+
+        return typeof BarraAcessibilidade !== 'undefined' ? BarraAcessibilidade : null;
+    }
+
+    /**
+     * Carrega predefinição salva
+     * As preferências já voltam pelos módulos; só os ajustes do
+     * modo dislexia precisam ser refeitos.
+     */
+    function carregarPreferencia() {
+        try {
+            const salva = window.PreferenciasAcessibilidade.obter('predefinicao');
+
+            if (!salva || !PREDEFINICOES[salva.nome]) {
+                return;
+            }
+
+            atual = salva;
+            aplicarAjustesDislexia(PREDEFINICOES[salva.nome].ajustesDislexia);
+            atualizarBotoes();
+            console.log(`✅ Predefinição carregada: ${salva.nome}`);
+        } catch (error) {
+            console.error('❌ Erro ao carregar predefinição:', error);
+        }
+    }
+
+    /**
+     * Anuncia só o resumo: os anúncios de cada módulo
+     * (tema, fonte, espaçamento...) são descartados
+     * @param {string} mensagem - Mensagem a anunciar
+     */
+    function anunciarResumo(mensagem) {
+        if (window.Anunciador) {
+            window.Anunciador.limpar();
+        }
+
+        if (typeof window.anunciarParaLeitores === 'function') {
+            window.anunciarParaLeitores(mensagem, 'polite');
+        }
+    }
+
+    /**
+     * Obtém predefinição ativa
+     * @returns {string|null} Nome ou null
+     */
+    function getPredefinicaoAtual() {
+        return atual ? atual.nome : null;
+    }
+
+    /**
+     * Lista predefinições disponíveis com suas combinações
+     * @returns {Object} Cópia de PREDEFINICOES
+     */
+    function getPredefinicoes() {
+        return JSON.parse(JSON.stringify(PREDEFINICOES));
+    }
+
+    // API Pública
+    return {
+        init,
+        aplicar,
+        reverter,
+        getPredefinicaoAtual,
+        getPredefinicoes
+    };
+})();
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.Predefinicoes = Predefinicoes;
+}
+
+// Auto-inicializar se DOM estiver pronto
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        Predefinicoes.init();
+    });
+} else {
+    Predefinicoes.init();
+}
@@ -59,6 +59,12 @@ const BarraAcessibilidade = {
         this.bindEvents();
         this.carregarPreferencias();
 
+        // Mostrar se o tema segue o sistema
+        Preferencias.armazenamento.indicarOrigem(
+            this.controles.temas[0].closest('.controle-grupo'),
+            ['tema', 'altoContraste']
+        );
+
         console.log('✓ Barra de acessibilidade inicializada');
     },
 
@@ -92,7 +98,9 @@ const BarraAcessibilidade = {
         // Botão de atalhos
         if (this.controles.atalhos) {
             this.controles.atalhos.addEventListener('click', () => {
-                ModalAtalhos.abrir();
+                if (window.ModalAtalhos) {
+                    window.ModalAtalhos.abrir();
+                }
             });
         }
     },
@@ -117,6 +125,11 @@ const BarraAcessibilidade = {
         document.body.classList.add(`tema-${tema}`);
         this.temaAtual = tema;
 
+        // Alto contraste: classes alto-contraste/contraste-* são do AltoContraste
+        if (window.AltoContraste) {
+            window.AltoContraste.sincronizarTema(tema);
+        }
+
         // Atualizar botões (aria-pressed)
         this.controles.temas.forEach(btn => {
             const btnTema = btn.getAttribute('data-theme');
@@ -203,24 +216,27 @@ const BarraAcessibilidade = {
     },
 
     /**
-     * Carregar preferências salvas
+     * Carregar preferências salvas (ou do sistema)
      */
     carregarPreferencias() {
         const tema = Preferencias.obter('tema');
         const espacamento = Preferencias.obter('espacamento');
         const libras = Preferencias.obter('libras');
 
-        if (tema && this.temasDisponiveis.includes(tema)) {
-            this.mudarTema(tema);
-        }
+        // Reaplicar sem transformar o valor do sistema em escolha
+        Preferencias.armazenamento.reaplicar(() => {
+            if (tema && tema !== this.temaAtual && this.temasDisponiveis.includes(tema)) {
+                this.mudarTema(tema);
+            }
 
-        if (espacamento) {
-            this.mudarEspacamento(espacamento);
-        }
+            if (espacamento && espacamento !== this.espacamentoAtual) {
+                this.mudarEspacamento(espacamento);
+            }
 
-        if (libras === true) {
-            this.toggleLibras();
-        }
+            if (libras === true) {
+                this.toggleLibras();
+            }
+        });
     }
 };
 
@@ -339,7 +355,14 @@ const FonteSizeControl = {
 const MenuMobile = {
     menuToggle: null,
     menuList: null,
-    isOpen: false,
+    dialogo: null, // DialogoAcessivel em modo disclosure (js/dialogo-acessivel.js)
+
+    /**
+     * Menu aberto?
+     */
+    get isOpen() {
+        return Boolean(this.dialogo && this.dialogo.aberto);
+    },
 
     /**
      * Inicializa o menu mobile
@@ -353,6 +376,25 @@ const MenuMobile = {
             return;
         }
 
+        // ESC fecha e devolve o foco ao botão; o foco não fica preso
+        this.dialogo = new DialogoAcessivel(this.menuList, {
+            modal: false,
+            invocador: this.menuToggle,
+            focoInicial: 'a',
+            aoAbrir: () => {
+                this.menuToggle.setAttribute('aria-label', 'Fechar menu de navegação');
+                this.menuList.setAttribute('aria-expanded', 'true');
+                this.menuList.style.display = 'flex';
+                anunciarParaLeitores('Menu de navegação aberto', 'polite');
+            },
+            aoFechar: () => {
+                this.menuToggle.setAttribute('aria-label', 'Abrir menu de navegação');
+                this.menuList.setAttribute('aria-expanded', 'false');
+                this.menuList.style.display = '';
+                anunciarParaLeitores('Menu de navegação fechado', 'polite');
+            }
+        });
+
         this.bindEvents();
         console.log('✓ Menu mobile inicializado');
     },
@@ -364,19 +406,12 @@ const MenuMobile = {
         // Click no botão toggle
         this.menuToggle.addEventListener('click', () => this.toggle());
 
-        // Fechar ao pressionar ESC
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isOpen) {
-                this.fechar();
-            }
-        });
-
-        // Fechar ao clicar em um link do menu
+        // Fechar ao clicar em um link do menu (o foco segue para o destino)
         const menuLinks = this.menuList.querySelectorAll('a');
         menuLinks.forEach(link => {
             link.addEventListener('click', () => {
                 if (window.innerWidth <= 768 && this.isOpen) {
-                    this.fechar();
+                    this.fechar({ restaurarFoco: false });
                 }
             });
         });
@@ -384,7 +419,7 @@ const MenuMobile = {
         // Ajustar ao redimensionar janela
         window.addEventListener('resize', debounce(() => {
             if (window.innerWidth > 768 && this.isOpen) {
-                this.fechar();
+                this.fechar({ restaurarFoco: false });
             }
         }, 250));
     },
@@ -401,40 +436,22 @@ const MenuMobile = {
     },
 
     /**
-     * Abrir menu
+     * Abrir menu (foco no primeiro link)
      */
     abrir() {
-        this.isOpen = true;
-        this.menuToggle.setAttribute('aria-expanded', 'true');
-        this.menuToggle.setAttribute('aria-label', 'Fechar menu de navegação');
-        this.menuList.setAttribute('aria-expanded', 'true');
-        this.menuList.style.display = 'flex';
-
-        // Foco no primeiro link
-        const firstLink = this.menuList.querySelector('a');
-        if (firstLink) {
-            setTimeout(() => firstLink.focus(), 100);
+        if (this.dialogo.abrir()) {
+            console.log('Menu aberto');
         }
-
-        anunciarParaLeitores('Menu de navegação aberto', 'polite');
-        console.log('Menu aberto');
     },
 
     /**
      * Fechar menu
+     * @param {{restaurarFoco?: boolean}} [opcoes] - Ver DialogoAcessivel.fechar
      */
-    fechar() {
-        this.isOpen = false;
-        this.menuToggle.setAttribute('aria-expanded', 'false');
-        this.menuToggle.setAttribute('aria-label', 'Abrir menu de navegação');
-        this.menuList.setAttribute('aria-expanded', 'false');
-        this.menuList.style.display = '';
-
-        // Retornar foco ao botão
-        this.menuToggle.focus();
-
-        anunciarParaLeitores('Menu de navegação fechado', 'polite');
-        console.log('Menu fechado');
+    fechar(opcoes) {
+        if (this.dialogo.fechar(opcoes)) {
+            console.log('Menu fechado');
+        }
     }
 };
 
@@ -447,12 +464,6 @@ const SmoothScroll = {
      * Inicializa smooth scroll
      */
     init() {
-        // Verificar preferência de movimento reduzido
-        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-            console.log('✓ Movimento reduzido detectado - smooth scroll desabilitado');
-            return;
-        }
-
         // Todos os links internos (âncoras)
         const links = document.querySelectorAll('a[href^="#"]');
 
@@ -495,9 +506,10 @@ const SmoothScroll = {
 
         const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - offset;
 
+        // Movimento reduzido: pular direto (consultado a cada clique, pode mudar)
         window.scrollTo({
             top: targetPosition,
-            behavior: 'smooth'
+            behavior: prefersReducedMotion() ? 'auto' : 'smooth'
         });
 
         // Focar no elemento (acessibilidade)
@@ -543,8 +555,9 @@ const TecladoAtalhos = {
      */
     init() {
         document.addEventListener('keydown', (e) => {
-            // Alt + número/letra
-            if (e.altKey && !e.ctrlKey && !e.shiftKey) {
+            // Alt + número/letra (com AtalhosTeclado carregado, as
+            // combinações são dele: o usuário pode tê-las trocado)
+            if (!window.AtalhosTeclado && e.altKey && !e.ctrlKey && !e.shiftKey) {
                 const key = e.key.toLowerCase();
 
                 if (this.atalhos[key]) {
@@ -608,212 +621,32 @@ const TecladoAtalhos = {
    6. MODAL DE ATALHOS
    ============================================ */
 
-const ModalAtalhos = {
-    modal: null,
-    overlay: null,
-
-    /**
-     * Abrir modal de atalhos
-     */
-    abrir() {
-        if (!this.modal) {
-            this.criar();
-        }
-
-        this.modal.style.display = 'block';
-        this.overlay.style.display = 'block';
+// Gerado do registro de AtalhosTeclado em ./modal-atalhos.js,
+// compartilhado com a V4 (window.ModalAtalhos)
 
-        // Focar no modal
-        setTimeout(() => {
-            this.modal.focus();
-        }, 100);
-
-        // Anunciar
-        anunciarParaLeitores('Modal de atalhos de teclado aberto. Pressione ESC para fechar.', 'assertive');
+/* ============================================
+   7. PREFERÊNCIAS DO USUÁRIO
+   ============================================ */
 
-        // Prevenir scroll do body
-        document.body.style.overflow = 'hidden';
+const Preferencias = {
+    // Nomes usados aqui que mudaram no armazenamento único
+    nomes: {
+        fontSize: 'fonte'
     },
 
     /**
-     * Fechar modal
+     * Armazenamento único (js/preferencias.js)
      */
-    fechar() {
-        if (this.modal) {
-            this.modal.style.display = 'none';
-            this.overlay.style.display = 'none';
-
-            // Retornar foco ao botão
-            const btnAtalhos = document.getElementById('btn-atalhos');
-            if (btnAtalhos) {
-                btnAtalhos.focus();
-            }
-
-            // Permitir scroll do body
-            document.body.style.overflow = '';
-
-            anunciarParaLeitores('Modal de atalhos fechado', 'polite');
-        }
+    get armazenamento() {
+        return window.PreferenciasAcessibilidade;
     },
 
-    /**
-     * Criar modal
-     */
-    criar() {
-        // Overlay
-        this.overlay = document.createElement('div');
-        this.overlay.className = 'modal-overlay';
-        this.overlay.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            right: 0;
-            bottom: 0;
-            background: rgba(0, 0, 0, 0.7);
-            z-index: 9998;
-            display: none;
-        `;
-
-        // Modal
-        this.modal = document.createElement('div');
-        this.modal.className = 'modal-atalhos';
-        this.modal.setAttribute('role', 'dialog');
-        this.modal.setAttribute('aria-labelledby', 'modal-titulo');
-        this.modal.setAttribute('aria-modal', 'true');
-        this.modal.setAttribute('tabindex', '-1');
-        this.modal.style.cssText = `
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            background: white;
-            padding: 2rem;
-            border-radius: 8px;
-            max-width: 600px;
-            width: 90%;
-            max-height: 80vh;
-            overflow-y: auto;
-            z-index: 9999;
-            display: none;
-            box-shadow: 0 10px 40px rgba(0, 0, 0, 0.3);
-        `;
-
-        // Conteúdo do modal
-        this.modal.innerHTML = `
-            <div class="modal-header">
-                <h2 id="modal-titulo" style="margin: 0 0 1rem 0; color: #228B22; font-size: 1.5rem;">
-                    <i class="bi bi-keyboard" aria-hidden="true"></i>
-                    Atalhos de Teclado
-                </h2>
-                <button type="button" 
-                        class="modal-close" 
-                        aria-label="Fechar modal de atalhos"
-                        style="position: absolute; top: 1rem; right: 1rem; background: none; border: none; font-size: 2rem; cursor: pointer; color: #666;">
-                    <i class="bi bi-x" aria-hidden="true"></i>
-                </button>
-            </div>
-            <div class="modal-body">
-                <p style="margin-bottom: 1.5rem; color: #666;">
-                    Use os atalhos abaixo para navegar rapidamente pelo site:
-                </p>
-                
-                <h3 style="font-size: 1.2rem; margin: 1.5rem 0 1rem; color: #333;">Navegação</h3>
-                <dl style="display: grid; gap: 0.75rem;">
-                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem; background: #f5f5f5; border-radius: 4px;">
-                        <dt style="font-weight: 600;">Conteúdo principal</dt>
-                        <dd style="margin: 0;"><kbd style="background: white; padding: 0.25rem 0.5rem; border-radius: 4px; font-family: monospace; border: 1px solid #ddd;">Alt + 1</kbd></dd>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem; background: #f5f5f5; border-radius: 4px;">
-                        <dt style="font-weight: 600;">Menu de navegação</dt>
-                        <dd style="margin: 0;"><kbd style="background: white; padding: 0.25rem 0.5rem; border-radius: 4px; font-family: monospace; border: 1px solid #ddd;">Alt + 2</kbd></dd>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem; background: #f5f5f5; border-radius: 4px;">
-                        <dt style="font-weight: 600;">Campo de busca</dt>
-                        <dd style="margin: 0;"><kbd style="background: white; padding: 0.25rem 0.5rem; border-radius: 4px; font-family: monospace; border: 1px solid #ddd;">Alt + 3</kbd></dd>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem; background: #f5f5f5; border-radius: 4px;">
-                        <dt style="font-weight: 600;">Rodapé</dt>
-                        <dd style="margin: 0;"><kbd style="background: white; padding: 0.25rem 0.5rem; border-radius: 4px; font-family: monospace; border: 1px solid #ddd;">Alt + 4</kbd></dd>
-                    </div>
-                </dl>
-                
-                <h3 style="font-size: 1.2rem; margin: 1.5rem 0 1rem; color: #333;">Tamanho da Fonte</h3>
-                <dl style="display: grid; gap: 0.75rem;">
-                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem; background: #f5f5f5; border-radius: 4px;">
-                        <dt style="font-weight: 600;">Aumentar fonte</dt>
-                        <dd style="margin: 0;"><kbd style="background: white; padding: 0.25rem 0.5rem; border-radius: 4px; font-family: monospace; border: 1px solid #ddd;">Ctrl + +</kbd></dd>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem; background: #f5f5f5; border-radius: 4px;">
-                        <dt style="font-weight: 600;">Diminuir fonte</dt>
-                        <dd style="margin: 0;"><kbd style="background: white; padding: 0.25rem 0.5rem; border-radius: 4px; font-family: monospace; border: 1px solid #ddd;">Ctrl + -</kbd></dd>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem; background: #f5f5f5; border-radius: 4px;">
-                        <dt style="font-weight: 600;">Fonte normal</dt>
-                        <dd style="margin: 0;"><kbd style="background: white; padding: 0.25rem 0.5rem; border-radius: 4px; font-family: monospace; border: 1px solid #ddd;">Ctrl + 0</kbd></dd>
-                    </div>
-                </dl>
-                
-                <h3 style="font-size: 1.2rem; margin: 1.5rem 0 1rem; color: #333;">Seções do Site</h3>
-                <dl style="display: grid; gap: 0.75rem;">
-                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem; background: #f5f5f5; border-radius: 4px;">
-                        <dt style="font-weight: 600;">Página inicial</dt>
-                        <dd style="margin: 0;"><kbd style="background: white; padding: 0.25rem 0.5rem; border-radius: 4px; font-family: monospace; border: 1px solid #ddd;">Alt + H</kbd></dd>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem; background: #f5f5f5; border-radius: 4px;">
-                        <dt style="font-weight: 600;">Tecnologia</dt>
-                        <dd style="margin: 0;"><kbd style="background: white; padding: 0.25rem 0.5rem; border-radius: 4px; font-family: monospace; border: 1px solid #ddd;">Alt + T</kbd></dd>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem; background: #f5f5f5; border-radius: 4px;">
-                        <dt style="font-weight: 600;">Educação</dt>
-                        <dd style="margin: 0;"><kbd style="background: white; padding: 0.25rem 0.5rem; border-radius: 4px; font-family: monospace; border: 1px solid #ddd;">Alt + E</kbd></dd>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem; background: #f5f5f5; border-radius: 4px;">
-                        <dt style="font-weight: 600;">Região</dt>
-                        <dd style="margin: 0;"><kbd style="background: white; padding: 0.25rem 0.5rem; border-radius: 4px; font-family: monospace; border: 1px solid #ddd;">Alt + R</kbd></dd>
-                    </div>
-                </dl>
-                
-                <p style="margin-top: 1.5rem; padding: 1rem; background: #e8f5e9; border-radius: 4px; color: #1b5e20; font-size: 0.9rem;">
-                    <i class="bi bi-info-circle" aria-hidden="true"></i>
-                    <strong>Dica:</strong> Pressione <kbd style="background: white; padding: 0.25rem 0.5rem; border-radius: 4px; font-family: monospace; border: 1px solid #2e7d32;">ESC</kbd> para fechar este modal.
-                </p>
-            </div>
-        `;
-
-        // Adicionar ao DOM
-        document.body.appendChild(this.overlay);
-        document.body.appendChild(this.modal);
-
-        // Event listeners
-        this.modal.querySelector('.modal-close').addEventListener('click', () => this.fechar());
-        this.overlay.addEventListener('click', () => this.fechar());
-
-        // ESC para fechar
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.modal.style.display === 'block') {
-                this.fechar();
-            }
-        });
-
-        console.log('✓ Modal de atalhos criado');
-    }
-};
-
-/* ============================================
-   7. PREFERÊNCIAS DO USUÁRIO
-   ============================================ */
-
-const Preferencias = {
-    chave: 'cabra-tech-v3-preferencias',
-
     /**
      * Salvar preferência
      */
     salvar(nome, valor) {
         try {
-            const prefs = this.obterTodas();
-            prefs[nome] = valor;
-            localStorage.setItem(this.chave, JSON.stringify(prefs));
+            this.armazenamento.definir(this.nomes[nome] || nome, valor);
             console.log(`Preferência salva: ${nome} = ${valor}`);
         } catch (error) {
             console.error('Erro ao salvar preferência:', error);
@@ -821,12 +654,14 @@ const Preferencias = {
     },
 
     /**
-     * Obter preferência específica
+     * Obter preferência específica (undefined se não foi escolhida nem vem do sistema)
      */
     obter(nome) {
         try {
-            const prefs = this.obterTodas();
-            return prefs[nome];
+            const nomeArmazenado = this.nomes[nome] || nome;
+            return this.armazenamento.origem(nomeArmazenado) !== 'padrao'
+                ? this.armazenamento.obter(nomeArmazenado)
+                : undefined;
         } catch (error) {
             console.error('Erro ao obter preferência:', error);
             return null;
@@ -838,8 +673,7 @@ const Preferencias = {
      */
     obterTodas() {
         try {
-            const prefs = localStorage.getItem(this.chave);
-            return prefs ? JSON.parse(prefs) : {};
+            return this.armazenamento.obterTodas();
         } catch (error) {
             console.error('Erro ao obter preferências:', error);
             return {};
@@ -850,6 +684,17 @@ const Preferencias = {
      * Carregar preferências na inicialização
      */
     carregar() {
+        // Tema e espaçamento mudados pelo sistema, em outra aba ou por perfil importado
+        window.addEventListener('preferenciasalteradas', (e) => {
+            const { nome, valor } = e.detail;
+
+            if (nome === 'tema' && valor !== BarraAcessibilidade.temaAtual) {
+                BarraAcessibilidade.mudarTema(valor);
+            } else if (nome === 'espacamento' && valor !== BarraAcessibilidade.espacamentoAtual) {
+                BarraAcessibilidade.mudarEspacamento(valor);
+            }
+        });
+
         console.log('✓ Preferências carregadas');
     },
 
@@ -858,7 +703,7 @@ const Preferencias = {
      */
     limpar() {
         try {
-            localStorage.removeItem(this.chave);
+            this.armazenamento.redefinir();
             console.log('Preferências limpas');
             anunciarParaLeitores('Todas as preferências foram resetadas', 'polite');
         } catch (error) {
@@ -886,32 +731,14 @@ function debounce(func, wait) {
     };
 }
 
-/**
- * Anunciar para leitores de tela
- * @param {string} mensagem - Mensagem a ser anunciada
- * @param {string} prioridade - 'polite' (padrão) ou 'assertive'
- */
-function anunciarParaLeitores(mensagem, prioridade = 'polite') {
-    const anunciador = document.createElement('div');
-    anunciador.setAttribute('role', 'status');
-    anunciador.setAttribute('aria-live', prioridade);
-    anunciador.className = 'sr-only';
-    anunciador.textContent = mensagem;
-
-    document.body.appendChild(anunciador);
-
-    // Remover após 1 segundo
-    setTimeout(() => {
-        document.body.removeChild(anunciador);
-    }, 1000);
-
-    console.log(`📢 Anúncio (${prioridade}): ${mensagem}`);
-}
-
 /**
  * Detectar preferência de movimento reduzido
+ * (escolha na barra ou, sem escolha, o sistema)
  */
 function prefersReducedMotion() {
+    if (window.PreferenciasAcessibilidade) {
+        return window.PreferenciasAcessibilidade.obter('movimentoReduzido');
+    }
     return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 }
 
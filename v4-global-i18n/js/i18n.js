@@ -8,8 +8,9 @@
  * Funcionalidades:
  * - Carregamento dinâmico de arquivos de idioma
  * - Tradução de textos via data-i18n
- * - Suporte a pluralização
+ * - Pluralização CLDR (cardinal e ordinal) via Intl.PluralRules
  * - Interpolação de variáveis
+ * - Mensagens ICU (plural, select, number, date) via MessageFormat
  * - Cache de traduções
  * - Fallback para idioma padrão
  */
@@ -40,6 +41,7 @@
             this.cache = new Map();
             this.loadingPromises = new Map();
             this.observers = [];
+            this.pluralRules = new Map();
         }
 
         /**
@@ -135,6 +137,17 @@
             });
         }
 
+        /**
+         * Obter textos de um idioma carregado
+         * Os arquivos de locale guardam os textos em "translations",
+         * ao lado dos metadados (locale, direction, version...)
+         * @private
+         */
+        _getMessages(locale) {
+            const data = this.translations[locale];
+            return data?.translations || data;
+        }
+
         /**
          * Obter valor aninhado de objeto
          * Ex: get(obj, 'user.name.first')
@@ -157,7 +170,7 @@
             locale = locale || this.currentLocale;
 
             // Obter traduções do idioma
-            const translations = this.translations[locale];
+            const translations = this._getMessages(locale);
             if (!translations) {
                 this.warn(`⚠️ Traduções não carregadas para: ${locale}`);
                 return key;
@@ -168,7 +181,7 @@
 
             // Fallback para idioma padrão
             if (translation === undefined && locale !== CONFIG.fallbackLocale) {
-                const fallbackTranslations = this.translations[CONFIG.fallbackLocale];
+                const fallbackTranslations = this._getMessages(CONFIG.fallbackLocale);
                 if (fallbackTranslations) {
                     translation = this._getNestedValue(fallbackTranslations, key);
                     if (translation !== undefined) {
@@ -183,9 +196,9 @@
                 return key;
             }
 
-            // Interpolação de variáveis
-            if (Object.keys(params).length > 0) {
-                translation = this._interpolate(translation, params);
+            // Interpolação de variáveis e mensagens ICU
+            if (typeof translation === 'string' && translation.includes('{')) {
+                translation = this._interpolate(translation, params, locale);
             }
 
             return translation;
@@ -194,41 +207,151 @@
         /**
          * Interpolar variáveis no texto
          * Ex: "Olá {{name}}" com {name: "João"} → "Olá João"
+         * Ex: "{count, plural, one {# item} other {# itens}}" com {count: 3} → "3 itens"
          * @private
          */
-        _interpolate(text, params) {
+        _interpolate(text, params, locale = this.currentLocale) {
+            if (window.MessageFormat) {
+                try {
+                    return window.MessageFormat.format(text, params, {
+                        locale: locale,
+                        formatters: this._getMessageFormatters(locale)
+                    });
+                } catch (error) {
+                    this.warn(`⚠️ Mensagem ICU inválida: "${text}"`, error.message);
+                }
+            }
+
             return text.replace(/\{\{(\w+)\}\}/g, (match, key) => {
                 return params[key] !== undefined ? params[key] : match;
             });
         }
 
+        /**
+         * Formatadores de {n, number} e {d, date} via IntlFormatter
+         * Só quando ele está no mesmo idioma da mensagem; caso contrário
+         * o MessageFormat usa Intl direto com o idioma da mensagem.
+         * @private
+         */
+        _getMessageFormatters(locale) {
+            const formatter = window.IntlFormatter;
+            if (!formatter || formatter.getLocale() !== locale) {
+                return {};
+            }
+
+            return {
+                number: (value, style) => {
+                    switch (style) {
+                        case 'integer': return formatter.formatInteger(value);
+                        case 'percent': return formatter.formatPercent(value);
+                        case 'currency': return formatter.formatCurrency(value);
+                        case 'compact': return formatter.formatCompact(value);
+                        default: return formatter.formatNumber(value);
+                    }
+                },
+                date: (value, style) => {
+                    switch (style) {
+                        case 'short': return formatter.formatDateShort(value);
+                        case 'medium': return formatter.formatDate(value, { month: 'short' });
+                        case 'full': return formatter.formatDateLong(value);
+                        default: return formatter.formatDate(value);
+                    }
+                },
+                time: (value, style) => {
+                    if (style === 'medium') {
+                        return formatter.formatDate(value, {
+                            year: undefined,
+                            month: undefined,
+                            day: undefined,
+                            hour: '2-digit',
+                            minute: '2-digit',
+                            second: '2-digit'
+                        });
+                    }
+                    return formatter.formatTime(value);
+                }
+            };
+        }
+
         /**
          * Traduzir com pluralização
-         * @param {string} key - Chave base (ex: 'items')
+         * Categorias seguem as regras CLDR do idioma (Intl.PluralRules):
+         * zero, one, two, few, many, other
+         * @param {string} key - Chave base (ex: 'plurals.items')
          * @param {number} count - Quantidade
          * @param {object} params - Parâmetros adicionais
+         * @param {object} options - { type: 'cardinal' | 'ordinal' }
          * @returns {string} Texto traduzido com plural correto
          */
-        tp(key, count, params = {}) {
-            const pluralKey = this._getPluralKey(key, count);
+        tp(key, count, params = {}, options = {}) {
+            const pluralKey = this._getPluralKey(key, count, options.type);
             return this.t(pluralKey, { ...params, count }, this.currentLocale);
         }
 
+        /**
+         * Obter Intl.PluralRules com cache
+         * @private
+         */
+        _getPluralRules(locale, type = 'cardinal') {
+            const cacheKey = `${locale}_${type}`;
+
+            if (!this.pluralRules.has(cacheKey)) {
+                this.pluralRules.set(cacheKey, new Intl.PluralRules(locale, { type }));
+            }
+
+            return this.pluralRules.get(cacheKey);
+        }
+
         /**
          * Determinar chave de plural baseado na quantidade
+         * Usa as formas do idioma atual; se a chave não existir nele,
+         * escolhe a forma pelas regras do idioma de fallback, que é
+         * onde t() vai buscar o texto.
+         * @private
+         */
+        _getPluralKey(key, count, type = 'cardinal') {
+            const locales = [this.currentLocale, CONFIG.fallbackLocale];
+
+            for (const locale of locales) {
+                const forms = this._getNestedValue(this._getMessages(locale), key);
+                if (!forms || typeof forms !== 'object') continue;
+
+                const category = this._selectPluralForm(forms, locale, count, type);
+                if (category) {
+                    return `${key}.${category}`;
+                }
+            }
+
+            return `${key}.other`;
+        }
+
+        /**
+         * Escolher categoria disponível em um grupo de formas plurais
+         * Ordem: zero explícito → categoria CLDR → other
          * @private
          */
-        _getPluralKey(key, count) {
-            // Regras de pluralização simplificadas
-            // Para idiomas mais complexos, usar biblioteca como 'intl-pluralrules'
-
-            if (count === 0) {
-                return `${key}.zero`;
-            } else if (count === 1) {
-                return `${key}.one`;
-            } else {
-                return `${key}.other`;
+        _selectPluralForm(forms, locale, count, type) {
+            let category = 'other';
+            try {
+                category = this._getPluralRules(locale, type).select(count);
+            } catch (error) {
+                this.warn(`⚠️ Intl.PluralRules indisponível para: ${locale}`, error);
+            }
+
+            // "zero" explícito vale mesmo em idiomas sem essa categoria CLDR
+            // (ex: "Nenhum resultado" em vez de "0 resultados")
+            const candidates = [];
+            if (count === 0 && type === 'cardinal') {
+                candidates.push('zero');
             }
+            candidates.push(category, 'other');
+
+            const found = candidates.find(candidate => forms[candidate] !== undefined);
+            if (found && found !== category && found !== 'zero') {
+                this.log(`🔄 Categoria plural "${category}" ausente (${locale}), usando "${found}"`);
+            }
+
+            return found || null;
         }
 
         /**
@@ -504,8 +627,8 @@
     /**
      * Tradução com plural
      */
-    window.tp = function (key, count, params) {
-        return window.i18n.tp(key, count, params);
+    window.tp = function (key, count, params, options) {
+        return window.i18n.tp(key, count, params, options);
     };
 
     /**
@@ -520,7 +643,7 @@
     console.log('📦 API global disponível:', {
         i18n: 'window.i18n',
         t: 'window.t(key, params)',
-        tp: 'window.tp(key, count, params)',
+        tp: 'window.tp(key, count, params, options)',
         onLocaleChange: 'window.onLocaleChange(callback)'
     });
 
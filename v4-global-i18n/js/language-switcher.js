@@ -27,10 +27,7 @@
 
     const CONFIG = {
         selectId: 'select-language',
-        storageKey: 'cabradatech_locale',
         loadingClass: 'loading',
-        liveRegionId: 'live-region',
-        announceDelay: 300, // ms
         debug: true
     };
 
@@ -96,7 +93,6 @@
             this.selectElement = null;
             this.currentLocale = 'pt-BR';
             this.isChanging = false;
-            this.liveRegion = null;
         }
 
         /**
@@ -110,43 +106,13 @@
             return this.selectElement;
         }
 
-        /**
-         * Obter live region para anúncios
-         * @returns {HTMLElement}
-         */
-        getLiveRegion() {
-            if (!this.liveRegion) {
-                this.liveRegion = document.getElementById(CONFIG.liveRegionId);
-
-                // Criar se não existir
-                if (!this.liveRegion) {
-                    this.liveRegion = document.createElement('div');
-                    this.liveRegion.id = CONFIG.liveRegionId;
-                    this.liveRegion.setAttribute('role', 'status');
-                    this.liveRegion.setAttribute('aria-live', 'polite');
-                    this.liveRegion.setAttribute('aria-atomic', 'true');
-                    this.liveRegion.className = 'sr-only';
-                    document.body.appendChild(this.liveRegion);
-                }
-            }
-            return this.liveRegion;
-        }
-
         /**
          * Anunciar mensagem para leitores de tela
+         * Usa o anunciador compartilhado (js/anunciador.js)
          * @param {string} message
          */
         announce(message) {
-            const liveRegion = this.getLiveRegion();
-
-            // Limpar conteúdo anterior
-            liveRegion.textContent = '';
-
-            // Aguardar um momento para garantir que seja anunciado
-            setTimeout(() => {
-                liveRegion.textContent = message;
-            }, CONFIG.announceDelay);
-
+            window.anunciarParaLeitores(message, 'polite', { chave: 'idioma' });
             this.log('📢 Anunciado:', message);
         }
 
@@ -449,6 +415,14 @@
                     this.updateSelectValue(newLocale);
                 }
             });
+
+            // Idioma trocado em outra aba ou por perfil importado
+            window.addEventListener('preferenciasalteradas', (event) => {
+                const { nome, valor } = event.detail;
+                if (nome === 'idioma' && valor && valor !== this.currentLocale) {
+                    this.changeLanguage(valor);
+                }
+            });
         }
 
         /**
@@ -9,7 +9,7 @@
  * Suporta:
  * - Detecção via navigator.language
  * - Fallback para idiomas similares
- * - Persistência via localStorage
+ * - Persistência via PreferenciasAcessibilidade (js/preferencias.js)
  * - Lista de idiomas suportados
  */
 
@@ -31,7 +31,6 @@
     ];
 
     const DEFAULT_LOCALE = 'pt-BR';
-    const STORAGE_KEY = 'cabradatech_locale';
 
     // Mapeamento de códigos de idioma para fallback
     const LOCALE_FALLBACKS = {
@@ -128,32 +127,32 @@
         }
 
         /**
-         * Obter idioma salvo no localStorage
+         * Obter idioma salvo nas preferências (js/preferencias.js)
          * @returns {string|null} Idioma salvo ou null
          */
         getSavedLocale() {
             try {
-                const saved = localStorage.getItem(STORAGE_KEY);
+                const saved = window.PreferenciasAcessibilidade.obter('idioma');
                 if (saved && SUPPORTED_LOCALES.includes(saved)) {
                     console.log('💾 Idioma salvo encontrado:', saved);
                     return saved;
                 }
             } catch (error) {
-                console.warn('⚠️ Erro ao acessar localStorage:', error);
+                console.warn('⚠️ Erro ao ler preferências:', error);
             }
             return null;
         }
 
         /**
-         * Salvar idioma no localStorage
+         * Salvar idioma nas preferências (js/preferencias.js)
          * @param {string} locale - Código do idioma
          */
         saveLocale(locale) {
             try {
-                localStorage.setItem(STORAGE_KEY, locale);
+                window.PreferenciasAcessibilidade.definir('idioma', locale);
                 console.log('💾 Idioma salvo:', locale);
             } catch (error) {
-                console.warn('⚠️ Erro ao salvar no localStorage:', error);
+                console.warn('⚠️ Erro ao salvar preferências:', error);
             }
         }
 
@@ -178,7 +177,7 @@
         /**
          * Detectar idioma com prioridade:
          * 1. URL (?lang=pt-BR)
-         * 2. localStorage (preferência do usuário)
+         * 2. Preferências salvas (escolha do usuário)
          * 3. Navegador (navigator.language)
          * 4. Default (pt-BR)
          * 
@@ -193,7 +192,7 @@
                 return urlLocale;
             }
 
-            // 2. Verificar localStorage
+            // 2. Verificar preferências salvas
             const savedLocale = this.getSavedLocale();
             if (savedLocale) {
                 this.currentLocale = savedLocale;
@@ -8,8 +8,10 @@
  * 
  * Dependências (carregadas antes):
  * - locale-detector.js
+ * - message-format.js
  * - i18n.js
  * - intl-formatter.js
+ * - search-index.js
  * - font-loader.js
  * - rtl-support.js
  * - language-switcher.js
@@ -43,9 +45,26 @@
         loading: {
             showSplash: false,
             minLoadTime: 500 // ms mínimo de loading
+        },
+
+        // Conteúdo das notícias
+        content: {
+            basePath: '../data/noticias',   // + .json (base) ou .<locale>.json (tradução)
+            sourceLocale: 'pt-BR',          // Idioma original das notícias
+            localizedFields: ['titulo', 'subtitulo', 'resumo', 'conteudo', 'tags', 'categoria']
         }
     };
 
+    // Categorias do noticias.json → chave em categories.* dos locales
+    const CATEGORY_KEYS = {
+        'Tecnologia': 'technology',
+        'Educação': 'education',
+        'Inovação Social': 'innovation',
+        'Conectividade': 'connectivity',
+        'Inteligência Artificial': 'ai',
+        'Região': 'region'
+    };
+
     // ============================================
     // CLASSE APP PRINCIPAL
     // ============================================
@@ -57,6 +76,8 @@
             this.startTime = Date.now();
             this.modules = {};
             this.loadedModules = new Set();
+            this.contentTranslations = new Map();
+            this.lastQuery = null;
         }
 
         /**
@@ -104,7 +125,7 @@
 
             try {
                 // Carregar notícias
-                const response = await fetch('../data/noticias.json');
+                const response = await fetch(`${CONFIG.content.basePath}.json`);
 
                 if (!response.ok) {
                     throw new Error(`HTTP ${response.status}`);
@@ -113,6 +134,12 @@
                 const data = await response.json();
                 this.data = data;
 
+                // Carregar tradução do conteúdo para o idioma atual
+                await this.loadContentTranslation(this.getActiveLocale());
+
+                // Indexar para a busca
+                window.SearchIndex?.build(this.getLocalizedNoticias());
+
                 this.log(`✅ ${data.noticias.length} notícias carregadas`);
                 return data;
 
@@ -122,6 +149,104 @@
             }
         }
 
+        /**
+         * Obter idioma ativo da interface
+         * @returns {string}
+         */
+        getActiveLocale() {
+            return window.i18n?.getLocale?.() || window.getLocale?.() || CONFIG.content.sourceLocale;
+        }
+
+        /**
+         * Carregar tradução do conteúdo (data/noticias.<locale>.json)
+         * Idiomas sem arquivo usam o conteúdo original em pt-BR.
+         * @param {string} locale
+         * @returns {Promise<object|null>}
+         */
+        async loadContentTranslation(locale) {
+            if (locale === CONFIG.content.sourceLocale) return null;
+
+            if (this.contentTranslations.has(locale)) {
+                return this.contentTranslations.get(locale);
+            }
+
+            let translation = null;
+
+            try {
+                const response = await fetch(`${CONFIG.content.basePath}.${locale}.json`);
+
+                if (response.ok) {
+                    translation = await response.json();
+                    this.log(`✅ Conteúdo traduzido carregado: ${locale}`);
+                } else {
+                    this.log(`ℹ️ Sem tradução de conteúdo para ${locale} (HTTP ${response.status})`);
+                }
+            } catch (error) {
+                this.warn(`Erro ao carregar conteúdo em ${locale}:`, error);
+            }
+
+            this.contentTranslations.set(locale, translation);
+            return translation;
+        }
+
+        /**
+         * Mesclar notícia com a tradução do idioma, campo a campo
+         * fieldLocales registra de qual idioma veio cada campo.
+         * @param {object} noticia - Notícia original (pt-BR)
+         * @param {string} locale
+         * @returns {object} Notícia localizada com fieldLocales
+         */
+        localizeNoticia(noticia, locale) {
+            const { sourceLocale, localizedFields } = CONFIG.content;
+            const translated = this.contentTranslations.get(locale)?.noticias?.[noticia.id] || {};
+            const localized = { ...noticia, fieldLocales: {} };
+
+            const hasValue = (value) => Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+            localizedFields.forEach(field => {
+                if (hasValue(translated[field])) {
+                    localized[field] = translated[field];
+                    localized.fieldLocales[field] = locale;
+                } else {
+                    localized.fieldLocales[field] = sourceLocale;
+                }
+            });
+
+            // Categorias conhecidas vêm dos arquivos de locale
+            const categoryKey = CATEGORY_KEYS[noticia.categoria];
+            if (!hasValue(translated.categoria) && categoryKey && window.i18n?.isLoaded?.(locale)) {
+                localized.categoria = window.i18n.t(`categories.${categoryKey}`, {}, locale);
+                localized.fieldLocales.categoria = locale;
+            }
+
+            // Texto alternativo da imagem
+            const alt = translated.imagemDestaque?.alt;
+            localized.imagemDestaque = { ...noticia.imagemDestaque, alt: alt || noticia.imagemDestaque.alt };
+            localized.fieldLocales.alt = alt ? locale : sourceLocale;
+
+            return localized;
+        }
+
+        /**
+         * Notícias no idioma ativo
+         * @returns {Array}
+         */
+        getLocalizedNoticias() {
+            const locale = this.getActiveLocale();
+            return (this.data?.noticias || []).map(noticia => this.localizeNoticia(noticia, locale));
+        }
+
+        /**
+         * Marcar idioma de um campo que não está no idioma da página
+         * (WCAG 3.1.2 - leitores de tela trocam de voz)
+         */
+        applyFieldLang(element, noticia, field) {
+            const fieldLocale = noticia.fieldLocales?.[field];
+            if (fieldLocale && fieldLocale !== this.getActiveLocale()) {
+                element.lang = fieldLocale;
+            }
+        }
+
         /**
          * Renderizar notícias
          */
@@ -134,22 +259,20 @@
             const container = document.querySelector('.noticias-grid');
             if (!container) return;
 
-            // Remover loading spinner
-            const spinner = container.querySelector('.loading-spinner');
-            if (spinner) {
-                spinner.remove();
-            }
-
             // Filtrar notícias em destaque
-            const destaque = this.data.noticias.filter(n => n.destaque).slice(0, 3);
+            const noticias = this.getLocalizedNoticias();
+            const destaque = noticias.filter(n => n.destaque).slice(0, 3);
 
-            // Renderizar cards
-            destaque.forEach(noticia => {
-                const card = this.createNoticiaCard(noticia);
-                container.appendChild(card);
-            });
+            // Notícia aberta por um resultado da busca (#noticia-<id>) fica junto
+            const aberta = noticias.find(n => `#noticia-${n.id}` === window.location.hash);
+            if (aberta && !destaque.includes(aberta)) {
+                destaque.push(aberta);
+            }
+
+            // Renderizar cards (substitui spinner e cards de outro idioma)
+            container.replaceChildren(...destaque.map(noticia => this.createNoticiaCard(noticia)));
 
-            this.log(`✅ ${destaque.length} notícias renderizadas`);
+            this.log(`✅ ${destaque.length} notícias renderizadas (${this.getActiveLocale()})`);
         }
 
         /**
@@ -157,9 +280,20 @@
          */
         createNoticiaCard(noticia) {
             const card = document.createElement('article');
+            card.id = `noticia-${noticia.id}`;
             card.className = 'noticia-card';
             card.setAttribute('role', 'listitem');
 
+            // Card sem nenhuma tradução: idioma do card inteiro é o original
+            const activeLocale = this.getActiveLocale();
+            const fieldLocales = Object.values(noticia.fieldLocales || {});
+            const untranslated = activeLocale !== CONFIG.content.sourceLocale
+                && fieldLocales.every(fieldLocale => fieldLocale === CONFIG.content.sourceLocale);
+
+            if (untranslated) {
+                card.lang = CONFIG.content.sourceLocale;
+            }
+
             // Imagem
             const img = document.createElement('img');
             img.src = noticia.imagemDestaque.url;
@@ -188,6 +322,13 @@
             resumo.className = 'noticia-resumo';
             resumo.textContent = noticia.resumo;
 
+            if (!untranslated) {
+                this.applyFieldLang(img, noticia, 'alt');
+                this.applyFieldLang(categoria, noticia, 'categoria');
+                this.applyFieldLang(titulo, noticia, 'titulo');
+                this.applyFieldLang(resumo, noticia, 'resumo');
+            }
+
             // Meta (data e tempo de leitura)
             const meta = document.createElement('div');
             meta.className = 'noticia-meta';
@@ -198,7 +339,8 @@
             data.textContent = window.formatRelativeTime?.(noticia.dataPublicacao) || 'Recente';
 
             const tempo = document.createElement('span');
-            tempo.textContent = `${noticia.tempoLeitura} min`;
+            tempo.textContent = window.t?.('news.readTime', { minutes: noticia.tempoLeitura })
+                || `${noticia.tempoLeitura} min`;
 
             meta.appendChild(data);
             meta.appendChild(tempo);
@@ -208,7 +350,13 @@
             link.href = `#noticia-${noticia.id}`;
             link.className = 'noticia-link';
             link.setAttribute('data-i18n', 'news.readMore');
-            link.textContent = 'Ler mais';
+            link.textContent = window.t?.('news.readMore') || 'Ler mais';
+
+            // Data, tempo de leitura e link são da interface, no idioma ativo
+            if (untranslated) {
+                meta.lang = activeLocale;
+                link.lang = activeLocale;
+            }
 
             const icon = document.createElement('i');
             icon.className = 'bi bi-arrow-right';
@@ -237,30 +385,23 @@
 
             if (!menuToggle || !menuList) return;
 
-            menuToggle.addEventListener('click', () => {
-                const isExpanded = menuToggle.getAttribute('aria-expanded') === 'true';
-
-                menuToggle.setAttribute('aria-expanded', !isExpanded);
-                menuList.classList.toggle('active');
-
-                this.log(`Menu mobile ${!isExpanded ? 'aberto' : 'fechado'}`);
-            });
-
-            // Fechar ao clicar fora
-            document.addEventListener('click', (e) => {
-                if (!menuToggle.contains(e.target) && !menuList.contains(e.target)) {
-                    menuToggle.setAttribute('aria-expanded', 'false');
+            // Disclosure (js/dialogo-acessivel.js): ESC fecha e devolve
+            // o foco ao botão, clique fora fecha
+            const menu = new window.DialogoAcessivel(menuList, {
+                modal: false,
+                invocador: menuToggle,
+                fecharAoClicarFora: true,
+                aoAbrir: () => {
+                    menuList.classList.add('active');
+                    this.log('Menu mobile aberto');
+                },
+                aoFechar: () => {
                     menuList.classList.remove('active');
+                    this.log('Menu mobile fechado');
                 }
             });
 
-            // Fechar ao pressionar ESC
-            document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape') {
-                    menuToggle.setAttribute('aria-expanded', 'false');
-                    menuList.classList.remove('active');
-                }
-            });
+            menuToggle.addEventListener('click', () => menu.alternar());
 
             this.log('✅ Menu mobile configurado');
         }
@@ -287,23 +428,172 @@
         }
 
         /**
-         * Realizar busca (placeholder)
+         * Realizar busca nas notícias
+         * @param {string} query
+         * @returns {Array} Resultados ordenados por relevância
          */
-        performSearch(query) {
+        performSearch(query, { announce = true } = {}) {
             this.log(`🔍 Buscando por: "${query}"`);
+            this.lastQuery = query;
+
+            if (!window.SearchIndex || !this.data) {
+                this.announce(window.t?.('error.loadFailed') || 'Falha ao carregar dados.');
+                return [];
+            }
+
+            const results = window.SearchIndex.search(query);
+            const summary = this.getSearchSummary(query, results.length);
+
+            this.renderSearchResults(results, summary);
 
             // Anunciar para leitores de tela
-            const liveRegion = document.getElementById('live-region');
-            if (liveRegion) {
-                liveRegion.textContent = `Buscando por ${query}...`;
+            if (announce) {
+                this.announce(summary);
+            }
+
+            this.log(`✅ ${results.length} resultado(s) para "${query}"`);
+            return results;
+        }
+
+        /**
+         * Texto com a quantidade de resultados ("3 resultados para “ifba”")
+         */
+        getSearchSummary(query, count) {
+            const results = window.tp?.('plurals.results', count) || `${count}`;
+            return window.t?.('search.resultsFor', { results, query }) || `${results}: ${query}`;
+        }
+
+        /**
+         * Renderizar resultados da busca
+         */
+        renderSearchResults(results, summary) {
+            const section = document.getElementById('resultados-busca');
+            if (!section) return;
+
+            const list = section.querySelector('.resultados-lista');
+            const summaryElement = section.querySelector('.resultados-resumo');
+
+            list.replaceChildren(...results.map(result => this.createSearchResultItem(result)));
+            summaryElement.textContent = summary;
+
+            section.hidden = false;
+        }
+
+        /**
+         * Criar item de resultado com os termos destacados
+         */
+        createSearchResultItem({ noticia, terms }) {
+            const item = document.createElement('li');
+            item.className = 'resultado-item';
+
+            // Título
+            const titulo = document.createElement('h3');
+            titulo.className = 'resultado-titulo';
+
+            const link = document.createElement('a');
+            link.href = `#noticia-${noticia.id}`;
+            this.appendHighlighted(link, noticia.titulo, terms);
+            titulo.appendChild(link);
+
+            // Antes da navegação pela âncora, para o card existir
+            link.addEventListener('click', () => this.revealNoticia(noticia.id));
+
+            // Categoria
+            const categoria = document.createElement('span');
+            categoria.className = 'noticia-categoria';
+            this.appendHighlighted(categoria, noticia.categoria, terms);
+
+            this.applyFieldLang(link, noticia, 'titulo');
+            this.applyFieldLang(categoria, noticia, 'categoria');
+
+            // Trecho do primeiro campo que contém os termos
+            const trecho = document.createElement('p');
+            trecho.className = 'resultado-trecho';
+
+            const snippetField = ['resumo', 'subtitulo', 'conteudo']
+                .find(field => window.SearchIndex.snippet(noticia[field], terms) !== null) || 'resumo';
+            const snippet = window.SearchIndex.snippet(noticia[snippetField], terms);
+
+            this.appendHighlighted(trecho, snippet || noticia.resumo, terms);
+            this.applyFieldLang(trecho, noticia, snippetField);
+
+            item.appendChild(titulo);
+            item.appendChild(categoria);
+            item.appendChild(trecho);
+
+            // Tags encontradas
+            const tags = (noticia.tags || [])
+                .filter(tag => window.SearchIndex.highlight(tag, terms).some(segment => segment.match));
+
+            if (tags.length > 0) {
+                const tagList = document.createElement('p');
+                tagList.className = 'resultado-tags';
+                this.appendHighlighted(tagList, tags.join(', '), terms);
+                this.applyFieldLang(tagList, noticia, 'tags');
+                item.appendChild(tagList);
             }
 
-            // TODO: Implementar busca real
-            setTimeout(() => {
-                if (liveRegion) {
-                    liveRegion.textContent = `Busca por ${query} concluída.`;
+            return item;
+        }
+
+        /**
+         * Garantir o card de uma notícia fora dos destaques na grade
+         */
+        revealNoticia(id) {
+            const container = document.querySelector('.noticias-grid');
+            if (!container || document.getElementById(`noticia-${id}`)) return;
+
+            const noticia = this.getLocalizedNoticias().find(n => n.id === id);
+            if (noticia) {
+                container.appendChild(this.createNoticiaCard(noticia));
+            }
+        }
+
+        /**
+         * Inserir texto com <mark> nos trechos encontrados
+         * (nós de texto, nunca innerHTML)
+         */
+        appendHighlighted(element, text, terms) {
+            window.SearchIndex.highlight(text, terms).forEach(segment => {
+                if (segment.match) {
+                    const mark = document.createElement('mark');
+                    mark.textContent = segment.text;
+                    element.appendChild(mark);
+                } else {
+                    element.appendChild(document.createTextNode(segment.text));
+                }
+            });
+        }
+
+        /**
+         * Anunciar mensagem na live region
+         * Usa o anunciador compartilhado (js/anunciador.js)
+         * @param {string} message
+         */
+        announce(message) {
+            // Resultados de busca: só o último de uma digitação rápida importa
+            window.anunciarParaLeitores(message, 'polite', { chave: 'busca' });
+        }
+
+        /**
+         * Recarregar conteúdo das notícias quando o idioma mudar
+         */
+        setupContentLocalization() {
+            window.addEventListener('languagechanged', async (event) => {
+                await this.loadContentTranslation(event.detail.locale);
+
+                window.SearchIndex?.build(this.getLocalizedNoticias());
+                this.renderNoticias();
+
+                // Refazer busca visível sem repetir o anúncio
+                // (o LanguageSwitcher já anuncia a troca de idioma)
+                const results = document.getElementById('resultados-busca');
+                if (this.lastQuery && results && !results.hidden) {
+                    this.performSearch(this.lastQuery, { announce: false });
                 }
-            }, 1000);
+            });
+
+            this.log('✅ Conteúdo localizado configurado');
         }
 
         /**
@@ -451,6 +741,7 @@
                 // 5. Configurar funcionalidades
                 this.setupMobileMenu();
                 this.setupSearch();
+                this.setupContentLocalization();
                 this.setupSmoothScroll();
                 this.setupAnalytics();
                 this.setupErrorHandling();
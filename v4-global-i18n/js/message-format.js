@@ -0,0 +1,534 @@
+/**
+ * ============================================
+ * MESSAGE FORMAT - Mensagens ICU
+ * ============================================
+ *
+ * Parser e formatador de mensagens no formato
+ * ICU MessageFormat, para que cada chave traga
+ * a frase inteira com a gramática do idioma
+ *
+ * Sintaxe suportada:
+ * - {name}                          → argumento simples
+ * - {{name}}                        → interpolação legada (= {name})
+ * - {n, number[, integer|percent|currency|compact]}
+ * - {d, date[, short|medium|long|full]}
+ * - {d, time[, short|medium]}
+ * - {count, plural, [offset:1] =0 {...} one {# item} other {# itens}}
+ * - {pos, selectordinal, one {#º} other {#º}}
+ * - {gender, select, female {...} male {...} other {...}}
+ * - '{' e '}' literais entre apóstrofos, '' para apóstrofo
+ *
+ * Usado no navegador (window.MessageFormat) e
+ * pelo tools/validate-i18n.js (require)
+ */
+
+(function (root) {
+    'use strict';
+
+    // ============================================
+    // CONFIGURAÇÃO
+    // ============================================
+
+    const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+    const STYLES = {
+        number: ['integer', 'percent', 'currency', 'compact'],
+        date: ['short', 'medium', 'long', 'full'],
+        time: ['short', 'medium']
+    };
+
+    const COMPLEX_TYPES = ['plural', 'selectordinal', 'select'];
+
+    // ============================================
+    // CLASSE MESSAGE FORMAT
+    // ============================================
+
+    class MessageFormat {
+        constructor() {
+            this.cache = new Map();
+        }
+
+        /**
+         * Verificar se o texto precisa passar pelo parser
+         * @param {string} text
+         * @returns {boolean}
+         */
+        isMessage(text) {
+            return typeof text === 'string' && /[{}]/.test(text);
+        }
+
+        /**
+         * Converter mensagem em árvore de nós
+         * @param {string} message - Mensagem ICU
+         * @returns {Array} Nós (strings e objetos de argumento)
+         * @throws {Error} Erro de sintaxe com a posição
+         */
+        parse(message) {
+            const state = { text: message, pos: 0 };
+            const nodes = this._parseNodes(state, 0, false);
+
+            if (state.pos < message.length) {
+                this._fail(state, 'chave "}" sem abertura correspondente');
+            }
+
+            return nodes;
+        }
+
+        /**
+         * Parse com cache (mensagens de tradução se repetem muito)
+         * @param {string} message
+         * @returns {Array}
+         */
+        compile(message) {
+            if (!this.cache.has(message)) {
+                this.cache.set(message, this.parse(message));
+            }
+            return this.cache.get(message);
+        }
+
+        /**
+         * Formatar mensagem
+         * @param {string} message - Mensagem ICU
+         * @param {object} params - Valores dos argumentos
+         * @param {object} options - { locale, formatters: { number, date, time } }
+         * @returns {string}
+         */
+        format(message, params = {}, options = {}) {
+            const nodes = this.compile(message);
+            const context = {
+                locale: options.locale || 'pt-BR',
+                formatters: { ...this._defaultFormatters(options.locale), ...options.formatters },
+                params: params
+            };
+
+            return this._formatNodes(nodes, context, null);
+        }
+
+        /**
+         * Listar nomes de argumentos usados na mensagem
+         * @param {string} message
+         * @returns {Array<string>}
+         */
+        extractArguments(message) {
+            const names = new Set();
+
+            const walk = (nodes) => {
+                nodes.forEach(node => {
+                    if (typeof node !== 'object' || node.type === 'pound') return;
+
+                    names.add(node.name);
+
+                    if (node.options) {
+                        Object.values(node.options).forEach(walk);
+                    }
+                });
+            };
+
+            walk(this.compile(message));
+            return Array.from(names);
+        }
+
+        // ============================================
+        // PARSER
+        // ============================================
+
+        /**
+         * Ler sequência de texto e argumentos até "}" ou fim
+         * @private
+         */
+        _parseNodes(state, depth, inPlural) {
+            const nodes = [];
+            let text = '';
+
+            const flush = () => {
+                if (text) {
+                    nodes.push(text);
+                    text = '';
+                }
+            };
+
+            while (state.pos < state.text.length) {
+                const char = state.text[state.pos];
+
+                if (char === '\'') {
+                    text += this._parseQuoted(state, inPlural);
+                } else if (char === '{') {
+                    flush();
+                    nodes.push(this._parseArgument(state, depth, inPlural));
+                } else if (char === '}') {
+                    if (depth === 0) break;
+                    flush();
+                    return nodes;
+                } else if (char === '#' && inPlural) {
+                    flush();
+                    nodes.push({ type: 'pound' });
+                    state.pos++;
+                } else {
+                    text += char;
+                    state.pos++;
+                }
+            }
+
+            if (depth > 0) {
+                this._fail(state, 'chave "{" não fechada');
+            }
+
+            flush();
+            return nodes;
+        }
+
+        /**
+         * Apóstrofos: '' vira ', '{...}' é literal
+         * @private
+         */
+        _parseQuoted(state, inPlural) {
+            const next = state.text[state.pos + 1];
+
+            if (next === '\'') {
+                state.pos += 2;
+                return '\'';
+            }
+
+            const special = next === '{' || next === '}' || (next === '#' && inPlural);
+            if (!special) {
+                state.pos++;
+                return '\'';
+            }
+
+            let literal = '';
+            state.pos++;
+
+            while (state.pos < state.text.length) {
+                const char = state.text[state.pos];
+
+                if (char === '\'') {
+                    if (state.text[state.pos + 1] === '\'') {
+                        literal += '\'';
+                        state.pos += 2;
+                        continue;
+                    }
+                    state.pos++;
+                    return literal;
+                }
+
+                literal += char;
+                state.pos++;
+            }
+
+            // Apóstrofo sem fechamento vale até o fim, como no ICU
+            return literal;
+        }
+
+        /**
+         * Ler {name}, {name, tipo[, estilo]} ou {{name}}
+         * @private
+         */
+        _parseArgument(state, depth, inPlural) {
+            const start = state.pos;
+
+            // Interpolação legada {{name}}
+            const legacy = /^\{\{\s*(\w+)\s*\}\}/.exec(state.text.slice(start));
+            if (legacy) {
+                state.pos += legacy[0].length;
+                return { type: 'argument', name: legacy[1], source: legacy[0] };
+            }
+
+            state.pos++;
+            this._skipSpace(state);
+
+            const name = this._readWord(state, /[\w.-]/);
+            if (!name) {
+                this._fail(state, 'nome de argumento esperado');
+            }
+
+            this._skipSpace(state);
+
+            if (this._peek(state) === '}') {
+                state.pos++;
+                return { type: 'argument', name, source: state.text.slice(start, state.pos) };
+            }
+
+            this._expect(state, ',');
+            this._skipSpace(state);
+
+            const type = this._readWord(state, /[a-z]/);
+
+            if (STYLES[type]) {
+                const style = this._parseStyle(state, type);
+                return { type, name, style, source: state.text.slice(start, state.pos) };
+            }
+
+            if (COMPLEX_TYPES.includes(type)) {
+                this._skipSpace(state);
+                this._expect(state, ',');
+
+                const isPlural = type !== 'select';
+                const node = { type, name, offset: 0, options: {} };
+
+                this._parseOptions(state, node, depth, isPlural || inPlural);
+                return node;
+            }
+
+            this._fail(state, type ? `tipo de argumento desconhecido "${type}"` : 'tipo de argumento esperado');
+        }
+
+        /**
+         * Ler estilo opcional de number/date/time
+         * @private
+         */
+        _parseStyle(state, type) {
+            this._skipSpace(state);
+
+            if (this._peek(state) === '}') {
+                state.pos++;
+                return null;
+            }
+
+            this._expect(state, ',');
+            this._skipSpace(state);
+
+            const style = this._readWord(state, /[a-z]/);
+            if (!STYLES[type].includes(style)) {
+                this._fail(state, `estilo "${style}" inválido para ${type} (use: ${STYLES[type].join(', ')})`);
+            }
+
+            this._skipSpace(state);
+            this._expect(state, '}');
+            return style;
+        }
+
+        /**
+         * Ler opções de plural/selectordinal/select
+         * @private
+         */
+        _parseOptions(state, node, depth, inPlural) {
+            const isPlural = node.type !== 'select';
+
+            this._skipSpace(state);
+
+            if (isPlural && state.text.startsWith('offset:', state.pos)) {
+                state.pos += 'offset:'.length;
+                this._skipSpace(state);
+
+                const offset = this._readWord(state, /\d/);
+                if (!offset) {
+                    this._fail(state, 'valor numérico esperado após "offset:"');
+                }
+                node.offset = parseInt(offset, 10);
+            }
+
+            while (true) {
+                this._skipSpace(state);
+
+                if (this._peek(state) === '}') {
+                    state.pos++;
+                    break;
+                }
+
+                if (state.pos >= state.text.length) {
+                    this._fail(state, `chave "{" de ${node.type} não fechada`);
+                }
+
+                const selector = this._readSelector(state, isPlural);
+                if (node.options[selector]) {
+                    this._fail(state, `seletor "${selector}" duplicado`);
+                }
+
+                this._skipSpace(state);
+                this._expect(state, '{');
+                node.options[selector] = this._parseNodes(state, depth + 1, inPlural);
+                this._expect(state, '}');
+            }
+
+            if (!node.options.other) {
+                this._fail(state, `${node.type} "${node.name}" sem a opção obrigatória "other"`);
+            }
+        }
+
+        /**
+         * Ler seletor: =N ou categoria CLDR (plural), palavra (select)
+         * @private
+         */
+        _readSelector(state, isPlural) {
+            if (isPlural && this._peek(state) === '=') {
+                state.pos++;
+                const value = this._readWord(state, /[\d.]/);
+                if (!value) {
+                    this._fail(state, 'número esperado após "="');
+                }
+                return `=${value}`;
+            }
+
+            const selector = this._readWord(state, /[\w-]/);
+            if (!selector) {
+                this._fail(state, 'seletor esperado');
+            }
+
+            if (isPlural && !PLURAL_CATEGORIES.includes(selector)) {
+                this._fail(state, `categoria de plural inválida "${selector}" (use: ${PLURAL_CATEGORIES.join(', ')} ou =N)`);
+            }
+
+            return selector;
+        }
+
+        /** @private */
+        _peek(state) {
+            return state.text[state.pos];
+        }
+
+        /** @private */
+        _skipSpace(state) {
+            while (/\s/.test(state.text[state.pos] || '')) {
+                state.pos++;
+            }
+        }
+
+        /** @private */
+        _readWord(state, charPattern) {
+            const start = state.pos;
+            while (state.pos < state.text.length && charPattern.test(state.text[state.pos])) {
+                state.pos++;
+            }
+            return state.text.slice(start, state.pos);
+        }
+
+        /** @private */
+        _expect(state, char) {
+            if (this._peek(state) !== char) {
+                const found = this._peek(state) === undefined ? 'fim da mensagem' : `"${this._peek(state)}"`;
+                this._fail(state, `"${char}" esperado, encontrado ${found}`);
+            }
+            state.pos++;
+        }
+
+        /** @private */
+        _fail(state, message) {
+            throw new Error(`Erro de sintaxe na posição ${state.pos}: ${message}`);
+        }
+
+        // ============================================
+        // FORMATAÇÃO
+        // ============================================
+
+        /**
+         * Formatar lista de nós
+         * @private
+         */
+        _formatNodes(nodes, context, pluralValue) {
+            return nodes.map(node => {
+                if (typeof node === 'string') return node;
+                return this._formatNode(node, context, pluralValue);
+            }).join('');
+        }
+
+        /**
+         * Formatar um nó de argumento
+         * @private
+         */
+        _formatNode(node, context, pluralValue) {
+            const { formatters, params } = context;
+
+            if (node.type === 'pound') {
+                return pluralValue === null ? '#' : formatters.number(pluralValue, null);
+            }
+
+            const value = params[node.name];
+
+            switch (node.type) {
+                case 'argument':
+                    return value === undefined ? node.source : String(value);
+
+                case 'number':
+                case 'date':
+                case 'time':
+                    return value === undefined ? node.source : formatters[node.type](value, node.style);
+
+                case 'plural':
+                case 'selectordinal': {
+                    const number = Number(value);
+                    if (value === undefined || isNaN(number)) {
+                        return this._formatNodes(node.options.other, context, pluralValue);
+                    }
+
+                    const exact = node.options[`=${number}`];
+                    if (exact) {
+                        return this._formatNodes(exact, context, number - node.offset);
+                    }
+
+                    const type = node.type === 'plural' ? 'cardinal' : 'ordinal';
+                    const category = this._selectCategory(context.locale, type, number - node.offset);
+                    const branch = node.options[category] || node.options.other;
+
+                    return this._formatNodes(branch, context, number - node.offset);
+                }
+
+                case 'select': {
+                    const branch = node.options[String(value)] || node.options.other;
+                    return this._formatNodes(branch, context, pluralValue);
+                }
+
+                default:
+                    return '';
+            }
+        }
+
+        /**
+         * Categoria CLDR da quantidade
+         * @private
+         */
+        _selectCategory(locale, type, number) {
+            try {
+                return new Intl.PluralRules(locale, { type }).select(number);
+            } catch (error) {
+                return 'other';
+            }
+        }
+
+        /**
+         * Formatadores padrão via Intl (usados quando não
+         * há IntlFormatter para o idioma, ex: no Node)
+         * @private
+         */
+        _defaultFormatters(locale = 'pt-BR') {
+            const numberOptions = {
+                integer: { maximumFractionDigits: 0 },
+                percent: { style: 'percent' },
+                currency: { style: 'currency', currency: 'BRL' },
+                compact: { notation: 'compact', compactDisplay: 'short' }
+            };
+
+            const dateOptions = {
+                short: { dateStyle: 'short' },
+                medium: { dateStyle: 'medium' },
+                long: { dateStyle: 'long' },
+                full: { dateStyle: 'full' }
+            };
+
+            const toDate = (value) => (value instanceof Date ? value : new Date(value));
+
+            return {
+                number: (value, style) => {
+                    return new Intl.NumberFormat(locale, numberOptions[style] || {}).format(value);
+                },
+                date: (value, style) => {
+                    return new Intl.DateTimeFormat(locale, dateOptions[style || 'long']).format(toDate(value));
+                },
+                time: (value, style) => {
+                    return new Intl.DateTimeFormat(locale, { timeStyle: style || 'short' }).format(toDate(value));
+                }
+            };
+        }
+    }
+
+    // ============================================
+    // EXPORTAÇÃO
+    // ============================================
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { MessageFormat, PLURAL_CATEGORIES, STYLES };
+    } else {
+        root.MessageFormat = new MessageFormat();
+        console.log('✅ MessageFormat carregado');
+    }
+
+})(typeof window !== 'undefined' ? window : globalThis);
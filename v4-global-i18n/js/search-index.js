@@ -0,0 +1,332 @@
+/**
+ * ============================================
+ * SEARCH INDEX - Busca de Notícias
+ * ============================================
+ *
+ * Índice invertido construído no cliente a partir
+ * de data/noticias.json
+ *
+ * Funcionalidades:
+ * - Indexa título, subtítulo, resumo, conteúdo, tags e categoria
+ * - Busca sem acentos ("educacao" encontra "Educação")
+ * - Busca por prefixo ("sert" encontra "Sertão")
+ * - Escritas sem espaços (japonês, chinês) indexadas em bigramas
+ * - Ranking por campo (título pesa mais que conteúdo)
+ * - Trechos com os termos encontrados destacados
+ *
+ * Compare com buscar()/buscarNasNoticias() da V1:
+ * lá cada busca percorre todas as notícias, tags e
+ * caracteres (O(n³)); aqui o texto é normalizado e
+ * indexado uma única vez.
+ */
+
+(function () {
+    'use strict';
+
+    // ============================================
+    // CONFIGURAÇÃO
+    // ============================================
+
+    const CONFIG = {
+        // Peso de cada campo no ranking
+        fields: {
+            titulo: 5,
+            tags: 4,
+            categoria: 3,
+            subtitulo: 2,
+            resumo: 2,
+            conteudo: 1
+        },
+        prefixWeight: 0.5,   // Termo parcial vale metade do termo inteiro
+        minTermLength: 2,
+        snippetLength: 160,
+        debug: true
+    };
+
+    // Caracteres de palavra: letras, marcas combinantes (matras do
+    // devanágari, marcas de sonorização do kana) e números
+    const WORD_CHAR = /[\p{L}\p{M}\p{N}]/u;
+    const NON_WORD = /[^\p{L}\p{M}\p{N}]+/u;
+
+    // Han, hiragana e katakana (inclui "ー"), escritos sem espaços
+    const CJK_CHAR = /[\p{scx=Han}\p{scx=Hiragana}\p{scx=Katakana}]/u;
+    const CJK_RUNS = /[\p{scx=Han}\p{scx=Hiragana}\p{scx=Katakana}]+|[^\p{scx=Han}\p{scx=Hiragana}\p{scx=Katakana}]+/gu;
+
+    // ============================================
+    // CLASSE SEARCH INDEX
+    // ============================================
+
+    class SearchIndex {
+        constructor() {
+            this.documents = [];
+            this.index = new Map(); // termo → Map(posição do documento → peso)
+        }
+
+        /**
+         * Normalizar texto: minúsculas e sem acentos latinos
+         * Só os diacríticos latinos (U+0300–036F) saem; marcas de
+         * outras escritas são recompostas com NFC.
+         * @param {string} text
+         * @returns {string}
+         */
+        normalize(text) {
+            return String(text || '')
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .normalize('NFC')
+                .toLowerCase();
+        }
+
+        /**
+         * Quebrar texto em termos normalizados
+         * Trechos em han/kana viram bigramas ("アプリ" → "アプ", "プリ"),
+         * para que uma palavra do meio do título também seja encontrada.
+         * @param {string} text
+         * @returns {Array<string>}
+         */
+        tokenize(text) {
+            return this.normalize(text)
+                .split(NON_WORD)
+                .filter(term => term.length > 0)
+                .flatMap(word => word.match(CJK_RUNS))
+                .flatMap(run => CJK_CHAR.test(run) ? this._bigrams(run) : [run]);
+        }
+
+        /**
+         * Bigramas de um trecho sem espaços
+         * @private
+         */
+        _bigrams(run) {
+            const chars = Array.from(run);
+            if (chars.length === 1) return chars;
+
+            return chars.slice(1).map((char, i) => chars[i] + char);
+        }
+
+        /**
+         * Construir índice a partir das notícias
+         * @param {Array} noticias
+         */
+        build(noticias) {
+            this.documents = noticias || [];
+            this.index.clear();
+
+            this.documents.forEach((noticia, position) => {
+                Object.entries(CONFIG.fields).forEach(([field, weight]) => {
+                    const value = Array.isArray(noticia[field]) ? noticia[field].join(' ') : noticia[field];
+
+                    this.tokenize(value).forEach(term => {
+                        if (!this.index.has(term)) {
+                            this.index.set(term, new Map());
+                        }
+
+                        const postings = this.index.get(term);
+                        postings.set(position, (postings.get(position) || 0) + weight);
+                    });
+                });
+            });
+
+            this.log(`✅ Índice construído: ${this.documents.length} notícias, ${this.index.size} termos`);
+        }
+
+        /**
+         * Buscar notícias
+         * Todos os termos precisam aparecer (E lógico).
+         * @param {string} query
+         * @returns {Array<{noticia: object, score: number, terms: Array<string>}>}
+         */
+        search(query) {
+            const terms = this.tokenize(query)
+                .filter(term => term.length >= CONFIG.minTermLength || CJK_CHAR.test(term));
+            if (terms.length === 0) return [];
+
+            let scores = null;
+
+            for (const term of terms) {
+                const termScores = this._scoreTerm(term);
+
+                if (scores === null) {
+                    scores = termScores;
+                } else {
+                    // Manter só documentos que têm todos os termos
+                    scores = new Map(Array.from(scores)
+                        .filter(([position]) => termScores.has(position))
+                        .map(([position, score]) => [position, score + termScores.get(position)]));
+                }
+
+                if (scores.size === 0) break;
+            }
+
+            return Array.from(scores)
+                .map(([position, score]) => ({
+                    noticia: this.documents[position],
+                    score: score,
+                    terms: terms
+                }))
+                .sort((a, b) => {
+                    return b.score - a.score
+                        || Number(b.noticia.destaque) - Number(a.noticia.destaque)
+                        || new Date(b.noticia.dataPublicacao) - new Date(a.noticia.dataPublicacao);
+                });
+        }
+
+        /**
+         * Pontuação de um termo em cada documento
+         * @private
+         */
+        _scoreTerm(term) {
+            const scores = new Map();
+
+            this.index.forEach((postings, indexedTerm) => {
+                if (!indexedTerm.startsWith(term)) return;
+
+                const factor = indexedTerm === term ? 1 : CONFIG.prefixWeight;
+
+                postings.forEach((weight, position) => {
+                    scores.set(position, (scores.get(position) || 0) + weight * factor);
+                });
+            });
+
+            return scores;
+        }
+
+        /**
+         * Dividir texto em trechos marcando os termos encontrados
+         * O texto original (com acentos) é preservado.
+         * @param {string} text
+         * @param {Array<string>} terms - Termos normalizados
+         * @returns {Array<{text: string, match: boolean}>}
+         */
+        highlight(text, terms) {
+            text = String(text || '');
+            const ranges = this._findMatches(text, terms);
+            const segments = [];
+            let cursor = 0;
+
+            ranges.forEach(([start, end]) => {
+                if (start > cursor) {
+                    segments.push({ text: text.slice(cursor, start), match: false });
+                }
+                segments.push({ text: text.slice(start, end), match: true });
+                cursor = end;
+            });
+
+            if (cursor < text.length) {
+                segments.push({ text: text.slice(cursor), match: false });
+            }
+
+            return segments;
+        }
+
+        /**
+         * Recortar trecho do texto em volta do primeiro termo encontrado
+         * @param {string} text
+         * @param {Array<string>} terms
+         * @returns {string|null} null se nenhum termo aparece
+         */
+        snippet(text, terms) {
+            text = String(text || '').replace(/\s+/g, ' ');
+            const ranges = this._findMatches(text, terms);
+            if (ranges.length === 0) return null;
+
+            if (text.length <= CONFIG.snippetLength) return text;
+
+            const [firstStart] = ranges[0];
+            let start = Math.max(0, firstStart - Math.floor(CONFIG.snippetLength / 3));
+            const end = Math.min(text.length, start + CONFIG.snippetLength);
+            start = Math.max(0, end - CONFIG.snippetLength);
+
+            // Não cortar palavras ao meio
+            // (sem espaço por perto, como em japonês, corta no limite)
+            const space = start > 0 ? text.indexOf(' ', start) : -1;
+            const from = space !== -1 && space < firstStart ? space + 1 : start;
+            const lastSpace = end < text.length ? text.lastIndexOf(' ', end) : -1;
+            const to = lastSpace > from ? lastSpace : end;
+
+            return `${from > 0 ? '…' : ''}${text.slice(from, to)}${to < text.length ? '…' : ''}`;
+        }
+
+        /**
+         * Posições [início, fim] no texto original dos termos,
+         * comparando sobre a versão normalizada
+         * @private
+         */
+        _findMatches(text, terms) {
+            // Mapa de cada caractere normalizado para a posição original
+            let normalized = '';
+            const origin = [];
+
+            Array.from(text).reduce((offset, char) => {
+                const normalizedChar = this.normalize(char);
+                for (let i = 0; i < normalizedChar.length; i++) {
+                    origin.push(offset);
+                }
+                normalized += normalizedChar;
+                return offset + char.length;
+            }, 0);
+            origin.push(text.length);
+
+            const ranges = [];
+
+            terms.forEach(term => {
+                let position = normalized.indexOf(term);
+
+                // Bigramas han/kana casam em qualquer posição do trecho
+                const cjk = CJK_CHAR.test(term);
+
+                while (position !== -1) {
+                    // Só início de palavra, como na busca por prefixo
+                    const previous = normalized[position - 1];
+                    if (cjk) {
+                        ranges.push([origin[position], origin[position + term.length]]);
+                    } else if (!previous || !WORD_CHAR.test(previous) || CJK_CHAR.test(previous)) {
+                        let end = position + term.length;
+                        // Estender até o fim da palavra ("sert" → "Sertão")
+                        while (end < normalized.length && WORD_CHAR.test(normalized[end]) && !CJK_CHAR.test(normalized[end])) {
+                            end++;
+                        }
+                        ranges.push([origin[position], origin[end]]);
+                    }
+                    position = normalized.indexOf(term, position + term.length);
+                }
+            });
+
+            // Ordenar e unir trechos sobrepostos
+            return ranges
+                .sort((a, b) => a[0] - b[0])
+                .reduce((merged, range) => {
+                    const last = merged[merged.length - 1];
+                    if (last && range[0] <= last[1]) {
+                        last[1] = Math.max(last[1], range[1]);
+                    } else {
+                        merged.push([...range]);
+                    }
+                    return merged;
+                }, []);
+        }
+
+        /**
+         * Logging condicional
+         * @private
+         */
+        log(...args) {
+            if (CONFIG.debug) {
+                console.log('[SearchIndex]', ...args);
+            }
+        }
+    }
+
+    // ============================================
+    // INICIALIZAÇÃO
+    // ============================================
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { SearchIndex };
+    } else {
+        // Criar instância global
+        window.SearchIndex = new SearchIndex();
+
+        console.log('✅ SearchIndex carregado');
+    }
+
+})();